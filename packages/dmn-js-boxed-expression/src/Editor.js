@@ -2,6 +2,8 @@ import { DmnVariableResolverModule } from '@bpmn-io/dmn-variable-resolver';
 
 import ExpressionLanguagesModule from 'dmn-js-shared/lib/features/expression-languages';
 import DataTypesModule from 'dmn-js-shared/lib/features/data-types';
+import ImportedVariablesModule from
+  'dmn-js-shared/lib/features/imported-variables';
 
 import { Viewer } from './Viewer';
 
@@ -9,6 +11,11 @@ import KeyboardModule from './features/keyboard';
 import ModelingModule from './features/modeling';
 import LiteralExpressionEditorComponent from './features/literal-expression/editor';
 import FunctionDefinitionEditorModule from './features/function-definition/editor';
+import BoxedContextEditorModule from './features/boxed-context/editor';
+import RelationEditorModule from './features/relation/editor';
+import InvocationEditorModule from './features/invocation/editor';
+import BoxedListEditorModule from './features/boxed-list/editor';
+import ExpressionTypeModule from './features/expression-type';
 import ElementPropertiesModule from './features/element-properties/editor';
 import CoreModule from './core';
 import ElementVariableModule from './features/element-variable/editor';
@@ -23,12 +30,18 @@ export class Editor extends Viewer {
       EditorActionsModule,
       ElementPropertiesModule,
       FunctionDefinitionEditorModule,
+      BoxedContextEditorModule,
+      RelationEditorModule,
+      InvocationEditorModule,
+      BoxedListEditorModule,
+      ExpressionTypeModule,
       ExpressionLanguagesModule,
       LiteralExpressionEditorComponent,
       KeyboardModule,
       DataTypesModule,
       ElementVariableModule,
-      DmnVariableResolverModule
+      DmnVariableResolverModule,
+      ImportedVariablesModule
     ];
   }
 }
\ No newline at end of file
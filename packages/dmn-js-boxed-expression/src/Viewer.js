@@ -9,12 +9,21 @@ import {
   remove as domRemove
 } from 'min-dom';
 
+import {
+  saveHTML,
+  saveSVG
+} from 'dmn-js-shared/lib/util/ExportUtil';
+
 import TranslateModule from 'diagram-js/lib/i18n/translate';
 
 import RenderModule from './render';
 import PoweredByModule from './features/powered-by';
 import LiteralExpressionModule from './features/literal-expression';
 import FunctionDefinitionEditorModule from './features/function-definition';
+import BoxedContextModule from './features/boxed-context';
+import RelationModule from './features/relation';
+import InvocationModule from './features/invocation';
+import BoxedListModule from './features/boxed-list';
 import ViewDrdModule from './features/view-drd';
 import ElementPropertiesModule from './features/element-properties';
 import ElementLogicModule from './features/element-logic';
@@ -28,6 +37,14 @@ import ElementVariableModule from './features/element-variable';
  * @typedef {import('dmn-js-shared/lib/base/View).OpenError} OpenError
  */
 
+/**
+ * @typedef {import('dmn-js-shared/lib/util/ExportUtil').SaveSVGResult} SaveSVGResult
+ */
+
+/**
+ * @typedef {import('dmn-js-shared/lib/util/ExportUtil').SaveHTMLResult} SaveHTMLResult
+ */
+
 
 export class Viewer extends BaseViewer {
 
@@ -175,6 +192,26 @@ export class Viewer extends BaseViewer {
     this._root = element;
   }
 
+  /**
+   * Export the currently displayed boxed expression as an SVG image.
+   *
+   * The viewer must be attached to the document.
+   *
+   * @return {Promise<SaveSVGResult>}
+   */
+  saveSVG() {
+    return saveSVG(this._container);
+  }
+
+  /**
+   * Export the currently displayed boxed expression as HTML markup.
+   *
+   * @return {Promise<SaveHTMLResult>}
+   */
+  saveHTML() {
+    return saveHTML(this._container);
+  }
+
   /**
    * Attach viewer to given parent node.
    *
@@ -227,6 +264,10 @@ export class Viewer extends BaseViewer {
       ElementPropertiesModule,
       ElementLogicModule,
       FunctionDefinitionEditorModule,
+      BoxedContextModule,
+      RelationModule,
+      InvocationModule,
+      BoxedListModule,
       LiteralExpressionModule,
       ElementVariableModule
     ];
@@ -0,0 +1,23 @@
+/**
+ * Render the actions contributed for an expression
+ * via `expression-actions` components.
+ */
+export function ExpressionActions({ expression }, context) {
+  const actions = context.components.getComponents('expression-actions', {
+    expression
+  });
+
+  if (!actions) {
+    return null;
+  }
+
+  return (
+    <div className="expression-actions">
+      {
+        actions.map((Action, index) => (
+          <Action key={ index } expression={ expression } />
+        ))
+      }
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { ExpressionActions } from './ExpressionActions';
+
+
+/**
+ * Render an expression nested into another expression, e.g. the
+ * value of a context entry, optionally along with its actions.
+ */
+export function NestedExpression({ className, expression, showActions }, context) {
+  if (!expression) {
+    return <div className={ className } />;
+  }
+
+  const Expression = context.components.getComponent('expression', {
+    expression
+  });
+
+  return (
+    <div className={ className }>
+      { showActions ? <ExpressionActions expression={ expression } /> : null }
+      <Expression expression={ expression } />
+    </div>
+  );
+}
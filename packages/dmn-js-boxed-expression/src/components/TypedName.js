@@ -0,0 +1,15 @@
+/**
+ * Render the name and type of an information item, e.g. the variable
+ * of a context entry, using `{className}-name` and `{className}-type`
+ * for its parts.
+ */
+export function TypedName({ className, name, typeRef }, context) {
+  const translate = context.injector.get('translate');
+
+  return (
+    <div>
+      <span className={ `${ className }-name` }>{ name || translate('<unnamed>') }</span>
+      { typeRef ? <span className={ `${ className }-type` }>{ typeRef }</span> : null }
+    </div>
+  );
+}
@@ -1,3 +1,6 @@
+import { forEach, isArray } from 'min-dash';
+
+
 export class DmnFactory {
   static $inject = [ 'moddle' ];
 
@@ -6,6 +9,105 @@ export class DmnFactory {
   }
 
   create(type, attrs = {}) {
-    return this._moddle.create(type, attrs);
+    const element = this._moddle.create(type, attrs);
+
+    // link freshly created nested elements to allow traversing the model
+    // upwards; elements already part of the model are linked by commands
+    forEach(attrs, value => {
+      forEach(isArray(value) ? value : [ value ], child => {
+        if (isModdleElement(child) && !child.$parent) {
+          child.$parent = element;
+        }
+      });
+    });
+
+    return element;
   }
-}
\ No newline at end of file
+
+  /**
+   * Create an empty expression of the given type.
+   *
+   * @param {string} type
+   *
+   * @return {ModdleElement}
+   */
+  createExpression(type) {
+    if (type === 'dmn:LiteralExpression') {
+      return this.create(type, { text: '' });
+    }
+
+    if (type === 'dmn:Context') {
+      return this.create(type, {
+        contextEntry: [
+          this.createContextEntry()
+        ]
+      });
+    }
+
+    if (type === 'dmn:FunctionDefinition') {
+      return this.create(type, {
+        formalParameter: [],
+        body: this.createExpression('dmn:LiteralExpression')
+      });
+    }
+
+    if (type === 'dmn:Relation') {
+      return this.create(type, {
+        column: [
+          this.create('dmn:InformationItem', { name: '', typeRef: '' })
+        ],
+        row: [
+          this.create('dmn:List', {
+            elements: [ this.createExpression('dmn:LiteralExpression') ]
+          })
+        ]
+      });
+    }
+
+    if (type === 'dmn:List') {
+      return this.create(type, {
+        elements: [ this.createExpression('dmn:LiteralExpression') ]
+      });
+    }
+
+    if (type === 'dmn:Invocation') {
+      return this.create(type, {
+        calledFunction: this.createExpression('dmn:LiteralExpression'),
+        binding: []
+      });
+    }
+
+    return this.create(type);
+  }
+
+  /**
+   * Create a context entry holding an empty literal expression.
+   *
+   * @param {Object} [variableAttrs] - variable attributes or `null`
+   *                                   to create a result entry
+   *
+   * @return {ModdleElement}
+   */
+  createContextEntry(variableAttrs = {}) {
+    const attrs = {
+      value: this.createExpression('dmn:LiteralExpression')
+    };
+
+    if (variableAttrs) {
+      attrs.variable = this.create('dmn:InformationItem', {
+        name: '',
+        typeRef: '',
+        ...variableAttrs
+      });
+    }
+
+    return this.create('dmn:ContextEntry', attrs);
+  }
+}
+
+
+// helpers //////////////////////
+
+function isModdleElement(value) {
+  return value && typeof value.$instanceOf === 'function';
+}
@@ -0,0 +1,31 @@
+import { find } from 'min-dash';
+
+export class BoxedContext {
+  getEntries(context) {
+    return context.get('contextEntry');
+  }
+
+  /**
+   * Return the entry which provides the final result of the context,
+   * i.e. the entry without a variable.
+   *
+   * @param {ModdleElement} context
+   *
+   * @return {ModdleElement|undefined}
+   */
+  getResultEntry(context) {
+    return find(this.getEntries(context), entry => this.isResultEntry(entry));
+  }
+
+  isResultEntry(entry) {
+    return !entry.get('variable');
+  }
+
+  getVariable(entry) {
+    return entry.get('variable');
+  }
+
+  getValue(entry) {
+    return entry.get('value');
+  }
+}
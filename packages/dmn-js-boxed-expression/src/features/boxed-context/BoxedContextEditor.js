@@ -0,0 +1,161 @@
+import { without } from 'min-dash';
+
+import { BoxedContext } from './BoxedContext';
+
+export class BoxedContextEditor extends BoxedContext {
+  static $inject = [ 'modeling', 'dmnFactory' ];
+
+  constructor(modeling, dmnFactory) {
+    super();
+
+    this._modeling = modeling;
+    this._dmnFactory = dmnFactory;
+  }
+
+  /**
+   * Add an entry to the context. The entry is added before
+   * the result entry which has to remain the last one.
+   *
+   * @param {ModdleElement} context
+   *
+   * @return {ModdleElement} the added entry
+   */
+  addEntry(context) {
+    const entries = this.getEntries(context),
+          resultEntry = this.getResultEntry(context),
+          entry = this._dmnFactory.createContextEntry();
+
+    const index = resultEntry ? entries.indexOf(resultEntry) : entries.length;
+
+    this._setEntries(context, [
+      ...entries.slice(0, index),
+      entry,
+      ...entries.slice(index)
+    ]);
+
+    return entry;
+  }
+
+  /**
+   * Add the result entry to the context, if it does not exist yet.
+   *
+   * @param {ModdleElement} context
+   *
+   * @return {ModdleElement} the result entry
+   */
+  addResultEntry(context) {
+    const existing = this.getResultEntry(context);
+
+    if (existing) {
+      return existing;
+    }
+
+    const entry = this._dmnFactory.createContextEntry(null);
+
+    this._setEntries(context, [ ...this.getEntries(context), entry ]);
+
+    return entry;
+  }
+
+  removeEntry(context, entry) {
+    this._setEntries(context, without(this.getEntries(context), entry));
+  }
+
+  /**
+   * Move an entry to a new index. The result entry cannot be moved
+   * and no other entry can be moved behind it.
+   *
+   * @param {ModdleElement} context
+   * @param {ModdleElement} entry
+   * @param {number} index
+   */
+  moveEntry(context, entry, index) {
+    if (!this.canMoveEntry(context, entry, index)) {
+      return;
+    }
+
+    const entries = without(this.getEntries(context), entry);
+
+    entries.splice(index, 0, entry);
+
+    this._setEntries(context, entries);
+  }
+
+  canMoveEntry(context, entry, index) {
+    const entries = this.getEntries(context),
+          resultEntry = this.getResultEntry(context);
+
+    if (entry === resultEntry || index < 0) {
+      return false;
+    }
+
+    const maxIndex = resultEntry ? entries.length - 2 : entries.length - 1;
+
+    return index <= maxIndex && index !== entries.indexOf(entry);
+  }
+
+  /**
+   * Update name or type of an entry's variable.
+   *
+   * @param {ModdleElement} entry
+   * @param {Object} properties
+   */
+  updateVariable(entry, properties) {
+    this._modeling.updateProperties(this.getVariable(entry), properties);
+  }
+
+  /**
+   * Make the last entry of a context its result entry
+   * by removing its variable.
+   *
+   * @param {ModdleElement} context
+   * @param {ModdleElement} entry
+   */
+  setResultEntry(context, entry) {
+    if (!this.canBeResultEntry(context, entry)) {
+      throw new Error('only the last entry can be the result entry');
+    }
+
+    this._modeling.updateModdleProperties(entry, { variable: undefined });
+  }
+
+  /**
+   * Turn the result entry into a regular, named entry.
+   *
+   * @param {ModdleElement} entry
+   */
+  unsetResultEntry(entry) {
+    if (!this.isResultEntry(entry)) {
+      return;
+    }
+
+    this._modeling.updateModdleProperties(entry, {
+      variable: this._dmnFactory.create('dmn:InformationItem', {
+        name: '',
+        typeRef: ''
+      })
+    });
+  }
+
+  canBeResultEntry(context, entry) {
+    const entries = this.getEntries(context);
+
+    return entries[ entries.length - 1 ] === entry;
+  }
+
+  /**
+   * Replace the value of an entry with an empty expression of given type.
+   *
+   * @param {ModdleElement} entry
+   * @param {string} type
+   */
+  setValueType(entry, type) {
+    this._modeling.updateModdleProperties(entry, {
+      value: this._dmnFactory.createExpression(type)
+    });
+  }
+
+  _setEntries(context, entries) {
+    this._modeling.updateModdleProperties(context, { contextEntry: entries });
+  }
+}
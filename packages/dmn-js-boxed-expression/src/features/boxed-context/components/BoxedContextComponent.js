@@ -0,0 +1,55 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { NestedExpression } from '../../../components/NestedExpression';
+
+import { ContextEntryVariable } from './ContextEntryVariable';
+
+
+export class BoxedContextComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:Context')) {
+        return BoxedContextComponent;
+      }
+    });
+  }
+}
+
+function BoxedContextComponent({ expression }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+
+  const entries = boxedContext.getEntries(expression);
+
+  return (
+    <div className="context">
+      {
+        entries.map((entry, index) => (
+          <ContextEntry key={ index } entry={ entry } />
+        ))
+      }
+    </div>
+  );
+}
+
+function ContextEntry({ entry }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+
+  const variable = boxedContext.getVariable(entry);
+  const value = boxedContext.getValue(entry);
+
+  return (
+    <div className={ [
+      'context-entry',
+      variable ? '' : 'context-entry-result'
+    ].join(' ') }>
+      <div className="context-entry-variable">
+        <ContextEntryVariable variable={ variable } />
+      </div>
+      <NestedExpression
+        className="context-entry-value"
+        expression={ value } />
+    </div>
+  );
+}
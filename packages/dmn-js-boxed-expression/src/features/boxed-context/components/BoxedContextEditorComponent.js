@@ -0,0 +1,121 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { withChangeSupport } from '../../../util/withChangeSupport';
+import { EditButton } from '../../../components/EditButton';
+import { NestedExpression } from '../../../components/NestedExpression';
+
+import { ContextEntryVariable } from './ContextEntryVariable';
+
+
+export class BoxedContextComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:Context')) {
+        return BoxedContextEditorComponent;
+      }
+    });
+  }
+}
+
+const BoxedContextEditorComponent = withChangeSupport(
+  _BoxedContextEditorComponent,
+  props => [ props.expression ]
+);
+
+function _BoxedContextEditorComponent({ expression }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+  const translate = context.injector.get('translate');
+
+  const entries = boxedContext.getEntries(expression);
+  const resultEntry = boxedContext.getResultEntry(expression);
+
+  const addEntry = () => {
+    boxedContext.addEntry(expression);
+  };
+
+  const addResultEntry = () => {
+    boxedContext.addResultEntry(expression);
+  };
+
+  return (
+    <div className="context">
+      {
+        entries.map((entry, index) => (
+          <ContextEntry
+            key={ index }
+            entry={ entry }
+            expression={ expression } />
+        ))
+      }
+      <div className="context-actions">
+        <button type="button" className="add-context-entry" onClick={ addEntry }>
+          { translate('Add entry') }
+        </button>
+        {
+          resultEntry ? null : (
+            <button
+              type="button"
+              className="add-context-result-entry"
+              onClick={ addResultEntry }>
+              { translate('Add result entry') }
+            </button>
+          )
+        }
+      </div>
+    </div>
+  );
+}
+
+const ContextEntry = withChangeSupport(
+  _ContextEntry,
+  props => [ props.entry, props.entry.get('variable') ]
+);
+
+function _ContextEntry({ entry, expression }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+  const contextMenu = context.injector.get('contextMenu');
+  const translate = context.injector.get('translate');
+
+  const variable = boxedContext.getVariable(entry);
+  const value = boxedContext.getValue(entry);
+
+  const openEntryEditor = event => {
+    const position = getParentPosition(event);
+
+    contextMenu.open(position, {
+      contextMenuType: 'context-entry-editor',
+      expression,
+      entry
+    });
+  };
+
+  return (
+    <div className={ [
+      'context-entry',
+      variable ? '' : 'context-entry-result'
+    ].join(' ') }>
+      <div className="context-entry-variable">
+        <ContextEntryVariable variable={ variable } />
+        <EditButton
+          label={ translate('Edit context entry') }
+          onClick={ openEntryEditor } />
+      </div>
+      <NestedExpression
+        className="context-entry-value"
+        expression={ value }
+        showActions />
+    </div>
+  );
+}
+
+function getParentPosition(event) {
+  const parent = event.target.parentElement,
+        bbox = parent.getBoundingClientRect();
+
+  return {
+    x: bbox.x,
+    y: bbox.y
+  };
+}
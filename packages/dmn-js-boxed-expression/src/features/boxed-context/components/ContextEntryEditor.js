@@ -0,0 +1,163 @@
+import InputSelect from 'dmn-js-shared/lib/components/InputSelect';
+import Input from 'dmn-js-shared/lib/components/Input';
+
+import { withChangeSupport } from '../../../util/withChangeSupport';
+import { EXPRESSION_TYPES } from '../../expression-type/ExpressionType';
+
+export class ContextEntryEditorProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('context-menu', (context = {}) => {
+      if (
+        context.contextMenuType &&
+        context.contextMenuType === 'context-entry-editor'
+      ) {
+        return ContextEntryEditor;
+      }
+    });
+  }
+}
+
+const ContextEntryEditor = withChangeSupport(
+  _ContextEntryEditor,
+  props => [
+    props.context.expression,
+    props.context.entry,
+    props.context.entry.get('variable')
+  ]
+);
+
+function _ContextEntryEditor({ context: { expression, entry } }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+  const contextMenu = context.injector.get('contextMenu');
+  const translate = context.injector.get('translate');
+
+  const entries = boxedContext.getEntries(expression);
+  const index = entries.indexOf(entry);
+  const isResult = boxedContext.isResultEntry(entry);
+
+  const move = newIndex => {
+    boxedContext.moveEntry(expression, entry, newIndex);
+  };
+
+  const remove = () => {
+    boxedContext.removeEntry(expression, entry);
+
+    contextMenu.close();
+  };
+
+  const toggleResult = () => {
+    if (isResult) {
+      boxedContext.unsetResultEntry(entry);
+    } else {
+      boxedContext.setResultEntry(expression, entry);
+    }
+  };
+
+  return (
+    <div className="context-menu-container context-entry-editor">
+      <h3>{ translate('Edit context entry') }</h3>
+      { isResult ? null : <VariableEditor entry={ entry } /> }
+      <ValueTypeEditor entry={ entry } />
+      <div className="context-entry-editor-actions">
+        <button
+          type="button"
+          className="move-up"
+          disabled={ !boxedContext.canMoveEntry(expression, entry, index - 1) }
+          onClick={ () => move(index - 1) }>
+          { translate('Move up') }
+        </button>
+        <button
+          type="button"
+          className="move-down"
+          disabled={ !boxedContext.canMoveEntry(expression, entry, index + 1) }
+          onClick={ () => move(index + 1) }>
+          { translate('Move down') }
+        </button>
+        {
+          isResult || boxedContext.canBeResultEntry(expression, entry) ? (
+            <button type="button" className="toggle-result" onClick={ toggleResult }>
+              {
+                isResult
+                  ? translate('Use as named entry')
+                  : translate('Use as result entry')
+              }
+            </button>
+          ) : null
+        }
+        <button type="button" className="remove-entry" onClick={ remove }>
+          { translate('Remove entry') }
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function VariableEditor({ entry }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+  const dataTypes = context.injector.get('dataTypes');
+  const translate = context.injector.get('translate');
+
+  const { name, typeRef } = boxedContext.getVariable(entry);
+
+  const onNameChange = name => {
+    boxedContext.updateVariable(entry, { name });
+  };
+
+  const onTypeRefChange = typeRef => {
+    boxedContext.updateVariable(entry, { typeRef });
+  };
+
+  const typeRefOptions = dataTypes.getAll().map(t => {
+    return {
+      label: translate(t),
+      value: t
+    };
+  });
+
+  return (
+    <div className="context-entry-variable-editor">
+      <Input
+        label={ translate('Entry name') }
+        onChange={ onNameChange }
+        value={ name } />
+      <InputSelect
+        label={ translate('Entry type') }
+        onChange={ onTypeRefChange }
+        value={ typeRef }
+        options={ typeRefOptions } />
+    </div>
+  );
+}
+
+function ValueTypeEditor({ entry }, context) {
+  const boxedContext = context.injector.get('boxedContext');
+  const translate = context.injector.get('translate');
+
+  const value = boxedContext.getValue(entry);
+
+  const options = EXPRESSION_TYPES.map(({ value, label }) => {
+    return {
+      value,
+      label: translate(label)
+    };
+  });
+
+  const onChange = type => {
+    if (value && value.$type === type) {
+      return;
+    }
+
+    boxedContext.setValueType(entry, type);
+  };
+
+  return (
+    <InputSelect
+      label={ translate('Entry expression type') }
+      options={ options }
+      value={ value && value.$type }
+      onChange={ onChange }
+      noInput />
+  );
+}
@@ -0,0 +1,23 @@
+import { TypedName } from '../../../components/TypedName';
+
+
+/**
+ * Render the variable of a context entry or
+ * a placeholder for the result entry.
+ */
+export function ContextEntryVariable({ variable }, context) {
+  const translate = context.injector.get('translate');
+
+  if (!variable) {
+    return (
+      <span className="context-entry-name">{ translate('<result>') }</span>
+    );
+  }
+
+  return (
+    <TypedName
+      className="context-entry"
+      name={ variable.name }
+      typeRef={ variable.typeRef } />
+  );
+}
@@ -0,0 +1,18 @@
+import ContextMenuModule from 'table-js/lib/features/context-menu';
+
+import { BoxedContextEditor } from './BoxedContextEditor';
+import {
+  BoxedContextComponentProvider
+} from './components/BoxedContextEditorComponent';
+import { ContextEntryEditorProvider } from './components/ContextEntryEditor';
+
+export default {
+  __init__: [
+    'boxedContextComponent',
+    'contextEntryEditorComponent'
+  ],
+  __depends__: [ ContextMenuModule ],
+  boxedContext: [ 'type', BoxedContextEditor ],
+  boxedContextComponent: [ 'type', BoxedContextComponentProvider ],
+  contextEntryEditorComponent: [ 'type', ContextEntryEditorProvider ]
+};
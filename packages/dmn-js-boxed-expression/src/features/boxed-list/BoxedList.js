@@ -0,0 +1,5 @@
+export class BoxedList {
+  getItems(list) {
+    return list.get('elements');
+  }
+}
@@ -0,0 +1,77 @@
+import { without } from 'min-dash';
+
+import { BoxedList } from './BoxedList';
+
+
+export class BoxedListEditor extends BoxedList {
+  static $inject = [ 'modeling', 'dmnFactory' ];
+
+  constructor(modeling, dmnFactory) {
+    super();
+
+    this._modeling = modeling;
+    this._dmnFactory = dmnFactory;
+  }
+
+  /**
+   * Add an item holding an empty expression.
+   *
+   * @param {ModdleElement} list
+   * @param {number} [index] - defaults to appending the item
+   * @param {string} [type='dmn:LiteralExpression']
+   *
+   * @return {ModdleElement} the added item
+   */
+  addItem(list, index, type = 'dmn:LiteralExpression') {
+    const items = this.getItems(list);
+
+    const item = this._dmnFactory.createExpression(type);
+
+    if (typeof index !== 'number') {
+      index = items.length;
+    }
+
+    this._setItems(list, [
+      ...items.slice(0, index),
+      item,
+      ...items.slice(index)
+    ]);
+
+    return item;
+  }
+
+  removeItem(list, item) {
+    this._setItems(list, without(this.getItems(list), item));
+  }
+
+  /**
+   * Move an item to a new index.
+   *
+   * @param {ModdleElement} list
+   * @param {ModdleElement} item
+   * @param {number} index
+   */
+  moveItem(list, item, index) {
+    if (!this.canMoveItem(list, item, index)) {
+      return;
+    }
+
+    const items = without(this.getItems(list), item);
+
+    items.splice(index, 0, item);
+
+    this._setItems(list, items);
+  }
+
+  canMoveItem(list, item, index) {
+    const items = this.getItems(list);
+
+    return index >= 0 && index < items.length && index !== items.indexOf(item);
+  }
+
+  _setItems(list, items) {
+    this._modeling.updateModdleProperties(list, {
+      elements: items
+    });
+  }
+}
@@ -0,0 +1,35 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { NestedExpression } from '../../../components/NestedExpression';
+
+
+export class BoxedListComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:List')) {
+        return BoxedListComponent;
+      }
+    });
+  }
+}
+
+function BoxedListComponent({ expression }, context) {
+  const boxedList = context.injector.get('boxedList');
+
+  const items = boxedList.getItems(expression);
+
+  return (
+    <div className="list">
+      {
+        items.map((item, index) => (
+          <div key={ index } className="list-item">
+            <div className="list-index">{ index + 1 }</div>
+            <NestedExpression className="list-item-value" expression={ item } />
+          </div>
+        ))
+      }
+    </div>
+  );
+}
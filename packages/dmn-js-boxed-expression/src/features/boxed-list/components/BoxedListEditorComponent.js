@@ -0,0 +1,100 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { withChangeSupport } from '../../../util/withChangeSupport';
+import { NestedExpression } from '../../../components/NestedExpression';
+
+
+export class BoxedListComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:List')) {
+        return BoxedListEditorComponent;
+      }
+    });
+  }
+}
+
+const BoxedListEditorComponent = withChangeSupport(
+  _BoxedListEditorComponent,
+  props => [ props.expression ]
+);
+
+function _BoxedListEditorComponent({ expression }, context) {
+  const boxedList = context.injector.get('boxedList');
+  const translate = context.injector.get('translate');
+
+  const items = boxedList.getItems(expression);
+
+  const addItem = () => {
+    boxedList.addItem(expression);
+  };
+
+  return (
+    <div className="list">
+      {
+        items.map((item, index) => (
+          <Item
+            key={ index }
+            item={ item }
+            index={ index }
+            expression={ expression } />
+        ))
+      }
+      <div className="list-actions">
+        <button type="button" className="add-list-item" onClick={ addItem }>
+          { translate('Add item') }
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Item({ item, index, expression }, context) {
+  const boxedList = context.injector.get('boxedList');
+  const translate = context.injector.get('translate');
+
+  const move = newIndex => {
+    boxedList.moveItem(expression, item, newIndex);
+  };
+
+  const removeItem = () => {
+    boxedList.removeItem(expression, item);
+  };
+
+  return (
+    <div className="list-item">
+      <div className="list-index">
+        { index + 1 }
+        <div className="list-item-actions">
+          <button
+            type="button"
+            className="move-list-item-up"
+            aria-label={ translate('Move item {index} up', { index: index + 1 }) }
+            disabled={ !boxedList.canMoveItem(expression, item, index - 1) }
+            onClick={ () => move(index - 1) }>
+            ↑
+          </button>
+          <button
+            type="button"
+            className="move-list-item-down"
+            aria-label={ translate('Move item {index} down', { index: index + 1 }) }
+            disabled={ !boxedList.canMoveItem(expression, item, index + 1) }
+            onClick={ () => move(index + 1) }>
+            ↓
+          </button>
+          <button
+            type="button"
+            className="remove-list-item dmn-icon-trash"
+            aria-label={ translate('Remove item {index}', { index: index + 1 }) }
+            onClick={ removeItem } />
+        </div>
+      </div>
+      <NestedExpression
+        className="list-item-value"
+        expression={ item }
+        showActions />
+    </div>
+  );
+}
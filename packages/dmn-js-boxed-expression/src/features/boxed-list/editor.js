@@ -0,0 +1,8 @@
+import { BoxedListEditor } from './BoxedListEditor';
+import { BoxedListComponentProvider } from './components/BoxedListEditorComponent';
+
+export default {
+  __init__: [ 'boxedListComponent' ],
+  boxedList: [ 'type', BoxedListEditor ],
+  boxedListComponent: [ 'type', BoxedListComponentProvider ]
+};
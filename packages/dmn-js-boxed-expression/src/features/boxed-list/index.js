@@ -0,0 +1,8 @@
+import { BoxedList } from './BoxedList';
+import { BoxedListComponentProvider } from './components/BoxedListComponent';
+
+export default {
+  __init__: [ 'boxedListComponent' ],
+  boxedList: [ 'type', BoxedList ],
+  boxedListComponent: [ 'type', BoxedListComponentProvider ]
+};
@@ -1,5 +1,8 @@
 import { is } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import { withChangeSupport } from '../../util/withChangeSupport';
+import { ExpressionActions } from '../../components/ExpressionActions';
+
 const FALLBACK_PRIORITY = 100;
 
 export default class ElementLogic {
@@ -15,18 +18,32 @@ export default class ElementLogic {
 }
 
 function LogicComponent(_, { injector }) {
-  const components = injector.get('components');
   const viewer = injector.get('viewer');
 
-  const rootElement = viewer.getRootElement();
-  const expression = getLogic(rootElement);
+  return (
+    <ElementLogicComponent element={ viewer.getRootElement() } />
+  );
+}
+
+const ElementLogicComponent = withChangeSupport(
+  _ElementLogicComponent,
+  props => [ props.element ]
+);
+
+function _ElementLogicComponent({ element }, { injector }) {
+  const components = injector.get('components');
+
+  const expression = getLogic(element);
 
   const Expression = components.getComponent('expression', {
     expression
   });
 
   return (
-    <Expression expression={ expression } />
+    <div className="element-logic">
+      <ExpressionActions expression={ expression } />
+      <Expression expression={ expression } />
+    </div>
   );
 }
 
@@ -0,0 +1,216 @@
+import { find } from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import ReplaceExpressionHandler from './cmd/ReplaceExpressionHandler';
+
+export const EXPRESSION_TYPES = [
+  {
+    value: 'dmn:LiteralExpression',
+    label: 'Literal expression'
+  },
+  {
+    value: 'dmn:Context',
+    label: 'Context'
+  },
+  {
+    value: 'dmn:FunctionDefinition',
+    label: 'Function definition'
+  },
+  {
+    value: 'dmn:Relation',
+    label: 'Relation'
+  },
+  {
+    value: 'dmn:Invocation',
+    label: 'Invocation'
+  },
+  {
+    value: 'dmn:List',
+    label: 'List'
+  }
+];
+
+
+export class ExpressionType {
+  static $inject = [ 'commandStack', 'dmnFactory' ];
+
+  constructor(commandStack, dmnFactory) {
+    this._commandStack = commandStack;
+    this._dmnFactory = dmnFactory;
+
+    commandStack.registerHandler('expression.replace', ReplaceExpressionHandler);
+  }
+
+  getTypes() {
+    return EXPRESSION_TYPES;
+  }
+
+  /**
+   * Check whether an expression can be replaced by one of another type.
+   * The logic of a business knowledge model is always a function definition.
+   *
+   * @param {ModdleElement} expression
+   *
+   * @return {boolean}
+   */
+  canChangeType(expression) {
+    const parent = expression && expression.$parent;
+
+    return !!parent &&
+      !is(parent, 'dmn:BusinessKnowledgeModel') &&
+      !!getContainingProperty(parent, expression);
+  }
+
+  /**
+   * Replace an expression with an expression of another type.
+   *
+   * Existing content is kept where possible: a single nested expression
+   * of the target type is unwrapped, while a context, function definition
+   * or list wraps the replaced expression.
+   *
+   * @param {ModdleElement} expression
+   * @param {string} type
+   *
+   * @return {ModdleElement} the new expression
+   */
+  changeType(expression, type) {
+    if (expression.$type === type) {
+      return expression;
+    }
+
+    const wrappedExpression = getWrappedExpression(expression);
+
+    if (wrappedExpression && wrappedExpression.$type === type) {
+      return this._replace(expression, () => wrappedExpression, wrappedExpression);
+    }
+
+    if (type === 'dmn:Context') {
+      return this.wrapInContext(expression);
+    }
+
+    if (type === 'dmn:FunctionDefinition') {
+      return this._replace(expression, () => {
+        return this._dmnFactory.create(type, {
+          formalParameter: [],
+          body: expression
+        });
+      }, expression);
+    }
+
+    if (type === 'dmn:List') {
+      return this._replace(expression, () => {
+        return this._dmnFactory.create(type, {
+          elements: [ expression ]
+        });
+      }, expression);
+    }
+
+    return this._replace(expression, () => {
+      return this._dmnFactory.createExpression(type);
+    });
+  }
+
+  /**
+   * Wrap an expression in the result entry of a new context.
+   *
+   * @param {ModdleElement} expression
+   *
+   * @return {ModdleElement} the new context
+   */
+  wrapInContext(expression) {
+    return this._replace(expression, () => {
+      return this._dmnFactory.create('dmn:Context', {
+        contextEntry: [
+          this._dmnFactory.create('dmn:ContextEntry', {
+            value: expression
+          })
+        ]
+      });
+    }, expression);
+  }
+
+  _replace(expression, createNewExpression, movedExpression) {
+    if (!this.canChangeType(expression)) {
+      throw new Error(`cannot replace <${ expression.id }>`);
+    }
+
+    const parent = expression.$parent,
+          property = getContainingProperty(parent, expression);
+
+    const oldMovedExpressionParent = movedExpression && movedExpression.$parent;
+
+    const newExpression = createNewExpression();
+
+    this._commandStack.execute('expression.replace', {
+      parent,
+      property,
+      expression,
+      newExpression,
+      movedExpression,
+      movedExpressionParent: movedExpression &&
+        getMovedExpressionParent(newExpression, movedExpression, parent),
+      oldMovedExpressionParent
+    });
+
+    return newExpression;
+  }
+}
+
+
+// helpers //////////////////////
+
+/**
+ * Return the element a moved expression is contained in after
+ * replacing: the parent of the replaced expression for unwrapped
+ * expressions, the new expression or its result entry otherwise.
+ */
+function getMovedExpressionParent(newExpression, movedExpression, parent) {
+  if (newExpression === movedExpression) {
+    return parent;
+  }
+
+  if (is(newExpression, 'dmn:Context')) {
+    return newExpression.get('contextEntry')[ 0 ];
+  }
+
+  return newExpression;
+}
+
+function getContainingProperty(parent, child) {
+  const property = find(parent.$descriptor.properties, property => {
+    if (property.isReference) {
+      return false;
+    }
+
+    const value = parent.get(property.name);
+
+    return property.isMany ? value.includes(child) : value === child;
+  });
+
+  return property && property.name;
+}
+
+/**
+ * Return the only expression nested in a context result entry,
+ * function definition or list.
+ */
+function getWrappedExpression(expression) {
+  if (is(expression, 'dmn:Context')) {
+    const entries = expression.get('contextEntry');
+
+    return entries.length === 1 && !entries[0].get('variable')
+      ? entries[0].get('value')
+      : null;
+  }
+
+  if (is(expression, 'dmn:FunctionDefinition')) {
+    return expression.get('body');
+  }
+
+  if (is(expression, 'dmn:List')) {
+    const elements = expression.get('elements');
+
+    return elements.length === 1 ? elements[0] : null;
+  }
+}
@@ -0,0 +1,71 @@
+import { isArray } from 'min-dash';
+
+
+/**
+ * A handler that replaces an expression within its parent.
+ *
+ * An expression moved into (or out of) the replacement,
+ * e.g. a literal expression wrapped in a context, is
+ * re-linked to its new parent and restored on undo.
+ */
+export default class ReplaceExpressionHandler {
+
+  /**
+   * <do>
+   */
+  execute(context) {
+    const {
+      parent,
+      property,
+      expression,
+      newExpression,
+      movedExpression,
+      movedExpressionParent
+    } = context;
+
+    if (movedExpression) {
+      movedExpression.$parent = movedExpressionParent;
+    }
+
+    replaceChild(parent, property, expression, newExpression);
+
+    return [ parent ];
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {
+    const {
+      parent,
+      property,
+      expression,
+      newExpression,
+      movedExpression,
+      oldMovedExpressionParent
+    } = context;
+
+    replaceChild(parent, property, newExpression, expression);
+
+    if (movedExpression) {
+      movedExpression.$parent = oldMovedExpressionParent;
+    }
+
+    return [ parent ];
+  }
+}
+
+
+// helpers //////////////////////
+
+function replaceChild(parent, property, oldChild, newChild) {
+  const value = parent.get(property);
+
+  if (isArray(value)) {
+    value.splice(value.indexOf(oldChild), 1, newChild);
+  } else {
+    parent.set(property, newChild);
+  }
+
+  newChild.$parent = parent;
+}
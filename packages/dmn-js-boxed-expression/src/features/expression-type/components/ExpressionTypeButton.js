@@ -0,0 +1,36 @@
+export class ExpressionTypeButtonProvider {
+  static $inject = [ 'components', 'expressionType' ];
+
+  constructor(components, expressionType) {
+    components.onGetComponent('expression-actions', ({ expression }) => {
+      if (expressionType.canChangeType(expression)) {
+        return ExpressionTypeButton;
+      }
+    });
+  }
+}
+
+function ExpressionTypeButton({ expression }, context) {
+  const contextMenu = context.injector.get('contextMenu');
+  const translate = context.injector.get('translate');
+
+  const openTypeEditor = event => {
+    const bbox = event.target.getBoundingClientRect();
+
+    contextMenu.open({
+      x: bbox.x,
+      y: bbox.y
+    }, {
+      contextMenuType: 'expression-type-editor',
+      expression
+    });
+  };
+
+  return (
+    <button
+      type="button"
+      className="expression-type-button dmn-icon-menu"
+      aria-label={ translate('Change expression type') }
+      onClick={ openTypeEditor } />
+  );
+}
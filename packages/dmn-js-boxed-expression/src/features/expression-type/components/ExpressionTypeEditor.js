@@ -0,0 +1,46 @@
+export class ExpressionTypeEditorProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('context-menu', (context = {}) => {
+      if (
+        context.contextMenuType &&
+        context.contextMenuType === 'expression-type-editor'
+      ) {
+        return ExpressionTypeEditor;
+      }
+    });
+  }
+}
+
+function ExpressionTypeEditor({ context: { expression } }, context) {
+  const expressionType = context.injector.get('expressionType');
+  const contextMenu = context.injector.get('contextMenu');
+  const translate = context.injector.get('translate');
+
+  const changeType = type => {
+    expressionType.changeType(expression, type);
+
+    contextMenu.close();
+  };
+
+  return (
+    <div className="context-menu-container expression-type-editor">
+      <h3>{ translate('Change expression type') }</h3>
+      <div className="expression-type-options">
+        {
+          expressionType.getTypes().map(({ value, label }) => (
+            <button
+              key={ value }
+              type="button"
+              className="expression-type-option"
+              disabled={ expression.$type === value }
+              onClick={ () => changeType(value) }>
+              { translate(label) }
+            </button>
+          ))
+        }
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import ContextMenuModule from 'table-js/lib/features/context-menu';
+
+import { ExpressionType } from './ExpressionType';
+import { ExpressionTypeButtonProvider } from './components/ExpressionTypeButton';
+import { ExpressionTypeEditorProvider } from './components/ExpressionTypeEditor';
+
+export default {
+  __init__: [
+    'expressionTypeButtonComponent',
+    'expressionTypeEditorComponent'
+  ],
+  __depends__: [ ContextMenuModule ],
+  expressionType: [ 'type', ExpressionType ],
+  expressionTypeButtonComponent: [ 'type', ExpressionTypeButtonProvider ],
+  expressionTypeEditorComponent: [ 'type', ExpressionTypeEditorProvider ]
+};
@@ -2,6 +2,7 @@ import { is } from 'dmn-js-shared/lib/util/ModelUtil';
 
 import { withChangeSupport } from '../../../util/withChangeSupport';
 import { EditButton } from '../../../components/EditButton';
+import { ExpressionActions } from '../../../components/ExpressionActions';
 
 export class FunctionDefinitionComponentProvider {
   static $inject = [ 'components' ];
@@ -112,6 +113,7 @@ function _BodyExpression({ expression, parameters }, context) {
 
   return (
     <div className="function-definition-body">
+      <ExpressionActions expression={ expression } />
       <Expression expression={ expression } parameters={ parameters } />
     </div>
   );
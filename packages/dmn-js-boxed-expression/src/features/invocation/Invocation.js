@@ -0,0 +1,89 @@
+import { filter, find } from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+
+export class Invocation {
+
+  /**
+   * Return the name of the invoked function.
+   *
+   * @param {ModdleElement} invocation
+   *
+   * @return {string}
+   */
+  getCalledFunction(invocation) {
+    const calledFunction = invocation.get('calledFunction');
+
+    return (calledFunction && calledFunction.get('text')) || '';
+  }
+
+  getBindings(invocation) {
+    return invocation.get('binding');
+  }
+
+  getParameter(binding) {
+    return binding.get('parameter');
+  }
+
+  getBindingFormula(binding) {
+    return binding.get('bindingFormula');
+  }
+
+  /**
+   * Return business knowledge models which can be invoked.
+   *
+   * @param {ModdleElement} invocation
+   *
+   * @return {ModdleElement[]}
+   */
+  getInvocables(invocation) {
+    const definitions = getDefinitions(invocation);
+
+    if (!definitions) {
+      return [];
+    }
+
+    return filter(definitions.get('drgElement'), element => {
+      return is(element, 'dmn:BusinessKnowledgeModel');
+    });
+  }
+
+  /**
+   * Return the business knowledge model invoked by name.
+   *
+   * @param {ModdleElement} invocation
+   *
+   * @return {ModdleElement|undefined}
+   */
+  getInvokedElement(invocation) {
+    const calledFunction = this.getCalledFunction(invocation);
+
+    if (!calledFunction) {
+      return;
+    }
+
+    return find(this.getInvocables(invocation), element => {
+      return getInvocableName(element) === calledFunction;
+    });
+  }
+}
+
+
+// helpers //////////////////////
+
+export function getInvocableName(invocable) {
+  const variable = invocable.get('variable');
+
+  return (variable && variable.get('name')) || invocable.get('name');
+}
+
+function getDefinitions(element) {
+  let current = element;
+
+  while (current && !is(current, 'dmn:Definitions')) {
+    current = current.$parent;
+  }
+
+  return current;
+}
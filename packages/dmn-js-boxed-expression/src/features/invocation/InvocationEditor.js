@@ -0,0 +1,108 @@
+import { find } from 'min-dash';
+
+import { Invocation, getInvocableName } from './Invocation';
+
+import UpdateBindingsHandler from './cmd/UpdateBindingsHandler';
+
+
+export class InvocationEditor extends Invocation {
+  static $inject = [ 'commandStack', 'modeling', 'dmnFactory' ];
+
+  constructor(commandStack, modeling, dmnFactory) {
+    super();
+
+    this._commandStack = commandStack;
+    this._modeling = modeling;
+    this._dmnFactory = dmnFactory;
+
+    commandStack.registerHandler('invocation.updateBindings', UpdateBindingsHandler);
+  }
+
+  /**
+   * Invoke a business knowledge model and pre-fill
+   * one binding per formal parameter.
+   *
+   * Existing binding formulas are kept for parameters
+   * with the same name.
+   *
+   * @param {ModdleElement} invocation
+   * @param {ModdleElement} invocable
+   */
+  setInvokedElement(invocation, invocable) {
+    this._commandStack.execute('invocation.updateBindings', {
+      element: invocation,
+      properties: {
+        calledFunction: this._dmnFactory.create('dmn:LiteralExpression', {
+          text: getInvocableName(invocable)
+        }),
+        binding: this._createBindings(invocation, invocable)
+      }
+    });
+  }
+
+  /**
+   * Align bindings with the formal parameters of the invoked element.
+   *
+   * @param {ModdleElement} invocation
+   */
+  updateBindings(invocation) {
+    const invocable = this.getInvokedElement(invocation);
+
+    if (!invocable) {
+      return;
+    }
+
+    this._commandStack.execute('invocation.updateBindings', {
+      element: invocation,
+      properties: {
+        binding: this._createBindings(invocation, invocable)
+      }
+    });
+  }
+
+  /**
+   * Set an empty expression of given type as binding formula.
+   *
+   * @param {ModdleElement} binding
+   * @param {string} type
+   */
+  setBindingFormulaType(binding, type) {
+    this._modeling.updateModdleProperties(binding, {
+      bindingFormula: this._dmnFactory.createExpression(type)
+    });
+  }
+
+  _createBindings(invocation, invocable) {
+    const bindings = this.getBindings(invocation);
+
+    return getFormalParameters(invocable).map(formalParameter => {
+      const { name, typeRef } = formalParameter;
+
+      const existing = find(bindings, binding => {
+        const parameter = this.getParameter(binding);
+
+        return parameter && parameter.get('name') === name;
+      });
+
+      const bindingFormula = existing && this.getBindingFormula(existing);
+
+      return this._dmnFactory.create('dmn:Binding', {
+        parameter: this._dmnFactory.create('dmn:InformationItem', {
+          name,
+          typeRef
+        }),
+        bindingFormula: bindingFormula ||
+          this._dmnFactory.createExpression('dmn:LiteralExpression')
+      });
+    });
+  }
+}
+
+
+// helpers //////////////////////
+
+function getFormalParameters(invocable) {
+  const encapsulatedLogic = invocable.get('encapsulatedLogic');
+
+  return encapsulatedLogic ? encapsulatedLogic.get('formalParameter') : [];
+}
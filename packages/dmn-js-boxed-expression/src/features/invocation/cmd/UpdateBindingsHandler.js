@@ -0,0 +1,55 @@
+import UpdateModdlePropertiesHandler from
+  '../../modeling/cmd/UpdateModdlePropertiesHandler';
+
+
+/**
+ * A handler that updates the properties of an invocation, e.g. its bindings.
+ *
+ * Binding formulas taken over from previous bindings are linked to
+ * their new binding and linked back on revert.
+ */
+export default class UpdateBindingsHandler extends UpdateModdlePropertiesHandler {
+
+  /**
+   * <do>
+   */
+  execute(context) {
+    const changed = super.execute(context);
+
+    const formulas = getBindingFormulas(context.properties.binding);
+
+    context.oldFormulaParents = context.oldFormulaParents ||
+      formulas.map(({ bindingFormula }) => bindingFormula.$parent);
+
+    formulas.forEach(({ binding, bindingFormula }) => {
+      bindingFormula.$parent = binding;
+    });
+
+    return changed;
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {
+    const changed = super.revert(context);
+
+    const formulas = getBindingFormulas(context.properties.binding);
+
+    formulas.forEach(({ bindingFormula }, index) => {
+      bindingFormula.$parent = context.oldFormulaParents[ index ];
+    });
+
+    return changed;
+  }
+}
+
+
+// helpers //////////////////////
+
+function getBindingFormulas(bindings = []) {
+  return bindings.map(binding => ({
+    binding,
+    bindingFormula: binding.get('bindingFormula')
+  })).filter(({ bindingFormula }) => bindingFormula);
+}
@@ -0,0 +1,59 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { NestedExpression } from '../../../components/NestedExpression';
+import { TypedName } from '../../../components/TypedName';
+
+
+export class InvocationComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:Invocation')) {
+        return InvocationComponent;
+      }
+    });
+  }
+}
+
+function InvocationComponent({ expression }, context) {
+  const invocation = context.injector.get('invocation');
+  const translate = context.injector.get('translate');
+
+  const calledFunction = invocation.getCalledFunction(expression);
+  const bindings = invocation.getBindings(expression);
+
+  return (
+    <div className="invocation">
+      <div className="invocation-called-function">
+        { calledFunction || translate('<no function>') }
+      </div>
+      {
+        bindings.map((binding, index) => (
+          <Binding key={ index } binding={ binding } />
+        ))
+      }
+    </div>
+  );
+}
+
+function Binding({ binding }, context) {
+  const invocation = context.injector.get('invocation');
+
+  const parameter = invocation.getParameter(binding);
+  const bindingFormula = invocation.getBindingFormula(binding);
+
+  return (
+    <div className="invocation-binding">
+      <div className="invocation-binding-parameter">
+        <TypedName
+          className="invocation-binding"
+          name={ parameter && parameter.name }
+          typeRef={ parameter && parameter.typeRef } />
+      </div>
+      <NestedExpression
+        className="invocation-binding-formula"
+        expression={ bindingFormula } />
+    </div>
+  );
+}
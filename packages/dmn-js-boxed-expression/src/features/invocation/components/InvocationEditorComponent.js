@@ -0,0 +1,148 @@
+import { find } from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+import InputSelect from 'dmn-js-shared/lib/components/InputSelect';
+
+import { withChangeSupport } from '../../../util/withChangeSupport';
+import { NestedExpression } from '../../../components/NestedExpression';
+import { TypedName } from '../../../components/TypedName';
+
+
+export class InvocationComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:Invocation')) {
+        return InvocationEditorComponent;
+      }
+    });
+  }
+}
+
+const InvocationEditorComponent = withChangeSupport(
+  _InvocationEditorComponent,
+  props => [ props.expression ]
+);
+
+function _InvocationEditorComponent({ expression }, context) {
+  const invocation = context.injector.get('invocation');
+  const translate = context.injector.get('translate');
+
+  const bindings = invocation.getBindings(expression);
+  const invokedElement = invocation.getInvokedElement(expression);
+
+  const updateBindings = () => {
+    invocation.updateBindings(expression);
+  };
+
+  return (
+    <div className="invocation">
+      <div className="invocation-called-function">
+        <CalledFunctionEditor expression={ expression } />
+        {
+          invokedElement ? (
+            <button
+              type="button"
+              className="update-bindings"
+              onClick={ updateBindings }>
+              { translate('Update parameters') }
+            </button>
+          ) : null
+        }
+      </div>
+      {
+        bindings.map((binding, index) => (
+          <Binding key={ index } binding={ binding } />
+        ))
+      }
+    </div>
+  );
+}
+
+function CalledFunctionEditor({ expression }, context) {
+  const invocation = context.injector.get('invocation');
+  const translate = context.injector.get('translate');
+
+  const invocables = invocation.getInvocables(expression);
+  const invokedElement = invocation.getInvokedElement(expression);
+
+  const options = invocables.map(invocable => {
+    return {
+      label: invocable.get('name') || invocable.get('id'),
+      value: invocable.get('id')
+    };
+  });
+
+  const onChange = id => {
+    const invocable = find(invocables, invocable => invocable.get('id') === id);
+
+    if (!invocable || invocable === invokedElement) {
+      return;
+    }
+
+    invocation.setInvokedElement(expression, invocable);
+  };
+
+  // invoked function may be defined outside of the DRG
+  const calledFunction = invocation.getCalledFunction(expression);
+
+  if (calledFunction && !invokedElement) {
+    options.push({
+      label: calledFunction,
+      value: calledFunction
+    });
+  }
+
+  return (
+    <InputSelect
+      label={ translate('Invoked business knowledge model') }
+      className="invocation-called-function-select"
+      options={ options }
+      value={ invokedElement ? invokedElement.get('id') : calledFunction }
+      onChange={ onChange }
+      noInput />
+  );
+}
+
+const Binding = withChangeSupport(_Binding, props => [ props.binding ]);
+
+function _Binding({ binding }, context) {
+  const invocation = context.injector.get('invocation');
+  const translate = context.injector.get('translate');
+
+  const parameter = invocation.getParameter(binding);
+  const bindingFormula = invocation.getBindingFormula(binding);
+
+  const addBindingFormula = () => {
+    invocation.setBindingFormulaType(binding, 'dmn:LiteralExpression');
+  };
+
+  return (
+    <div className="invocation-binding">
+      <div className="invocation-binding-parameter">
+        <TypedName
+          className="invocation-binding"
+          name={ parameter && parameter.name }
+          typeRef={ parameter && parameter.typeRef } />
+      </div>
+      {
+        bindingFormula ? (
+          <NestedExpression
+            className="invocation-binding-formula"
+            expression={ bindingFormula }
+            showActions />
+        ) : (
+          <div className="invocation-binding-formula">
+            <button
+              type="button"
+              className="add-binding-formula"
+              onClick={ addBindingFormula }>
+              { translate('Add expression') }
+            </button>
+          </div>
+        )
+      }
+    </div>
+  );
+}
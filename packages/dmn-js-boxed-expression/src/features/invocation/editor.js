@@ -0,0 +1,8 @@
+import { InvocationEditor } from './InvocationEditor';
+import { InvocationComponentProvider } from './components/InvocationEditorComponent';
+
+export default {
+  __init__: [ 'invocationComponent' ],
+  invocation: [ 'type', InvocationEditor ],
+  invocationComponent: [ 'type', InvocationComponentProvider ]
+};
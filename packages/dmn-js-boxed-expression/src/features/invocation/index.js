@@ -0,0 +1,8 @@
+import { Invocation } from './Invocation';
+import { InvocationComponentProvider } from './components/InvocationComponent';
+
+export default {
+  __init__: [ 'invocationComponent' ],
+  invocation: [ 'type', Invocation ],
+  invocationComponent: [ 'type', InvocationComponentProvider ]
+};
@@ -4,6 +4,7 @@ import {
 
 import UpdatePropertiesHandler
   from 'dmn-js-shared/lib/features/modeling/cmd/UpdatePropertiesHandler';
+import UpdateModdlePropertiesHandler from './cmd/UpdateModdlePropertiesHandler';
 
 
 export default class Modeling {
@@ -19,7 +20,8 @@ export default class Modeling {
 
   _getHandlers() {
     return {
-      'element.updateProperties': UpdatePropertiesHandler
+      'element.updateProperties': UpdatePropertiesHandler,
+      'element.updateModdleProperties': UpdateModdlePropertiesHandler
     };
   }
 
@@ -31,6 +33,22 @@ export default class Modeling {
 
     this._commandStack.execute('element.updateProperties', context);
   }
+
+  /**
+   * Set properties of a moddle element without merging nested
+   * elements, e.g. to replace a child expression.
+   *
+   * @param {ModdleElement} element
+   * @param {Object} properties
+   */
+  updateModdleProperties(element, properties) {
+    const context = {
+      element,
+      properties
+    };
+
+    this._commandStack.execute('element.updateModdleProperties', context);
+  }
 }
 
 Modeling.$inject = [ 'commandStack', 'viewer', 'eventBus' ];
@@ -38,9 +38,11 @@ export default class NameChangeBehavior extends CommandInterceptor {
   isVariable(element) {
     const parent = getParent(element);
 
+    // context entries own a variable but have no name to sync
     return (
       is(element, 'dmn:InformationItem') &&
-      parent && parent.get('variable') === element
+      is(parent, 'dmn:NamedElement') &&
+      parent.get('variable') === element
     );
   }
 
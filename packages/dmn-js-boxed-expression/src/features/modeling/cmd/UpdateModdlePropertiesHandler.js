@@ -0,0 +1,82 @@
+import {
+  forEach,
+  isArray,
+  keys,
+  reduce
+} from 'min-dash';
+
+
+/**
+ * A handler that sets properties of a moddle element as they are.
+ *
+ * Unlike `element.updateProperties`, it does not merge nested
+ * moddle elements, which allows to replace child elements or
+ * collections of child elements (e.g. context entries).
+ */
+export default class UpdateModdlePropertiesHandler {
+
+  /**
+   * <do>
+   */
+  execute(context) {
+    const {
+      element,
+      properties
+    } = context;
+
+    if (!element) {
+      throw new Error('<element> required');
+    }
+
+    context.oldProperties = context.oldProperties ||
+      getModdleProperties(element, keys(properties));
+
+    setModdleProperties(element, properties);
+
+    return [ element ];
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {
+    const {
+      element,
+      oldProperties
+    } = context;
+
+    setModdleProperties(element, oldProperties);
+
+    return [ element ];
+  }
+}
+
+
+// helpers //////////////////////
+
+function getModdleProperties(moddleElement, propertyNames) {
+  return reduce(propertyNames, function(result, key) {
+    const value = moddleElement.get(key);
+
+    // copy collections to be able to restore them
+    result[key] = isArray(value) ? value.slice() : value;
+
+    return result;
+  }, {});
+}
+
+function setModdleProperties(moddleElement, properties) {
+  forEach(properties, function(value, key) {
+    moddleElement.set(key, value);
+
+    forEach(isArray(value) ? value : [ value ], child => {
+      if (isModdleElement(child)) {
+        child.$parent = moddleElement;
+      }
+    });
+  });
+}
+
+function isModdleElement(value) {
+  return value && typeof value.$instanceOf === 'function';
+}
@@ -0,0 +1,27 @@
+export class Relation {
+  getColumns(relation) {
+    return relation.get('column');
+  }
+
+  getRows(relation) {
+    return relation.get('row');
+  }
+
+  /**
+   * Return the cell of a row for the given column index.
+   *
+   * @param {ModdleElement} row
+   * @param {number} columnIndex
+   *
+   * @return {ModdleElement|undefined}
+   */
+  getCell(row, columnIndex) {
+    return row.get('elements')[ columnIndex ];
+  }
+
+  getCellText(row, columnIndex) {
+    const cell = this.getCell(row, columnIndex);
+
+    return (cell && cell.get('text')) || '';
+  }
+}
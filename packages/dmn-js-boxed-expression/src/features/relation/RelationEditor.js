@@ -0,0 +1,138 @@
+import { without } from 'min-dash';
+
+import { Relation } from './Relation';
+
+import AddColumnHandler from './cmd/AddColumnHandler';
+import RemoveColumnHandler from './cmd/RemoveColumnHandler';
+
+
+export class RelationEditor extends Relation {
+  static $inject = [ 'commandStack', 'modeling', 'dmnFactory' ];
+
+  constructor(commandStack, modeling, dmnFactory) {
+    super();
+
+    this._commandStack = commandStack;
+    this._modeling = modeling;
+    this._dmnFactory = dmnFactory;
+
+    commandStack.registerHandler('relation.addColumn', AddColumnHandler);
+    commandStack.registerHandler('relation.removeColumn', RemoveColumnHandler);
+  }
+
+  /**
+   * Add a column and an empty cell to each row.
+   *
+   * @param {ModdleElement} relation
+   * @param {number} [index] - defaults to appending the column
+   *
+   * @return {ModdleElement} the added column
+   */
+  addColumn(relation, index) {
+    const columns = this.getColumns(relation),
+          rows = this.getRows(relation);
+
+    const column = this._dmnFactory.create('dmn:InformationItem', {
+      name: '',
+      typeRef: ''
+    });
+
+    this._commandStack.execute('relation.addColumn', {
+      relation,
+      column,
+      index: isNumber(index) ? index : columns.length,
+      cells: rows.map(() => this._createCell())
+    });
+
+    return column;
+  }
+
+  removeColumn(relation, column) {
+    this._commandStack.execute('relation.removeColumn', {
+      relation,
+      column
+    });
+  }
+
+  /**
+   * Update name or type of a column.
+   *
+   * @param {ModdleElement} column
+   * @param {Object} properties
+   */
+  updateColumn(column, properties) {
+    this._modeling.updateProperties(column, properties);
+  }
+
+  /**
+   * Add a row with an empty cell per column.
+   *
+   * @param {ModdleElement} relation
+   * @param {number} [index] - defaults to appending the row
+   *
+   * @return {ModdleElement} the added row
+   */
+  addRow(relation, index) {
+    const rows = this.getRows(relation);
+
+    const row = this._dmnFactory.create('dmn:List', {
+      elements: this.getColumns(relation).map(() => this._createCell())
+    });
+
+    if (!isNumber(index)) {
+      index = rows.length;
+    }
+
+    this._modeling.updateModdleProperties(relation, {
+      row: [
+        ...rows.slice(0, index),
+        row,
+        ...rows.slice(index)
+      ]
+    });
+
+    return row;
+  }
+
+  removeRow(relation, row) {
+    this._modeling.updateModdleProperties(relation, {
+      row: without(this.getRows(relation), row)
+    });
+  }
+
+  /**
+   * Set the FEEL text of a cell, creating the cell if it is missing.
+   *
+   * @param {ModdleElement} row
+   * @param {number} columnIndex
+   * @param {string} text
+   */
+  editCell(row, columnIndex, text) {
+    const cell = this.getCell(row, columnIndex);
+
+    if (cell) {
+      return this._modeling.updateProperties(cell, { text });
+    }
+
+    const elements = row.get('elements').slice();
+
+    for (let i = 0; i <= columnIndex; i++) {
+      elements[ i ] = elements[ i ] || this._createCell();
+    }
+
+    elements[ columnIndex ].set('text', text);
+
+    this._modeling.updateModdleProperties(row, { elements });
+  }
+
+  _createCell() {
+    return this._dmnFactory.createExpression('dmn:LiteralExpression');
+  }
+}
+
+
+// helpers //////////////////////
+
+function isNumber(value) {
+  return typeof value === 'number';
+}
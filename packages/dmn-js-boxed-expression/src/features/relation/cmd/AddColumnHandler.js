@@ -0,0 +1,52 @@
+/**
+ * A handler that adds a column to a relation,
+ * along with one cell per row.
+ */
+export default class AddColumnHandler {
+
+  /**
+   * <do>
+   */
+  execute(context) {
+    const {
+      relation,
+      column,
+      index,
+      cells
+    } = context;
+
+    const rows = relation.get('row');
+
+    relation.get('column').splice(index, 0, column);
+    column.$parent = relation;
+
+    rows.forEach((row, rowIndex) => {
+      const cell = cells[ rowIndex ];
+
+      row.get('elements').splice(index, 0, cell);
+      cell.$parent = row;
+    });
+
+    return [ relation, ...rows ];
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {
+    const {
+      relation,
+      index
+    } = context;
+
+    const rows = relation.get('row');
+
+    relation.get('column').splice(index, 1);
+
+    rows.forEach(row => {
+      row.get('elements').splice(index, 1);
+    });
+
+    return [ relation, ...rows ];
+  }
+}
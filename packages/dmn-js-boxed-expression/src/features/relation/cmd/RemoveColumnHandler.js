@@ -0,0 +1,64 @@
+/**
+ * A handler that removes a column from a relation,
+ * along with the respective cell of each row.
+ */
+export default class RemoveColumnHandler {
+
+  /**
+   * <do>
+   */
+  execute(context) {
+    const {
+      relation,
+      column
+    } = context;
+
+    const columns = relation.get('column'),
+          rows = relation.get('row');
+
+    const index = columns.indexOf(column);
+
+    if (index === -1) {
+      throw new Error('column is not part of relation');
+    }
+
+    context.index = index;
+
+    // keep removed cells for undo; rows may lack cells
+    context.cells = rows.map(row => {
+      const elements = row.get('elements');
+
+      return index < elements.length ? elements.splice(index, 1)[0] : null;
+    });
+
+    columns.splice(index, 1);
+
+    return [ relation, ...rows ];
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {
+    const {
+      relation,
+      column,
+      index,
+      cells
+    } = context;
+
+    const rows = relation.get('row');
+
+    relation.get('column').splice(index, 0, column);
+
+    rows.forEach((row, rowIndex) => {
+      const cell = cells[ rowIndex ];
+
+      if (cell) {
+        row.get('elements').splice(index, 0, cell);
+      }
+    });
+
+    return [ relation, ...rows ];
+  }
+}
@@ -0,0 +1,95 @@
+import InputSelect from 'dmn-js-shared/lib/components/InputSelect';
+import Input from 'dmn-js-shared/lib/components/Input';
+
+import { withChangeSupport } from '../../../util/withChangeSupport';
+
+export class RelationColumnEditorProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('context-menu', (context = {}) => {
+      if (
+        context.contextMenuType &&
+        context.contextMenuType === 'relation-column-editor'
+      ) {
+        return RelationColumnEditor;
+      }
+    });
+  }
+}
+
+const RelationColumnEditor = withChangeSupport(
+  _RelationColumnEditor,
+  props => [ props.context.expression, props.context.column ]
+);
+
+function _RelationColumnEditor({ context: { expression, column } }, context) {
+  const relation = context.injector.get('relation');
+  const contextMenu = context.injector.get('contextMenu');
+  const dataTypes = context.injector.get('dataTypes');
+  const translate = context.injector.get('translate');
+
+  const { name, typeRef } = column;
+  const index = relation.getColumns(expression).indexOf(column);
+
+  const onNameChange = name => {
+    relation.updateColumn(column, { name });
+  };
+
+  const onTypeRefChange = typeRef => {
+    relation.updateColumn(column, { typeRef });
+  };
+
+  const addColumn = newIndex => {
+    relation.addColumn(expression, newIndex);
+
+    contextMenu.close();
+  };
+
+  const remove = () => {
+    relation.removeColumn(expression, column);
+
+    contextMenu.close();
+  };
+
+  const typeRefOptions = dataTypes.getAll().map(t => {
+    return {
+      label: translate(t),
+      value: t
+    };
+  });
+
+  return (
+    <div className="context-menu-container relation-column-editor">
+      <h3>{ translate('Edit column') }</h3>
+      <div className="relation-column-properties">
+        <Input
+          label={ translate('Column name') }
+          onChange={ onNameChange }
+          value={ name } />
+        <InputSelect
+          label={ translate('Column type') }
+          onChange={ onTypeRefChange }
+          value={ typeRef }
+          options={ typeRefOptions } />
+      </div>
+      <div className="relation-column-actions">
+        <button
+          type="button"
+          className="add-column-left"
+          onClick={ () => addColumn(index) }>
+          { translate('Add column left') }
+        </button>
+        <button
+          type="button"
+          className="add-column-right"
+          onClick={ () => addColumn(index + 1) }>
+          { translate('Add column right') }
+        </button>
+        <button type="button" className="remove-column" onClick={ remove }>
+          { translate('Remove column') }
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,64 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { TypedName } from '../../../components/TypedName';
+
+
+export class RelationComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:Relation')) {
+        return RelationComponent;
+      }
+    });
+  }
+}
+
+function RelationComponent({ expression }, context) {
+  const relation = context.injector.get('relation');
+
+  const columns = relation.getColumns(expression);
+  const rows = relation.getRows(expression);
+
+  return (
+    <table className="relation">
+      <thead>
+        <tr>
+          <th className="relation-index">#</th>
+          {
+            columns.map((column, index) => (
+              <Column key={ index } column={ column } />
+            ))
+          }
+        </tr>
+      </thead>
+      <tbody>
+        {
+          rows.map((row, rowIndex) => (
+            <tr key={ rowIndex }>
+              <td className="relation-index">{ rowIndex + 1 }</td>
+              {
+                columns.map((_, columnIndex) => (
+                  <td key={ columnIndex } className="relation-cell">
+                    { relation.getCellText(row, columnIndex) }
+                  </td>
+                ))
+              }
+            </tr>
+          ))
+        }
+      </tbody>
+    </table>
+  );
+}
+
+function Column({ column }) {
+  const { name, typeRef } = column;
+
+  return (
+    <th className="relation-column">
+      <TypedName className="relation-column" name={ name } typeRef={ typeRef } />
+    </th>
+  );
+}
@@ -0,0 +1,227 @@
+import { closest } from 'min-dom';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+import {
+  getElementCoords,
+  getFocusableNode,
+  getNextCoords,
+  getNodeByCoords
+} from 'dmn-js-shared/lib/util/CellSelectionUtil';
+import LiteralExpression from 'dmn-js-shared/lib/components/LiteralExpression';
+
+import { withChangeSupport } from '../../../util/withChangeSupport';
+import { EditButton } from '../../../components/EditButton';
+import { TypedName } from '../../../components/TypedName';
+
+
+export class RelationComponentProvider {
+  static $inject = [ 'components' ];
+
+  constructor(components) {
+    components.onGetComponent('expression', ({ expression }) => {
+      if (is(expression, 'dmn:Relation')) {
+        return RelationEditorComponent;
+      }
+    });
+  }
+}
+
+const RelationEditorComponent = withChangeSupport(
+  _RelationEditorComponent,
+  props => [ props.expression ]
+);
+
+function _RelationEditorComponent({ expression }, context) {
+  const relation = context.injector.get('relation');
+  const translate = context.injector.get('translate');
+
+  const columns = relation.getColumns(expression);
+  const rows = relation.getRows(expression);
+
+  let tableNode;
+
+  const addColumn = () => {
+    relation.addColumn(expression);
+  };
+
+  const addRow = () => {
+    relation.addRow(expression);
+  };
+
+  // move between cells like in a decision table:
+  // ENTER selects the cell below, SHIFT + ENTER the cell above
+  const onKeyDown = event => {
+    if (event.key !== 'Enter' || isCmd(event)) {
+      return;
+    }
+
+    const cellNode = closest(event.target, '[data-coords]', true);
+
+    if (!cellNode) {
+      return;
+    }
+
+    const nextCoords = getNextCoords(
+      getElementCoords(cellNode),
+      event.shiftKey ? 'above' : 'below'
+    );
+
+    const nextNode = getNodeByCoords(nextCoords, tableNode);
+
+    const focusNode = nextNode && getFocusableNode(nextNode);
+
+    if (focusNode) {
+      focusNode.focus();
+
+      event.preventDefault();
+    }
+  };
+
+  return (
+    <div className="relation-container">
+      <table
+        className="relation"
+        ref={ node => tableNode = node }
+        onKeyDown={ onKeyDown }>
+        <thead>
+          <tr>
+            <th className="relation-index">#</th>
+            {
+              columns.map((column, index) => (
+                <Column
+                  key={ index }
+                  column={ column }
+                  expression={ expression } />
+              ))
+            }
+          </tr>
+        </thead>
+        <tbody>
+          {
+            rows.map((row, rowIndex) => (
+              <Row
+                key={ rowIndex }
+                row={ row }
+                rowIndex={ rowIndex }
+                columns={ columns }
+                expression={ expression } />
+            ))
+          }
+        </tbody>
+      </table>
+      <div className="relation-actions">
+        <button type="button" className="add-relation-row" onClick={ addRow }>
+          { translate('Add row') }
+        </button>
+        <button type="button" className="add-relation-column" onClick={ addColumn }>
+          { translate('Add column') }
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const Column = withChangeSupport(_Column, props => [ props.column ]);
+
+function _Column({ column, expression }, context) {
+  const contextMenu = context.injector.get('contextMenu');
+  const translate = context.injector.get('translate');
+
+  const { name, typeRef } = column;
+
+  const openColumnEditor = event => {
+    const position = getParentPosition(event);
+
+    contextMenu.open(position, {
+      contextMenuType: 'relation-column-editor',
+      expression,
+      column
+    });
+  };
+
+  return (
+    <th className="relation-column">
+      <TypedName className="relation-column" name={ name } typeRef={ typeRef } />
+      <EditButton label={ translate('Edit column') } onClick={ openColumnEditor } />
+    </th>
+  );
+}
+
+const Row = withChangeSupport(_Row, props => [ props.row ]);
+
+function _Row({ row, rowIndex, columns, expression }, context) {
+  const relation = context.injector.get('relation');
+  const translate = context.injector.get('translate');
+
+  const removeRow = () => {
+    relation.removeRow(expression, row);
+  };
+
+  return (
+    <tr>
+      <td className="relation-index">
+        { rowIndex + 1 }
+        <button
+          type="button"
+          className="remove-relation-row dmn-icon-trash"
+          aria-label={ translate('Remove row {index}', { index: rowIndex + 1 }) }
+          onClick={ removeRow } />
+      </td>
+      {
+        columns.map((column, columnIndex) => (
+          <Cell
+            key={ columnIndex }
+            row={ row }
+            rowIndex={ rowIndex }
+            columnIndex={ columnIndex }
+            cell={ relation.getCell(row, columnIndex) } />
+        ))
+      }
+    </tr>
+  );
+}
+
+const Cell = withChangeSupport(_Cell, props => [ props.cell ]);
+
+function _Cell({ row, rowIndex, columnIndex, cell }, context) {
+  const relation = context.injector.get('relation');
+  const translate = context.injector.get('translate');
+  const variableResolver = context.injector.get('variableResolver', false);
+
+  const onChange = text => {
+    relation.editCell(row, columnIndex, text);
+  };
+
+  const variables = cell && variableResolver && variableResolver.getVariables(cell);
+
+  return (
+    <td className="relation-cell" data-coords={ `${ rowIndex }:${ columnIndex }` }>
+      <LiteralExpression
+        label={ translate('Cell {row}:{column}', {
+          row: rowIndex + 1,
+          column: columnIndex + 1
+        }) }
+        value={ relation.getCellText(row, columnIndex) }
+        onChange={ onChange }
+        variables={ variables }
+        ctrlForNewline />
+    </td>
+  );
+}
+
+
+// helpers //////////////////////
+
+function isCmd(event) {
+  return event.metaKey || event.ctrlKey;
+}
+
+function getParentPosition(event) {
+  const parent = event.target.parentElement,
+        bbox = parent.getBoundingClientRect();
+
+  return {
+    x: bbox.x,
+    y: bbox.y
+  };
+}
@@ -0,0 +1,17 @@
+import ContextMenuModule from 'table-js/lib/features/context-menu';
+
+import { RelationEditor } from './RelationEditor';
+import { RelationComponentProvider } from './components/RelationEditorComponent';
+import { RelationColumnEditorProvider } from './components/RelationColumnEditor';
+
+export default {
+  __init__: [
+    'relation',
+    'relationComponent',
+    'relationColumnEditorComponent'
+  ],
+  __depends__: [ ContextMenuModule ],
+  relation: [ 'type', RelationEditor ],
+  relationComponent: [ 'type', RelationComponentProvider ],
+  relationColumnEditorComponent: [ 'type', RelationColumnEditorProvider ]
+};
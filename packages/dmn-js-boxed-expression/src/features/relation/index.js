@@ -0,0 +1,8 @@
+import { Relation } from './Relation';
+import { RelationComponentProvider } from './components/RelationComponent';
+
+export default {
+  __init__: [ 'relationComponent' ],
+  relation: [ 'type', Relation ],
+  relationComponent: [ 'type', RelationComponentProvider ]
+};
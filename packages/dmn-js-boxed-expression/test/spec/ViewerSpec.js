@@ -69,6 +69,55 @@ describe('Viewer', function() {
   });
 
 
+  describe('#saveSVG', function() {
+
+    let literalExpressionViewer;
+
+    beforeEach(bootstrapViewer(simpleXML, { container: testContainer }));
+
+    beforeEach(function() {
+      literalExpressionViewer = getLiteralExpression();
+    });
+
+
+    it('should export SVG', async function() {
+
+      // when
+      const { svg } = await literalExpressionViewer.saveSVG();
+
+      // then
+      expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+      expect(svg).to.contain('<foreignObject');
+      expect(svg).to.contain('calendar.getSeason(date)');
+    });
+
+  });
+
+
+  describe('#saveHTML', function() {
+
+    let literalExpressionViewer;
+
+    beforeEach(bootstrapViewer(simpleXML, { container: testContainer }));
+
+    beforeEach(function() {
+      literalExpressionViewer = getLiteralExpression();
+    });
+
+
+    it('should export HTML', async function() {
+
+      // when
+      const { html } = await literalExpressionViewer.saveHTML();
+
+      // then
+      expect(html).to.match(/^<div class="dmn-boxed-expression-container"/);
+      expect(html).to.contain('calendar.getSeason(date)');
+    });
+
+  });
+
+
   describe('#attachTo', function() {
 
     let literalExpressionViewer;
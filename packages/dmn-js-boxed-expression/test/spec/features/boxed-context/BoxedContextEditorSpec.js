@@ -0,0 +1,337 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import boxedContextXML from './boxed-context.dmn';
+
+
+describe('BoxedContextEditor', function() {
+
+  beforeEach(bootstrapModeler(boxedContextXML));
+
+  function getContext(viewer) {
+    return viewer.getRootElement().get('decisionLogic');
+  }
+
+
+  describe('#getEntries', function() {
+
+    it('should retrieve entries', inject(function(viewer, boxedContext) {
+
+      // when
+      const entries = boxedContext.getEntries(getContext(viewer));
+
+      // then
+      expect(entries).to.have.lengthOf(3);
+    }));
+
+  });
+
+
+  describe('#getResultEntry', function() {
+
+    it('should retrieve entry without variable', inject(function(viewer, boxedContext) {
+
+      // when
+      const resultEntry = boxedContext.getResultEntry(getContext(viewer));
+
+      // then
+      expect(resultEntry).to.have.property('id', 'ContextEntry_3');
+    }));
+
+  });
+
+
+  describe('#addEntry', function() {
+
+    it('should add entry before result entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+
+      // when
+      const entry = boxedContext.addEntry(context);
+
+      // then
+      const entries = boxedContext.getEntries(context);
+
+      expect(entries).to.have.lengthOf(4);
+      expect(entries[2]).to.equal(entry);
+      expect(entry.$parent).to.equal(context);
+      expect(boxedContext.getVariable(entry)).to.exist;
+      expect(boxedContext.getValue(entry).$type).to.eql('dmn:LiteralExpression');
+    }));
+
+
+    it('should undo', inject(function(viewer, boxedContext, commandStack) {
+
+      // given
+      const context = getContext(viewer);
+
+      boxedContext.addEntry(context);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(boxedContext.getEntries(context)).to.have.lengthOf(3);
+    }));
+
+  });
+
+
+  describe('#addResultEntry', function() {
+
+    it('should not add second result entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const resultEntry = boxedContext.getResultEntry(context);
+
+      // when
+      const entry = boxedContext.addResultEntry(context);
+
+      // then
+      expect(entry).to.equal(resultEntry);
+      expect(boxedContext.getEntries(context)).to.have.lengthOf(3);
+    }));
+
+
+    it('should add result entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+
+      boxedContext.removeEntry(context, boxedContext.getResultEntry(context));
+
+      // when
+      const entry = boxedContext.addResultEntry(context);
+
+      // then
+      expect(boxedContext.isResultEntry(entry)).to.be.true;
+      expect(boxedContext.getEntries(context)[2]).to.equal(entry);
+    }));
+
+  });
+
+
+  describe('#removeEntry', function() {
+
+    it('should remove entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[0];
+
+      // when
+      boxedContext.removeEntry(context, entry);
+
+      // then
+      expect(boxedContext.getEntries(context)).not.to.include(entry);
+    }));
+
+
+    it('should undo', inject(function(viewer, boxedContext, commandStack) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[0];
+
+      boxedContext.removeEntry(context, entry);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(boxedContext.getEntries(context)[0]).to.equal(entry);
+    }));
+
+  });
+
+
+  describe('#moveEntry', function() {
+
+    it('should move entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[0];
+
+      // when
+      boxedContext.moveEntry(context, entry, 1);
+
+      // then
+      expect(boxedContext.getEntries(context)[1]).to.equal(entry);
+    }));
+
+
+    it('should NOT move entry behind result entry', inject(
+      function(viewer, boxedContext) {
+
+        // given
+        const context = getContext(viewer);
+        const entry = boxedContext.getEntries(context)[0];
+
+        // when
+        boxedContext.moveEntry(context, entry, 2);
+
+        // then
+        expect(boxedContext.getEntries(context)[0]).to.equal(entry);
+      }
+    ));
+
+
+    it('should NOT move result entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const resultEntry = boxedContext.getResultEntry(context);
+
+      // when
+      boxedContext.moveEntry(context, resultEntry, 0);
+
+      // then
+      expect(boxedContext.getEntries(context)[2]).to.equal(resultEntry);
+    }));
+
+  });
+
+
+  describe('#updateVariable', function() {
+
+    it('should update entry variable', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[0];
+
+      // when
+      boxedContext.updateVariable(entry, { name: 'foo', typeRef: 'string' });
+
+      // then
+      const variable = boxedContext.getVariable(entry);
+
+      expect(variable).to.have.property('name', 'foo');
+      expect(variable).to.have.property('typeRef', 'string');
+      expect(entry.get('name')).not.to.exist;
+    }));
+
+  });
+
+
+  describe('result entry', function() {
+
+    it('should unset result entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const resultEntry = boxedContext.getResultEntry(context);
+
+      // when
+      boxedContext.unsetResultEntry(resultEntry);
+
+      // then
+      expect(boxedContext.getResultEntry(context)).not.to.exist;
+      expect(boxedContext.getVariable(resultEntry)).to.exist;
+    }));
+
+
+    it('should set last entry as result entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[2];
+
+      boxedContext.unsetResultEntry(entry);
+
+      // when
+      boxedContext.setResultEntry(context, entry);
+
+      // then
+      expect(boxedContext.getResultEntry(context)).to.equal(entry);
+    }));
+
+
+    it('should NOT set other entry as result entry', inject(
+      function(viewer, boxedContext) {
+
+        // given
+        const context = getContext(viewer);
+        const entry = boxedContext.getEntries(context)[0];
+
+        // then
+        expect(() => {
+          boxedContext.setResultEntry(context, entry);
+        }).to.throw(/only the last entry/);
+      }
+    ));
+
+  });
+
+
+  describe('#setValueType', function() {
+
+    it('should nest context', inject(function(viewer, boxedContext) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[0];
+
+      // when
+      boxedContext.setValueType(entry, 'dmn:Context');
+
+      // then
+      const value = boxedContext.getValue(entry);
+
+      expect(value.$type).to.eql('dmn:Context');
+      expect(value.$parent).to.equal(entry);
+      expect(boxedContext.getEntries(value)).to.have.lengthOf(1);
+    }));
+
+
+    it('should undo', inject(function(viewer, boxedContext, commandStack) {
+
+      // given
+      const context = getContext(viewer);
+      const entry = boxedContext.getEntries(context)[0];
+      const value = boxedContext.getValue(entry);
+
+      boxedContext.setValueType(entry, 'dmn:FunctionDefinition');
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(boxedContext.getValue(entry)).to.equal(value);
+    }));
+
+  });
+
+
+  describe('rendering', function() {
+
+    it('should render entries', inject(function(viewer) {
+
+      // given
+      const container = viewer._container;
+
+      // then
+      expect(container.querySelectorAll('.context-entry')).to.have.lengthOf(3);
+      expect(container.querySelectorAll('.context-entry-result')).to.have.lengthOf(1);
+    }));
+
+
+    it('should render added entry', inject(function(viewer, boxedContext) {
+
+      // given
+      const container = viewer._container;
+
+      // when
+      boxedContext.addEntry(getContext(viewer));
+
+      // then
+      expect(container.querySelectorAll('.context-entry')).to.have.lengthOf(4);
+    }));
+
+  });
+
+});
+
@@ -0,0 +1,139 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import boxedListXML from './boxed-list.dmn';
+
+
+describe('BoxedListEditor', function() {
+
+  beforeEach(bootstrapModeler(boxedListXML));
+
+  function getList(viewer) {
+    return viewer.getRootElement().get('decisionLogic');
+  }
+
+  function getIds(boxedList, list) {
+    return boxedList.getItems(list).map(item => item.id);
+  }
+
+
+  describe('#addItem', function() {
+
+    it('should append literal expression', inject(function(viewer, boxedList) {
+
+      // given
+      const list = getList(viewer);
+
+      // when
+      const item = boxedList.addItem(list);
+
+      // then
+      expect(boxedList.getItems(list)).to.have.lengthOf(4);
+      expect(boxedList.getItems(list)[3]).to.equal(item);
+      expect(item.$type).to.eql('dmn:LiteralExpression');
+      expect(item.$parent).to.equal(list);
+    }));
+
+
+    it('should add item of given type at index', inject(
+      function(viewer, boxedList) {
+
+        // given
+        const list = getList(viewer);
+
+        // when
+        const item = boxedList.addItem(list, 0, 'dmn:Context');
+
+        // then
+        expect(boxedList.getItems(list)[0]).to.equal(item);
+        expect(item.$type).to.eql('dmn:Context');
+      }
+    ));
+
+
+    it('should undo', inject(function(viewer, boxedList, commandStack) {
+
+      // given
+      const list = getList(viewer);
+
+      boxedList.addItem(list);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(getIds(boxedList, list)).to.eql([
+        'LiteralExpression_1',
+        'LiteralExpression_2',
+        'List_2'
+      ]);
+    }));
+
+  });
+
+
+  describe('#removeItem', function() {
+
+    it('should remove item', inject(function(viewer, boxedList) {
+
+      // given
+      const list = getList(viewer);
+
+      // when
+      boxedList.removeItem(list, boxedList.getItems(list)[0]);
+
+      // then
+      expect(getIds(boxedList, list)).to.eql([ 'LiteralExpression_2', 'List_2' ]);
+    }));
+
+  });
+
+
+  describe('#moveItem', function() {
+
+    it('should move item', inject(function(viewer, boxedList) {
+
+      // given
+      const list = getList(viewer);
+
+      // when
+      boxedList.moveItem(list, boxedList.getItems(list)[2], 0);
+
+      // then
+      expect(getIds(boxedList, list)).to.eql([
+        'List_2',
+        'LiteralExpression_1',
+        'LiteralExpression_2'
+      ]);
+    }));
+
+
+    it('should NOT move item out of bounds', inject(function(viewer, boxedList) {
+
+      // given
+      const list = getList(viewer);
+      const item = boxedList.getItems(list)[0];
+
+      // then
+      expect(boxedList.canMoveItem(list, item, -1)).to.be.false;
+      expect(boxedList.canMoveItem(list, item, 3)).to.be.false;
+      expect(boxedList.canMoveItem(list, item, 1)).to.be.true;
+    }));
+
+  });
+
+
+  describe('rendering', function() {
+
+    it('should render nested lists', inject(function(viewer) {
+
+      // given
+      const container = viewer._container;
+
+      // then
+      expect(container.querySelectorAll('.list')).to.have.lengthOf(2);
+      expect(container.querySelectorAll('.list-item')).to.have.lengthOf(5);
+    }));
+
+  });
+
+});
@@ -0,0 +1,189 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import expressionTypeXML from './expression-type.dmn';
+
+
+describe('ExpressionType', function() {
+
+  beforeEach(bootstrapModeler(expressionTypeXML));
+
+  function getContext(viewer) {
+    return viewer.getRootElement().get('decisionLogic');
+  }
+
+  function getEntry(viewer, index) {
+    return getContext(viewer).get('contextEntry')[index];
+  }
+
+
+  describe('#canChangeType', function() {
+
+    it('should allow for nested expression', inject(
+      function(viewer, expressionType) {
+
+        // given
+        const expression = getEntry(viewer, 0).get('value');
+
+        // then
+        expect(expressionType.canChangeType(expression)).to.be.true;
+      }
+    ));
+
+
+    it('should allow for decision logic', inject(function(viewer, expressionType) {
+
+      // then
+      expect(expressionType.canChangeType(getContext(viewer))).to.be.true;
+    }));
+
+  });
+
+
+  describe('#changeType', function() {
+
+    it('should wrap literal expression in context', inject(
+      function(viewer, expressionType) {
+
+        // given
+        const entry = getEntry(viewer, 0);
+        const literalExpression = entry.get('value');
+
+        // when
+        const context = expressionType.changeType(literalExpression, 'dmn:Context');
+
+        // then
+        expect(entry.get('value')).to.equal(context);
+        expect(context.$parent).to.equal(entry);
+
+        const resultEntry = context.get('contextEntry')[0];
+
+        expect(resultEntry.get('variable')).not.to.exist;
+        expect(resultEntry.get('value')).to.equal(literalExpression);
+        expect(literalExpression.$parent).to.equal(resultEntry);
+      }
+    ));
+
+
+    it('should use expression as function body', inject(
+      function(viewer, expressionType) {
+
+        // given
+        const literalExpression = getEntry(viewer, 0).get('value');
+
+        // when
+        const functionDefinition = expressionType.changeType(
+          literalExpression,
+          'dmn:FunctionDefinition'
+        );
+
+        // then
+        expect(functionDefinition.get('body')).to.equal(literalExpression);
+      }
+    ));
+
+
+    it('should unwrap nested expression', inject(function(viewer, expressionType) {
+
+      // given
+      const entry = getEntry(viewer, 0);
+      const literalExpression = entry.get('value');
+
+      const context = expressionType.changeType(literalExpression, 'dmn:Context');
+
+      // when
+      const newExpression = expressionType.changeType(
+        context,
+        'dmn:LiteralExpression'
+      );
+
+      // then
+      expect(newExpression).to.equal(literalExpression);
+      expect(entry.get('value')).to.equal(literalExpression);
+      expect(literalExpression.$parent).to.equal(entry);
+    }));
+
+
+    it('should create empty expression', inject(function(viewer, expressionType) {
+
+      // given
+      const entry = getEntry(viewer, 0);
+
+      // when
+      const relation = expressionType.changeType(entry.get('value'), 'dmn:Relation');
+
+      // then
+      expect(entry.get('value')).to.equal(relation);
+      expect(relation.get('column')).to.have.lengthOf(1);
+    }));
+
+
+    it('should change decision logic', inject(function(viewer, expressionType) {
+
+      // given
+      const decision = viewer.getRootElement();
+
+      // when
+      const list = expressionType.changeType(getContext(viewer), 'dmn:List');
+
+      // then
+      expect(decision.get('decisionLogic')).to.equal(list);
+      expect(list.get('elements')[0].$type).to.eql('dmn:Context');
+    }));
+
+
+    describe('undo / redo', function() {
+
+      it('should undo', inject(function(viewer, expressionType, commandStack) {
+
+        // given
+        const entry = getEntry(viewer, 0);
+        const literalExpression = entry.get('value');
+
+        expressionType.changeType(literalExpression, 'dmn:Context');
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(entry.get('value')).to.equal(literalExpression);
+        expect(literalExpression.$parent).to.equal(entry);
+      }));
+
+
+      it('should redo', inject(function(viewer, expressionType, commandStack) {
+
+        // given
+        const entry = getEntry(viewer, 0);
+        const literalExpression = entry.get('value');
+
+        const context = expressionType.changeType(literalExpression, 'dmn:Context');
+
+        // when
+        commandStack.undo();
+        commandStack.redo();
+
+        // then
+        expect(entry.get('value')).to.equal(context);
+        expect(literalExpression.$parent).to.equal(context.get('contextEntry')[0]);
+      }));
+
+    });
+
+  });
+
+
+  describe('rendering', function() {
+
+    it('should render type button for each expression', inject(function(viewer) {
+
+      // given
+      const container = viewer._container;
+
+      // then
+      expect(container.querySelectorAll('.expression-type-button'))
+        .to.have.lengthOf(3);
+    }));
+
+  });
+
+});
@@ -0,0 +1,178 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import invocationXML from './invocation.dmn';
+
+
+describe('InvocationEditor', function() {
+
+  beforeEach(bootstrapModeler(invocationXML));
+
+  function getInvocation(viewer) {
+    return viewer.getRootElement().get('decisionLogic');
+  }
+
+  function getBindingNames(invocation, bindings) {
+    return bindings.map(binding => invocation.getParameter(binding).get('name'));
+  }
+
+
+  describe('#getInvocables', function() {
+
+    it('should return business knowledge models', inject(
+      function(viewer, invocation) {
+
+        // when
+        const invocables = invocation.getInvocables(getInvocation(viewer));
+
+        // then
+        expect(invocables.map(invocable => invocable.id)).to.eql([
+          'computeTariff',
+          'computeDiscount'
+        ]);
+      }
+    ));
+
+  });
+
+
+  describe('#getInvokedElement', function() {
+
+    it('should return invoked element', inject(function(viewer, invocation) {
+
+      // when
+      const invokedElement = invocation.getInvokedElement(getInvocation(viewer));
+
+      // then
+      expect(invokedElement.id).to.eql('computeTariff');
+    }));
+
+  });
+
+
+  describe('#setInvokedElement', function() {
+
+    it('should pre-fill bindings', inject(
+      function(viewer, invocation) {
+
+        // given
+        const expression = getInvocation(viewer);
+        const invocable = getDrgElement(viewer, 'computeDiscount');
+
+        // when
+        invocation.setInvokedElement(expression, invocable);
+
+        // then
+        expect(invocation.getCalledFunction(expression)).to.eql('Compute Discount');
+
+        const bindings = invocation.getBindings(expression);
+
+        expect(getBindingNames(invocation, bindings)).to.eql([ 'amount' ]);
+        expect(invocation.getBindingFormula(bindings[0]).get('text')).to.eql('');
+      }
+    ));
+
+
+    it('should undo', inject(function(viewer, invocation, commandStack) {
+
+      // given
+      const expression = getInvocation(viewer);
+
+      invocation.setInvokedElement(
+        expression,
+        getDrgElement(viewer, 'computeDiscount')
+      );
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(invocation.getCalledFunction(expression)).to.eql('Compute Tariff');
+      expect(getBindingNames(invocation, invocation.getBindings(expression)))
+        .to.eql([ 'weight' ]);
+    }));
+
+  });
+
+
+  describe('#updateBindings', function() {
+
+    it('should add missing bindings', inject(function(viewer, invocation) {
+
+      // given
+      const expression = getInvocation(viewer);
+
+      // when
+      invocation.updateBindings(expression);
+
+      // then
+      const bindings = invocation.getBindings(expression);
+
+      expect(getBindingNames(invocation, bindings)).to.eql([ 'weight', 'zone' ]);
+      expect(invocation.getBindingFormula(bindings[0]).get('text')).to.eql('12');
+      expect(invocation.getBindingFormula(bindings[1]).get('text')).to.eql('');
+    }));
+
+
+    it('should link kept binding formulas', inject(function(viewer, invocation) {
+
+      // given
+      const expression = getInvocation(viewer);
+
+      const oldBinding = invocation.getBindings(expression)[0],
+            bindingFormula = invocation.getBindingFormula(oldBinding);
+
+      // when
+      invocation.updateBindings(expression);
+
+      // then
+      const binding = invocation.getBindings(expression)[0];
+
+      expect(invocation.getBindingFormula(binding)).to.equal(bindingFormula);
+      expect(bindingFormula.$parent).to.equal(binding);
+    }));
+
+
+    it('should undo', inject(function(viewer, invocation, commandStack) {
+
+      // given
+      const expression = getInvocation(viewer);
+
+      const oldBinding = invocation.getBindings(expression)[0],
+            bindingFormula = invocation.getBindingFormula(oldBinding);
+
+      invocation.updateBindings(expression);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(invocation.getBindings(expression)).to.eql([ oldBinding ]);
+      expect(bindingFormula.$parent).to.equal(oldBinding);
+    }));
+
+  });
+
+
+  describe('rendering', function() {
+
+    it('should render bindings', inject(function(viewer) {
+
+      // given
+      const container = viewer._container;
+
+      // then
+      expect(container.querySelectorAll('.invocation-binding')).to.have.lengthOf(1);
+    }));
+
+  });
+
+});
+
+
+// helpers //////////////////////
+
+function getDrgElement(viewer, id) {
+  const definitions = viewer.getRootElement().$parent;
+
+  return definitions.get('drgElement').find(element => element.id === id);
+}
@@ -91,4 +91,41 @@ describe('Modeling', function() {
     expect(viewer.getRootElement().variable.typeRef).to.equal('foo');
   }));
 
-});
\ No newline at end of file
+
+  describe('#updateModdleProperties', function() {
+
+    it('should replace expression', inject(function(modeling, moddle, viewer) {
+
+      // given
+      const decision = viewer.getRootElement();
+      const expression = moddle.create('dmn:LiteralExpression', { text: 'foo' });
+
+      // when
+      modeling.updateModdleProperties(decision, { decisionLogic: expression });
+
+      // then
+      expect(decision.decisionLogic).to.equal(expression);
+      expect(expression.$parent).to.equal(decision);
+    }));
+
+
+    it('should undo', inject(function(commandStack, modeling, moddle, viewer) {
+
+      // given
+      const decision = viewer.getRootElement();
+      const oldExpression = decision.decisionLogic;
+
+      modeling.updateModdleProperties(decision, {
+        decisionLogic: moddle.create('dmn:LiteralExpression')
+      });
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(decision.decisionLogic).to.equal(oldExpression);
+    }));
+
+  });
+
+});
@@ -0,0 +1,252 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import relationXML from './relation.dmn';
+
+
+describe('RelationEditor', function() {
+
+  beforeEach(bootstrapModeler(relationXML));
+
+  function getRelation(viewer) {
+    return viewer.getRootElement().get('decisionLogic');
+  }
+
+
+  describe('#getCellText', function() {
+
+    it('should retrieve cell text', inject(function(viewer, relation) {
+
+      // given
+      const row = relation.getRows(getRelation(viewer))[1];
+
+      // when
+      const text = relation.getCellText(row, 1);
+
+      // then
+      expect(text).to.eql('"Poland"');
+    }));
+
+  });
+
+
+  describe('#addColumn', function() {
+
+    it('should add column with cells', inject(function(viewer, relation) {
+
+      // given
+      const expression = getRelation(viewer);
+
+      // when
+      const column = relation.addColumn(expression, 1);
+
+      // then
+      expect(relation.getColumns(expression)[1]).to.equal(column);
+
+      relation.getRows(expression).forEach(row => {
+        expect(row.get('elements')).to.have.lengthOf(3);
+        expect(relation.getCellText(row, 1)).to.eql('');
+      });
+    }));
+
+
+    it('should undo', inject(function(viewer, relation, commandStack) {
+
+      // given
+      const expression = getRelation(viewer);
+
+      relation.addColumn(expression, 1);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(relation.getColumns(expression)).to.have.lengthOf(2);
+      expect(relation.getCellText(relation.getRows(expression)[0], 1))
+        .to.eql('"Germany"');
+    }));
+
+  });
+
+
+  describe('#removeColumn', function() {
+
+    it('should remove column with cells', inject(function(viewer, relation) {
+
+      // given
+      const expression = getRelation(viewer);
+      const column = relation.getColumns(expression)[0];
+
+      // when
+      relation.removeColumn(expression, column);
+
+      // then
+      expect(relation.getColumns(expression)).to.have.lengthOf(1);
+      expect(relation.getCellText(relation.getRows(expression)[0], 0))
+        .to.eql('"Germany"');
+    }));
+
+
+    it('should undo', inject(function(viewer, relation, commandStack) {
+
+      // given
+      const expression = getRelation(viewer);
+      const column = relation.getColumns(expression)[0];
+
+      relation.removeColumn(expression, column);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(relation.getColumns(expression)[0]).to.equal(column);
+      expect(relation.getCellText(relation.getRows(expression)[0], 0))
+        .to.eql('"DE"');
+    }));
+
+  });
+
+
+  describe('#updateColumn', function() {
+
+    it('should update column', inject(function(viewer, relation) {
+
+      // given
+      const column = relation.getColumns(getRelation(viewer))[0];
+
+      // when
+      relation.updateColumn(column, { name: 'isoCode', typeRef: 'number' });
+
+      // then
+      expect(column).to.have.property('name', 'isoCode');
+      expect(column).to.have.property('typeRef', 'number');
+    }));
+
+  });
+
+
+  describe('#addRow', function() {
+
+    it('should add row with cells', inject(function(viewer, relation) {
+
+      // given
+      const expression = getRelation(viewer);
+
+      // when
+      const row = relation.addRow(expression);
+
+      // then
+      expect(relation.getRows(expression)[2]).to.equal(row);
+      expect(row.get('elements')).to.have.lengthOf(2);
+    }));
+
+
+    it('should undo', inject(function(viewer, relation, commandStack) {
+
+      // given
+      const expression = getRelation(viewer);
+
+      relation.addRow(expression, 0);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(relation.getRows(expression)).to.have.lengthOf(2);
+    }));
+
+  });
+
+
+  describe('#removeRow', function() {
+
+    it('should remove row', inject(function(viewer, relation, commandStack) {
+
+      // given
+      const expression = getRelation(viewer);
+      const row = relation.getRows(expression)[0];
+
+      // when
+      relation.removeRow(expression, row);
+
+      // then
+      expect(relation.getRows(expression)).not.to.include(row);
+
+      // and when
+      commandStack.undo();
+
+      // then
+      expect(relation.getRows(expression)[0]).to.equal(row);
+    }));
+
+  });
+
+
+  describe('#editCell', function() {
+
+    it('should edit cell', inject(function(viewer, relation, commandStack) {
+
+      // given
+      const row = relation.getRows(getRelation(viewer))[0];
+
+      // when
+      relation.editCell(row, 0, '"AT"');
+
+      // then
+      expect(relation.getCellText(row, 0)).to.eql('"AT"');
+
+      // and when
+      commandStack.undo();
+
+      // then
+      expect(relation.getCellText(row, 0)).to.eql('"DE"');
+    }));
+
+
+    it('should create missing cell', inject(function(viewer, relation) {
+
+      // given
+      const expression = getRelation(viewer);
+      const row = relation.getRows(expression)[0];
+
+      row.get('elements').splice(1, 1);
+
+      // when
+      relation.editCell(row, 1, '"Deutschland"');
+
+      // then
+      expect(relation.getCellText(row, 1)).to.eql('"Deutschland"');
+      expect(relation.getCell(row, 1).$parent).to.equal(row);
+    }));
+
+  });
+
+
+  describe('rendering', function() {
+
+    it('should render cells', inject(function(viewer) {
+
+      // given
+      const container = viewer._container;
+
+      // then
+      expect(container.querySelectorAll('.relation-column')).to.have.lengthOf(2);
+      expect(container.querySelectorAll('.relation-cell')).to.have.lengthOf(4);
+    }));
+
+
+    it('should render added column', inject(function(viewer, relation) {
+
+      // given
+      const container = viewer._container;
+
+      // when
+      relation.addColumn(getRelation(viewer));
+
+      // then
+      expect(container.querySelectorAll('.relation-column')).to.have.lengthOf(3);
+      expect(container.querySelectorAll('.relation-cell')).to.have.lengthOf(6);
+    }));
+
+  });
+
+});
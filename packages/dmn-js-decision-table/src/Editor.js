@@ -3,11 +3,15 @@ import Viewer from './Viewer';
 
 import addRuleModule from './features/add-rule';
 import annotationsEditorModule from './features/annotations/editor';
+import bulkEditModule from './features/bulk-edit';
 import contextMenuModule from 'table-js/lib/features/context-menu';
 import copyCutPasteModule from './features/copy-cut-paste';
 import copyCutPasteKeybindingsModule from './features/copy-cut-paste/key-bindings';
 import createInputsModule from './features/create-inputs';
 import dataTypesModule from 'dmn-js-shared/lib/features/data-types';
+import importedVariablesModule from
+  'dmn-js-shared/lib/features/imported-variables';
+import decisionTableAnalysisModule from './features/decision-table-analysis';
 import decisionTableContextMenu from './features/context-menu';
 import decisionTableEditorActionsModule from './features/editor-actions';
 import decisionTableHeadEditorModule from './features/decision-table-head/editor';
@@ -15,6 +19,7 @@ import dragAndDropModule from './features/drag-and-drop';
 import descriptionModule from './features/description';
 import expressionLanguageModule from './features/expression-language';
 import expressionLanguagesModule from 'dmn-js-shared/lib/features/expression-languages';
+import findReplaceModule from './features/find-replace';
 import tablePropertiesEditorModule from './features/decision-table-properties/editor';
 import editorActionsModule from 'table-js/lib/features/editor-actions';
 import hitPolicyEditorModule from './features/hit-policy/editor';
@@ -23,6 +28,7 @@ import keyboardModule from './features/keyboard';
 import modelingModule from './features/modeling';
 import decisionRulesEditorModule from './features/decision-rules/editor';
 import selectionModule from 'table-js/lib/features/selection';
+import ruleSortingModule from './features/rule-sorting';
 import simpleModeModule from './features/simple-mode';
 import simpleBooleanEditModule from './features/simple-boolean-edit';
 import simpleDateEditModule from './features/simple-date-edit';
@@ -31,6 +37,10 @@ import simpleDurationEditModule from './features/simple-duration-edit';
 import simpleNumberEditModule from './features/simple-number-edit';
 import simpleStringEditModule from './features/simple-string-edit';
 import simpleTimeEditModule from './features/simple-time-edit';
+import simplifyTableModule from './features/simplify-table';
+import testModeModule from './features/test-mode';
+import spreadsheetModule from './features/spreadsheet';
+import lintingModule from './features/linting';
 import cellSelectionModule from './features/cell-selection';
 import columnResizeModule from './features/column-resize';
 
@@ -48,12 +58,14 @@ export default class Editor extends Viewer {
     return [
       addRuleModule,
       annotationsEditorModule,
+      bulkEditModule,
       cellSelectionModule,
       contextMenuModule,
       copyCutPasteModule,
       copyCutPasteKeybindingsModule,
       createInputsModule,
       dataTypesModule,
+      decisionTableAnalysisModule,
       decisionTableContextMenu,
       decisionTableEditorActionsModule,
       decisionTableHeadEditorModule,
@@ -62,13 +74,16 @@ export default class Editor extends Viewer {
       descriptionModule,
       expressionLanguageModule,
       expressionLanguagesModule,
+      findReplaceModule,
       keyboardModule,
+      lintingModule,
       tablePropertiesEditorModule,
       editorActionsModule,
       hitPolicyEditorModule,
       interactionEventsModule,
       modelingModule,
       decisionRulesEditorModule,
+      ruleSortingModule,
       selectionModule,
       simpleModeModule,
       simpleBooleanEditModule,
@@ -78,7 +93,11 @@ export default class Editor extends Viewer {
       simpleNumberEditModule,
       simpleStringEditModule,
       simpleTimeEditModule,
-      DmnVariableResolverModule
+      simplifyTableModule,
+      spreadsheetModule,
+      testModeModule,
+      DmnVariableResolverModule,
+      importedVariablesModule
     ];
   }
 
@@ -9,6 +9,11 @@ import {
   remove as domRemove
 } from 'min-dom';
 
+import {
+  saveHTML,
+  saveSVG
+} from 'dmn-js-shared/lib/util/ExportUtil';
+
 import TranslateModule from 'diagram-js/lib/i18n/translate';
 
 import annotationsModule from './features/annotations';
@@ -18,6 +23,7 @@ import decisionTablePropertiesModule from './features/decision-table-properties'
 import decisionRuleIndicesModule from './features/decision-rule-indices';
 import decisionRulesModule from './features/decision-rules';
 import hitPolicyModule from './features/hit-policy';
+import ruleFilterModule from './features/rule-filter';
 import viewDrdModule from './features/view-drd';
 import PoweredByModule from './features/powered-by';
 
@@ -29,6 +35,14 @@ import PoweredByModule from './features/powered-by';
  * @typedef {import('dmn-js-shared/lib/base/View).OpenError} OpenError
  */
 
+/**
+ * @typedef {import('dmn-js-shared/lib/util/ExportUtil').SaveSVGResult} SaveSVGResult
+ */
+
+/**
+ * @typedef {import('dmn-js-shared/lib/util/ExportUtil').SaveHTMLResult} SaveHTMLResult
+ */
+
 
 export default class Viewer extends Table {
 
@@ -165,6 +179,26 @@ export default class Viewer extends Table {
     return this.get('eventBus').fire(type, event);
   }
 
+  /**
+   * Export the currently displayed decision table as an SVG image.
+   *
+   * The viewer must be attached to the document.
+   *
+   * @return {Promise<SaveSVGResult>}
+   */
+  saveSVG() {
+    return saveSVG(this._container);
+  }
+
+  /**
+   * Export the currently displayed decision table as HTML markup.
+   *
+   * @return {Promise<SaveHTMLResult>}
+   */
+  saveHTML() {
+    return saveHTML(this._container);
+  }
+
   /**
    * Attach viewer to given parent node.
    *
@@ -224,6 +258,7 @@ export default class Viewer extends Table {
       decisionRuleIndicesModule,
       decisionRulesModule,
       hitPolicyModule,
+      ruleFilterModule,
       viewDrdModule
     ];
   }
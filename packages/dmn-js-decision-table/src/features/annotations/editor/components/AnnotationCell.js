@@ -4,6 +4,7 @@ import EditableComponent from 'dmn-js-shared/lib/components/EditableComponent';
 
 import {
   Cell,
+  classNames,
   inject
 } from 'table-js/lib/components';
 
@@ -19,6 +20,8 @@ export default class EditableAnnotationCell extends Component {
   componentWillMount() {
     const { row } = this.props;
 
+    this._findReplace = this.injector.get('findReplace', false);
+
     this.changeSupport.onElementsChanged(row.id, this.onElementsChanged);
   }
 
@@ -49,10 +52,12 @@ export default class EditableAnnotationCell extends Component {
       id
     } = row.businessObject;
 
+    const markers = this._findReplace ? this._findReplace.getMarkers(id) : [];
+
     return (
 
       <Cell
-        className="annotation"
+        className={ classNames('annotation', ...markers) }
         onChange={ this.setAnnotationValue }
         coords={ `${rowIndex}:annotation` }
         value={ description }
@@ -73,6 +78,7 @@ export default class EditableAnnotationCell extends Component {
 
 EditableAnnotationCell.$inject = [
   'changeSupport',
+  'injector',
   'modeling',
   'translate'
 ];
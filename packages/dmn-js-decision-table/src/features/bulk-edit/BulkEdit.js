@@ -0,0 +1,235 @@
+import { isOutput } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import EditCellsHandler from './cmd/EditCellsHandler';
+import RemoveColsHandler from './cmd/RemoveColsHandler';
+import RemoveRowsHandler from './cmd/RemoveRowsHandler';
+
+const ENTRIES = [
+  {
+    action: 'clearCells',
+    className: 'context-menu-entry-clear-cells',
+    label: 'Clear cells'
+  },
+  {
+    action: 'fillDown',
+    className: 'context-menu-entry-fill-down',
+    label: 'Fill down'
+  },
+  {
+    action: 'removeSelectedRules',
+    className: 'context-menu-entry-remove-selected-rules',
+    label: 'Remove selected rules'
+  },
+  {
+    action: 'removeSelectedColumns',
+    className: 'context-menu-entry-remove-selected-columns',
+    label: 'Remove selected columns'
+  }
+];
+
+
+/**
+ * Bulk operations on the cells selected via {@link CellSelection}.
+ *
+ * Each operation is executed as a single command and may thus be
+ * undone at once.
+ *
+ * @param {CellSelection} cellSelection
+ * @param {CommandStack} commandStack
+ * @param {Components} components
+ * @param {ContextMenu} contextMenu
+ * @param {EditorActions} editorActions
+ * @param {ElementRegistry} elementRegistry
+ * @param {Sheet} sheet
+ * @param {Function} translate
+ */
+export default class BulkEdit {
+
+  constructor(
+      cellSelection, commandStack, components, contextMenu,
+      editorActions, elementRegistry, sheet, translate) {
+
+    this._cellSelection = cellSelection;
+    this._commandStack = commandStack;
+    this._elementRegistry = elementRegistry;
+    this._sheet = sheet;
+
+    commandStack.registerHandler('cells.edit', EditCellsHandler);
+    commandStack.registerHandler('rows.remove', RemoveRowsHandler);
+    commandStack.registerHandler('cols.remove', RemoveColsHandler);
+
+    editorActions.register({
+      clearCells: () => this.clear(),
+      fillDown: () => this.fillDown(),
+      removeSelectedRules: () => this.removeRules(),
+      removeSelectedColumns: () => this.removeCols()
+    });
+
+    ENTRIES.forEach(({ action, className, label }) => {
+      components.onGetComponent('context-menu-cell-additional', (context = {}) => {
+        if (context.contextMenuType !== 'context-menu') {
+          return;
+        }
+
+        if (!cellSelection.isRangeSelected(context.id)) {
+          return;
+        }
+
+        const onClick = () => {
+          contextMenu.close();
+
+          editorActions.trigger(action);
+        };
+
+        return (
+          <div
+            className={ `context-menu-group-entry ${ className }` }
+            onClick={ onClick }
+            tabIndex="-1"
+            role="menuitem">
+            { translate(label) }
+          </div>
+        );
+      });
+    });
+  }
+
+  /**
+   * Get the selected rule cells.
+   *
+   * @return {Array<Cell>}
+   */
+  getSelectedCells() {
+    return this._cellSelection.getSelectedCells().map(id => {
+      return this._elementRegistry.get(id);
+    });
+  }
+
+  /**
+   * Clear the selected cells.
+   *
+   * @return {boolean} whether cells were selected
+   */
+  clear() {
+    return this.fill('');
+  }
+
+  /**
+   * Set the text of all selected cells.
+   *
+   * @param {string} text
+   *
+   * @return {boolean} whether cells were selected
+   */
+  fill(text) {
+    return this._editCells(this.getSelectedCells().map(cell => ({ cell, text })));
+  }
+
+  /**
+   * Copy the text of the topmost selected cell of each column
+   * into the selected cells below.
+   *
+   * @return {boolean} whether cells were filled
+   */
+  fillDown() {
+    const { rows } = this._sheet.getRoot();
+
+    const cells = this.getSelectedCells().sort((a, b) => {
+      return rows.indexOf(a.row) - rows.indexOf(b.row);
+    });
+
+    const texts = new Map();
+
+    const changes = cells.reduce((changes, cell) => {
+      if (!texts.has(cell.col)) {
+        texts.set(cell.col, cell.businessObject.text || '');
+
+        return changes;
+      }
+
+      return [ ...changes, { cell, text: texts.get(cell.col) } ];
+    }, []);
+
+    return this._editCells(changes);
+  }
+
+  /**
+   * Remove the rules of the selected cells.
+   *
+   * @return {boolean} whether rules were removed
+   */
+  removeRules() {
+    const { rows } = this._sheet.getRoot();
+
+    const cells = this.getSelectedCells();
+
+    const selectedRows = rows.filter(row => cells.some(cell => cell.row === row));
+
+    if (!selectedRows.length) {
+      return false;
+    }
+
+    this._cellSelection.clearRange();
+
+    this._commandStack.execute('rows.remove', {
+      rows: selectedRows
+    });
+
+    return true;
+  }
+
+  /**
+   * Remove the inputs and outputs of the selected cells,
+   * keeping at least one output.
+   *
+   * @return {boolean} whether columns were removed
+   */
+  removeCols() {
+    const { cols } = this._sheet.getRoot();
+
+    const cells = this.getSelectedCells();
+
+    let selectedCols = cols.filter(col => cells.some(cell => cell.col === col));
+
+    const outputs = cols.filter(col => isOutput(col));
+
+    if (outputs.every(output => selectedCols.includes(output))) {
+      selectedCols = selectedCols.filter(col => col !== outputs[ 0 ]);
+    }
+
+    if (!selectedCols.length) {
+      return false;
+    }
+
+    this._cellSelection.clearRange();
+
+    this._commandStack.execute('cols.remove', {
+      cols: selectedCols
+    });
+
+    return true;
+  }
+
+  _editCells(changes) {
+    if (!changes.length) {
+      return false;
+    }
+
+    this._commandStack.execute('cells.edit', {
+      changes
+    });
+
+    return true;
+  }
+}
+
+BulkEdit.$inject = [
+  'cellSelection',
+  'commandStack',
+  'components',
+  'contextMenu',
+  'editorActions',
+  'elementRegistry',
+  'sheet',
+  'translate'
+];
@@ -0,0 +1,87 @@
+import { findSelectableAncestor } from '../cell-selection/CellSelectionUtil';
+
+import { isCmd } from '../keyboard/KeyboardUtil';
+
+
+/**
+ * Keybindings for bulk operations on a range of selected cells.
+ *
+ *  - DELETE / BACKSPACE: clear cells
+ *  - CTRL/CMD + D: fill down
+ *
+ * @param {Injector} injector
+ * @param {EventBus} eventBus
+ * @param {CellSelection} cellSelection
+ * @param {EditorActions} editorActions
+ */
+export default class BulkEditKeyBindings {
+
+  constructor(injector, eventBus, cellSelection, editorActions) {
+    this._cellSelection = cellSelection;
+    this._editorActions = editorActions;
+    this._keyboard = injector.get('keyboard', false);
+
+    if (!this._keyboard) {
+      return;
+    }
+
+    eventBus.on('keyboard.init', this._registerBindings);
+  }
+
+  _registerBindings = () => {
+
+    // clear cells
+    // DELETE | BACKSPACE
+    const clear = (key, modifiers) => {
+
+      if ((key === 46 || key === 8) && !isCmd(modifiers)) {
+        if (!this._isRangeSelected(modifiers)) {
+          return;
+        }
+
+        this._editorActions.trigger('clearCells');
+
+        return true;
+      }
+    };
+
+    // fill down
+    // CTRL/CMD + D
+    const fillDown = (key, modifiers) => {
+
+      if (isCmd(modifiers) && key === 68) {
+        if (!this._isRangeSelected(modifiers)) {
+          return;
+        }
+
+        this._editorActions.trigger('fillDown');
+
+        return true;
+      }
+    };
+
+    [ clear, fillDown ].forEach(listener => {
+      this._keyboard.addListener(listener);
+    });
+  };
+
+  /**
+   * Return true if a range is selected and the key event
+   * originates from a cell rather than, e.g., a menu.
+   *
+   * @param {KeyboardEvent} event
+   *
+   * @return {boolean}
+   */
+  _isRangeSelected(event) {
+    return !!findSelectableAncestor(event.target) &&
+      this._cellSelection.hasRangeSelection();
+  }
+}
+
+BulkEditKeyBindings.$inject = [
+  'injector',
+  'eventBus',
+  'cellSelection',
+  'editorActions'
+];
@@ -0,0 +1,81 @@
+import { has } from 'min-dash';
+
+import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
+
+import { isInput } from 'dmn-js-shared/lib/util/ModelUtil';
+
+
+/**
+ * Applies values set via the simple mode editors to all selected cells
+ * of the same kind and type as part of the same command.
+ *
+ * @param {EventBus} eventBus
+ * @param {BulkEdit} bulkEdit
+ * @param {CellSelection} cellSelection
+ * @param {Modeling} modeling
+ */
+export default class SimpleModeBulkEditBehavior extends CommandInterceptor {
+
+  constructor(eventBus, bulkEdit, cellSelection, modeling) {
+    super(eventBus);
+
+    let editedCell = null;
+
+    eventBus.on('contextMenu.open', ({ context }) => {
+      editedCell = context && context.contextMenuType === 'simple-mode-edit' ?
+        context.element :
+        null;
+    });
+
+    eventBus.on('contextMenu.close', () => {
+      editedCell = null;
+    });
+
+    this.postExecute('element.updateProperties', ({ context }) => {
+      const {
+        element,
+        properties
+      } = context;
+
+      if (!editedCell || editedCell.businessObject !== element) {
+        return;
+      }
+
+      if (!has(properties, 'text') || !cellSelection.isRangeSelected(editedCell.id)) {
+        return;
+      }
+
+      bulkEdit.getSelectedCells().forEach(cell => {
+        if (cell === editedCell || !isSameType(cell, editedCell)) {
+          return;
+        }
+
+        if ((cell.businessObject.text || '') !== properties.text) {
+          modeling.editCell(cell.businessObject, properties.text);
+        }
+      });
+    });
+  }
+}
+
+SimpleModeBulkEditBehavior.$inject = [
+  'eventBus',
+  'bulkEdit',
+  'cellSelection',
+  'modeling'
+];
+
+
+// helpers //////////
+
+function isSameType(a, b) {
+  return isInput(a.col) === isInput(b.col) && getTypeRef(a) === getTypeRef(b);
+}
+
+function getTypeRef(cell) {
+  const businessObject = cell.col.businessObject;
+
+  return isInput(cell.col) ?
+    businessObject.inputExpression && businessObject.inputExpression.typeRef :
+    businessObject.typeRef;
+}
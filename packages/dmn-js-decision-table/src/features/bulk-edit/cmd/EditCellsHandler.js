@@ -0,0 +1,29 @@
+/**
+ * A handler that changes the texts of multiple cells at once.
+ */
+export default class EditCellsHandler {
+
+  constructor(modeling) {
+    this._modeling = modeling;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    const { changes } = context;
+
+    changes.forEach(({ cell, text }) => {
+      if ((cell.businessObject.text || '') !== text) {
+        this._modeling.editCell(cell.businessObject, text);
+      }
+    });
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+EditCellsHandler.$inject = [ 'modeling' ];
@@ -0,0 +1,23 @@
+/**
+ * A handler that removes multiple cols at once.
+ */
+export default class RemoveColsHandler {
+
+  constructor(modeling) {
+    this._modeling = modeling;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    context.cols.forEach(col => this._modeling.removeCol(col));
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+RemoveColsHandler.$inject = [ 'modeling' ];
@@ -0,0 +1,23 @@
+/**
+ * A handler that removes multiple rows at once.
+ */
+export default class RemoveRowsHandler {
+
+  constructor(modeling) {
+    this._modeling = modeling;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    context.rows.forEach(row => this._modeling.removeRow(row));
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+RemoveRowsHandler.$inject = [ 'modeling' ];
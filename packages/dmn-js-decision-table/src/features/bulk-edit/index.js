@@ -0,0 +1,26 @@
+import CellSelectionModule from '../cell-selection';
+import ContextMenuModule from 'table-js/lib/features/context-menu';
+import EditorActionsModule from 'table-js/lib/features/editor-actions';
+import ModelingModule from '../modeling';
+
+import BulkEdit from './BulkEdit';
+import BulkEditKeyBindings from './BulkEditKeyBindings';
+import SimpleModeBulkEditBehavior from './SimpleModeBulkEditBehavior';
+
+
+export default {
+  __depends__: [
+    CellSelectionModule,
+    ContextMenuModule,
+    EditorActionsModule,
+    ModelingModule
+  ],
+  __init__: [
+    'bulkEdit',
+    'bulkEditKeyBindings',
+    'simpleModeBulkEditBehavior'
+  ],
+  bulkEdit: [ 'type', BulkEdit ],
+  bulkEditKeyBindings: [ 'type', BulkEditKeyBindings ],
+  simpleModeBulkEditBehavior: [ 'type', SimpleModeBulkEditBehavior ]
+};
@@ -8,6 +8,13 @@ import {
   isUnselectableNode
 } from './CellSelectionUtil';
 
+import { getNextCoords } from 'dmn-js-shared/lib/util/CellSelectionUtil';
+
+import {
+  isCmd,
+  isShift
+} from '../keyboard/KeyboardUtil';
+
 const LOW_PRIORITY = 500;
 
 const VALID_DIRECTIONS = {
@@ -24,15 +31,19 @@ const VALID_DIRECTIONS = {
  *
  * Works together with the {@link SelectionAware} trait.
  *
+ * Besides the selected cell, a range of rule cells may be selected via
+ * SHIFT + click, SHIFT + arrow keys and CTRL/CMD + click (disjoint cells).
+ *
  * @param {RenderConfig} config
  * @param {EventBus} eventBus
  * @param {Sheet} sheet
  * @param {Selection} selection
  * @param {ElementRegistry} elementRegistry
+ * @param {ChangeSupport} changeSupport
  */
 export default function CellSelection(
     config, eventBus, sheet,
-    selection, elementRegistry) {
+    selection, elementRegistry, changeSupport) {
 
   const {
     container
@@ -40,6 +51,12 @@ export default function CellSelection(
 
   let lastSelection = null;
 
+  // IDs of the cells selected as a range, including the selected cell
+  let range = [];
+
+  let rangeAnchor = null,
+      rangeEnd = null;
+
   function emit(elementId, newSelection) {
 
     eventBus.fire('selection.' + elementId + '.changed', newSelection);
@@ -51,6 +68,76 @@ export default function CellSelection(
 
   }
 
+  /**
+   * Return the rule cell with the given ID, if any.
+   *
+   * @param {string} elementId
+   *
+   * @return {Cell|null}
+   */
+  function getRuleCell(elementId) {
+    const element = elementId && elementRegistry.get(elementId);
+
+    if (!element || !element.row || !element.col) {
+      return null;
+    }
+
+    const root = sheet.getRoot();
+
+    if (root.rows.indexOf(element.row) === -1 || root.cols.indexOf(element.col) === -1) {
+      return null;
+    }
+
+    return element;
+  }
+
+  function canSelectRange(elementId) {
+    return !!elementId &&
+      elementId !== lastSelection &&
+      !!getRuleCell(lastSelection) &&
+      !!getRuleCell(elementId);
+  }
+
+  function getRange() {
+    return range.filter(id => getRuleCell(id));
+  }
+
+  function isRangeSelected(elementId) {
+    return range.length > 1 && range.indexOf(elementId) !== -1;
+  }
+
+  function setRange(newRange) {
+    const oldRange = range;
+
+    range = newRange;
+
+    const changed = [ ...oldRange, ...newRange ].filter((id, index, ids) => {
+      return ids.indexOf(id) === index &&
+        (oldRange.length > 1 && oldRange.indexOf(id) !== -1) !== isRangeSelected(id);
+    });
+
+    changeSupport.elementsChanged(changed.map(id => ({ id })));
+
+    eventBus.fire('cellSelection.rangeChanged', {
+      range: getRange()
+    });
+  }
+
+  function clearRange() {
+    rangeAnchor = rangeEnd = null;
+
+    if (range.length) {
+      setRange([]);
+    }
+  }
+
+  function selectBlock(anchor, end) {
+    rangeAnchor = anchor.id;
+    rangeEnd = end.id;
+
+    setRange(getBlock(sheet.getRoot(), anchor, end));
+  }
+
   function click(event) {
 
     const target = event.target;
@@ -63,11 +150,62 @@ export default function CellSelection(
 
     const elementId = selectableNode && getElementId(selectableNode);
 
+    const originalEvent = event.event;
+
+    if (originalEvent && canSelectRange(elementId)) {
+
+      if (isShift(originalEvent)) {
+        return selectBlock(
+          getRuleCell(rangeAnchor) || getRuleCell(lastSelection),
+          getRuleCell(elementId)
+        );
+      }
+
+      if (isCmd(originalEvent)) {
+        return toggle(elementId);
+      }
+    }
+
+    clearRange();
+
     const focussed = !event.defaultPrevented;
 
     realSelect(elementId, focussed);
   }
 
+  function mousedown(event) {
+    const {
+      event: originalEvent,
+      id
+    } = event;
+
+    if (!originalEvent) {
+      return;
+    }
+
+    // keep focus on the selected cell while selecting a range
+    // or opening the context menu on it
+    if (
+      ((isShift(originalEvent) || isCmd(originalEvent)) && canSelectRange(id)) ||
+      (originalEvent.button === 2 && isRangeSelected(id))
+    ) {
+      event.preventDefault();
+    }
+  }
+
+  function toggle(elementId) {
+    const selected = range.length ? range : [ lastSelection ];
+
+    rangeAnchor = lastSelection;
+    rangeEnd = elementId;
+
+    if (selected.indexOf(elementId) === -1) {
+      setRange([ ...selected, elementId ]);
+    } else {
+      setRange(selected.filter(id => id !== elementId));
+    }
+  }
+
   function focus(event) {
     const elementId = getElementId(event.target);
 
@@ -89,6 +227,8 @@ export default function CellSelection(
   function realSelect(elementId, focussed = true) {
 
     if (lastSelection !== elementId) {
+      clearRange();
+
       emit(lastSelection, {
         selected: false,
         focussed: false
@@ -112,6 +252,7 @@ export default function CellSelection(
   }
 
   eventBus.on('cell.click', LOW_PRIORITY, click);
+  eventBus.on('cell.mousedown', LOW_PRIORITY, mousedown);
   eventBus.on('cell.focusin', LOW_PRIORITY, focus);
   eventBus.on('cell.focusout', LOW_PRIORITY, unfocus);
 
@@ -170,6 +311,16 @@ export default function CellSelection(
     return lastSelection;
   };
 
+  /**
+   * Select the element with the given ID.
+   *
+   * @param {string} elementId
+   * @param {boolean} [focussed=true] - whether to focus the element, too
+   */
+  this.select = function(elementId, focussed = true) {
+    realSelect(elementId, focussed);
+  };
+
   /**
    * Select next cell in given direction.
    *
@@ -218,6 +369,134 @@ export default function CellSelection(
     return true;
   };
 
+  /**
+   * Return true if the given cell may be added to a range
+   * starting at the selected cell.
+   *
+   * @param {string} elementId
+   *
+   * @return {boolean}
+   */
+  this.canSelectRange = canSelectRange;
+
+  /**
+   * Return true if more than one cell is selected.
+   *
+   * @return {boolean}
+   */
+  this.hasRangeSelection = function() {
+    return getRange().length > 1;
+  };
+
+  /**
+   * Return true if the given cell is part of a selected range.
+   *
+   * @param {string} elementId
+   *
+   * @return {boolean}
+   */
+  this.isRangeSelected = isRangeSelected;
+
+  /**
+   * Get the IDs of the selected rule cells, i.e. the cells of
+   * the selected range or the selected cell.
+   *
+   * @return {Array<string>}
+   */
+  this.getSelectedCells = function() {
+    return range.length ? getRange() : [ lastSelection ].filter(id => getRuleCell(id));
+  };
+
+  /**
+   * Select the block of rule cells spanned by two cells.
+   *
+   * @param {string} anchorId - cell to select
+   * @param {string} endId - opposite corner of the block
+   *
+   * @return {boolean}
+   */
+  this.selectRange = function(anchorId, endId) {
+    const anchor = getRuleCell(anchorId),
+          end = getRuleCell(endId);
+
+    if (!anchor || !end) {
+      return false;
+    }
+
+    if (lastSelection !== anchorId) {
+      realSelect(anchorId);
+    }
+
+    selectBlock(anchor, end);
+
+    return true;
+  };
+
+  /**
+   * Add a rule cell to or remove it from the selected range.
+   *
+   * @param {string} elementId
+   *
+   * @return {boolean}
+   */
+  this.toggleCell = function(elementId) {
+    if (!canSelectRange(elementId)) {
+      return false;
+    }
+
+    toggle(elementId);
+
+    return true;
+  };
+
+  /**
+   * Extend the selected range by one cell in given direction.
+   *
+   * Returns true on success; false on fail (i.e. if no rule
+   * cell in direction could be found).
+   *
+   * @param {string} direction
+   *
+   * @return {boolean}
+   */
+  this.extendSelection = function(direction) {
+
+    if (!(direction in VALID_DIRECTIONS)) {
+      throw new Error('direction must be any of { above, below, left, right }');
+    }
+
+    const anchor = getRuleCell(rangeAnchor) || getRuleCell(lastSelection);
+
+    if (!anchor) {
+      return false;
+    }
+
+    const end = getRuleCell(rangeEnd) || anchor;
+
+    const root = sheet.getRoot();
+
+    const nextCoords = getNextCoords({
+      row: root.rows.indexOf(end.row),
+      col: root.cols.indexOf(end.col)
+    }, direction);
+
+    const nextRow = root.rows[ nextCoords.row ],
+          next = nextRow && nextRow.cells[ nextCoords.col ];
+
+    if (!next) {
+      return false;
+    }
+
+    selectBlock(anchor, next);
+
+    return true;
+  };
+
+  /**
+   * Reduce the selection to the selected cell.
+   */
+  this.clearRange = clearRange;
+
 
   eventBus.on('contextMenu.close', function() {
 
@@ -234,51 +513,45 @@ CellSelection.$inject = [
   'eventBus',
   'sheet',
   'selection',
-  'elementRegistry'
+  'elementRegistry',
+  'changeSupport'
 ];
 
 
 
 // helpers ////////////////
 
-function getNextCoords(coords, direction) {
-
-  const {
-    row,
-    col
-  } = coords;
+/**
+ * Return the IDs of the cells within the block spanned by two cells.
+ *
+ * @param {Root} root
+ * @param {Cell} from
+ * @param {Cell} to
+ *
+ * @return {Array<string>}
+ */
+function getBlock(root, from, to) {
+  const [ fromRow, toRow ] = getSpan(root.rows, from.row, to.row),
+        [ fromCol, toCol ] = getSpan(root.cols, from.col, to.col);
 
-  if (direction === 'above' || direction === 'below') {
+  const ids = [ from.id ];
 
-    const rowIndex = parseInt(row, 10);
+  for (let row = fromRow; row <= toRow; row++) {
+    for (let col = fromCol; col <= toCol; col++) {
+      const { id } = root.rows[ row ].cells[ col ];
 
-    if (isNaN(rowIndex)) {
-      return coords;
+      if (id !== from.id) {
+        ids.push(id);
+      }
     }
-
-    const nextRowIndex = direction === 'above' ? rowIndex - 1 : rowIndex + 1;
-
-    return {
-      col,
-      row: nextRowIndex
-    };
   }
 
-  if (direction === 'left' || direction === 'right') {
-
-    const colIndex = parseInt(col, 10);
-
-    if (isNaN(colIndex)) {
-      return coords;
-    }
+  return ids;
+}
 
-    const nextColIndex = direction === 'left' ? colIndex - 1 : colIndex + 1;
+function getSpan(elements, a, b) {
+  const indexA = elements.indexOf(a),
+        indexB = elements.indexOf(b);
 
-    return {
-      row,
-      col: nextColIndex
-    };
-  }
-
-  throw new Error('invalid direction <' + direction + '>');
-}
\ No newline at end of file
+  return [ Math.min(indexA, indexB), Math.max(indexA, indexB) ];
+}
@@ -1,6 +1,5 @@
 import {
   closest,
-  matches,
   query
 } from 'min-dom';
 
@@ -10,7 +9,14 @@ import {
   getRange
 } from 'selection-ranges';
 
-export const SELECTABLE_SELECTOR = '[contenteditable]';
+import { getFocusableNode } from 'dmn-js-shared/lib/util/CellSelectionUtil';
+
+export {
+  SELECTABLE_SELECTOR,
+  getElementCoords,
+  getFocusableNode,
+  getNodeByCoords
+} from 'dmn-js-shared/lib/util/CellSelectionUtil';
 
 export const ELEMENT_SELECTOR = '[data-element-id]';
 
@@ -19,27 +25,6 @@ export function getElementId(node) {
   return node.getAttribute('data-element-id');
 }
 
-export function getElementCoords(node) {
-  const coordsAttr = node.getAttribute('data-coords');
-
-  if (!coordsAttr) {
-    return null;
-  }
-
-  const [ row, col ] = coordsAttr.split(':');
-
-  return {
-    row,
-    col
-  };
-}
-
-export function getNodeByCoords(elementCoords, container) {
-  const coordsAttr = `${elementCoords.row}:${elementCoords.col}`;
-
-  return query(`[data-coords="${ cssEscape(coordsAttr) }"]`, container);
-}
-
 export function getNodeById(elementId, container) {
   return query(`[data-element-id="${ cssEscape(elementId) }"]`, container);
 }
@@ -59,24 +44,6 @@ export function findSelectableAncestor(node) {
   return closest(node, ELEMENT_SELECTOR, true);
 }
 
-/**
- * Return focusable node in selectable el.
- *
- * @param  {Element} el
- *
- * @return {Element}
- */
-export function getFocusableNode(el) {
-
-  const selector = SELECTABLE_SELECTOR;
-
-  return (
-    matches(el, selector)
-      ? el
-      : query(selector, el)
-  );
-}
-
 /**
  * Ensure element or element childNode has the proper focus.
  *
@@ -2,6 +2,7 @@ import { isArray } from 'min-dash';
 
 import CutHandler from './cmd/CutHandler';
 import PasteHandler from './cmd/PasteHandler';
+import PasteCellsHandler from './cmd/PasteCellsHandler';
 
 import { createDescriptor } from './DescriptorUtil';
 
@@ -21,6 +22,7 @@ export default class CutPaste {
 
     commandStack.registerHandler('cut', CutHandler);
     commandStack.registerHandler('paste', PasteHandler);
+    commandStack.registerHandler('cells.paste', PasteCellsHandler);
   }
 
   /**
@@ -119,6 +121,26 @@ export default class CutPaste {
     return true;
   }
 
+  /**
+   * Paste a block of texts, e.g. copied from a spreadsheet application,
+   * into the cells starting at the given cell. Rules are added as needed.
+   *
+   * @param {Cell} cell - Top left cell to paste into.
+   * @param {Array<Array<string>>} rows - Texts to paste.
+   *
+   * @return {Array<Cell>} cells pasted into
+   */
+  pasteCells(cell, rows) {
+    const context = {
+      cell,
+      rows
+    };
+
+    this._commandStack.execute('cells.paste', context);
+
+    return context.cells;
+  }
+
   /**
    * Paste elements at.
    */
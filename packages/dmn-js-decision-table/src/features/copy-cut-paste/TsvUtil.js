@@ -0,0 +1,111 @@
+/**
+ * Serialize rows of cells to tab-separated values, as exchanged with
+ * spreadsheet applications via the system clipboard.
+ *
+ * Cells containing quotes, tabs or line breaks are quoted.
+ *
+ * @param {Array<Array<string>>} rows
+ *
+ * @return {string}
+ */
+export function serializeTSV(rows) {
+  return rows.map(row => {
+    return row.map(cell => {
+      return needsQuotes(cell) ? `"${ cell.replace(/"/g, '""') }"` : cell;
+    }).join('\t');
+  }).join('\n');
+}
+
+/**
+ * Parse tab-separated values as put onto the system clipboard by
+ * spreadsheet applications.
+ *
+ * A cell is unquoted only if it is a well formed quoted value that
+ * requires quoting; other cells are kept as they are. This preserves
+ * FEEL strings such as `"A"` copied from applications that do not
+ * quote them.
+ *
+ * @param {string} text
+ *
+ * @return {Array<Array<string>>}
+ */
+export function parseTSV(text) {
+  text = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+
+  const rows = [];
+
+  let row = [],
+      index = 0;
+
+  rows.push(row);
+
+  while (index <= text.length) {
+    const quoted = text[ index ] === '"' && matchQuoted(text, index);
+
+    let end;
+
+    if (quoted) {
+      row.push(quoted.value);
+
+      end = quoted.end;
+    } else {
+      end = index;
+
+      while (end < text.length && text[ end ] !== '\t' && text[ end ] !== '\n') {
+        end++;
+      }
+
+      row.push(text.slice(index, end));
+    }
+
+    if (text[ end ] === '\n') {
+      row = [];
+      rows.push(row);
+    }
+
+    index = end + 1;
+  }
+
+  return rows;
+}
+
+
+// helpers //////////
+
+function needsQuotes(text) {
+  return /["\t\n]/.test(text);
+}
+
+function matchQuoted(text, start) {
+  let value = '',
+      index = start + 1;
+
+  while (index < text.length) {
+    const char = text[ index ];
+
+    if (char !== '"') {
+      value += char;
+      index++;
+
+      continue;
+    }
+
+    // escaped quote
+    if (text[ index + 1 ] === '"') {
+      value += '"';
+      index += 2;
+
+      continue;
+    }
+
+    const next = text[ index + 1 ];
+
+    if (next === undefined || next === '\t' || next === '\n') {
+      return needsQuotes(value) ? { value, end: index + 1 } : null;
+    }
+
+    return null;
+  }
+
+  return null;
+}
@@ -0,0 +1,83 @@
+/**
+ * A handler that pastes a block of texts into the cells starting at
+ * a given cell, adding rules if the block exceeds the existing rules.
+ *
+ * Texts right of the last output are pasted as annotations;
+ * texts beyond that are dropped.
+ */
+export default class PasteCellsHandler {
+
+  constructor(modeling, sheet) {
+    this._modeling = modeling;
+    this._sheet = sheet;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    const {
+      cell,
+      rows
+    } = context;
+
+    const modeling = this._modeling;
+
+    const root = this._sheet.getRoot();
+
+    const rowIndex = root.rows.indexOf(cell.row),
+          colIndex = root.cols.indexOf(cell.col);
+
+    if (rowIndex === -1 || colIndex === -1) {
+      return;
+    }
+
+    const missingRows = rowIndex + rows.length - root.rows.length;
+
+    for (let i = 0; i < missingRows; i++) {
+      modeling.addRow({ type: 'dmn:DecisionRule' });
+    }
+
+    const cells = [];
+
+    rows.forEach((texts, index) => {
+      const row = root.rows[ rowIndex + index ];
+
+      texts.forEach((text, offset) => {
+        const targetIndex = colIndex + offset;
+
+        if (targetIndex === root.cols.length) {
+          if ((row.businessObject.description || '') !== text) {
+            modeling.editAnnotation(row.businessObject, text);
+          }
+
+          return;
+        }
+
+        const targetCell = row.cells[ targetIndex ];
+
+        if (!targetCell) {
+          return;
+        }
+
+        if ((targetCell.businessObject.text || '') !== text) {
+          modeling.editCell(targetCell.businessObject, text);
+        }
+
+        cells.push(targetCell);
+      });
+    });
+
+    context.cells = cells;
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+PasteCellsHandler.$inject = [
+  'modeling',
+  'sheet'
+];
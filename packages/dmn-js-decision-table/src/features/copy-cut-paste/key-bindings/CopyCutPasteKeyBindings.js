@@ -6,6 +6,8 @@ import {
   event as domEvent
 } from 'min-dom';
 
+import { Row } from 'table-js/lib/model';
+
 import {
   getFocusableNode,
   getNodeById
@@ -16,9 +18,24 @@ import {
   isShift
 } from '../../keyboard/KeyboardUtil';
 
+import {
+  parseTSV,
+  serializeTSV
+} from '../TsvUtil';
+
 
 /**
  * Keybindings for Copy + Paste
+ *
+ * Copied rows and columns are put onto the system clipboard as
+ * tab-separated values, too. Tab-separated values pasted from the
+ * system clipboard, e.g. copied from a spreadsheet application,
+ * are pasted into the cells starting at the selected cell.
+ *
+ * Rows and columns copied internally are forgotten once the window
+ * loses focus, as the user may copy something else to the system
+ * clipboard in the meantime. This lets a subsequent paste use the
+ * system clipboard rather than the stale internal one.
  */
 export default class CopyPasteKeyBindings {
 
@@ -43,11 +60,15 @@ export default class CopyPasteKeyBindings {
     eventBus.on('keyboard.bind', () => {
       domEvent.bind(document, 'copy', this._clearClipboard, true);
       domEvent.bind(document, 'cut', this._clearClipboard, true);
+      domEvent.bind(document, 'paste', this._pasteText, true);
+      domEvent.bind(window, 'blur', this._clearClipboard);
     });
 
     eventBus.on('keyboard.unbind', () => {
       domEvent.unbind(document, 'copy', this._clearClipboard, true);
       domEvent.unbind(document, 'cut', this._clearClipboard, true);
+      domEvent.unbind(document, 'paste', this._pasteText, true);
+      domEvent.unbind(window, 'blur', this._clearClipboard);
     });
   }
 
@@ -55,6 +76,64 @@ export default class CopyPasteKeyBindings {
     this._clipboard.clear();
   };
 
+  /**
+   * Paste tab-separated values from the system clipboard into
+   * the cells starting at the selected cell.
+   *
+   * @param {ClipboardEvent} event
+   */
+  _pasteText = (event) => {
+    const cell = this._getSelectedCell();
+
+    if (!cell) {
+      return;
+    }
+
+    const text = event.clipboardData && event.clipboardData.getData('text/plain');
+
+    if (!text) {
+      return;
+    }
+
+    const rows = parseTSV(text);
+
+    // let the cell editor handle single values
+    if (rows.length === 1 && rows[ 0 ].length === 1) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    this._editorActions.trigger('pasteCells', {
+      element: cell,
+      rows
+    });
+  };
+
+  /**
+   * Put the texts of a row or column onto the system clipboard
+   * as tab-separated values.
+   *
+   * @param {Row|Col} element
+   */
+  _writeText(element) {
+    const clipboard = navigator.clipboard;
+
+    if (!clipboard || !clipboard.writeText) {
+      return;
+    }
+
+    const rows = element instanceof Row ?
+      [ [ ...element.cells.map(getText), element.businessObject.description || '' ] ] :
+      element.cells.map(cell => [ getText(cell) ]);
+
+    clipboard.writeText(serializeTSV(rows)).catch(() => {
+
+      // system clipboard may not be accessible
+    });
+  }
+
   /**
    * Return the selected cell within the decision table.
    *
@@ -116,15 +195,13 @@ export default class CopyPasteKeyBindings {
           return;
         }
 
-        if (isShift(modifiers)) {
-          this._editorActions.trigger('copy', {
-            element: cell.col
-          });
-        } else {
-          this._editorActions.trigger('copy', {
-            element: cell.row
-          });
-        }
+        const element = isShift(modifiers) ? cell.col : cell.row;
+
+        this._editorActions.trigger('copy', {
+          element
+        });
+
+        this._writeText(element);
 
         return true;
       }
@@ -142,15 +219,13 @@ export default class CopyPasteKeyBindings {
           return;
         }
 
-        if (isShift(modifiers)) {
-          this._editorActions.trigger('cut', {
-            element: cell.col
-          });
-        } else {
-          this._editorActions.trigger('cut', {
-            element: cell.row
-          });
-        }
+        const element = isShift(modifiers) ? cell.col : cell.row;
+
+        this._writeText(element);
+
+        this._editorActions.trigger('cut', {
+          element
+        });
 
         return true;
       }
@@ -210,4 +285,11 @@ CopyPasteKeyBindings.$inject = [
   'elementRegistry',
   'editorActions',
   'renderer'
-];
\ No newline at end of file
+];
+
+
+// helpers //////////
+
+function getText(cell) {
+  return cell.businessObject.text || '';
+}
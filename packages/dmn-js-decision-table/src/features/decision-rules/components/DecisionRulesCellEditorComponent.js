@@ -7,7 +7,10 @@ import { is } from 'dmn-js-shared/lib/util/ModelUtil';
 import ContentEditable from 'dmn-js-shared/lib/components/ContentEditable';
 import LiteralExpression from 'dmn-js-shared/lib/components/LiteralExpression';
 
-import { Cell } from 'table-js/lib/components';
+import {
+  Cell,
+  classNames
+} from 'table-js/lib/components';
 
 
 export default class DecisionRulesCellEditorComponent extends Component {
@@ -31,6 +34,10 @@ export default class DecisionRulesCellEditorComponent extends Component {
     const changeSupport = this._changeSupport = this.context.changeSupport;
 
     this._modeling = injector.get('modeling');
+    this._decisionTableAnalysis = injector.get('decisionTableAnalysis', false);
+    this._decisionTableLinting = injector.get('decisionTableLinting', false);
+    this._cellSelection = injector.get('cellSelection', false);
+    this._findReplace = injector.get('findReplace', false);
 
     changeSupport.onElementsChanged(cell.id, this.onElementsChanged);
   }
@@ -59,9 +66,24 @@ export default class DecisionRulesCellEditorComponent extends Component {
     const isUnaryTest = is(cell, 'dmn:UnaryTests');
     const businessObject = cell.businessObject;
 
+    const markers = [
+      ...(this._decisionTableAnalysis ?
+        this._decisionTableAnalysis.getMarkers(cell.id) :
+        []),
+      ...(this._decisionTableLinting ?
+        this._decisionTableLinting.getMarkers(cell.id) :
+        []),
+      ...(this._cellSelection && this._cellSelection.isRangeSelected(cell.id) ?
+        [ 'range-selected' ] :
+        []),
+      ...(this._findReplace ?
+        this._findReplace.getMarkers(cell.id) :
+        [])
+    ];
+
     return (
       <Cell
-        className={ isUnaryTest ? 'input-cell' : 'output-cell' }
+        className={ classNames(isUnaryTest ? 'input-cell' : 'output-cell', ...markers) }
         elementId={ cell.id }
         coords={ `${rowIndex}:${colIndex}` }
         data-row-id={ row.id }
@@ -1,6 +1,7 @@
 import { Component } from 'inferno';
 
 import {
+  classNames,
   mixin
 } from 'table-js/lib/components';
 
@@ -15,8 +16,27 @@ export default class DecisionRulesRowComponent extends Component {
     super(props, context);
 
     mixin(this, ComponentWithSlots);
+
+    this._testMode = context.injector.get('testMode', false);
+    this._ruleFilter = context.injector.get('ruleFilter', false);
   }
 
+  componentWillMount() {
+    const { changeSupport } = this.context;
+
+    changeSupport.onElementsChanged(this.props.row.id, this.onElementsChanged);
+  }
+
+  componentWillUnmount() {
+    const { changeSupport } = this.context;
+
+    changeSupport.offElementsChanged(this.props.row.id, this.onElementsChanged);
+  }
+
+  onElementsChanged = () => {
+    this.forceUpdate();
+  };
+
   render() {
 
     const {
@@ -29,8 +49,14 @@ export default class DecisionRulesRowComponent extends Component {
       cells
     } = row;
 
+    const isMatched = this._testMode && this._testMode.isMatched(row.id),
+          isFiltered = this._ruleFilter && this._ruleFilter.isHidden(row.id);
+
     return (
-      <tr>
+      <tr className={ classNames({
+        'test-match': isMatched,
+        'rule-filtered': isFiltered
+      }) }>
         {
           this.slotFills({
             type: 'cell',
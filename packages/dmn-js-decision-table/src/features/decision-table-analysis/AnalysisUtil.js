@@ -0,0 +1,448 @@
+import {
+  DATE_TYPES,
+  NUMBER_TYPES,
+  containsInterval,
+  createInterval,
+  intersectIntervals,
+  isEmptyInterval,
+  parseInputEntry
+} from 'dmn-js-shared/lib/util/UnaryTestsUtil';
+
+export const ANALYZED_HIT_POLICIES = [ 'UNIQUE', 'ANY' ];
+
+const MAX_GAPS = 100;
+
+const OTHER = {};
+
+
+/**
+ * Analyze the rules of a decision table with a `UNIQUE` or `ANY` hit policy
+ * for overlapping rules and input combinations not covered by any rule.
+ *
+ * Input entries are supported if simple mode can edit them, cf.
+ * {@link parseInputEntry}. Rules with other input entries are not checked for
+ * overlaps and assumed to match any input when looking for gaps.
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return { {
+ *   overlaps: Array<{ rules: Array<ModdleElement> }>,
+ *   gaps: Array<{ inputEntries: Array<string> }>,
+ *   unsupported: Array<ModdleElement>
+ * } | null } results or `null` if the hit policy is not subject to analysis
+ */
+export function analyzeDecisionTable(decisionTable) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+
+  if (!ANALYZED_HIT_POLICIES.includes(hitPolicy)) {
+    return null;
+  }
+
+  const columns = decisionTable.get('input').map(createColumn);
+
+  const unsupported = [];
+
+  const rules = decisionTable.get('rule').map(rule => {
+    const entries = rule.get('inputEntry').map((inputEntry, index) => {
+      const entry = columns[ index ] && columns[ index ].parse(inputEntry.text);
+
+      if (!entry) {
+        unsupported.push(inputEntry);
+      }
+
+      return entry;
+    });
+
+    return {
+      rule,
+      entries,
+      supported: entries.every(entry => entry)
+    };
+  });
+
+  return {
+    overlaps: findOverlaps(columns, rules, hitPolicy),
+    gaps: findGaps(columns, rules),
+    unsupported
+  };
+}
+
+
+// overlaps //////////
+
+function findOverlaps(columns, rules, hitPolicy) {
+  const overlaps = [];
+
+  rules.forEach((a, index) => {
+    rules.slice(index + 1).forEach(b => {
+      if (!a.supported || !b.supported) {
+        return;
+      }
+
+      // rules with identical outputs may overlap for hit policy ANY
+      if (hitPolicy === 'ANY' && hasSameOutput(a.rule, b.rule)) {
+        return;
+      }
+
+      const overlapping = columns.every((column, columnIndex) => {
+        return column.intersects(a.entries[ columnIndex ], b.entries[ columnIndex ]);
+      });
+
+      if (overlapping) {
+        overlaps.push({ rules: [ a.rule, b.rule ] });
+      }
+    });
+  });
+
+  return overlaps;
+}
+
+function hasSameOutput(a, b) {
+  const outputEntries = b.get('outputEntry');
+
+  return a.get('outputEntry').every((outputEntry, index) => {
+    return normalizeText(outputEntry.text) ===
+      normalizeText(outputEntries[ index ] && outputEntries[ index ].text);
+  });
+}
+
+
+// gaps //////////
+
+function findGaps(columns, rules) {
+  const gaps = [];
+
+  if (!columns.length) {
+    return gaps;
+  }
+
+  const entries = rules.map(({ entries }) => {
+    return entries.map((entry, index) => entry || columns[ index ].any);
+  });
+
+  collectGaps(columns, entries, 0, [], gaps);
+
+  return gaps;
+}
+
+function collectGaps(columns, entries, index, path, gaps) {
+  if (gaps.length >= MAX_GAPS) {
+    return;
+  }
+
+  if (!entries.length) {
+    const rest = columns.slice(index).map(() => '-');
+
+    gaps.push({ inputEntries: path.concat(rest) });
+
+    return;
+  }
+
+  if (index === columns.length) {
+    return;
+  }
+
+  const column = columns[ index ];
+
+  const groups = column.partition(entries.map(entry => entry[ index ]));
+
+  groups.forEach(({ text, covering }) => {
+    collectGaps(
+      columns,
+      covering.map(coveringIndex => entries[ coveringIndex ]),
+      index + 1,
+      path.concat(text),
+      gaps
+    );
+  });
+}
+
+/**
+ * Group consecutive segments covered by the same entries.
+ *
+ * @param {Array<Object>} segments
+ * @param {Function} isCovered
+ * @param {Array<Object>} entries
+ *
+ * @return {Array<{ segments: Array<Object>, covering: Array<number> }>}
+ */
+function groupSegments(segments, isCovered, entries) {
+  const groups = [];
+
+  segments.forEach(segment => {
+    const covering = [];
+
+    entries.forEach((entry, index) => {
+      if (isCovered(entry, segment)) {
+        covering.push(index);
+      }
+    });
+
+    const key = covering.join(',');
+
+    const last = groups[ groups.length - 1 ];
+
+    if (last && last.key === key) {
+      last.segments.push(segment);
+    } else {
+      groups.push({ key, segments: [ segment ], covering });
+    }
+  });
+
+  return groups;
+}
+
+
+// columns //////////
+
+function createColumn(input) {
+  const inputExpression = input.inputExpression || {},
+        typeRef = inputExpression.typeRef;
+
+  if (NUMBER_TYPES.includes(typeRef)) {
+    return new IntervalColumn(typeRef, String);
+  }
+
+  if (DATE_TYPES.includes(typeRef)) {
+    return new IntervalColumn(typeRef, value => formatDate(value, typeRef));
+  }
+
+  if (typeRef === 'boolean') {
+    return new ValueColumn(typeRef, [ 'true', 'false' ]);
+  }
+
+  if (typeRef === 'string') {
+    return new ValueColumn(typeRef, getAllowedValues(input));
+  }
+
+  return new UnsupportedColumn(typeRef);
+}
+
+/**
+ * A column with a totally ordered domain, i.e. numbers and dates.
+ * Entries are represented as intervals.
+ */
+class IntervalColumn {
+
+  constructor(typeRef, formatValue) {
+    this._typeRef = typeRef;
+    this._formatValue = formatValue;
+
+    this.any = createInterval(-Infinity, Infinity, false, false);
+  }
+
+  parse(text) {
+    return parseInputEntry(text, this._typeRef);
+  }
+
+  intersects(a, b) {
+    return !isEmptyInterval(intersectIntervals(a, b));
+  }
+
+  partition(entries) {
+    const points = [];
+
+    entries.forEach(({ start, end }) => {
+      [ start, end ].forEach(point => {
+        if (isFinite(point) && !points.includes(point)) {
+          points.push(point);
+        }
+      });
+    });
+
+    points.sort((a, b) => a - b);
+
+    const segments = [];
+
+    [ -Infinity, ...points ].forEach((point, index, all) => {
+      const next = index + 1 < all.length ? all[ index + 1 ] : Infinity;
+
+      if (index) {
+        segments.push(createInterval(point, point, true, true));
+      }
+
+      segments.push(createInterval(point, next, false, false));
+    });
+
+    return groupSegments(segments, containsInterval, entries).map(group => {
+      const first = group.segments[ 0 ],
+            last = group.segments[ group.segments.length - 1 ];
+
+      return {
+        covering: group.covering,
+        text: this._format(
+          createInterval(first.start, last.end, first.startIncluded, last.endIncluded)
+        )
+      };
+    });
+  }
+
+  _format({ start, end, startIncluded, endIncluded }) {
+    const format = this._formatValue;
+
+    if (start === -Infinity && end === Infinity) {
+      return '-';
+    }
+
+    if (start === end) {
+      return format(start);
+    }
+
+    if (start === -Infinity) {
+      return (endIncluded ? '<= ' : '< ') + format(end);
+    }
+
+    if (end === Infinity) {
+      return (startIncluded ? '>= ' : '> ') + format(start);
+    }
+
+    return (startIncluded ? '[' : ']') +
+      format(start) + '..' + format(end) +
+      (endIncluded ? ']' : '[');
+  }
+}
+
+/**
+ * A column with a discrete domain, i.e. strings and booleans.
+ * Entries are represented as (negated) sets of values.
+ */
+class ValueColumn {
+
+  /**
+   * @param {string} typeRef
+   * @param {Array<string>} [domain] - all possible values, if known
+   */
+  constructor(typeRef, domain) {
+    this._typeRef = typeRef;
+    this._domain = domain && domain.length ? domain : null;
+
+    this.any = { values: [], negated: true };
+  }
+
+  parse(text) {
+    const entry = parseInputEntry(text, this._typeRef);
+
+    return entry && this._normalize(entry);
+  }
+
+  intersects(a, b) {
+    if (a.negated && b.negated) {
+      return true;
+    }
+
+    if (a.negated) {
+      return b.values.some(value => !a.values.includes(value));
+    }
+
+    if (b.negated) {
+      return a.values.some(value => !b.values.includes(value));
+    }
+
+    return a.values.some(value => b.values.includes(value));
+  }
+
+  partition(entries) {
+    let values = this._domain;
+
+    if (!values) {
+      values = [];
+
+      entries.forEach(entry => entry.values.forEach(value => {
+        if (!values.includes(value)) {
+          values.push(value);
+        }
+      }));
+    }
+
+    const segments = this._domain ? values : [ ...values, OTHER ];
+
+    return groupSegments(segments, containsValue, entries).map(group => {
+      const groupValues = group.segments;
+
+      return {
+        covering: group.covering,
+        text: groupValues.includes(OTHER) ?
+          formatValues(values.filter(value => !groupValues.includes(value)), true) :
+          formatValues(groupValues, false)
+      };
+    });
+  }
+
+  _normalize(entry) {
+    const domain = this._domain;
+
+    if (!domain || !entry.negated) {
+      return entry;
+    }
+
+    return {
+      values: domain.filter(value => !entry.values.includes(value)),
+      negated: false
+    };
+  }
+}
+
+/**
+ * A column of an unsupported type; only `-` may be analyzed.
+ */
+class UnsupportedColumn {
+
+  constructor(typeRef) {
+    this._typeRef = typeRef;
+
+    this.any = true;
+  }
+
+  parse(text) {
+    return parseInputEntry(text, this._typeRef);
+  }
+
+  intersects() {
+    return true;
+  }
+
+  partition(entries) {
+    return [ { covering: entries.map((_, index) => index), text: '-' } ];
+  }
+}
+
+
+// values //////////
+
+function getAllowedValues(input) {
+  const inputValues = input.inputValues,
+        entry = inputValues && parseInputEntry(inputValues.text, 'string');
+
+  return entry && !entry.negated ? entry.values : null;
+}
+
+function containsValue(entry, value) {
+  if (value === OTHER) {
+    return entry.negated;
+  }
+
+  return entry.values.includes(value) !== entry.negated;
+}
+
+function formatValues(values, negated) {
+  if (negated) {
+    return values.length ? `not(${ values.join(', ') })` : '-';
+  }
+
+  return values.join(', ');
+}
+
+function formatDate(timestamp, typeRef) {
+  const date = new Date(timestamp).toISOString();
+
+  return typeRef === 'date' ?
+    `date("${ date.slice(0, 10) }")` :
+    `date and time("${ date.replace('.000Z', 'Z') }")`;
+}
+
+
+// helpers //////////
+
+function normalizeText(text) {
+  return (text || '').trim();
+}
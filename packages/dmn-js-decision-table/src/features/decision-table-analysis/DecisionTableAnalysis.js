@@ -0,0 +1,164 @@
+import { forEach } from 'min-dash';
+
+import AnalysisPanelComponent from './components/AnalysisPanelComponent';
+import RuleIndexAnalysisComponent from './components/RuleIndexAnalysisComponent';
+
+import { analyzeDecisionTable } from './AnalysisUtil';
+
+const LOW_PRIORITY = 500;
+
+export const OVERLAP_MARKER = 'analysis-overlap';
+
+
+/**
+ * Analyzes decision tables with a `UNIQUE` or `ANY` hit policy for
+ * overlapping rules and gaps, i.e. input combinations not covered by
+ * any rule. Results are recomputed whenever the table changes.
+ *
+ * Cells of overlapping rules are highlighted via the `analysis-overlap`
+ * marker; a panel below the table lists all findings.
+ *
+ * @param {EventBus} eventBus
+ * @param {Sheet} sheet
+ * @param {ChangeSupport} changeSupport
+ * @param {Components} components
+ */
+export default class DecisionTableAnalysis {
+
+  constructor(eventBus, sheet, changeSupport, components) {
+    this._eventBus = eventBus;
+    this._sheet = sheet;
+    this._changeSupport = changeSupport;
+
+    this._results = null;
+    this._markers = {};
+
+    eventBus.on('elements.changed', LOW_PRIORITY, () => this.update());
+
+    eventBus.on('diagram.clear', () => {
+      this._results = null;
+      this._markers = {};
+    });
+
+    components.onGetComponent('table.after', () => AnalysisPanelComponent);
+
+    components.onGetComponent('cell-inner', ({ cellType }) => {
+      if (cellType === 'rule-index') {
+        return RuleIndexAnalysisComponent;
+      }
+    });
+  }
+
+  /**
+   * Get the results of the latest analysis.
+   *
+   * @return {Object|null} results or `null` if the table is not analyzed
+   */
+  getResults() {
+    return this._results;
+  }
+
+  /**
+   * Get the markers of a rule or cell.
+   *
+   * @param {string} elementId
+   *
+   * @return {Array<string>}
+   */
+  getMarkers(elementId) {
+    return this._markers[ elementId ] || [];
+  }
+
+  /**
+   * Get the rules overlapping with the given rule.
+   *
+   * @param {string} ruleId
+   *
+   * @return {Array<ModdleElement>}
+   */
+  getOverlappingRules(ruleId) {
+    const results = this._results;
+
+    if (!results) {
+      return [];
+    }
+
+    return results.overlaps.reduce((rules, { rules: [ a, b ] }) => {
+      if (a.id === ruleId) {
+        rules.push(b);
+      } else if (b.id === ruleId) {
+        rules.push(a);
+      }
+
+      return rules;
+    }, []);
+  }
+
+  /**
+   * Analyze the decision table and update markers.
+   */
+  update() {
+    const root = this._sheet.getRoot();
+
+    if (!root) {
+      return;
+    }
+
+    const results = this._results = analyzeDecisionTable(root.businessObject);
+
+    const markers = {};
+
+    if (results) {
+      results.overlaps.forEach(({ rules }) => {
+        rules.forEach(rule => {
+          addMarker(markers, rule.id, OVERLAP_MARKER);
+
+          rule.get('inputEntry').forEach(inputEntry => {
+            addMarker(markers, inputEntry.id, OVERLAP_MARKER);
+          });
+        });
+      });
+    }
+
+    const changed = getChangedIds(this._markers, markers);
+
+    this._markers = markers;
+
+    this._changeSupport.elementsChanged(changed.map(id => ({ id })));
+
+    this._eventBus.fire('decisionTableAnalysis.changed', { results });
+  }
+}
+
+DecisionTableAnalysis.$inject = [
+  'eventBus',
+  'sheet',
+  'changeSupport',
+  'components'
+];
+
+
+// helpers //////////
+
+function addMarker(markers, id, marker) {
+  const elementMarkers = markers[ id ] = markers[ id ] || [];
+
+  if (!elementMarkers.includes(marker)) {
+    elementMarkers.push(marker);
+  }
+}
+
+function getChangedIds(oldMarkers, newMarkers) {
+  const changed = [];
+
+  forEach({ ...oldMarkers, ...newMarkers }, (_, id) => {
+    const oldValue = (oldMarkers[ id ] || []).join(' '),
+          newValue = (newMarkers[ id ] || []).join(' ');
+
+    if (oldValue !== newValue) {
+      changed.push(id);
+    }
+  });
+
+  return changed;
+}
@@ -0,0 +1,143 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+/**
+ * Lists overlapping rules and gaps found by the decision table analysis.
+ */
+export default class AnalysisPanelComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  componentWillMount() {
+    this.eventBus.on('decisionTableAnalysis.changed', this.onAnalysisChanged);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('decisionTableAnalysis.changed', this.onAnalysisChanged);
+  }
+
+  onAnalysisChanged = () => {
+    this.forceUpdate();
+  };
+
+  selectRule(rule) {
+    const cells = rule.get('inputEntry').concat(rule.get('outputEntry'));
+
+    if (cells.length) {
+      this.selection.select(cells[ 0 ].id);
+    }
+  }
+
+  render() {
+    const results = this.decisionTableAnalysis.getResults();
+
+    if (!results) {
+      return null;
+    }
+
+    const { overlaps, gaps, unsupported } = results;
+
+    const { businessObject } = this.sheet.getRoot();
+
+    const rules = businessObject.get('rule'),
+          inputs = businessObject.get('input');
+
+    const translate = this.translate;
+
+    const isValid = !overlaps.length && !gaps.length;
+
+    return (
+      <div className="decision-table-analysis">
+        <div className="decision-table-analysis-title">
+          { translate('Analysis') }
+        </div>
+        {
+          isValid && (
+            <div className="decision-table-analysis-valid">
+              { translate('No overlapping rules or gaps found.') }
+            </div>
+          )
+        }
+        {
+          overlaps.length > 0 && (
+            <ul className="decision-table-analysis-overlaps">
+              {
+                overlaps.map(({ rules: [ a, b ] }) => (
+                  <li className="decision-table-analysis-overlap">
+                    <button
+                      type="button"
+                      onClick={ () => this.selectRule(a) }>
+                      {
+                        translate('Rules {first} and {second} overlap', {
+                          first: rules.indexOf(a) + 1,
+                          second: rules.indexOf(b) + 1
+                        })
+                      }
+                    </button>
+                  </li>
+                ))
+              }
+            </ul>
+          )
+        }
+        {
+          gaps.length > 0 && (
+            <ul className="decision-table-analysis-gaps">
+              {
+                gaps.map(({ inputEntries }) => (
+                  <li className="decision-table-analysis-gap">
+                    { translate('No rule matches') }
+                    {
+                      inputEntries.map((inputEntry, index) => (
+                        <span className="decision-table-analysis-gap-entry">
+                          <span className="decision-table-analysis-gap-input">
+                            { getInputLabel(inputs[ index ]) }
+                          </span>
+                          <code>{ inputEntry }</code>
+                        </span>
+                      ))
+                    }
+                  </li>
+                ))
+              }
+            </ul>
+          )
+        }
+        {
+          unsupported.length > 0 && (
+            <div className="decision-table-analysis-unsupported">
+              {
+                translate('{count} input entries could not be analyzed', {
+                  count: unsupported.length
+                })
+              }
+            </div>
+          )
+        }
+      </div>
+    );
+  }
+}
+
+AnalysisPanelComponent.$inject = [
+  'decisionTableAnalysis',
+  'eventBus',
+  'selection',
+  'sheet',
+  'translate'
+];
+
+
+// helpers //////////
+
+function getInputLabel(input) {
+  const inputExpression = input.inputExpression;
+
+  return input.label || inputExpression && inputExpression.text || input.id;
+}
@@ -0,0 +1,55 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+/**
+ * Marks a rule overlapping with other rules in the rule index cell.
+ */
+export default class RuleIndexAnalysisComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  componentWillMount() {
+    this.changeSupport.onElementsChanged(this.props.row.id, this.onElementsChanged);
+  }
+
+  componentWillUnmount() {
+    this.changeSupport.offElementsChanged(this.props.row.id, this.onElementsChanged);
+  }
+
+  onElementsChanged = () => {
+    this.forceUpdate();
+  };
+
+  render() {
+    const { row } = this.props;
+
+    const overlappingRules = this.decisionTableAnalysis.getOverlappingRules(row.id);
+
+    if (!overlappingRules.length) {
+      return null;
+    }
+
+    const rules = this.sheet.getRoot().businessObject.get('rule');
+
+    const indices = overlappingRules.map(rule => rules.indexOf(rule) + 1).join(', ');
+
+    return (
+      <span
+        className="analysis-marker dmn-icon-attention"
+        title={ this.translate('Overlaps with rules {indices}', { indices }) } />
+    );
+  }
+}
+
+RuleIndexAnalysisComponent.$inject = [
+  'changeSupport',
+  'decisionTableAnalysis',
+  'sheet',
+  'translate'
+];
@@ -0,0 +1,9 @@
+import SelectionModule from 'table-js/lib/features/selection';
+
+import DecisionTableAnalysis from './DecisionTableAnalysis';
+
+export default {
+  __depends__: [ SelectionModule ],
+  __init__: [ 'decisionTableAnalysis' ],
+  decisionTableAnalysis: [ 'type', DecisionTableAnalysis ]
+};
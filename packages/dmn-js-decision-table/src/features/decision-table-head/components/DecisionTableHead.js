@@ -137,6 +137,8 @@ function DefaultInputHeaderCell(props, context) {
       className={ actualClassName }
       key={ input.id }>
 
+      { renderCellInner(context, { cellType: 'input-cell', col: input, index }) }
+
       <div className="clause">
         { index === 0 ? translate('When') : translate('And') }
       </div>
@@ -193,6 +195,8 @@ function DefaultOutputHeaderCell(props, context) {
   return (
     <th className={ actualClassName } key={ output.id }>
 
+      { renderCellInner(context, { cellType: 'output-cell', col: output, index }) }
+
       <div className="clause">
         { index === 0 ? translate('Then') : translate('And') }
       </div>
@@ -223,3 +227,16 @@ function DefaultOutputHeaderCell(props, context) {
     </th>
   );
 }
+
+
+// helpers ///////////////////////
+
+/**
+ * Render the components contributed to the
+ * `cell-inner` slot of a header cell.
+ */
+function renderCellInner(context, slotContext) {
+  const fills = context.components.getComponents('cell-inner', slotContext);
+
+  return fills.map((Fill, index) => <Fill key={ index } { ...slotContext } />);
+}
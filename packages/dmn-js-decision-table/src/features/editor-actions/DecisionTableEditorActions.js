@@ -2,7 +2,10 @@ import { is } from 'dmn-js-shared/lib/util/ModelUtil';
 
 export default class DecisionTableEditorActions {
 
-  constructor(copyCutPaste, editorActions, modeling, selection, cellSelection, sheet) {
+  constructor(
+      copyCutPaste, editorActions, modeling, selection,
+      cellSelection, sheet, simplifyTable) {
+
     const actions = {
       addRule() {
         return modeling.addRow({ type: 'dmn:DecisionRule' });
@@ -228,6 +231,9 @@ export default class DecisionTableEditorActions {
       selectCellBelow() {
         return cellSelection.selectCell('below');
       },
+      extendCellSelection({ direction }) {
+        return cellSelection.extendSelection(direction);
+      },
       copy({ element }) {
         copyCutPaste.copy(element);
       },
@@ -239,6 +245,15 @@ export default class DecisionTableEditorActions {
       },
       pasteAfter({ element }) {
         return copyCutPaste.pasteAfter(element);
+      },
+      pasteCells({ element, rows }) {
+        return copyCutPaste.pasteCells(element, rows);
+      },
+      simplifyTable() {
+        return simplifyTable.preview();
+      },
+      applySimplifications() {
+        return simplifyTable.apply();
       }
     };
 
@@ -252,5 +267,6 @@ DecisionTableEditorActions.$inject = [
   'modeling',
   'selection',
   'cellSelection',
-  'sheet'
+  'sheet',
+  'simplifyTable'
 ];
\ No newline at end of file
@@ -3,13 +3,15 @@ import CopyCutPaste from '../copy-cut-paste';
 import DecisionTableEditorActions from './DecisionTableEditorActions';
 import EditorActions from 'table-js/lib/features/editor-actions';
 import Selection from 'table-js/lib/features/selection';
+import SimplifyTable from '../simplify-table';
 
 export default {
   __depends__: [
     CellSelection,
     CopyCutPaste,
     EditorActions,
-    Selection
+    Selection,
+    SimplifyTable
   ],
   __init__: [ 'decisionTableEditorActions' ],
   decisionTableEditorActions: [ 'type', DecisionTableEditorActions ]
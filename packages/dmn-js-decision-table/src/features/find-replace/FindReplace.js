@@ -0,0 +1,414 @@
+import FindMatchComponent from './components/FindMatchComponent';
+import FindReplaceComponent from './components/FindReplaceComponent';
+import ReplaceHandler from './cmd/ReplaceHandler';
+
+import {
+  createPattern,
+  getProperties,
+  getSearchables,
+  getText,
+  hasMatch,
+  replaceText
+} from './FindReplaceUtil';
+
+const LOW_PRIORITY = 500;
+
+export const MATCH_MARKER = 'find-match';
+
+export const ACTIVE_MATCH_MARKER = 'find-match-active';
+
+
+/**
+ * Searches the headers, entries and annotations of a decision table
+ * and replaces matches, similar to the search pad of the DRD editor.
+ *
+ * The search bar is opened via the `find` editor action. Matches are
+ * stepped through via {@link CellSelection}, replacing one or all
+ * matches is executed as a single command.
+ *
+ * @param {CellSelection} cellSelection
+ * @param {ChangeSupport} changeSupport
+ * @param {CommandStack} commandStack
+ * @param {Components} components
+ * @param {EditorActions} editorActions
+ * @param {EventBus} eventBus
+ * @param {Sheet} sheet
+ */
+export default class FindReplace {
+
+  constructor(
+      cellSelection, changeSupport, commandStack, components,
+      editorActions, eventBus, sheet) {
+
+    this._cellSelection = cellSelection;
+    this._changeSupport = changeSupport;
+    this._commandStack = commandStack;
+    this._eventBus = eventBus;
+    this._sheet = sheet;
+
+    this._reset();
+
+    commandStack.registerHandler('findReplace.replace', ReplaceHandler);
+
+    editorActions.register({
+      find: () => this.open()
+    });
+
+    components.onGetComponent('table.before', () => FindReplaceComponent);
+
+    components.onGetComponent('cell-inner', ({ cellType }) => {
+      if (cellType === 'input-cell' || cellType === 'output-cell') {
+        return FindMatchComponent;
+      }
+    });
+
+    eventBus.on('elements.changed', LOW_PRIORITY, () => {
+      if (this.isOpen()) {
+        this._search();
+      }
+    });
+
+    eventBus.on('diagram.clear', () => this._reset());
+  }
+
+  /**
+   * Return whether the search bar is open.
+   *
+   * @return {boolean}
+   */
+  isOpen() {
+    return this._open;
+  }
+
+  /**
+   * Open the search bar.
+   */
+  open() {
+    if (!this._sheet.getRoot()) {
+      return;
+    }
+
+    this._open = true;
+
+    this._search();
+
+    this._eventBus.fire('findReplace.open');
+  }
+
+  /**
+   * Close the search bar and remove the highlighting of matches.
+   */
+  close() {
+    if (!this._open) {
+      return;
+    }
+
+    this._open = false;
+
+    this._setMatches([], -1, null);
+
+    this._eventBus.fire('findReplace.close');
+  }
+
+  /**
+   * Search for the given query.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {boolean} [options.caseSensitive=false]
+   * @param {boolean} [options.regex=false] - whether query is a regular expression
+   *
+   * @return {Array<Object>} matches
+   */
+  find(query, options = {}) {
+    this._query = query || '';
+
+    this._options = {
+      caseSensitive: !!options.caseSensitive,
+      regex: !!options.regex
+    };
+
+    this._index = -1;
+
+    if (!this._open) {
+      this._open = true;
+
+      this._eventBus.fire('findReplace.open');
+    }
+
+    this._search();
+
+    if (this._matches.length) {
+      this._activate(0);
+    }
+
+    return this._matches;
+  }
+
+  /**
+   * Select the next match.
+   *
+   * @return {Object|null} match
+   */
+  next() {
+    return this._step(1);
+  }
+
+  /**
+   * Select the previous match.
+   *
+   * @return {Object|null} match
+   */
+  previous() {
+    return this._step(-1);
+  }
+
+  /**
+   * Replace the text of the active match.
+   *
+   * @param {string} replacement
+   *
+   * @return {boolean} whether text was replaced
+   */
+  replace(replacement) {
+    const match = this.getActiveMatch();
+
+    if (!match) {
+      return false;
+    }
+
+    return this._replace([ match ], replacement);
+  }
+
+  /**
+   * Replace the texts of all matches.
+   *
+   * @param {string} replacement
+   *
+   * @return {boolean} whether text was replaced
+   */
+  replaceAll(replacement) {
+    return this._replace(this._matches, replacement);
+  }
+
+  /**
+   * Get the current query and options.
+   *
+   * @return {Object}
+   */
+  getQuery() {
+    return {
+      query: this._query,
+      ...this._options
+    };
+  }
+
+  /**
+   * Get the matches of the current query.
+   *
+   * @return {Array<Object>}
+   */
+  getMatches() {
+    return this._matches;
+  }
+
+  /**
+   * Get the index of the active match or -1.
+   *
+   * @return {number}
+   */
+  getActiveIndex() {
+    return this._index;
+  }
+
+  /**
+   * Get the active match.
+   *
+   * @return {Object|null}
+   */
+  getActiveMatch() {
+    return this._matches[ this._index ] || null;
+  }
+
+  /**
+   * Get the error of the current query, i.e. an invalid regular expression.
+   *
+   * @return {Error|null}
+   */
+  getError() {
+    return this._error;
+  }
+
+  /**
+   * Get the markers of the element with the given ID.
+   *
+   * @param {string} id
+   *
+   * @return {Array<string>}
+   */
+  getMarkers(id) {
+    return this._markers[ id ] || [];
+  }
+
+  _reset() {
+    this._open = false;
+    this._query = '';
+    this._options = { caseSensitive: false, regex: false };
+    this._matches = [];
+    this._index = -1;
+    this._error = null;
+    this._markers = {};
+  }
+
+  _getPattern() {
+    return createPattern(this._query, this._options);
+  }
+
+  /**
+   * Search for the current query, keeping the active match if possible.
+   */
+  _search() {
+    const root = this._sheet.getRoot();
+
+    const activeMatch = this.getActiveMatch();
+
+    let pattern = null,
+        error = null;
+
+    try {
+      pattern = this._getPattern();
+    } catch (e) {
+      error = e;
+    }
+
+    const matches = pattern && root ?
+      getSearchables(root.businessObject).filter(searchable => {
+        return hasMatch(getText(searchable), pattern);
+      }) :
+      [];
+
+    let index = activeMatch ? findIndex(matches, activeMatch) : -1;
+
+    if (activeMatch && index === -1 && matches.length) {
+      index = Math.min(this._index, matches.length - 1);
+    }
+
+    this._setMatches(matches, index, error);
+  }
+
+  _step(direction) {
+    const count = this._matches.length;
+
+    if (!count) {
+      return null;
+    }
+
+    const index = this._index === -1 ?
+      (direction > 0 ? 0 : count - 1) :
+      (this._index + direction + count) % count;
+
+    return this._activate(index);
+  }
+
+  _activate(index) {
+    this._setMatches(this._matches, index, this._error);
+
+    const match = this.getActiveMatch();
+
+    // keep focus in search bar
+    this._cellSelection.select(match.id, false);
+
+    return match;
+  }
+
+  _replace(matches, replacement) {
+    const pattern = this._getPattern();
+
+    if (!pattern) {
+      return false;
+    }
+
+    const changes = matches.reduce((changes, match) => {
+      const text = getText(match),
+            newText = replaceText(text, pattern, replacement || '', this._options);
+
+      if (text === newText) {
+        return changes;
+      }
+
+      return [
+        ...changes,
+        {
+          element: match.element,
+          properties: getProperties(match, newText)
+        }
+      ];
+    }, []);
+
+    if (!changes.length) {
+      return false;
+    }
+
+    this._commandStack.execute('findReplace.replace', {
+      changes
+    });
+
+    return true;
+  }
+
+  _setMatches(matches, index, error) {
+    const oldMarkers = this._markers;
+
+    const markers = {};
+
+    matches.forEach((match, idx) => {
+      const elementMarkers = markers[ match.id ] = markers[ match.id ] || [];
+
+      if (!elementMarkers.includes(MATCH_MARKER)) {
+        elementMarkers.push(MATCH_MARKER);
+      }
+
+      if (idx === index) {
+        elementMarkers.push(ACTIVE_MATCH_MARKER);
+      }
+    });
+
+    this._matches = matches;
+    this._index = index;
+    this._error = error;
+    this._markers = markers;
+
+    const changedIds = Object.keys({ ...oldMarkers, ...markers }).filter(id => {
+      return String(oldMarkers[ id ]) !== String(markers[ id ]);
+    });
+
+    if (changedIds.length) {
+      this._changeSupport.elementsChanged(changedIds.map(id => ({ id })));
+    }
+
+    this._eventBus.fire('findReplace.changed', {
+      matches,
+      index,
+      error
+    });
+  }
+}
+
+FindReplace.$inject = [
+  'cellSelection',
+  'changeSupport',
+  'commandStack',
+  'components',
+  'editorActions',
+  'eventBus',
+  'sheet'
+];
+
+
+// helpers //////////
+
+function findIndex(matches, match) {
+  return matches.findIndex(({ element, path }) => {
+    return element === match.element && String(path) === String(match.path);
+  });
+}
@@ -0,0 +1,175 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+
+/**
+ * A text of a decision table to search in.
+ *
+ * @typedef {Object} Searchable
+ *
+ * @property {string} id - ID of the element to select, i.e. a cell, rule or column
+ * @property {'input'|'output'|'inputEntry'|'outputEntry'|'annotation'} type
+ * @property {ModdleElement} element - element to update
+ * @property {Array<string>} path - path to the text, relative to the element
+ */
+
+
+/**
+ * Create a pattern matching all occurrences of the given query.
+ *
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {boolean} [options.caseSensitive=false]
+ * @param {boolean} [options.regex=false]
+ *
+ * @return {RegExp|null} pattern or `null` if query is empty
+ *
+ * @throws {SyntaxError} if query is not a valid regular expression
+ */
+export function createPattern(query, options = {}) {
+  if (!query) {
+    return null;
+  }
+
+  const source = options.regex ? query : escapeRegExp(query);
+
+  return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Replace all occurrences of a pattern in a text.
+ *
+ * Replacements may refer to groups via `$1` etc. when searching
+ * for regular expressions only.
+ *
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @param {string} replacement
+ * @param {Object} [options]
+ * @param {boolean} [options.regex=false]
+ *
+ * @return {string}
+ */
+export function replaceText(text, pattern, replacement, options = {}) {
+  pattern.lastIndex = 0;
+
+  return options.regex ?
+    text.replace(pattern, replacement) :
+    text.replace(pattern, () => replacement);
+}
+
+/**
+ * Return true if the text contains a non-empty match of the pattern.
+ *
+ * @param {string} text
+ * @param {RegExp} pattern
+ *
+ * @return {boolean}
+ */
+export function hasMatch(text, pattern) {
+  pattern.lastIndex = 0;
+
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    if (match[ 0 ]) {
+      return true;
+    }
+
+    pattern.lastIndex++;
+  }
+
+  return false;
+}
+
+/**
+ * Get the texts of a decision table in reading order: headers first,
+ * then the entries and annotation of each rule.
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {Array<Searchable>}
+ */
+export function getSearchables(decisionTable) {
+  const searchables = [];
+
+  decisionTable.get('input').forEach(input => {
+    searchables.push({ id: input.id, type: 'input', element: input, path: [ 'label' ] });
+
+    if (input.inputExpression) {
+      searchables.push({
+        id: input.id,
+        type: 'input',
+        element: input,
+        path: [ 'inputExpression', 'text' ]
+      });
+    }
+  });
+
+  decisionTable.get('output').forEach(output => {
+    [ 'label', 'name' ].forEach(property => {
+      searchables.push({
+        id: output.id,
+        type: 'output',
+        element: output,
+        path: [ property ]
+      });
+    });
+  });
+
+  decisionTable.get('rule').forEach(rule => {
+    [
+      ...rule.get('inputEntry'),
+      ...rule.get('outputEntry')
+    ].forEach(entry => {
+      searchables.push({
+        id: entry.id,
+        type: is(entry, 'dmn:UnaryTests') ? 'inputEntry' : 'outputEntry',
+        element: entry,
+        path: [ 'text' ]
+      });
+    });
+
+    searchables.push({
+      id: rule.id,
+      type: 'annotation',
+      element: rule,
+      path: [ 'description' ]
+    });
+  });
+
+  return searchables;
+}
+
+/**
+ * Get the text of a searchable.
+ *
+ * @param {Searchable} searchable
+ *
+ * @return {string}
+ */
+export function getText({ element, path }) {
+  const text = path.reduce((bo, property) => bo && bo.get(property), element);
+
+  return text || '';
+}
+
+/**
+ * Get the properties to update the text of a searchable.
+ *
+ * @param {Searchable} searchable
+ * @param {string} text
+ *
+ * @return {Object}
+ */
+export function getProperties({ path }, text) {
+  return path.reduceRight((properties, property) => ({
+    [ property ]: properties
+  }), text);
+}
+
+
+// helpers //////////
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
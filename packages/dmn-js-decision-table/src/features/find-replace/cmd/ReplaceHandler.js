@@ -0,0 +1,27 @@
+/**
+ * A handler that replaces the texts of multiple elements at once.
+ */
+export default class ReplaceHandler {
+
+  constructor(modeling) {
+    this._modeling = modeling;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    const { changes } = context;
+
+    changes.forEach(({ element, properties }) => {
+      this._modeling.updateProperties(element, properties);
+    });
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+ReplaceHandler.$inject = [ 'modeling' ];
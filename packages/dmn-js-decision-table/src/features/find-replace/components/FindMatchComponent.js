@@ -0,0 +1,43 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+import { ACTIVE_MATCH_MARKER } from '../FindReplace';
+
+
+/**
+ * Marks an input or output header matching the current search.
+ */
+export default class FindMatchComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  render() {
+    const { col } = this.props;
+
+    const markers = col ? this.findReplace.getMarkers(col.id) : [];
+
+    if (!markers.length) {
+      return null;
+    }
+
+    const className = markers.includes(ACTIVE_MATCH_MARKER) ?
+      'find-match-marker active' :
+      'find-match-marker';
+
+    return (
+      <span
+        className={ className }
+        title={ this.translate('Matches search') } />
+    );
+  }
+}
+
+FindMatchComponent.$inject = [
+  'findReplace',
+  'translate'
+];
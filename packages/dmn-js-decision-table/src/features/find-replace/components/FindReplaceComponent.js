@@ -0,0 +1,268 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+/**
+ * Search bar to find and replace text in a decision table.
+ */
+export default class FindReplaceComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+
+    this.state = {
+      replacement: ''
+    };
+  }
+
+  componentWillMount() {
+    this.eventBus.on('findReplace.open', this.onOpen);
+    this.eventBus.on('findReplace.close', this.onChanged);
+    this.eventBus.on('findReplace.changed', this.onChanged);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('findReplace.open', this.onOpen);
+    this.eventBus.off('findReplace.close', this.onChanged);
+    this.eventBus.off('findReplace.changed', this.onChanged);
+  }
+
+  onOpen = () => {
+    this.forceUpdate(() => {
+      if (this.searchNode) {
+        this.searchNode.focus();
+        this.searchNode.select();
+      }
+    });
+  };
+
+  onChanged = () => {
+    this.forceUpdate();
+  };
+
+  find(changes) {
+    const { query, ...options } = {
+      ...this.findReplace.getQuery(),
+      ...changes
+    };
+
+    this.findReplace.find(query, options);
+  }
+
+  onSearchInput = (event) => {
+    this.find({ query: event.target.value });
+  };
+
+  onSearchKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+
+      if (event.shiftKey) {
+        this.findReplace.previous();
+      } else {
+        this.findReplace.next();
+      }
+    }
+
+    this.onKeyDown(event);
+  };
+
+  onReplaceInput = (event) => {
+    this.setState({ replacement: event.target.value });
+  };
+
+  onReplaceKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+
+      this.replace();
+    }
+
+    this.onKeyDown(event);
+  };
+
+  onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+
+      this.findReplace.close();
+    }
+  };
+
+  toggleCaseSensitive = () => {
+    this.find({ caseSensitive: !this.findReplace.getQuery().caseSensitive });
+  };
+
+  toggleRegex = () => {
+    this.find({ regex: !this.findReplace.getQuery().regex });
+  };
+
+  previous = () => {
+    this.findReplace.previous();
+  };
+
+  next = () => {
+    this.findReplace.next();
+  };
+
+  close = () => {
+    this.findReplace.close();
+  };
+
+  replace = () => {
+    this.findReplace.replace(this.state.replacement);
+  };
+
+  replaceAll = () => {
+    this.findReplace.replaceAll(this.state.replacement);
+  };
+
+  renderStatus() {
+    const { findReplace, translate } = this;
+
+    const { query } = findReplace.getQuery();
+
+    if (findReplace.getError()) {
+      return translate('Invalid regular expression');
+    }
+
+    if (!query) {
+      return '';
+    }
+
+    const count = findReplace.getMatches().length;
+
+    if (!count) {
+      return translate('No results');
+    }
+
+    return translate('{index} of {count}', {
+      index: findReplace.getActiveIndex() + 1 || '-',
+      count
+    });
+  }
+
+  render() {
+    const { findReplace, translate } = this;
+
+    if (!findReplace.isOpen()) {
+      return null;
+    }
+
+    const {
+      caseSensitive,
+      query,
+      regex
+    } = findReplace.getQuery();
+
+    const hasMatches = findReplace.getMatches().length > 0;
+
+    return (
+      <div className="find-replace" role="search">
+        <div className="find-replace-row">
+          <input
+            aria-label={ translate('Find') }
+            className="find-replace-search dms-input"
+            placeholder={ translate('Find') }
+            spellCheck="false"
+            type="text"
+            value={ query }
+            onInput={ this.onSearchInput }
+            onKeyDown={ this.onSearchKeyDown }
+            ref={ node => this.searchNode = node } />
+
+          <button
+            type="button"
+            className={ caseSensitive ?
+              'find-replace-case-sensitive active' :
+              'find-replace-case-sensitive' }
+            aria-pressed={ caseSensitive ? 'true' : 'false' }
+            title={ translate('Match case') }
+            onClick={ this.toggleCaseSensitive }>
+            Aa
+          </button>
+
+          <button
+            type="button"
+            className={ regex ? 'find-replace-regex active' : 'find-replace-regex' }
+            aria-pressed={ regex ? 'true' : 'false' }
+            title={ translate('Use regular expression') }
+            onClick={ this.toggleRegex }>
+            .*
+          </button>
+
+          <span
+            className={ findReplace.getError() ?
+              'find-replace-status error' :
+              'find-replace-status' }
+            aria-live="polite">
+            { this.renderStatus() }
+          </span>
+
+          <button
+            type="button"
+            className="find-replace-previous"
+            title={ translate('Previous match') }
+            disabled={ !hasMatches }
+            onClick={ this.previous }>
+            &uarr;
+          </button>
+
+          <button
+            type="button"
+            className="find-replace-next"
+            title={ translate('Next match') }
+            disabled={ !hasMatches }
+            onClick={ this.next }>
+            &darr;
+          </button>
+
+          <button
+            type="button"
+            className="find-replace-close"
+            title={ translate('Close') }
+            onClick={ this.close }>
+            &times;
+          </button>
+        </div>
+
+        <div className="find-replace-row">
+          <input
+            aria-label={ translate('Replace') }
+            className="find-replace-replacement dms-input"
+            placeholder={ translate('Replace') }
+            spellCheck="false"
+            type="text"
+            value={ this.state.replacement }
+            onInput={ this.onReplaceInput }
+            onKeyDown={ this.onReplaceKeyDown } />
+
+          <button
+            type="button"
+            className="find-replace-replace"
+            disabled={ !hasMatches }
+            onClick={ this.replace }>
+            { translate('Replace') }
+          </button>
+
+          <button
+            type="button"
+            className="find-replace-replace-all"
+            disabled={ !hasMatches }
+            onClick={ this.replaceAll }>
+            { translate('Replace all') }
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+FindReplaceComponent.$inject = [
+  'eventBus',
+  'findReplace',
+  'translate'
+];
@@ -0,0 +1,16 @@
+import CellSelectionModule from '../cell-selection';
+import EditorActionsModule from 'table-js/lib/features/editor-actions';
+import ModelingModule from '../modeling';
+
+import FindReplace from './FindReplace';
+
+
+export default {
+  __depends__: [
+    CellSelectionModule,
+    EditorActionsModule,
+    ModelingModule
+  ],
+  __init__: [ 'findReplace' ],
+  findReplace: [ 'type', FindReplace ]
+};
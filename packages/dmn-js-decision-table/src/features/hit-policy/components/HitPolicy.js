@@ -4,7 +4,7 @@ import {
   inject
 } from 'table-js/lib/components';
 
-import { HIT_POLICIES } from './../HitPolicies';
+import { HIT_POLICIES } from 'dmn-js-shared/lib/util/HitPolicies';
 
 import { find } from 'min-dash';
 
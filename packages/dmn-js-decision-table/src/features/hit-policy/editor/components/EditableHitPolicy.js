@@ -8,7 +8,7 @@ import {
   inject
 } from 'table-js/lib/components';
 
-import { HIT_POLICIES } from './../../HitPolicies';
+import { HIT_POLICIES } from 'dmn-js-shared/lib/util/HitPolicies';
 
 
 export default class EditableHitPolicy extends Component {
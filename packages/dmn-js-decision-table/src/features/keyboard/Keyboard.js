@@ -2,6 +2,10 @@ import {
   event as domEvent
 } from 'min-dom';
 
+import {
+  getRange
+} from 'selection-ranges';
+
 import {
   findSelectableAncestor
 } from '../cell-selection/CellSelectionUtil';
@@ -11,6 +15,13 @@ import {
   isShift
 } from './KeyboardUtil';
 
+var ARROW_DIRECTIONS = {
+  37: 'left',
+  38: 'above',
+  39: 'right',
+  40: 'below'
+};
+
 var compatMessage =
   'Keyboard binding is now implicit; explicit binding to an element got removed. ' +
   'For more information, see https://github.com/bpmn-io/diagram-js/pull/662';
@@ -236,6 +247,56 @@ export default class Keyboard {
     }
 
     listeners.push(selectCellBelow);
+
+
+    // extend cell selection
+    // SHIFT + ARROW
+    function extendCellSelection(key, event) {
+      const direction = ARROW_DIRECTIONS[ key ];
+
+      if (!direction || isCmd(event) || !isShift(event)) {
+        return;
+      }
+
+      if (!editorActions.isRegistered('extendCellSelection')) {
+        return;
+      }
+
+      if (!findSelectableAncestor(event.target)) {
+        return;
+      }
+
+      // select text within the cell unless its boundary is reached
+      if (
+        !cellSelection.hasRangeSelection() &&
+        !isCaretAtBoundary(event.target, direction)
+      ) {
+        return;
+      }
+
+      return editorActions.trigger('extendCellSelection', { direction });
+    }
+
+    listeners.push(extendCellSelection);
+
+
+    // find
+    // CTRL/CMD + F
+    function find(key, modifiers) {
+
+      if (isCmd(modifiers) && !isShift(modifiers) && key === 70) {
+
+        if (!editorActions.isRegistered('find')) {
+          return;
+        }
+
+        editorActions.trigger('find');
+
+        return true;
+      }
+    }
+
+    listeners.push(find);
   }
 
 
@@ -268,3 +329,17 @@ Keyboard.$inject = [
 function isDecisionNameCell(cell) {
   return cell === '__decisionProperties_name';
 }
+
+function isCaretAtBoundary(node, direction) {
+  const range = getRange(node);
+
+  if (!range) {
+    return true;
+  }
+
+  if (direction === 'left' || direction === 'above') {
+    return range.start === 0;
+  }
+
+  return range.end === node.textContent.length;
+}
@@ -0,0 +1,155 @@
+import { forEach } from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+export const ERROR_MARKER = 'lint-error';
+
+export const WARN_MARKER = 'lint-warn';
+
+
+/**
+ * Marks decision table cells with issues found by linting,
+ * cf. `Manager#lint`. Issues of a rule mark all of its cells.
+ *
+ * Opening an issue via the issues panel selects the offending cell.
+ *
+ * @param {Injector} injector
+ * @param {EventBus} eventBus
+ * @param {Sheet} sheet
+ * @param {ChangeSupport} changeSupport
+ * @param {Selection} selection
+ */
+export default class DecisionTableLinting {
+
+  constructor(injector, eventBus, sheet, changeSupport, selection) {
+    this._sheet = sheet;
+    this._changeSupport = changeSupport;
+    this._selection = selection;
+
+    this._markers = {};
+
+    const parent = injector.get('_parent', false);
+
+    if (!parent) {
+      return;
+    }
+
+    const onLintingCompleted = ({ issues }) => this.show(issues);
+
+    const onIssueOpen = ({ issue, view }) => {
+      const root = sheet.getRoot();
+
+      if (root && view.element === root.businessObject.$parent) {
+        this.select(issue);
+      }
+    };
+
+    parent.on('linting.completed', onLintingCompleted);
+    parent.on('linting.issue.open', onIssueOpen);
+
+    eventBus.on('import.done', () => {
+      this.show(parent.getIssues());
+    });
+
+    eventBus.on('diagram.clear', () => {
+      this._markers = {};
+    });
+
+    eventBus.on('diagram.destroy', () => {
+      parent.off('linting.completed', onLintingCompleted);
+      parent.off('linting.issue.open', onIssueOpen);
+    });
+  }
+
+  /**
+   * Get the markers of a cell.
+   *
+   * @param {string} elementId
+   *
+   * @return {Array<string>}
+   */
+  getMarkers(elementId) {
+    return this._markers[ elementId ] || [];
+  }
+
+  /**
+   * Show issues, replacing any issues shown before.
+   *
+   * @param {Array<LintIssue>} issues
+   */
+  show(issues) {
+    const markers = {};
+
+    issues.forEach(issue => {
+      const marker = issue.severity === 'error' ? ERROR_MARKER : WARN_MARKER;
+
+      getCells(issue.element).forEach(cell => {
+        const cellMarkers = markers[ cell.id ] = markers[ cell.id ] || [];
+
+        if (!cellMarkers.includes(marker)) {
+          cellMarkers.push(marker);
+        }
+      });
+    });
+
+    const changed = getChangedIds(this._markers, markers);
+
+    this._markers = markers;
+
+    this._changeSupport.elementsChanged(changed.map(id => ({ id })));
+  }
+
+  /**
+   * Select the cell of an issue.
+   *
+   * @param {LintIssue} issue
+   */
+  select(issue) {
+    const [ cell ] = getCells(issue.element);
+
+    if (cell) {
+      this._selection.select(cell.id);
+    }
+  }
+}
+
+DecisionTableLinting.$inject = [
+  'injector',
+  'eventBus',
+  'sheet',
+  'changeSupport',
+  'selection'
+];
+
+
+// helpers //////////
+
+function getCells(element) {
+  if (is(element, 'dmn:DecisionRule')) {
+    return [
+      ...element.get('inputEntry'),
+      ...element.get('outputEntry')
+    ];
+  }
+
+  if (is(element, 'dmn:UnaryTests') || is(element, 'dmn:LiteralExpression')) {
+    return is(element.$parent, 'dmn:DecisionRule') ? [ element ] : [];
+  }
+
+  return [];
+}
+
+function getChangedIds(oldMarkers, newMarkers) {
+  const changed = [];
+
+  forEach({ ...oldMarkers, ...newMarkers }, (_, id) => {
+    const oldValue = (oldMarkers[ id ] || []).join(' '),
+          newValue = (newMarkers[ id ] || []).join(' ');
+
+    if (oldValue !== newValue) {
+      changed.push(id);
+    }
+  });
+
+  return changed;
+}
@@ -0,0 +1,9 @@
+import SelectionModule from 'table-js/lib/features/selection';
+
+import DecisionTableLinting from './DecisionTableLinting';
+
+export default {
+  __depends__: [ SelectionModule ],
+  __init__: [ 'decisionTableLinting' ],
+  decisionTableLinting: [ 'type', DecisionTableLinting ]
+};
@@ -0,0 +1,180 @@
+import RuleFilterComponent from './components/RuleFilterComponent';
+import RuleFilterStatusComponent from './components/RuleFilterStatusComponent';
+
+import { matchesFilter } from './RuleFilterUtil';
+
+const LOW_PRIORITY = 500;
+
+export const FILTERED_MARKER = 'rule-filtered';
+
+
+/**
+ * Hides rules not matching the filters set on columns. Filtering is a
+ * view-only concern, the decision table is not changed.
+ *
+ * @param {ChangeSupport} changeSupport
+ * @param {Components} components
+ * @param {EventBus} eventBus
+ * @param {Sheet} sheet
+ */
+export default class RuleFilter {
+
+  constructor(changeSupport, components, eventBus, sheet) {
+    this._changeSupport = changeSupport;
+    this._eventBus = eventBus;
+    this._sheet = sheet;
+
+    this._filters = {};
+    this._hidden = {};
+
+    components.onGetComponent('table.before', () => RuleFilterStatusComponent);
+
+    components.onGetComponent('cell-inner', ({ cellType }) => {
+      if (cellType === 'input-cell' || cellType === 'output-cell') {
+        return RuleFilterComponent;
+      }
+    });
+
+    eventBus.on('elements.changed', LOW_PRIORITY, () => {
+      if (this.isActive()) {
+        this.update();
+      }
+    });
+
+    eventBus.on('diagram.clear', () => {
+      this._filters = {};
+      this._hidden = {};
+    });
+  }
+
+  /**
+   * Return whether any filter is set.
+   *
+   * @return {boolean}
+   */
+  isActive() {
+    return Object.keys(this._filters).length > 0;
+  }
+
+  /**
+   * Set the filter of a column. An empty value removes the filter.
+   *
+   * @param {string} colId - ID of an input or output
+   * @param {RuleFilterPredicate} filter
+   */
+  setFilter(colId, filter) {
+    const filters = { ...this._filters };
+
+    delete filters[ colId ];
+
+    if (filter && filter.value && filter.value.trim()) {
+      filters[ colId ] = {
+        type: filter.type === 'value' ? 'value' : 'text',
+        value: filter.value
+      };
+    }
+
+    this._filters = filters;
+
+    this.update();
+  }
+
+  /**
+   * Get the filter of a column.
+   *
+   * @param {string} colId
+   *
+   * @return {RuleFilterPredicate|null}
+   */
+  getFilter(colId) {
+    return this._filters[ colId ] || null;
+  }
+
+  /**
+   * Remove the filter of a column.
+   *
+   * @param {string} colId
+   */
+  removeFilter(colId) {
+    this.setFilter(colId, null);
+  }
+
+  /**
+   * Remove all filters.
+   */
+  clear() {
+    this._filters = {};
+
+    this.update();
+  }
+
+  /**
+   * Return whether a rule is hidden by filters.
+   *
+   * @param {string} ruleId
+   *
+   * @return {boolean}
+   */
+  isHidden(ruleId) {
+    return !!this._hidden[ ruleId ];
+  }
+
+  /**
+   * Get the IDs of the rules hidden by filters.
+   *
+   * @return {Array<string>}
+   */
+  getHiddenRules() {
+    return Object.keys(this._hidden);
+  }
+
+  /**
+   * Filter rules and re-render rules that were hidden or shown.
+   */
+  update() {
+    const root = this._sheet.getRoot();
+
+    if (!root) {
+      return;
+    }
+
+    const filters = this._filters,
+          oldHidden = this._hidden;
+
+    const hidden = {};
+
+    root.rows.forEach(row => {
+      const isHidden = row.cells.some((cell, index) => {
+        const col = root.cols[ index ],
+              filter = filters[ col.id ];
+
+        return filter &&
+          !matchesFilter(cell.businessObject.text, filter, col.businessObject);
+      });
+
+      if (isHidden) {
+        hidden[ row.id ] = true;
+      }
+    });
+
+    this._hidden = hidden;
+
+    const changed = root.rows.filter(row => !oldHidden[ row.id ] !== !hidden[ row.id ]);
+
+    if (changed.length) {
+      this._changeSupport.elementsChanged(changed.map(({ id }) => ({ id })));
+    }
+
+    this._eventBus.fire('ruleFilter.changed', {
+      filters,
+      hidden: this.getHiddenRules()
+    });
+  }
+}
+
+RuleFilter.$inject = [
+  'changeSupport',
+  'components',
+  'eventBus',
+  'sheet'
+];
@@ -0,0 +1,68 @@
+import { isString } from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import {
+  matchesInputEntry,
+  parseInputEntry,
+  parseInputValue
+} from 'dmn-js-shared/lib/util/UnaryTestsUtil';
+
+
+/**
+ * A filter of a column.
+ *
+ * @typedef {Object} RuleFilterPredicate
+ *
+ * @property {'text'|'value'} type - whether the cell must contain a text or
+ *   match a value, i.e. an input entry must apply to the value and an output
+ *   entry must equal the value
+ * @property {string} value
+ */
+
+
+/**
+ * Check whether the text of a cell matches a filter.
+ *
+ * @param {string} text
+ * @param {RuleFilterPredicate} filter
+ * @param {ModdleElement} clause - input or output of the cell
+ *
+ * @return {boolean}
+ */
+export function matchesFilter(text, filter, clause) {
+  text = isString(text) ? text.trim() : '';
+
+  const value = filter.value.trim();
+
+  if (filter.type !== 'value') {
+    return text.toLowerCase().includes(value.toLowerCase());
+  }
+
+  if (is(clause, 'dmn:OutputClause')) {
+    return unquote(text) === unquote(value);
+  }
+
+  if (!text || text === '-') {
+    return true;
+  }
+
+  const typeRef = clause.inputExpression && clause.inputExpression.typeRef;
+
+  const parsedValue = parseInputValue(value, typeRef),
+        entry = parseInputEntry(text, typeRef);
+
+  // compare unsupported entries literally
+  if (parsedValue === null || !entry) {
+    return unquote(text) === unquote(value);
+  }
+
+  return matchesInputEntry(entry, parsedValue);
+}
+
+
+// helpers //////////
+
+function unquote(text) {
+  return text.replace(/^"(.*)"$/, '$1');
+}
@@ -0,0 +1,197 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+/**
+ * Filter and sort controls of an input or output header.
+ */
+export default class RuleFilterComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+
+    this._ruleSorting = context.injector.get('ruleSorting', false);
+
+    const filter = this.ruleFilter.getFilter(this.getColId());
+
+    this.state = {
+      open: false,
+      type: filter ? filter.type : 'text',
+      value: filter ? filter.value : ''
+    };
+  }
+
+  componentWillMount() {
+    this.eventBus.on('ruleFilter.changed', this.onFilterChanged);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('ruleFilter.changed', this.onFilterChanged);
+  }
+
+  onFilterChanged = () => {
+    const filter = this.ruleFilter.getFilter(this.getColId());
+
+    if (!filter && this.state.value) {
+      this.setState({ value: '' });
+    } else {
+      this.forceUpdate();
+    }
+  };
+
+  getColId() {
+    return this.props.col.id;
+  }
+
+  toggle = (event) => {
+    event.stopPropagation();
+
+    this.setState({ open: !this.state.open });
+  };
+
+  stopPropagation = (event) => {
+    event.stopPropagation();
+  };
+
+  onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      this.setState({ open: false });
+    }
+  };
+
+  onTypeChange = (event) => {
+    this.setFilter(event.target.value, this.state.value);
+  };
+
+  onValueInput = (event) => {
+    this.setFilter(this.state.type, event.target.value);
+  };
+
+  setFilter(type, value) {
+    this.setState({ type, value });
+
+    this.ruleFilter.setFilter(this.getColId(), { type, value });
+  }
+
+  clear = () => {
+    this.setState({ value: '' });
+
+    this.ruleFilter.removeFilter(this.getColId());
+  };
+
+  sortAscending = () => {
+    this.sort('ascending');
+  };
+
+  sortDescending = () => {
+    this.sort('descending');
+  };
+
+  sort(direction) {
+    this._ruleSorting.sort(this.getColId(), direction);
+
+    this.setState({ open: false });
+  }
+
+  renderSorting() {
+    const ruleSorting = this._ruleSorting,
+          translate = this.translate;
+
+    if (!ruleSorting) {
+      return null;
+    }
+
+    const canSort = ruleSorting.canSort();
+
+    const title = canSort ? '' : translate(
+      'Rules can only be sorted for hit policies UNIQUE, ANY and COLLECT'
+    );
+
+    return (
+      <div className="rule-filter-sorting" title={ title }>
+        <button
+          type="button"
+          className="rule-filter-sort-ascending"
+          disabled={ !canSort }
+          onClick={ this.sortAscending }>
+          { translate('Sort ascending') }
+        </button>
+        <button
+          type="button"
+          className="rule-filter-sort-descending"
+          disabled={ !canSort }
+          onClick={ this.sortDescending }>
+          { translate('Sort descending') }
+        </button>
+      </div>
+    );
+  }
+
+  render() {
+    const { translate } = this;
+
+    const { open, type, value } = this.state;
+
+    const isActive = !!this.ruleFilter.getFilter(this.getColId());
+
+    return (
+      <div
+        className="rule-filter"
+        onClick={ this.stopPropagation }
+        onDoubleClick={ this.stopPropagation }
+        onKeyDown={ this.onKeyDown }>
+        <button
+          type="button"
+          className={ [
+            'rule-filter-toggle',
+            'dmn-icon-down',
+            isActive ? 'active' : ''
+          ].join(' ') }
+          aria-expanded={ open ? 'true' : 'false' }
+          title={ translate('Filter and sort rules') }
+          onClick={ this.toggle } />
+
+        {
+          open && (
+            <div className="rule-filter-popup">
+              <select
+                aria-label={ translate('Filter type') }
+                className="rule-filter-type dms-select"
+                value={ type }
+                onChange={ this.onTypeChange }>
+                <option value="text">{ translate('Contains text') }</option>
+                <option value="value">{ translate('Matches value') }</option>
+              </select>
+              <input
+                aria-label={ translate('Filter') }
+                className="rule-filter-value dms-input"
+                placeholder={ translate('Filter') }
+                spellCheck="false"
+                type="text"
+                value={ value }
+                onInput={ this.onValueInput } />
+              <button
+                type="button"
+                className="rule-filter-clear"
+                disabled={ !isActive }
+                onClick={ this.clear }>
+                { translate('Clear filter') }
+              </button>
+
+              { this.renderSorting() }
+            </div>
+          )
+        }
+      </div>
+    );
+  }
+}
+
+RuleFilterComponent.$inject = [
+  'eventBus',
+  'ruleFilter',
+  'translate'
+];
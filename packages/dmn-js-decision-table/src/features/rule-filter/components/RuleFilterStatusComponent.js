@@ -0,0 +1,62 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+/**
+ * Shows how many rules are hidden by filters.
+ */
+export default class RuleFilterStatusComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  componentWillMount() {
+    this.eventBus.on('ruleFilter.changed', this.onFilterChanged);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('ruleFilter.changed', this.onFilterChanged);
+  }
+
+  onFilterChanged = () => {
+    this.forceUpdate();
+  };
+
+  clear = () => {
+    this.ruleFilter.clear();
+  };
+
+  render() {
+    const { ruleFilter, translate } = this;
+
+    if (!ruleFilter.isActive()) {
+      return null;
+    }
+
+    const count = ruleFilter.getHiddenRules().length;
+
+    return (
+      <div className="rule-filter-status">
+        <span className="rule-filter-status-text">
+          { translate('{count} rules hidden by filters', { count }) }
+        </span>
+        <button
+          type="button"
+          className="rule-filter-status-clear"
+          onClick={ this.clear }>
+          { translate('Clear filters') }
+        </button>
+      </div>
+    );
+  }
+}
+
+RuleFilterStatusComponent.$inject = [
+  'eventBus',
+  'ruleFilter',
+  'translate'
+];
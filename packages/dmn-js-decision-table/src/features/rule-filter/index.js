@@ -0,0 +1,6 @@
+import RuleFilter from './RuleFilter';
+
+export default {
+  __init__: [ 'ruleFilter' ],
+  ruleFilter: [ 'type', RuleFilter ]
+};
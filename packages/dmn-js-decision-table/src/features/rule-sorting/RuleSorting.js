@@ -0,0 +1,132 @@
+import { isString } from 'min-dash';
+
+import SortRulesHandler from './cmd/SortRulesHandler';
+
+const SORTABLE_HIT_POLICIES = [
+  'UNIQUE',
+  'ANY',
+  'COLLECT'
+];
+
+
+/**
+ * Sorts the rules of a decision table by the entries of a column.
+ *
+ * As rule order matters for most hit policies, rules may only be sorted
+ * for hit policies UNIQUE, ANY and COLLECT. Sorting is executed as a
+ * single command and may thus be undone at once.
+ *
+ * @param {CommandStack} commandStack
+ * @param {EditorActions} editorActions
+ * @param {ElementRegistry} elementRegistry
+ * @param {Sheet} sheet
+ */
+export default class RuleSorting {
+
+  constructor(commandStack, editorActions, elementRegistry, sheet) {
+    this._commandStack = commandStack;
+    this._elementRegistry = elementRegistry;
+    this._sheet = sheet;
+
+    commandStack.registerHandler('rules.sort', SortRulesHandler);
+
+    editorActions.register({
+      sortRules: ({ col, direction }) => this.sort(col, direction)
+    });
+  }
+
+  /**
+   * Return whether rules may be sorted according to the hit policy.
+   *
+   * @return {boolean}
+   */
+  canSort() {
+    const root = this._sheet.getRoot();
+
+    const hitPolicy = root && root.businessObject.hitPolicy || 'UNIQUE';
+
+    return SORTABLE_HIT_POLICIES.includes(hitPolicy);
+  }
+
+  /**
+   * Sort rules by the entries of a column. Empty entries and `-` are
+   * sorted last.
+   *
+   * @param {Col|string} col - column or its ID
+   * @param {'ascending'|'descending'} [direction='ascending']
+   *
+   * @return {boolean} whether rules were reordered
+   */
+  sort(col, direction = 'ascending') {
+    if (!this.canSort()) {
+      return false;
+    }
+
+    if (isString(col)) {
+      col = this._elementRegistry.get(col);
+    }
+
+    const root = this._sheet.getRoot();
+
+    const colIndex = root.cols.indexOf(col);
+
+    if (colIndex === -1) {
+      throw new Error('column must be part of the decision table');
+    }
+
+    const factor = direction === 'descending' ? -1 : 1;
+
+    const rows = root.rows.slice().sort((a, b) => {
+      const textA = getText(a.cells[ colIndex ]),
+            textB = getText(b.cells[ colIndex ]);
+
+      if (!textA || !textB) {
+        return !textA - !textB;
+      }
+
+      return factor * compare(textA, textB);
+    });
+
+    if (rows.every((row, index) => root.rows[ index ] === row)) {
+      return false;
+    }
+
+    this._commandStack.execute('rules.sort', {
+      root,
+      rows
+    });
+
+    return true;
+  }
+}
+
+RuleSorting.$inject = [
+  'commandStack',
+  'editorActions',
+  'elementRegistry',
+  'sheet'
+];
+
+
+// helpers //////////
+
+function getText(cell) {
+  const text = (cell.businessObject.text || '').trim();
+
+  return text === '-' ? '' : text;
+}
+
+function compare(a, b) {
+  const numberA = Number(a),
+        numberB = Number(b);
+
+  if (!isNaN(numberA) && !isNaN(numberB)) {
+    return numberA - numberB;
+  }
+
+  return unquote(a).localeCompare(unquote(b), undefined, { numeric: true });
+}
+
+function unquote(text) {
+  return text.replace(/^"(.*)"$/, '$1');
+}
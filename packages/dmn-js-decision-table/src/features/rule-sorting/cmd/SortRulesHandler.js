@@ -0,0 +1,29 @@
+/**
+ * A handler that reorders rows.
+ */
+export default class SortRulesHandler {
+
+  constructor(modeling) {
+    this._modeling = modeling;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    const { root, rows } = context;
+
+    rows.forEach((row, index) => {
+      if (root.rows[ index ] !== row) {
+        this._modeling.moveRow(row, index);
+      }
+    });
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+SortRulesHandler.$inject = [ 'modeling' ];
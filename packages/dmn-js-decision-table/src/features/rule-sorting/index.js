@@ -0,0 +1,14 @@
+import EditorActionsModule from 'table-js/lib/features/editor-actions';
+import ModelingModule from '../modeling';
+
+import RuleSorting from './RuleSorting';
+
+
+export default {
+  __depends__: [
+    EditorActionsModule,
+    ModelingModule
+  ],
+  __init__: [ 'ruleSorting' ],
+  ruleSorting: [ 'type', RuleSorting ]
+};
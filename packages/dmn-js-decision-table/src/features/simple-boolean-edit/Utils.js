@@ -1,13 +1,3 @@
-export function parseString(string) {
-  if (!string || isEmptyString(string)) {
-    return 'none';
-  } else if (string.trim() === 'true') {
-    return 'true';
-  } else if (string.trim() === 'false') {
-    return 'false';
-  }
-}
-
-function isEmptyString(string) {
-  return string === '';
-}
\ No newline at end of file
+export {
+  parseBooleanEntry as parseString
+} from 'dmn-js-shared/lib/util/SimpleModeUtil';
\ No newline at end of file
@@ -1,12 +1,8 @@
-const ISO_DATE_REGEX = /^\d{4}(?:-\d\d){2}$/;
-
-
-const BETWEEN_DATE_REGEX = /^\[date\("([^"]*)"\)..date\("([^"]*)"\)\]$/;
-
-
-const BEFORE_AFTER_DATE_REGEX = /^(<|>)\s*date\("([^"]*)"\)$/;
+export {
+  parseDateEntry as parseString
+} from 'dmn-js-shared/lib/util/SimpleModeUtil';
 
-const EXACT_DATE_REGEX = /^date\("([^"]*)"\)$/;
+const ISO_DATE_REGEX = /^\d{4}(?:-\d\d){2}$/;
 
 const EXACT = 'exact',
       BEFORE = 'before',
@@ -37,45 +33,4 @@ export function getSampleDate() {
   date.setUTCHours(0, 0, 0, 0);
 
   return date.toISOString().slice(0, 10);
-}
-
-export function parseString(string) {
-
-  // emtpy
-  if (!string || string.trim() === '') {
-    return {
-      type: 'exact',
-      date: ''
-    };
-  }
-
-  // between
-  let matches = string.match(BETWEEN_DATE_REGEX);
-
-  if (matches) {
-    return {
-      type: 'between',
-      dates: [ matches[1], matches[2] ]
-    };
-  }
-
-  // before or after
-  matches = string.match(BEFORE_AFTER_DATE_REGEX);
-
-  if (matches) {
-    return {
-      type: matches[1] === '<' ? 'before' : 'after',
-      date: matches[2]
-    };
-  }
-
-  // exact
-  matches = string.match(EXACT_DATE_REGEX);
-
-  if (matches) {
-    return {
-      type: 'exact',
-      date: matches[1]
-    };
-  }
 }
\ No newline at end of file
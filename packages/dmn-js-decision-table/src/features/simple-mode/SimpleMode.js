@@ -2,7 +2,9 @@ import SimpleModeButtonComponent from './components/SimpleModeButtonComponent';
 
 export default class SimpleMode {
 
-  constructor(components, contextMenu, elementRegistry, eventBus, renderer) {
+  constructor(
+      cellSelection, components, contextMenu,
+      elementRegistry, eventBus, renderer) {
 
     this._providers = [];
 
@@ -38,7 +40,8 @@ export default class SimpleMode {
         id
       } = e;
 
-      if (isCmd(event)) {
+      // CTRL/CMD + click on another rule cell selects a range instead
+      if (isCmd(event) && !cellSelection.canSelectRange(id)) {
         const element = elementRegistry.get(id);
 
         if (element) {
@@ -66,6 +69,7 @@ export default class SimpleMode {
 }
 
 SimpleMode.$inject = [
+  'cellSelection',
   'components',
   'contextMenu',
   'elementRegistry',
@@ -77,7 +81,7 @@ SimpleMode.$inject = [
 // helpers //////////
 
 export function isCmd(event) {
-
+
   // ensure we don't react to AltGr
   // (mapped to CTRL + ALT)
   if (event.altKey) {
@@ -85,4 +89,4 @@ export function isCmd(event) {
   }
 
   return event.ctrlKey || event.metaKey;
-}
\ No newline at end of file
+}
\ No newline at end of file
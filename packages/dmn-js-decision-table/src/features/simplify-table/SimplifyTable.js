@@ -0,0 +1,142 @@
+import SimplifyTableComponent from './components/SimplifyTableComponent';
+import SimplifyTableHandler from './cmd/SimplifyTableHandler';
+
+import {
+  canSimplify,
+  simplifyDecisionTable
+} from './SimplifyUtil';
+
+const LOW_PRIORITY = 500;
+
+
+/**
+ * Finds rules that can be merged or removed without changing the results
+ * of a decision table, previews the proposed changes and applies them as a
+ * single command.
+ *
+ * @param {CommandStack} commandStack
+ * @param {Components} components
+ * @param {ElementRegistry} elementRegistry
+ * @param {EventBus} eventBus
+ * @param {Sheet} sheet
+ */
+export default class SimplifyTable {
+
+  constructor(commandStack, components, elementRegistry, eventBus, sheet) {
+    this._commandStack = commandStack;
+    this._elementRegistry = elementRegistry;
+    this._eventBus = eventBus;
+    this._sheet = sheet;
+
+    this._result = null;
+
+    commandStack.registerHandler('table.simplify', SimplifyTableHandler);
+
+    components.onGetComponent('table.before', () => SimplifyTableComponent);
+
+    eventBus.on('elements.changed', LOW_PRIORITY, () => {
+      if (this.isPreviewing()) {
+        this._setResult(this.findSimplifications());
+      }
+    });
+
+    eventBus.on('diagram.clear', () => {
+      this._result = null;
+    });
+  }
+
+  /**
+   * Return whether the decision table may be simplified
+   * according to its hit policy.
+   *
+   * @return {boolean}
+   */
+  canSimplify() {
+    const root = this._sheet.getRoot();
+
+    return !!root && canSimplify(root.businessObject);
+  }
+
+  /**
+   * Find the changes simplifying the decision table.
+   *
+   * @return {SimplifyResult}
+   */
+  findSimplifications() {
+    return simplifyDecisionTable(this._sheet.getRoot().businessObject);
+  }
+
+  /**
+   * Show the changes simplifying the decision table.
+   *
+   * @return {SimplifyResult}
+   */
+  preview() {
+    const result = this.findSimplifications();
+
+    this._setResult(result);
+
+    return result;
+  }
+
+  /**
+   * Return whether changes are previewed.
+   *
+   * @return {boolean}
+   */
+  isPreviewing() {
+    return !!this._result;
+  }
+
+  /**
+   * Get the previewed changes.
+   *
+   * @return {SimplifyResult|null}
+   */
+  getPreview() {
+    return this._result;
+  }
+
+  /**
+   * Close the preview without applying changes.
+   */
+  cancel() {
+    this._setResult(null);
+  }
+
+  /**
+   * Simplify the decision table.
+   *
+   * @return {boolean} whether the decision table was changed
+   */
+  apply() {
+    const { edits, removedRules } = this.findSimplifications();
+
+    this._setResult(null);
+
+    if (!edits.length && !removedRules.length) {
+      return false;
+    }
+
+    this._commandStack.execute('table.simplify', {
+      edits,
+      rows: removedRules.map(rule => this._elementRegistry.get(rule.id))
+    });
+
+    return true;
+  }
+
+  _setResult(result) {
+    this._result = result;
+
+    this._eventBus.fire('simplifyTable.changed', { result });
+  }
+}
+
+SimplifyTable.$inject = [
+  'commandStack',
+  'components',
+  'elementRegistry',
+  'eventBus',
+  'sheet'
+];
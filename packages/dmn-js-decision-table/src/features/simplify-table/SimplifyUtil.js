@@ -0,0 +1,402 @@
+import { isString } from 'min-dash';
+
+import {
+  NUMBER_TYPES,
+  containsInterval,
+  createInterval,
+  parseInputEntry,
+  unionIntervals
+} from 'dmn-js-shared/lib/util/UnaryTestsUtil';
+
+import {
+  getComparisonString,
+  getRangeString
+} from '../simple-number-edit/Utils';
+
+import { getDateString } from '../simple-date-edit/Utils';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+
+/**
+ * A change proposed to simplify a decision table.
+ *
+ * @typedef {Object} Simplification
+ *
+ * @property {'merge'|'remove'} type
+ * @property {Array<ModdleElement>} rules - merged rules or the removed rule
+ *   followed by the rule covering it
+ * @property {ModdleElement} [input] - input the merged rules differed in
+ * @property {string} [text] - text of the merged input entry
+ */
+
+/**
+ * The changes to apply to simplify a decision table.
+ *
+ * @typedef {Object} SimplifyResult
+ *
+ * @property {Array<Simplification>} simplifications
+ * @property {Array<{ inputEntry: ModdleElement, text: string }>} edits
+ * @property {Array<ModdleElement>} removedRules
+ */
+
+
+/**
+ * Return whether the rules of a decision table may be merged and removed
+ * without changing its results according to its hit policy.
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {boolean}
+ */
+export function canSimplify(decisionTable) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+
+  if ([ 'UNIQUE', 'ANY', 'FIRST', 'PRIORITY' ].includes(hitPolicy)) {
+    return true;
+  }
+
+  return hitPolicy === 'COLLECT' && [ 'MIN', 'MAX' ].includes(decisionTable.aggregation);
+}
+
+/**
+ * Find rules of a decision table that are covered by other rules with the
+ * same outputs and adjacent rules with the same outputs that differ in a
+ * single input only. Covered rules may be removed, adjacent rules may be
+ * merged if their input entries can be combined into a single entry.
+ *
+ * Input entries are parsed like simple mode does, i.e. number comparisons
+ * and ranges, date comparisons and ranges as well as (negated) string lists
+ * are supported. Other input entries must match literally.
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {SimplifyResult}
+ */
+export function simplifyDecisionTable(decisionTable) {
+  const result = {
+    simplifications: [],
+    edits: [],
+    removedRules: []
+  };
+
+  if (!canSimplify(decisionTable)) {
+    return result;
+  }
+
+  const isFirst = decisionTable.hitPolicy === 'FIRST';
+
+  const columns = decisionTable.get('input').map(createColumn);
+
+  let rules = decisionTable.get('rule').map(rule => ({
+    rule,
+    inputs: rule.get('inputEntry').map(({ text }) => normalize(text)),
+    outputs: rule.get('outputEntry').map(({ text }) => normalize(text))
+  }));
+
+  let simplification;
+
+  while ((simplification = findRemoval(rules, columns, isFirst) ||
+    findMerge(rules, columns))) {
+
+    const { type, rules: [ a, b ], index, text } = simplification;
+
+    if (type === 'remove') {
+      rules = rules.filter(rule => rule !== a);
+
+      result.simplifications.push({
+        type,
+        rules: [ a.rule, b.rule ]
+      });
+
+      result.removedRules.push(a.rule);
+    } else {
+      a.inputs[ index ] = text;
+
+      rules = rules.filter(rule => rule !== b);
+
+      result.simplifications.push({
+        type,
+        rules: [ a.rule, b.rule ],
+        input: decisionTable.get('input')[ index ],
+        text
+      });
+
+      result.removedRules.push(b.rule);
+    }
+  }
+
+  rules.forEach(({ rule, inputs }) => {
+    rule.get('inputEntry').forEach((inputEntry, index) => {
+      if (normalize(inputEntry.text) !== inputs[ index ]) {
+        result.edits.push({ inputEntry, text: inputs[ index ] });
+      }
+    });
+  });
+
+  return result;
+}
+
+
+// rules //////////
+
+/**
+ * Find a rule covered by another rule.
+ */
+function findRemoval(rules, columns, isFirst) {
+  for (let i = 0; i < rules.length; i++) {
+    for (let j = 0; j < rules.length; j++) {
+      const covering = rules[ i ],
+            covered = rules[ j ];
+
+      // for hit policy FIRST, a rule is only covered by rules before it
+      if (i === j || (isFirst && i > j)) {
+        continue;
+      }
+
+      if (covers(columns, covering, covered)) {
+        return {
+          type: 'remove',
+          rules: [ covered, covering ]
+        };
+      }
+    }
+  }
+}
+
+/**
+ * Find adjacent rules that differ in a single input entry which can be merged.
+ */
+function findMerge(rules, columns) {
+  for (let i = 0; i < rules.length - 1; i++) {
+    const a = rules[ i ],
+          b = rules[ i + 1 ];
+
+    if (!hasSameOutputs(a, b)) {
+      continue;
+    }
+
+    const indices = a.inputs.reduce((indices, text, index) => {
+      return text === b.inputs[ index ] ? indices : [ ...indices, index ];
+    }, []);
+
+    if (indices.length !== 1) {
+      continue;
+    }
+
+    const [ index ] = indices,
+          column = columns[ index ];
+
+    const text = column && column.merge(a.inputs[ index ], b.inputs[ index ]);
+
+    if (isString(text)) {
+      return {
+        type: 'merge',
+        rules: [ a, b ],
+        index,
+        text
+      };
+    }
+  }
+}
+
+function covers(columns, a, b) {
+  return hasSameOutputs(a, b) && a.inputs.every((text, index) => {
+    return text === b.inputs[ index ] ||
+      (columns[ index ] && columns[ index ].contains(text, b.inputs[ index ]));
+  });
+}
+
+function hasSameOutputs(a, b) {
+  return a.outputs.every((text, index) => text === b.outputs[ index ]);
+}
+
+function normalize(text) {
+  text = isString(text) ? text.trim() : '';
+
+  return text === '-' ? '' : text;
+}
+
+
+// columns //////////
+
+function createColumn(input) {
+  const typeRef = input.inputExpression && input.inputExpression.typeRef;
+
+  if (NUMBER_TYPES.includes(typeRef)) {
+    return createIntervalColumn(text => parseInputEntry(text, typeRef), numberToString);
+  }
+
+  if (typeRef === 'date') {
+    return createIntervalColumn(parseDays, daysToString);
+  }
+
+  if (typeRef === 'string') {
+    return createStringColumn();
+  }
+
+  return null;
+}
+
+/**
+ * Create a column of intervals, cf. {@link parseInputEntry}.
+ */
+function createIntervalColumn(parse, toString) {
+
+  function contains(a, b) {
+    a = parse(a);
+    b = parse(b);
+
+    return !!(a && b) && containsInterval(a, b);
+  }
+
+  function merge(a, b) {
+    a = parse(a);
+    b = parse(b);
+
+    const union = a && b && unionIntervals(a, b);
+
+    if (union) {
+      return toString(union);
+    }
+  }
+
+  return {
+    contains,
+    merge
+  };
+}
+
+function numberToString({ start, end, startIncluded, endIncluded }) {
+  if (start === -Infinity && end === Infinity) {
+    return '';
+  }
+
+  if (start === -Infinity) {
+    return getComparisonString(endIncluded ? 'lessEquals' : 'less', end);
+  }
+
+  if (end === Infinity) {
+    return getComparisonString(startIncluded ? 'greaterEquals' : 'greater', start);
+  }
+
+  if (start === end) {
+    return getComparisonString('equals', start);
+  }
+
+  return getRangeString(
+    start,
+    end,
+    startIncluded ? 'include' : 'exclude',
+    endIncluded ? 'include' : 'exclude'
+  );
+}
+
+/**
+ * Parse a date input entry to the days it matches as interval
+ * `[first day..day after last day[`, so that entries matching
+ * consecutive days are adjacent.
+ */
+function parseDays(text) {
+  const interval = parseInputEntry(text, 'date');
+
+  if (!interval) {
+    return null;
+  }
+
+  const start = toDay(interval.start) + (interval.startIncluded ? 0 : 1),
+        end = toDay(interval.end) + (interval.endIncluded ? 1 : 0);
+
+  if ([ start, end ].some(day => isFinite(day) && !Number.isInteger(day))) {
+    return null;
+  }
+
+  return createInterval(start, end, isFinite(start), false);
+}
+
+function daysToString({ start, end }) {
+  if (start === -Infinity && end === Infinity) {
+    return '';
+  }
+
+  if (start === -Infinity) {
+    return getDateString('before', [ fromDay(end) ]);
+  }
+
+  if (end === Infinity) {
+    return getDateString('after', [ fromDay(start - 1) ]);
+  }
+
+  if (end - start === 1) {
+    return getDateString('exact', [ fromDay(start) ]);
+  }
+
+  return getDateString('between', [ fromDay(start), fromDay(end - 1) ]);
+}
+
+function toDay(timestamp) {
+  return timestamp / DAY;
+}
+
+function fromDay(day) {
+  return new Date(day * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Create a column of (negated) string lists, cf. {@link parseInputEntry}.
+ */
+function createStringColumn() {
+
+  function parse(text) {
+    return parseInputEntry(text, 'string');
+  }
+
+  function contains(a, b) {
+    a = parse(a);
+    b = parse(b);
+
+    if (!a || !b) {
+      return false;
+    }
+
+    if (!a.negated) {
+      return !b.negated && b.values.every(value => a.values.includes(value));
+    }
+
+    if (!b.negated) {
+      return b.values.every(value => !a.values.includes(value));
+    }
+
+    return a.values.every(value => b.values.includes(value));
+  }
+
+  function merge(a, b) {
+    a = parse(a);
+    b = parse(b);
+
+    if (!a || !b) {
+      return;
+    }
+
+    if (!a.negated && !b.negated) {
+      return unique([ ...a.values, ...b.values ]).join(',');
+    }
+
+    const [ negation, other ] = a.negated ? [ a, b ] : [ b, a ];
+
+    const values = negation.values.filter(value => {
+      return other.values.includes(value) === other.negated;
+    });
+
+    return values.length ? `not(${ values.join(',') })` : '';
+  }
+
+  return {
+    contains,
+    merge
+  };
+}
+
+function unique(values) {
+  return values.filter((value, index) => values.indexOf(value) === index);
+}
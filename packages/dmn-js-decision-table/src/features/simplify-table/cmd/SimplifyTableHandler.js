@@ -0,0 +1,30 @@
+/**
+ * A handler that edits input entries and removes rules
+ * to simplify a decision table.
+ */
+export default class SimplifyTableHandler {
+
+  constructor(modeling) {
+    this._modeling = modeling;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    const { edits, rows } = context;
+
+    edits.forEach(({ inputEntry, text }) => {
+      this._modeling.editCell(inputEntry, text);
+    });
+
+    rows.forEach(row => this._modeling.removeRow(row));
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+}
+
+SimplifyTableHandler.$inject = [ 'modeling' ];
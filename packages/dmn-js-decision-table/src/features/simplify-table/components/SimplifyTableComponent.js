@@ -0,0 +1,170 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+/**
+ * Button to simplify a decision table and preview of the proposed changes.
+ */
+export default class SimplifyTableComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  componentWillMount() {
+    this.eventBus.on('simplifyTable.changed', this.onChanged);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('simplifyTable.changed', this.onChanged);
+  }
+
+  onChanged = () => {
+    this.forceUpdate();
+  };
+
+  onClick = () => {
+    this.simplifyTable.preview();
+  };
+
+  apply = () => {
+    this.simplifyTable.apply();
+  };
+
+  cancel = () => {
+    this.simplifyTable.cancel();
+  };
+
+  renderSimplification(simplification, rules) {
+    const { translate } = this;
+
+    const {
+      input,
+      rules: [ a, b ],
+      text,
+      type
+    } = simplification;
+
+    if (type === 'remove') {
+      return (
+        <li className="simplify-table-remove">
+          {
+            translate('Remove rule {rule}, it is covered by rule {other}', {
+              rule: rules.indexOf(a) + 1,
+              other: rules.indexOf(b) + 1
+            })
+          }
+        </li>
+      );
+    }
+
+    return (
+      <li className="simplify-table-merge">
+        {
+          translate('Merge rule {second} into rule {first}', {
+            first: rules.indexOf(a) + 1,
+            second: rules.indexOf(b) + 1
+          })
+        }
+        <span className="simplify-table-merge-input">{ getInputLabel(input) }</span>
+        <code>{ text || '-' }</code>
+      </li>
+    );
+  }
+
+  renderPreview() {
+    const { simplifyTable, translate } = this;
+
+    const { simplifications } = simplifyTable.getPreview();
+
+    const { businessObject } = this.sheet.getRoot();
+
+    const rules = businessObject.get('rule');
+
+    let message;
+
+    if (!simplifyTable.canSimplify()) {
+      message = translate('Rules cannot be simplified for hit policy {hitPolicy}', {
+        hitPolicy: [ businessObject.hitPolicy, businessObject.aggregation ]
+          .filter(Boolean)
+          .join(' ')
+      });
+    } else if (!simplifications.length) {
+      message = translate('No rules can be merged or removed.');
+    }
+
+    return (
+      <div className="simplify-table-preview">
+        <div className="simplify-table-title">
+          { translate('Simplify table') }
+        </div>
+        {
+          message ? (
+            <div className="simplify-table-message">{ message }</div>
+          ) : (
+            <ul className="simplify-table-simplifications">
+              {
+                simplifications.map(simplification => {
+                  return this.renderSimplification(simplification, rules);
+                })
+              }
+            </ul>
+          )
+        }
+        <div className="simplify-table-actions">
+          {
+            !message && (
+              <button
+                type="button"
+                className="simplify-table-apply"
+                onClick={ this.apply }>
+                { translate('Apply') }
+              </button>
+            )
+          }
+          <button
+            type="button"
+            className="simplify-table-cancel"
+            onClick={ this.cancel }>
+            { message ? translate('Close') : translate('Cancel') }
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  render() {
+    const isPreviewing = this.simplifyTable.isPreviewing();
+
+    return (
+      <div className={ isPreviewing ? 'simplify-table previewing' : 'simplify-table' }>
+        <button
+          type="button"
+          className="simplify-table-button"
+          onClick={ this.onClick }>
+          { this.translate('Simplify') }
+        </button>
+        { isPreviewing && this.renderPreview() }
+      </div>
+    );
+  }
+}
+
+SimplifyTableComponent.$inject = [
+  'eventBus',
+  'sheet',
+  'simplifyTable',
+  'translate'
+];
+
+
+// helpers //////////
+
+function getInputLabel(input) {
+  const inputExpression = input.inputExpression;
+
+  return input.label || inputExpression && inputExpression.text || input.id;
+}
@@ -0,0 +1,12 @@
+import ModelingModule from '../modeling';
+
+import SimplifyTable from './SimplifyTable';
+
+
+export default {
+  __depends__: [
+    ModelingModule
+  ],
+  __init__: [ 'simplifyTable' ],
+  simplifyTable: [ 'type', SimplifyTable ]
+};
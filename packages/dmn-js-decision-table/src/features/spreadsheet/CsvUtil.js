@@ -0,0 +1,119 @@
+const DELIMITERS = [ ',', ';', '\t' ];
+
+
+/**
+ * Serialize rows of cells to CSV as specified by RFC 4180.
+ *
+ * @param {Array<Array<string>>} rows
+ * @param {string} [delimiter=',']
+ *
+ * @return {string}
+ */
+export function serializeCSV(rows, delimiter = ',') {
+  return rows.map(row => {
+    return row.map(cell => quote(cell, delimiter)).join(delimiter);
+  }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV into rows of cells. The delimiter is detected from
+ * the first line unless specified.
+ *
+ * @param {string} text
+ * @param {string} [delimiter]
+ *
+ * @return {Array<Array<string>>}
+ */
+export function parseCSV(text, delimiter) {
+
+  // strip byte order mark added by spreadsheet applications
+  text = text.replace(/^\uFEFF/, '');
+
+  delimiter = delimiter || detectDelimiter(text);
+
+  const rows = [];
+
+  let row = [],
+      cell = '',
+      quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[ i ];
+
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[ i + 1 ] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[ i + 1 ] === '\n') {
+        i++;
+      }
+
+      row.push(cell);
+      rows.push(row);
+
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+
+// helpers //////////
+
+function quote(cell, delimiter) {
+  const text = cell === undefined || cell === null ? '' : String(cell);
+
+  if (
+    text.includes(delimiter) ||
+    /["\r\n]/.test(text) ||
+    text !== text.trim()
+  ) {
+    return `"${ text.replace(/"/g, '""') }"`;
+  }
+
+  return text;
+}
+
+function detectDelimiter(text) {
+  const counts = DELIMITERS.map(() => 0);
+
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\r' || char === '\n')) {
+      break;
+    } else if (!quoted) {
+      const index = DELIMITERS.indexOf(char);
+
+      if (index !== -1) {
+        counts[ index ]++;
+      }
+    }
+  }
+
+  const max = Math.max(...counts);
+
+  return max ? DELIMITERS[ counts.indexOf(max) ] : DELIMITERS[ 0 ];
+}
@@ -0,0 +1,202 @@
+import { parseCSV, serializeCSV } from './CsvUtil';
+
+import { parseXLSX, serializeXLSX } from './XlsxUtil';
+
+import {
+  getHeaderMismatches,
+  getHitPolicy,
+  getRules,
+  parseHitPolicy,
+  toRows
+} from './SpreadsheetUtil';
+
+import ImportRulesHandler from './cmd/ImportRulesHandler';
+
+
+/**
+ * The result of importing rules.
+ *
+ * @typedef {Object} SpreadsheetImportResult
+ *
+ * @property {number} added - number of added rules
+ * @property {number} updated - number of updated rules (merge only)
+ * @property {number} removed - number of removed rules (replace only)
+ * @property {Array<string>} warnings
+ */
+
+/**
+ * Exports the decision table, including its hit policy, inputs, outputs,
+ * rules and annotations, to CSV or XLSX and imports rules from such files.
+ *
+ * Imported rules either replace all rules or, in `merge` mode, update the
+ * outputs and annotations of rules with equal input entries and are added
+ * otherwise. Imports are executed via the command stack and can be undone.
+ *
+ * The header of an imported file must match the inputs and outputs of the
+ * decision table; mismatches are reported as `error.mismatches`.
+ *
+ * @param {CommandStack} commandStack
+ * @param {Sheet} sheet
+ */
+export default class Spreadsheet {
+
+  constructor(commandStack, sheet) {
+    this._commandStack = commandStack;
+    this._sheet = sheet;
+
+    commandStack.registerHandler('rules.import', ImportRulesHandler);
+  }
+
+  /**
+   * Get the decision table as rows of cells.
+   *
+   * @return {Array<Array<string>>}
+   */
+  getRows() {
+    return toRows(this._getDecisionTable());
+  }
+
+  /**
+   * Export the decision table to CSV.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.delimiter=',']
+   *
+   * @return {string}
+   */
+  exportCSV(options = {}) {
+    return serializeCSV(this.getRows(), options.delimiter);
+  }
+
+  /**
+   * Export the decision table to an XLSX workbook.
+   *
+   * @return {Uint8Array}
+   */
+  exportXLSX() {
+    const decisionTable = this._getDecisionTable(),
+          decision = decisionTable.$parent;
+
+    return serializeXLSX(this.getRows(), {
+      sheetName: decision && (decision.name || decision.id)
+    });
+  }
+
+  /**
+   * Import rules from CSV.
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.merge=false]
+   * @param {string} [options.delimiter] detected if not specified
+   *
+   * @return {SpreadsheetImportResult}
+   */
+  importCSV(text, options = {}) {
+    return this.importRows(parseCSV(text, options.delimiter), options);
+  }
+
+  /**
+   * Import rules from the first worksheet of an XLSX workbook.
+   *
+   * @param {ArrayBuffer|Uint8Array} data
+   * @param {Object} [options]
+   * @param {boolean} [options.merge=false]
+   *
+   * @return {SpreadsheetImportResult}
+   */
+  importXLSX(data, options = {}) {
+    return this.importRows(parseXLSX(data), options);
+  }
+
+  /**
+   * Import rules from rows of cells, cf. {@link Spreadsheet#getRows}.
+   *
+   * @param {Array<Array<string>>} rows
+   * @param {Object} [options]
+   * @param {boolean} [options.merge=false]
+   *
+   * @return {SpreadsheetImportResult}
+   */
+  importRows(rows, options = {}) {
+    const decisionTable = this._getDecisionTable();
+
+    const merge = !!options.merge;
+
+    const mismatches = getHeaderMismatches(rows, decisionTable);
+
+    const hitPolicyText = (rows[ 0 ] && rows[ 0 ][ 0 ] || '').trim(),
+          hitPolicy = hitPolicyText && parseHitPolicy(hitPolicyText);
+
+    if (hitPolicyText && !hitPolicy) {
+      mismatches.unshift({
+        cell: 'A1',
+        expected: getHitPolicy(decisionTable),
+        actual: hitPolicyText
+      });
+    }
+
+    if (mismatches.length) {
+      const error = new Error(
+        'header does not match decision table: ' + mismatches.map(mismatch => {
+          return `${ mismatch.cell } should be <${ mismatch.expected }> ` +
+            `but is <${ mismatch.actual }>`;
+        }).join(', ')
+      );
+
+      error.mismatches = mismatches;
+
+      throw error;
+    }
+
+    const warnings = [];
+
+    const columnCount = decisionTable.get('input').length +
+      decisionTable.get('output').length + 2;
+
+    rows.slice(2).forEach((row, index) => {
+      if (row.slice(columnCount).some(cell => cell && cell.trim())) {
+        warnings.push(
+          `ignored cells beyond column ${ columnCount } in row ${ index + 3 }`
+        );
+      }
+    });
+
+    const importHitPolicy = hitPolicy && (
+      hitPolicy.hitPolicy !== (decisionTable.hitPolicy || 'UNIQUE') ||
+      hitPolicy.aggregation !== decisionTable.aggregation
+    );
+
+    if (importHitPolicy && merge) {
+      warnings.push(`ignored hit policy <${ hitPolicyText }> when merging rules`);
+    }
+
+    const context = {
+      hitPolicy: importHitPolicy && !merge ? hitPolicy : null,
+      merge,
+      rules: getRules(rows, decisionTable)
+    };
+
+    this._commandStack.execute('rules.import', context);
+
+    return {
+      ...context.result,
+      warnings
+    };
+  }
+
+  _getDecisionTable() {
+    const root = this._sheet.getRoot();
+
+    if (!root) {
+      throw new Error('no decision table displayed');
+    }
+
+    return root.businessObject;
+  }
+}
+
+Spreadsheet.$inject = [
+  'commandStack',
+  'sheet'
+];
@@ -0,0 +1,208 @@
+import { find } from 'min-dash';
+
+import { HIT_POLICIES } from 'dmn-js-shared/lib/util/HitPolicies';
+
+import { getCellRef } from './XlsxUtil';
+
+const ANNOTATIONS_HEADER = 'Annotations';
+
+
+/**
+ * Convert a decision table to rows of cells.
+ *
+ * The first row holds the hit policy followed by the labels of inputs,
+ * outputs and annotations; the second row holds the types of inputs and
+ * outputs. Each following row represents a rule, starting with its index.
+ *
+ * @example
+ *
+ * | UNIQUE | Season | Guest Count | Dish        | Annotations |
+ * |        | string | number      | string      |             |
+ * | 1      | "Fall" | <= 8        | "Spareribs" | Tasty       |
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {Array<Array<string>>}
+ */
+export function toRows(decisionTable) {
+  const rules = decisionTable.get('rule').map((rule, index) => [
+    String(index + 1),
+    ...rule.get('inputEntry').map(getText),
+    ...rule.get('outputEntry').map(getText),
+    rule.description || ''
+  ]);
+
+  return [
+    ...getHeader(decisionTable),
+    ...rules
+  ];
+}
+
+/**
+ * Get the header rows of a decision table.
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {Array<Array<string>>}
+ */
+export function getHeader(decisionTable) {
+  const inputs = decisionTable.get('input'),
+        outputs = decisionTable.get('output');
+
+  return [
+    [
+      getHitPolicy(decisionTable),
+      ...inputs.map(getInputLabel),
+      ...outputs.map(output => output.label || output.name || ''),
+      ANNOTATIONS_HEADER
+    ],
+    [
+      '',
+      ...inputs.map(getInputTypeRef),
+      ...outputs.map(output => output.typeRef || ''),
+      ''
+    ]
+  ];
+}
+
+/**
+ * Get the hit policy of a decision table, including its aggregation,
+ * e.g. `COLLECT SUM`.
+ *
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {string}
+ */
+export function getHitPolicy(decisionTable) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE',
+        aggregation = decisionTable.aggregation;
+
+  return aggregation ? `${ hitPolicy } ${ aggregation }` : hitPolicy;
+}
+
+/**
+ * Parse a hit policy, including its aggregation.
+ *
+ * @param {string} text
+ *
+ * @return { { hitPolicy: string, aggregation?: string } | null }
+ */
+export function parseHitPolicy(text) {
+  const normalized = text.trim().replace(/\s+/g, ' ').toUpperCase();
+
+  const entry = find(HIT_POLICIES, ({ value }) => getHitPolicy(value) === normalized);
+
+  return entry ? { ...entry.value } : null;
+}
+
+/**
+ * Compare the header rows of a spreadsheet with the header of
+ * a decision table.
+ *
+ * @param {Array<Array<string>>} rows
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {Array<{ cell: string, expected: string, actual: string }>} mismatches
+ */
+export function getHeaderMismatches(rows, decisionTable) {
+  const expectedRows = getHeader(decisionTable);
+
+  const mismatches = [];
+
+  expectedRows.forEach((expectedRow, rowIndex) => {
+    const row = rows[ rowIndex ] || [];
+
+    const length = Math.max(expectedRow.length, row.length);
+
+    // the first cell holds the hit policy, which is validated separately
+    for (let colIndex = 1; colIndex < length; colIndex++) {
+      const expected = expectedRow[ colIndex ] || '',
+            actual = (row[ colIndex ] || '').trim();
+
+      // annotations are optional
+      if (expected === ANNOTATIONS_HEADER && !actual) {
+        continue;
+      }
+
+      if (expected !== actual) {
+        mismatches.push({
+          cell: getCellRef(rowIndex, colIndex),
+          expected,
+          actual
+        });
+      }
+    }
+  });
+
+  return mismatches;
+}
+
+/**
+ * Get the input entries, output entries and annotation of the rules
+ * represented by spreadsheet rows, skipping the header and empty rows.
+ *
+ * @param {Array<Array<string>>} rows
+ * @param {ModdleElement} decisionTable
+ *
+ * @return {Array<{
+ *   row: number,
+ *   inputEntries: Array<string>,
+ *   outputEntries: Array<string>,
+ *   description: string
+ * }>}
+ */
+export function getRules(rows, decisionTable) {
+  const inputCount = decisionTable.get('input').length,
+        outputCount = decisionTable.get('output').length;
+
+  return rows.slice(2).map((row, index) => {
+    const cells = row.slice(1).map(cell => (cell || '').trim());
+
+    return {
+      row: index + 3,
+      inputEntries: fill(cells.slice(0, inputCount), inputCount),
+      outputEntries: fill(cells.slice(inputCount, inputCount + outputCount), outputCount),
+      description: cells[ inputCount + outputCount ] || ''
+    };
+  }).filter((rule, index) => {
+    return rows[ index + 2 ].slice(1).some(cell => cell && cell.trim());
+  });
+}
+
+/**
+ * Get a key identifying rules with equal input entries.
+ *
+ * @param {Array<string>} inputEntries
+ *
+ * @return {string}
+ */
+export function getInputKey(inputEntries) {
+  return inputEntries.map(text => {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+
+    return normalized === '' ? '-' : normalized;
+  }).join('\n');
+}
+
+
+// helpers //////////
+
+function getText(entry) {
+  return entry.text || '';
+}
+
+function getInputLabel(input) {
+  const inputExpression = input.inputExpression;
+
+  return input.label || inputExpression && inputExpression.text || '';
+}
+
+function getInputTypeRef(input) {
+  const inputExpression = input.inputExpression;
+
+  return inputExpression && inputExpression.typeRef || '';
+}
+
+function fill(cells, length) {
+  return Array.from({ length }, (_, index) => cells[ index ] || '');
+}
@@ -0,0 +1,259 @@
+import {
+  strFromU8,
+  strToU8,
+  unzipSync,
+  zipSync
+} from 'fflate';
+
+import { find } from 'min-dash';
+
+import escapeHTML from 'escape-html';
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const DOCUMENT_RELATIONSHIPS_NS =
+  'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const INVALID_SHEET_NAME_CHARS = /[\\/?*[\]:]/g;
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+
+/**
+ * Serialize rows of cells to an Office Open XML workbook (XLSX)
+ * with a single worksheet. All cells are written as text.
+ *
+ * @param {Array<Array<string>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.sheetName='Decision Table']
+ *
+ * @return {Uint8Array}
+ */
+export function serializeXLSX(rows, options = {}) {
+  const sheetName = getSheetName(options.sheetName);
+
+  const sheetData = rows.map((row, rowIndex) => {
+    const cells = row.map((cell, colIndex) => {
+      const text = cell === undefined || cell === null ? '' : String(cell);
+
+      return `<c r="${ getCellRef(rowIndex, colIndex) }" t="inlineStr">` +
+        `<is><t xml:space="preserve">${ escapeHTML(text) }</t></is></c>`;
+    });
+
+    return `<row r="${ rowIndex + 1 }">${ cells.join('') }</row>`;
+  }).join('');
+
+  return zipSync({
+    '[Content_Types].xml': xml(
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ' +
+          'ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/' +
+          'vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/' +
+          'vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>'
+    ),
+    '_rels/.rels': xml(
+      `<Relationships xmlns="${ RELATIONSHIPS_NS }">` +
+        `<Relationship Id="rId1" Type="${ DOCUMENT_RELATIONSHIPS_NS }/officeDocument" ` +
+          'Target="xl/workbook.xml"/>' +
+      '</Relationships>'
+    ),
+    'xl/workbook.xml': xml(
+      `<workbook xmlns="${ MAIN_NS }" xmlns:r="${ DOCUMENT_RELATIONSHIPS_NS }">` +
+        '<sheets>' +
+          `<sheet name="${ escapeHTML(sheetName) }" sheetId="1" r:id="rId1"/>` +
+        '</sheets>' +
+      '</workbook>'
+    ),
+    'xl/_rels/workbook.xml.rels': xml(
+      `<Relationships xmlns="${ RELATIONSHIPS_NS }">` +
+        `<Relationship Id="rId1" Type="${ DOCUMENT_RELATIONSHIPS_NS }/worksheet" ` +
+          'Target="worksheets/sheet1.xml"/>' +
+      '</Relationships>'
+    ),
+    'xl/worksheets/sheet1.xml': xml(
+      `<worksheet xmlns="${ MAIN_NS }"><sheetData>${ sheetData }</sheetData></worksheet>`
+    )
+  });
+}
+
+/**
+ * Parse the first worksheet of an Office Open XML workbook (XLSX)
+ * into rows of cells.
+ *
+ * @param {ArrayBuffer|Uint8Array} data
+ *
+ * @return {Array<Array<string>>}
+ */
+export function parseXLSX(data) {
+  let files;
+
+  try {
+    files = unzipSync(data instanceof Uint8Array ? data : new Uint8Array(data));
+  } catch (error) {
+    throw new Error('failed to read workbook: ' + error.message);
+  }
+
+  const readXML = (path) => {
+    const file = files[ path ];
+
+    return file && new DOMParser().parseFromString(strFromU8(file), 'application/xml');
+  };
+
+  const sheetPath = getFirstSheetPath(readXML);
+
+  const sheet = sheetPath && readXML(sheetPath);
+
+  if (!sheet) {
+    throw new Error('no worksheet found');
+  }
+
+  const sharedStrings = getSharedStrings(readXML('xl/sharedStrings.xml'));
+
+  const rows = [];
+
+  getChildren(sheet, 'row').forEach(rowNode => {
+    const rowIndex = rowNode.hasAttribute('r') ?
+      Number(rowNode.getAttribute('r')) - 1 :
+      rows.length;
+
+    const row = [];
+
+    getChildren(rowNode, 'c').forEach(cellNode => {
+      const colIndex = cellNode.hasAttribute('r') ?
+        getColIndex(cellNode.getAttribute('r')) :
+        row.length;
+
+      row[ colIndex ] = getCellValue(cellNode, sharedStrings);
+    });
+
+    rows[ rowIndex ] = Array.from(row, cell => cell === undefined ? '' : cell);
+  });
+
+  return Array.from(rows, row => row || []);
+}
+
+/**
+ * Return the reference of a cell, e.g. `B3`.
+ *
+ * @param {number} rowIndex
+ * @param {number} colIndex
+ *
+ * @return {string}
+ */
+export function getCellRef(rowIndex, colIndex) {
+  let letters = '';
+
+  for (let index = colIndex + 1; index > 0; index = Math.floor((index - 1) / 26)) {
+    letters = String.fromCharCode(65 + (index - 1) % 26) + letters;
+  }
+
+  return letters + (rowIndex + 1);
+}
+
+
+// helpers //////////
+
+function xml(content) {
+  return strToU8(XML_HEADER + content);
+}
+
+function getSheetName(name) {
+  const sheetName = (name || '')
+    .replace(INVALID_SHEET_NAME_CHARS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SHEET_NAME_LENGTH);
+
+  return sheetName || 'Decision Table';
+}
+
+function getColIndex(cellRef) {
+  const letters = /^[A-Z]+/.exec(cellRef)[ 0 ];
+
+  return letters.split('').reduce((index, letter) => {
+    return index * 26 + letter.charCodeAt(0) - 64;
+  }, 0) - 1;
+}
+
+function getFirstSheetPath(readXML) {
+  const workbook = readXML('xl/workbook.xml'),
+        relationships = readXML('xl/_rels/workbook.xml.rels');
+
+  if (!workbook || !relationships) {
+    return 'xl/worksheets/sheet1.xml';
+  }
+
+  const [ sheet ] = getChildren(workbook, 'sheet');
+
+  if (!sheet) {
+    return null;
+  }
+
+  const id = sheet.getAttributeNS(DOCUMENT_RELATIONSHIPS_NS, 'id');
+
+  const relationship = find(
+    getChildren(relationships, 'Relationship', RELATIONSHIPS_NS),
+    node => node.getAttribute('Id') === id
+  );
+
+  if (!relationship) {
+    return null;
+  }
+
+  const target = relationship.getAttribute('Target');
+
+  return target.startsWith('/') ? target.slice(1) : 'xl/' + target;
+}
+
+function getSharedStrings(document) {
+  if (!document) {
+    return [];
+  }
+
+  return getChildren(document, 'si').map(getText);
+}
+
+function getCellValue(cellNode, sharedStrings) {
+  const type = cellNode.getAttribute('t');
+
+  if (type === 'inlineStr') {
+    const [ inlineString ] = getChildren(cellNode, 'is');
+
+    return inlineString ? getText(inlineString) : '';
+  }
+
+  const [ valueNode ] = getChildren(cellNode, 'v');
+
+  const value = valueNode ? valueNode.textContent : '';
+
+  if (type === 's') {
+    return sharedStrings[ Number(value) ] || '';
+  }
+
+  if (type === 'b') {
+    return value === '1' ? 'true' : 'false';
+  }
+
+  return value;
+}
+
+/**
+ * Return the text of a rich text element, ignoring phonetic runs.
+ */
+function getText(node) {
+  return getChildren(node, 't').filter(textNode => {
+    return textNode.parentNode.localName !== 'rPh';
+  }).map(textNode => textNode.textContent).join('');
+}
+
+function getChildren(node, localName, namespace = MAIN_NS) {
+  return Array.from(node.getElementsByTagNameNS(namespace, localName));
+}
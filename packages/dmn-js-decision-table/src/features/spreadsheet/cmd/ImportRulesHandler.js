@@ -0,0 +1,172 @@
+import { reviveDescriptor } from '../../copy-cut-paste/DescriptorUtil';
+
+import { getInputKey } from '../SpreadsheetUtil';
+
+
+/**
+ * A handler that imports rules, either replacing all existing rules
+ * or merging them with rules of equal input entries.
+ */
+export default class ImportRulesHandler {
+
+  constructor(dmnFactory, moddle, modeling, sheet) {
+    this._dmnFactory = dmnFactory;
+    this._model = moddle;
+    this._modeling = modeling;
+    this._sheet = sheet;
+  }
+
+  /**
+   * <do>
+   */
+  postExecute(context) {
+    const {
+      hitPolicy,
+      merge,
+      rules
+    } = context;
+
+    const modeling = this._modeling;
+
+    const root = this._sheet.getRoot();
+
+    if (hitPolicy) {
+      modeling.editHitPolicy(hitPolicy.hitPolicy, hitPolicy.aggregation);
+    }
+
+    const existingRows = {};
+
+    let added = 0,
+        updated = 0,
+        removed = 0;
+
+    if (merge) {
+      root.rows.forEach(row => {
+        const key = getInputKey(row.businessObject.get('inputEntry').map(e => e.text));
+
+        existingRows[ key ] = existingRows[ key ] || row;
+      });
+    } else {
+      root.rows.slice().forEach(row => {
+        modeling.removeRow(row);
+
+        removed++;
+      });
+    }
+
+    const newRules = rules.filter(rule => {
+      const row = existingRows[ getInputKey(rule.inputEntries) ];
+
+      if (!row) {
+        return true;
+      }
+
+      if (this._updateRule(row.businessObject, rule)) {
+        updated++;
+      }
+
+      return false;
+    });
+
+    this._createRows(newRules).forEach(row => {
+      modeling.addRow(row);
+
+      added++;
+    });
+
+    context.result = {
+      added,
+      updated,
+      removed
+    };
+  }
+
+  /**
+   * <undo>
+   */
+  revert(context) {}
+
+  /**
+   * Update outputs and annotation of an existing rule.
+   *
+   * @return {boolean} whether the rule changed
+   */
+  _updateRule(businessObject, rule) {
+    const modeling = this._modeling;
+
+    let changed = false;
+
+    businessObject.get('outputEntry').forEach((outputEntry, index) => {
+      const text = rule.outputEntries[ index ];
+
+      if ((outputEntry.text || '') !== text) {
+        modeling.editCell(outputEntry, text);
+
+        changed = true;
+      }
+    });
+
+    if (rule.description && rule.description !== businessObject.description) {
+      modeling.editAnnotation(businessObject, rule.description);
+
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Create rows from rules via descriptors, as done when pasting rows.
+   */
+  _createRows(rules) {
+    const descriptors = rules.map((rule, ruleIndex) => {
+      const id = `rule_${ ruleIndex }`;
+
+      const createEntry = (type) => (text, index) => ({
+        $type: type,
+        id: `${ id }_${ type }_${ index }`,
+        text
+      });
+
+      const inputEntries = rule.inputEntries.map(createEntry('dmn:UnaryTests')),
+            outputEntries = rule.outputEntries.map(createEntry('dmn:LiteralExpression'));
+
+      const businessObject = {
+        $type: 'dmn:DecisionRule',
+        id,
+        inputEntry: inputEntries,
+        outputEntry: outputEntries
+      };
+
+      if (rule.description) {
+        businessObject.description = rule.description;
+      }
+
+      return {
+        id,
+        type: 'row',
+        businessObject,
+        cells: [ ...inputEntries, ...outputEntries ].map(entry => ({
+          id: entry.id,
+          type: 'cell',
+          businessObject: entry
+        }))
+      };
+    });
+
+    return reviveDescriptor({
+      root: descriptors,
+      descriptorCache: {}
+    }, {
+      _dmnFactory: this._dmnFactory,
+      _model: this._model
+    }).root;
+  }
+}
+
+ImportRulesHandler.$inject = [
+  'dmnFactory',
+  'moddle',
+  'modeling',
+  'sheet'
+];
@@ -0,0 +1,6 @@
+import Spreadsheet from './Spreadsheet';
+
+export default {
+  __init__: [ 'spreadsheet' ],
+  spreadsheet: [ 'type', Spreadsheet ]
+};
@@ -0,0 +1,104 @@
+import { isString } from 'min-dash';
+
+import { applyHitPolicy } from 'dmn-js-shared/lib/util/HitPolicyUtil';
+
+import {
+  matchesInputEntry,
+  parseInputEntry,
+  parseInputValue
+} from 'dmn-js-shared/lib/util/UnaryTestsUtil';
+
+
+/**
+ * Evaluate a decision table for the given input values according to its hit
+ * policy and aggregation.
+ *
+ * Only input entries understood by the simple edit features are supported,
+ * cf. {@link parseInputEntry}. Output entries are returned as they are,
+ * numeric outputs are parsed for aggregations.
+ *
+ * @param {ModdleElement} decisionTable
+ * @param {Object<string, string>} inputValues - raw values by input ID
+ *
+ * @return { {
+ *   matchedRules: Array<ModdleElement>,
+ *   outputs: Array<{ output: ModdleElement, value: string|number|Array<string> }>,
+ *   error?: { message: string, values: Object }
+ * } }
+ */
+export function evaluateDecisionTable(decisionTable, inputValues) {
+  const inputs = decisionTable.get('input'),
+        outputs = decisionTable.get('output');
+
+  const values = inputs.map(input => {
+    return parseInputValue(inputValues[ input.id ], getTypeRef(input));
+  });
+
+  const matchedRules = [];
+
+  for (const rule of decisionTable.get('rule')) {
+    const inputEntries = rule.get('inputEntry');
+
+    let matches = true;
+
+    for (let index = 0; index < inputs.length && matches; index++) {
+      const inputEntry = inputEntries[ index ],
+            text = inputEntry && inputEntry.text;
+
+      if (isAnyText(text)) {
+        continue;
+      }
+
+      const entry = parseInputEntry(text, getTypeRef(inputs[ index ]));
+
+      if (!entry) {
+        return {
+          matchedRules: [],
+          outputs: [],
+          error: {
+            message: 'Rule {index} cannot be evaluated',
+            values: {
+              index: decisionTable.get('rule').indexOf(rule) + 1
+            }
+          }
+        };
+      }
+
+      matches = matchesInputEntry(entry, values[ index ]);
+    }
+
+    if (matches) {
+      matchedRules.push(rule);
+    }
+  }
+
+  const matches = matchedRules.map(rule => ({
+    rule,
+    values: rule.get('outputEntry').map(({ text }) => normalizeText(text))
+  }));
+
+  const { values: outputValues, error } = applyHitPolicy(decisionTable, matches);
+
+  return {
+    matchedRules,
+    outputs: outputs.map((output, index) => ({
+      output,
+      value: outputValues[ index ]
+    })),
+    error
+  };
+}
+
+// helpers //////////
+
+function getTypeRef(input) {
+  return input.inputExpression && input.inputExpression.typeRef;
+}
+
+function isAnyText(text) {
+  return !isString(text) || !text.trim() || text.trim() === '-';
+}
+
+function normalizeText(text) {
+  return (text || '').trim();
+}
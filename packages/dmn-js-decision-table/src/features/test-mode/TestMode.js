@@ -0,0 +1,179 @@
+import TestModeButtonComponent from './components/TestModeButtonComponent';
+import TestModeFootComponent from './components/TestModeFootComponent';
+
+import { evaluateDecisionTable } from './EvaluationUtil';
+
+const LOW_PRIORITY = 500,
+      HIGH_PRIORITY = 1500;
+
+export const MATCH_MARKER = 'test-match';
+
+
+/**
+ * Allows users to test a decision table in the browser. While active, a
+ * value can be entered per input in the table foot. The table is evaluated
+ * locally according to its hit policy, matching rules are highlighted and
+ * the resulting outputs are shown below the inputs.
+ *
+ * @param {ChangeSupport} changeSupport
+ * @param {Components} components
+ * @param {EventBus} eventBus
+ * @param {Sheet} sheet
+ */
+export default class TestMode {
+
+  constructor(changeSupport, components, eventBus, sheet) {
+    this._changeSupport = changeSupport;
+    this._eventBus = eventBus;
+    this._sheet = sheet;
+
+    this._active = false;
+    this._inputs = {};
+    this._result = null;
+
+    components.onGetComponent('table.before', () => TestModeButtonComponent);
+
+    components.onGetComponent('table.foot', HIGH_PRIORITY, () => {
+      if (this.isActive()) {
+        return TestModeFootComponent;
+      }
+    });
+
+    eventBus.on('elements.changed', LOW_PRIORITY, () => {
+      if (this.isActive()) {
+        this.evaluate();
+      }
+    });
+
+    eventBus.on('diagram.clear', () => {
+      this._active = false;
+      this._inputs = {};
+      this._result = null;
+    });
+  }
+
+  /**
+   * Return whether test mode is active.
+   *
+   * @return {boolean}
+   */
+  isActive() {
+    return this._active;
+  }
+
+  /**
+   * Activate or deactivate test mode.
+   *
+   * @param {boolean} [active] - toggle if not specified
+   */
+  toggle(active = !this._active) {
+    const root = this._sheet.getRoot();
+
+    if (active === this._active || !root) {
+      return;
+    }
+
+    this._active = active;
+
+    if (active) {
+      this.evaluate();
+    } else {
+      this._setResult(null);
+    }
+
+    this._changeSupport.elementsChanged([ { id: root.id } ]);
+
+    this._eventBus.fire('testMode.toggle', { active });
+  }
+
+  /**
+   * Set the test value of an input and re-evaluate.
+   *
+   * @param {string} inputId
+   * @param {string} value
+   */
+  setInput(inputId, value) {
+    this._inputs = {
+      ...this._inputs,
+      [ inputId ]: value
+    };
+
+    if (this.isActive()) {
+      this.evaluate();
+    }
+  }
+
+  /**
+   * Get test values by input ID.
+   *
+   * @return {Object<string, string>}
+   */
+  getInputs() {
+    return this._inputs;
+  }
+
+  /**
+   * Get the result of the latest evaluation.
+   *
+   * @return {Object|null}
+   */
+  getResult() {
+    return this._result;
+  }
+
+  /**
+   * Return whether a rule matched the test values.
+   *
+   * @param {string} ruleId
+   *
+   * @return {boolean}
+   */
+  isMatched(ruleId) {
+    const result = this._result;
+
+    return !!result && result.matchedRules.some(rule => rule.id === ruleId);
+  }
+
+  /**
+   * Evaluate the decision table with the current test values.
+   */
+  evaluate() {
+    const root = this._sheet.getRoot();
+
+    if (!root || !root.businessObject) {
+      return;
+    }
+
+    this._setResult(evaluateDecisionTable(root.businessObject, this._inputs));
+  }
+
+  _setResult(result) {
+    const oldMatched = getMatchedIds(this._result),
+          newMatched = getMatchedIds(result);
+
+    this._result = result;
+
+    const changed = [
+      ...oldMatched.filter(id => !newMatched.includes(id)),
+      ...newMatched.filter(id => !oldMatched.includes(id))
+    ];
+
+    this._changeSupport.elementsChanged(changed.map(id => ({ id })));
+
+    this._eventBus.fire('testMode.changed', { result });
+  }
+}
+
+TestMode.$inject = [
+  'changeSupport',
+  'components',
+  'eventBus',
+  'sheet'
+];
+
+
+// helpers //////////
+
+function getMatchedIds(result) {
+  return result ? result.matchedRules.map(rule => rule.id) : [];
+}
@@ -0,0 +1,50 @@
+import { Component } from 'inferno';
+
+import { inject } from 'table-js/lib/components';
+
+
+export default class TestModeButtonComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  componentWillMount() {
+    this.eventBus.on('testMode.toggle', this.onToggle);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('testMode.toggle', this.onToggle);
+  }
+
+  onToggle = () => {
+    this.forceUpdate();
+  };
+
+  onClick = () => {
+    this.testMode.toggle();
+  };
+
+  render() {
+    const isActive = this.testMode.isActive();
+
+    return (
+      <div className="test-mode">
+        <button
+          type="button"
+          onClick={ this.onClick }
+          className={ isActive ? 'test-mode-button active' : 'test-mode-button' }>
+          { isActive ? this.translate('Exit test mode') : this.translate('Test') }
+        </button>
+      </div>
+    );
+  }
+}
+
+TestModeButtonComponent.$inject = [
+  'eventBus',
+  'testMode',
+  'translate'
+];
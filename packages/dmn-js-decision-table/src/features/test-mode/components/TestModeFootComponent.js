@@ -0,0 +1,189 @@
+import { Component } from 'inferno';
+
+import { isArray, isUndefined } from 'min-dash';
+
+import { inject } from 'table-js/lib/components';
+
+import Input from 'dmn-js-shared/lib/components/Input';
+import Select from 'dmn-js-shared/lib/components/Select';
+
+import { NUMBER_TYPES } from 'dmn-js-shared/lib/util/UnaryTestsUtil';
+
+
+/**
+ * Table foot shown in test mode with an input field per input and the
+ * evaluated output per output.
+ */
+export default class TestModeFootComponent extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    inject(this);
+  }
+
+  componentWillMount() {
+    this.eventBus.on('testMode.changed', this.onResultChanged);
+  }
+
+  componentWillUnmount() {
+    this.eventBus.off('testMode.changed', this.onResultChanged);
+  }
+
+  onResultChanged = () => {
+    this.forceUpdate();
+  };
+
+  renderInput(input) {
+    const { testMode, translate } = this;
+
+    const value = testMode.getInputs()[ input.id ] || '',
+          typeRef = input.inputExpression && input.inputExpression.typeRef,
+          label = translate('Test value');
+
+    const onChange = value => testMode.setInput(input.id, value);
+
+    if (typeRef === 'boolean') {
+      return (
+        <Select
+          className="test-mode-input"
+          label={ label }
+          options={ [
+            { label: '-', value: '' },
+            { label: 'true', value: 'true' },
+            { label: 'false', value: 'false' }
+          ] }
+          value={ value }
+          onChange={ onChange } />
+      );
+    }
+
+    return (
+      <Input
+        className="test-mode-input"
+        label={ label }
+        placeholder={ translate('Test value') }
+        type={ getInputType(typeRef) }
+        value={ value }
+        onInput={ onChange } />
+    );
+  }
+
+  renderStatus(result) {
+    const { translate } = this;
+
+    if (!result) {
+      return null;
+    }
+
+    if (result.error) {
+      const { message, values } = result.error;
+
+      return (
+        <span className="test-mode-error">{ translate(message, values) }</span>
+      );
+    }
+
+    const { businessObject } = this.sheet.getRoot();
+
+    const rules = businessObject.get('rule');
+
+    if (!result.matchedRules.length) {
+      return translate('No rule matches');
+    }
+
+    return translate('Matched rules: {rules}', {
+      rules: result.matchedRules.map(rule => rules.indexOf(rule) + 1).join(', ')
+    });
+  }
+
+  render() {
+    const { cols } = this.props;
+
+    const result = this.testMode.getResult();
+
+    const { businessObject } = this.sheet.getRoot();
+
+    const cells = [
+      <td className="test-mode-index">{ this.translate('Test') }</td>
+    ];
+
+    if (!businessObject.input || !businessObject.input.length) {
+      cells.push(<td className="input-cell">-</td>);
+    }
+
+    for (let i = 0; i < cols.length + 1; i++) {
+      const businessObject = cols[i] && cols[i].businessObject;
+
+      if (!businessObject) {
+        cells.push(
+          <td className="test-mode-status annotation">
+            { this.renderStatus(result) }
+          </td>
+        );
+      } else if (businessObject.$instanceOf('dmn:InputClause')) {
+        cells.push(
+          <td className="test-mode-cell input-cell">
+            { this.renderInput(businessObject) }
+          </td>
+        );
+      } else if (businessObject.$instanceOf('dmn:OutputClause')) {
+        cells.push(
+          <td className="test-mode-cell test-mode-output output-cell">
+            { getOutputValue(result, businessObject) }
+          </td>
+        );
+      }
+    }
+
+    return (
+      <tfoot className="test-mode-foot">
+        <tr>
+          { cells }
+        </tr>
+      </tfoot>
+    );
+  }
+}
+
+TestModeFootComponent.$inject = [
+  'eventBus',
+  'sheet',
+  'testMode',
+  'translate'
+];
+
+
+// helpers //////////
+
+function getInputType(typeRef) {
+  if (NUMBER_TYPES.includes(typeRef)) {
+    return 'number';
+  }
+
+  if (typeRef === 'date') {
+    return 'date';
+  }
+
+  if (typeRef === 'dateTime') {
+    return 'datetime-local';
+  }
+
+  return 'text';
+}
+
+function getOutputValue(result, output) {
+  const outputResult = result && result.outputs.find(o => o.output === output);
+
+  const value = outputResult && outputResult.value;
+
+  if (isUndefined(value)) {
+    return '-';
+  }
+
+  if (isArray(value)) {
+    return `[${ value.join(', ') }]`;
+  }
+
+  return String(value);
+}
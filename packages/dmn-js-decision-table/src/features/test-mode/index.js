@@ -0,0 +1,6 @@
+import TestMode from './TestMode';
+
+export default {
+  __init__: [ 'testMode' ],
+  testMode: [ 'type', TestMode ]
+};
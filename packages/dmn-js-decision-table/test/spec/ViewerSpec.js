@@ -68,6 +68,59 @@ describe('DecisionTable', function() {
   });
 
 
+  describe('#saveSVG', function() {
+
+    let decisionTableViewer;
+
+    beforeEach(bootstrapViewer(simpleDiagramXML, {
+      container: testContainer
+    }));
+
+    beforeEach(function() {
+      decisionTableViewer = getDecisionTable();
+    });
+
+
+    it('should export SVG', async function() {
+
+      // when
+      const { svg } = await decisionTableViewer.saveSVG();
+
+      // then
+      expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+      expect(svg).to.contain('<foreignObject');
+      expect(svg).to.contain('Check Order');
+    });
+
+  });
+
+
+  describe('#saveHTML', function() {
+
+    let decisionTableViewer;
+
+    beforeEach(bootstrapViewer(simpleDiagramXML, {
+      container: testContainer
+    }));
+
+    beforeEach(function() {
+      decisionTableViewer = getDecisionTable();
+    });
+
+
+    it('should export HTML', async function() {
+
+      // when
+      const { html } = await decisionTableViewer.saveHTML();
+
+      // then
+      expect(html).to.match(/^<div class="dmn-decision-table-container"/);
+      expect(html).to.contain('Check Order');
+    });
+
+  });
+
+
   describe('#attachTo', function() {
 
     let decisionTableViewer;
@@ -0,0 +1,437 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import {
+  triggerClick,
+  triggerKeyEvent
+} from 'dmn-js-shared/test/util/EventUtil';
+
+import { query as domQuery } from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import BulkEditModule from 'src/features/bulk-edit';
+import ContextMenuModule from 'src/features/context-menu';
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import DecisionTableHeadModule from 'src/features/decision-table-head';
+import KeyboardModule from 'src/features/keyboard';
+import ModelingModule from 'src/features/modeling';
+
+import bulkEditXML from './bulk-edit.dmn';
+
+
+describe('features/bulk-edit', function() {
+
+  beforeEach(bootstrapModeler(bulkEditXML, {
+    modules: [
+      BulkEditModule,
+      ContextMenuModule,
+      CoreModule,
+      DecisionRulesEditorModule,
+      DecisionTableHeadModule,
+      KeyboardModule,
+      ModelingModule
+    ]
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function getText(elementRegistry, id) {
+    return elementRegistry.get(id).businessObject.text;
+  }
+
+  function getTexts(elementRegistry, ids) {
+    return ids.map(id => getText(elementRegistry, id));
+  }
+
+
+  describe('#clear', function() {
+
+    it('should clear selected cells', inject(
+      function(bulkEdit, cellSelection, elementRegistry) {
+
+        // given
+        cellSelection.selectRange('inputEntry3', 'outputEntry5');
+
+        // when
+        bulkEdit.clear();
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry3', 'inputEntry4', 'outputEntry3',
+          'inputEntry5', 'inputEntry6', 'outputEntry5'
+        ])).to.eql([ '', '', '', '', '', '' ]);
+
+        expect(getText(elementRegistry, 'outputEntry4')).to.eql(
+          '"you little fish will get what you want"'
+        );
+      }
+    ));
+
+
+    it('should undo at once', inject(
+      function(bulkEdit, cellSelection, commandStack, elementRegistry) {
+
+        // given
+        cellSelection.selectRange('inputEntry3', 'outputEntry5');
+
+        bulkEdit.clear();
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry3', 'inputEntry4', 'outputEntry3',
+          'inputEntry5', 'inputEntry6', 'outputEntry5'
+        ])).to.eql([ '"silver"', '< 1000', '"ok"', '"silver"', '>= 1000', '"notok"' ]);
+      }
+    ));
+
+  });
+
+
+  describe('#fillDown', function() {
+
+    it('should fill selected cells', inject(
+      function(bulkEdit, cellSelection, elementRegistry) {
+
+        // given
+        cellSelection.selectRange('inputEntry3', 'outputEntry7');
+
+        // when
+        bulkEdit.fillDown();
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry5', 'inputEntry7',
+          'inputEntry6', 'inputEntry8',
+          'outputEntry5', 'outputEntry7'
+        ])).to.eql([
+          '"silver"', '"silver"',
+          '< 1000', '< 1000',
+          '"ok"', '"ok"'
+        ]);
+      }
+    ));
+
+
+    it('should fill disjoint cells', inject(
+      function(bulkEdit, cellSelection, elementRegistry) {
+
+        // given
+        cellSelection.selectRange('inputEntry1', 'inputEntry1');
+        cellSelection.toggleCell('inputEntry7');
+
+        // when
+        bulkEdit.fillDown();
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry7')).to.eql('"bronze"');
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"silver"');
+      }
+    ));
+
+
+    it('should undo at once', inject(
+      function(bulkEdit, cellSelection, commandStack, elementRegistry) {
+
+        // given
+        cellSelection.selectRange('inputEntry3', 'outputEntry7');
+
+        bulkEdit.fillDown();
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry7', 'inputEntry8', 'outputEntry5'
+        ])).to.eql([ '"gold"', '', '"notok"' ]);
+      }
+    ));
+
+  });
+
+
+  describe('#removeRules', function() {
+
+    it('should remove rules', inject(function(bulkEdit, cellSelection, sheet) {
+
+      // given
+      cellSelection.selectRange('inputEntry3', 'inputEntry5');
+
+      // when
+      bulkEdit.removeRules();
+
+      // then
+      expect(sheet.getRoot().rows.map(row => row.id)).to.eql([ 'rule1', 'rule4' ]);
+    }));
+
+
+    it('should undo at once', inject(
+      function(bulkEdit, cellSelection, commandStack, sheet) {
+
+        // given
+        cellSelection.selectRange('inputEntry3', 'inputEntry5');
+
+        bulkEdit.removeRules();
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(sheet.getRoot().rows.map(row => row.id)).to.eql([
+          'rule1', 'rule2', 'rule3', 'rule4'
+        ]);
+      }
+    ));
+
+  });
+
+
+  describe('#removeCols', function() {
+
+    it('should remove columns', inject(function(bulkEdit, cellSelection, sheet) {
+
+      // given
+      cellSelection.selectRange('inputEntry2', 'outputEntry3');
+
+      // when
+      bulkEdit.removeCols();
+
+      // then
+      expect(sheet.getRoot().cols.map(col => col.id)).to.eql([ 'input1', 'output2' ]);
+    }));
+
+
+    it('should keep an output', inject(function(bulkEdit, cellSelection, sheet) {
+
+      // given
+      cellSelection.selectRange('outputEntry1', 'outputEntry2');
+
+      // when
+      bulkEdit.removeCols();
+
+      // then
+      expect(sheet.getRoot().cols.map(col => col.id)).to.eql([
+        'input1', 'input2', 'output1'
+      ]);
+    }));
+
+
+    it('should undo at once', inject(
+      function(bulkEdit, cellSelection, commandStack, sheet) {
+
+        // given
+        cellSelection.selectRange('inputEntry2', 'outputEntry3');
+
+        bulkEdit.removeCols();
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(sheet.getRoot().cols.map(col => col.id)).to.eql([
+          'input1', 'input2', 'output1', 'output2'
+        ]);
+      }
+    ));
+
+  });
+
+
+  describe('simple mode', function() {
+
+    it('should set value of selected cells', inject(
+      function(cellSelection, contextMenu, elementRegistry, modeling) {
+
+        // given
+        const cell = elementRegistry.get('inputEntry1');
+
+        cellSelection.selectRange('inputEntry1', 'inputEntry4');
+
+        contextMenu.open({ x: 0, y: 0 }, {
+          contextMenuType: 'simple-mode-edit',
+          element: cell
+        });
+
+        // when
+        modeling.editCell(cell.businessObject, '"gold"');
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry1', 'inputEntry3', 'inputEntry2', 'inputEntry4'
+        ])).to.eql([ '"gold"', '"gold"', '', '< 1000' ]);
+      }
+    ));
+
+
+    it('should undo at once', inject(
+      function(cellSelection, commandStack, contextMenu, elementRegistry, modeling) {
+
+        // given
+        const cell = elementRegistry.get('inputEntry1');
+
+        cellSelection.selectRange('inputEntry1', 'inputEntry4');
+
+        contextMenu.open({ x: 0, y: 0 }, {
+          contextMenuType: 'simple-mode-edit',
+          element: cell
+        });
+
+        modeling.editCell(cell.businessObject, '"gold"');
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry1', 'inputEntry3'
+        ])).to.eql([ '"bronze"', '"silver"' ]);
+      }
+    ));
+
+
+    it('should NOT set value if closed', inject(
+      function(cellSelection, elementRegistry, modeling) {
+
+        // given
+        const cell = elementRegistry.get('inputEntry1');
+
+        cellSelection.selectRange('inputEntry1', 'inputEntry4');
+
+        // when
+        modeling.editCell(cell.businessObject, '"gold"');
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"silver"');
+      }
+    ));
+
+  });
+
+
+  describe('context menu', function() {
+
+    it('should offer entries for selected range', inject(
+      function(cellSelection, contextMenu, elementRegistry) {
+
+        // given
+        cellSelection.selectRange('inputEntry3', 'inputEntry5');
+
+        // when
+        contextMenu.open({ x: 0, y: 0 }, {
+          contextMenuType: 'context-menu',
+          id: 'inputEntry5'
+        });
+
+        const entry = domQuery('.context-menu-entry-clear-cells', testContainer);
+
+        triggerClick(entry);
+
+        // then
+        expect(getTexts(elementRegistry, [
+          'inputEntry3', 'inputEntry5'
+        ])).to.eql([ '', '' ]);
+      }
+    ));
+
+
+    it('should NOT offer entries without range', inject(function(contextMenu) {
+
+      // when
+      contextMenu.open({ x: 0, y: 0 }, {
+        contextMenuType: 'context-menu',
+        id: 'inputEntry5'
+      });
+
+      // then
+      expect(domQuery('.context-menu-entry-clear-cells', testContainer)).not.to.exist;
+    }));
+
+  });
+
+
+  describe('keyboard', function() {
+
+    beforeEach(inject(function(keyboard) {
+      keyboard.bind();
+    }));
+
+    function getGraphics(elementId) {
+      return domQuery(`[data-element-id="${ elementId }"]`, testContainer);
+    }
+
+
+    it('should clear on <DELETE>', inject(function(cellSelection, elementRegistry) {
+
+      // given
+      cellSelection.selectRange('inputEntry3', 'inputEntry5');
+
+      // when
+      triggerKeyEvent(getGraphics('inputEntry3'), 'keydown', { keyCode: 46 });
+
+      // then
+      expect(getTexts(elementRegistry, [
+        'inputEntry3', 'inputEntry5'
+      ])).to.eql([ '', '' ]);
+    }));
+
+
+    it('should NOT clear single cell on <DELETE>', inject(
+      function(cellSelection, elementRegistry) {
+
+        // given
+        triggerClick(getGraphics('inputEntry3'));
+
+        // when
+        triggerKeyEvent(getGraphics('inputEntry3'), 'keydown', { keyCode: 46 });
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"silver"');
+      }
+    ));
+
+
+    it('should NOT clear on <DELETE> outside of cells', inject(
+      function(cellSelection, elementRegistry) {
+
+        // given
+        const input = document.createElement('input');
+
+        testContainer.querySelector('.dmn-decision-table-container').appendChild(input);
+
+        cellSelection.selectRange('inputEntry3', 'inputEntry5');
+
+        // when
+        triggerKeyEvent(input, 'keydown', { keyCode: 46 });
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"silver"');
+      }
+    ));
+
+
+    it('should fill down on <CTRL+D>', inject(function(cellSelection, elementRegistry) {
+
+      // given
+      cellSelection.selectRange('inputEntry3', 'inputEntry7');
+
+      // when
+      triggerKeyEvent(getGraphics('inputEntry3'), 'keydown', {
+        keyCode: 68,
+        ctrlKey: true
+      });
+
+      // then
+      expect(getText(elementRegistry, 'inputEntry7')).to.eql('"silver"');
+    }));
+
+  });
+
+});
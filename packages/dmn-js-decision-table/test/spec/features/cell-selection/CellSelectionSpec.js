@@ -214,6 +214,222 @@ describe('features/cell-selection', function() {
   });
 
 
+  describe('range selection', function() {
+
+    describe('#selectRange', function() {
+
+      it('should select block', inject(function(cellSelection) {
+
+        // when
+        const selected = cellSelection.selectRange('inputEntry3', 'outputEntry5');
+
+        // then
+        expect(selected).to.be.true;
+
+        expect(cellSelection.getCellSelection()).to.eql('inputEntry3');
+        expect(cellSelection.hasRangeSelection()).to.be.true;
+
+        expect(cellSelection.getSelectedCells()).to.have.members([
+          'inputEntry3',
+          'inputEntry4',
+          'outputEntry3',
+          'inputEntry5',
+          'inputEntry6',
+          'outputEntry5'
+        ]);
+      }));
+
+
+      it('should render selected cells', inject(function(cellSelection) {
+
+        // when
+        cellSelection.selectRange('inputEntry3', 'inputEntry5');
+
+        // then
+        expect(isRangeSelected('inputEntry3')).to.be.true;
+        expect(isRangeSelected('inputEntry5')).to.be.true;
+        expect(isRangeSelected('inputEntry4')).to.be.false;
+      }));
+
+
+      it('should NOT select non-rule cells', inject(function(cellSelection) {
+
+        // when
+        const selected = cellSelection.selectRange(
+          '__decisionProperties_name',
+          'outputEntry5'
+        );
+
+        // then
+        expect(selected).to.be.false;
+        expect(cellSelection.hasRangeSelection()).to.be.false;
+      }));
+
+    });
+
+
+    describe('#toggleCell', function() {
+
+      it('should add disjoint cell', inject(function(cellSelection) {
+
+        // given
+        click('inputEntry1');
+
+        // when
+        cellSelection.toggleCell('outputEntry8');
+
+        // then
+        expect(cellSelection.getSelectedCells()).to.eql([
+          'inputEntry1',
+          'outputEntry8'
+        ]);
+      }));
+
+
+      it('should remove cell', inject(function(cellSelection) {
+
+        // given
+        click('inputEntry1');
+
+        cellSelection.toggleCell('outputEntry8');
+
+        // when
+        cellSelection.toggleCell('outputEntry8');
+
+        // then
+        expect(cellSelection.hasRangeSelection()).to.be.false;
+        expect(cellSelection.getSelectedCells()).to.eql([ 'inputEntry1' ]);
+
+        expect(isRangeSelected('inputEntry1')).to.be.false;
+      }));
+
+    });
+
+
+    describe('#extendSelection', function() {
+
+      it('should extend in direction', inject(function(cellSelection) {
+
+        // given
+        click('outputEntry3');
+
+        // when
+        cellSelection.extendSelection('below');
+        cellSelection.extendSelection('right');
+
+        // then
+        expect(cellSelection.getSelectedCells()).to.have.members([
+          'outputEntry3',
+          'outputEntry4',
+          'outputEntry5',
+          'outputEntry6'
+        ]);
+      }));
+
+
+      it('should shrink towards selected cell', inject(function(cellSelection) {
+
+        // given
+        click('outputEntry3');
+
+        cellSelection.extendSelection('below');
+
+        // when
+        cellSelection.extendSelection('above');
+
+        // then
+        expect(cellSelection.getSelectedCells()).to.eql([ 'outputEntry3' ]);
+      }));
+
+
+      it('should NOT extend beyond rules', inject(function(cellSelection) {
+
+        // given
+        click('outputEntry7');
+
+        // when
+        const changed = cellSelection.extendSelection('below');
+
+        // then
+        expect(changed).to.be.false;
+        expect(cellSelection.hasRangeSelection()).to.be.false;
+      }));
+
+
+      it('should NOT extend non-cell selection', inject(function(cellSelection) {
+
+        // given
+        click('__decisionProperties_name');
+
+        // when
+        const changed = cellSelection.extendSelection('below');
+
+        // then
+        expect(changed).to.be.false;
+      }));
+
+    });
+
+
+    describe('mouse', function() {
+
+      it('should select block on <SHIFT+click>', inject(function(cellSelection) {
+
+        // given
+        click('inputEntry1');
+
+        // when
+        click('inputEntry4', { shiftKey: true });
+
+        // then
+        expect(cellSelection.getCellSelection()).to.eql('inputEntry1');
+
+        expect(cellSelection.getSelectedCells()).to.have.members([
+          'inputEntry1',
+          'inputEntry2',
+          'inputEntry3',
+          'inputEntry4'
+        ]);
+      }));
+
+
+      it('should toggle cell on <CTRL+click>', inject(function(cellSelection) {
+
+        // given
+        click('inputEntry1');
+
+        // when
+        click('outputEntry8', { ctrlKey: true });
+
+        // then
+        expect(cellSelection.getSelectedCells()).to.eql([
+          'inputEntry1',
+          'outputEntry8'
+        ]);
+      }));
+
+
+      it('should reset range on click', inject(function(cellSelection) {
+
+        // given
+        click('inputEntry1');
+        click('inputEntry4', { shiftKey: true });
+
+        // when
+        click('outputEntry5');
+
+        // then
+        expect(cellSelection.hasRangeSelection()).to.be.false;
+        expect(cellSelection.getSelectedCells()).to.eql([ 'outputEntry5' ]);
+
+        expect(isRangeSelected('inputEntry1')).to.be.false;
+      }));
+
+    });
+
+  });
+
+
   describe('integration', function() {
 
     let container, spy;
@@ -245,7 +461,7 @@ describe('features/cell-selection', function() {
 
 // helpers ///////////////////
 
-function click(elementId) {
+function click(elementId, modifiers) {
 
   getDecisionTable().invoke(function(renderer) {
 
@@ -257,7 +473,25 @@ function click(elementId) {
 
     expect(el).to.exist;
 
-    triggerClick(el);
+    if (modifiers) {
+      el.dispatchEvent(new MouseEvent('click', {
+        bubbles: true,
+        cancelable: true,
+        ...modifiers
+      }));
+    } else {
+      triggerClick(el);
+    }
+  });
+
+}
+
+function isRangeSelected(elementId) {
+
+  return getDecisionTable().invoke(function(renderer) {
+    const el = getNodeById(elementId, renderer.getContainer());
+
+    return el.classList.contains('range-selected');
   });
 
 }
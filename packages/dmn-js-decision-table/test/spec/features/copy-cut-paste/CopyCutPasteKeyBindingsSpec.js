@@ -1,3 +1,5 @@
+/* global sinon */
+
 import {
   bootstrapModeler,
   inject
@@ -309,6 +311,219 @@ describe('features/copy-cut-paste/key-bindings', function() {
 
   });
 
+
+  describe('system clipboard', function() {
+
+    function getText(elementRegistry, id) {
+      return elementRegistry.get(id).businessObject.text;
+    }
+
+    function pasteText(text) {
+      return triggerEvent(document.activeElement, 'paste', {
+        clipboardData: {
+          getData(type) {
+            return type === 'text/plain' ? text : '';
+          }
+        }
+      });
+    }
+
+
+    describe('copy', function() {
+
+      let writeText;
+
+      beforeEach(function() {
+        if (!navigator.clipboard) {
+          this.skip();
+        }
+
+        writeText = sinon.stub(navigator.clipboard, 'writeText').resolves();
+      });
+
+      afterEach(function() {
+        writeText && writeText.restore();
+      });
+
+
+      it('row', inject(function(selection) {
+
+        // given
+        selection.select('inputEntry1');
+
+        // when
+        triggerEvent(keyboardTarget, 'keydown', {
+          keyCode: 67,
+          ctrlKey: true
+        });
+
+        // then
+        expect(writeText).to.have.been.calledOnceWith(
+          '"""bronze"""\t\t\t"""notok"""\t' +
+          '"""work on your status first, as bronze you\'re not going to get anything"""' +
+          '\t\tBronze is really not that good'
+        );
+      }));
+
+
+      it('col', inject(function(selection) {
+
+        // given
+        selection.select('inputEntry2');
+
+        // when
+        triggerEvent(keyboardTarget, 'keydown', {
+          keyCode: 67,
+          ctrlKey: true,
+          shiftKey: true
+        });
+
+        // then
+        expect(writeText).to.have.been.calledOnce;
+        expect(writeText.getCall(0).args[ 0 ].split('\n')).to.have.length(4);
+      }));
+
+    });
+
+
+    describe('paste', function() {
+
+      it('into cells', inject(function(elementRegistry, selection) {
+
+        // given
+        selection.select('inputEntry3');
+
+        // when
+        const event = pasteText('"gold"\t> 1000\n"silver"\t< 500');
+
+        // then
+        expect(event.defaultPrevented).to.be.true;
+
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"gold"');
+        expect(getText(elementRegistry, 'inputEntry4')).to.eql('> 1000');
+        expect(getText(elementRegistry, 'inputEntry5')).to.eql('"silver"');
+        expect(getText(elementRegistry, 'inputEntry6')).to.eql('< 500');
+      }));
+
+
+      it('adding rules', inject(function(selection, sheet) {
+
+        // given
+        selection.select('inputEntry7');
+
+        // when
+        pasteText('"gold"\n"silver"\n"bronze"');
+
+        // then
+        const rows = sheet.getRoot().rows;
+
+        expect(rows).to.have.length(6);
+
+        expect(rows.map(row => row.cells[ 0 ].businessObject.text).slice(3)).to.eql([
+          '"gold"',
+          '"silver"',
+          '"bronze"'
+        ]);
+      }));
+
+
+      it('into annotations', inject(function(elementRegistry, selection) {
+
+        // given
+        selection.select('LiteralExpression_0a8xvr5');
+
+        // when
+        pasteText('"foo"\tSome annotation\tignored');
+
+        // then
+        expect(getText(elementRegistry, 'LiteralExpression_0a8xvr5')).to.eql('"foo"');
+        expect(elementRegistry.get('rule2').businessObject.description).to.eql(
+          'Some annotation'
+        );
+      }));
+
+
+      it('undoable', inject(function(commandStack, selection, sheet) {
+
+        // given
+        selection.select('inputEntry7');
+
+        pasteText('"gold"\n"silver"');
+
+        // when
+        commandStack.undo();
+
+        // then
+        const rows = sheet.getRoot().rows;
+
+        expect(rows).to.have.length(4);
+        expect(rows[ 3 ].cells[ 0 ].businessObject.text).not.to.eql('"gold"');
+      }));
+
+
+      it('after internal row copied', inject(function(elementRegistry, selection, sheet) {
+
+        // given
+        selection.select('inputEntry1');
+
+        triggerEvent(keyboardTarget, 'keydown', {
+          keyCode: 67,
+          ctrlKey: true
+        });
+
+        // user copies cells in another application
+        triggerEvent(window, 'blur');
+
+        selection.select('inputEntry3');
+
+        // when
+        const keyEvent = triggerEvent(keyboardTarget, 'keydown', {
+          keyCode: 86,
+          ctrlKey: true
+        });
+
+        const event = pasteText('"gold"\t> 1000');
+
+        // then
+        expect(keyEvent.defaultPrevented).to.be.false;
+        expect(event.defaultPrevented).to.be.true;
+
+        expect(sheet.getRoot().rows).to.have.length(4);
+
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"gold"');
+        expect(getText(elementRegistry, 'inputEntry4')).to.eql('> 1000');
+      }));
+
+
+      it('ignoring single value', inject(function(elementRegistry, selection) {
+
+        // given
+        selection.select('inputEntry3');
+
+        const text = getText(elementRegistry, 'inputEntry3');
+
+        // when
+        const event = pasteText('"gold"');
+
+        // then
+        expect(event.defaultPrevented).to.be.false;
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql(text);
+      }));
+
+
+      it('ignoring without selection', inject(function(sheet) {
+
+        // when
+        pasteText('"gold"\t"silver"');
+
+        // then
+        expect(sheet.getRoot().rows).to.have.length(4);
+      }));
+
+    });
+
+  });
+
 });
 
 
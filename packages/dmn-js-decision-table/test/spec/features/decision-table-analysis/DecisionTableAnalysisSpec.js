@@ -0,0 +1,232 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import analysisXML from './decision-table-analysis.dmn';
+
+import CoreModule from 'src/core';
+import DecisionRuleIndicesModule from 'src/features/decision-rule-indices';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import DecisionTableAnalysisModule from 'src/features/decision-table-analysis';
+import ModelingModule from 'src/features/modeling';
+
+
+describe('features/decision-table-analysis', function() {
+
+  beforeEach(bootstrapModeler(analysisXML, {
+    modules: [
+      CoreModule,
+      DecisionRuleIndicesModule,
+      DecisionRulesEditorModule,
+      DecisionTableAnalysisModule,
+      ModelingModule
+    ],
+    debounceInput: false
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+
+  describe('analysis', function() {
+
+    it('should find overlapping rules', inject(function(decisionTableAnalysis) {
+
+      // when
+      const { overlaps } = decisionTableAnalysis.getResults();
+
+      // then
+      expect(overlaps.map(({ rules }) => rules.map(rule => rule.id))).to.eql([
+        [ 'rule2', 'rule5' ],
+        [ 'rule4', 'rule5' ]
+      ]);
+    }));
+
+
+    it('should find gaps', inject(function(decisionTableAnalysis) {
+
+      // when
+      const { gaps } = decisionTableAnalysis.getResults();
+
+      // then
+      expect(gaps.map(gap => gap.inputEntries)).to.eql([
+        [ '[18..60[', '"silver", "bronze"', 'false' ],
+        [ '[60..65]', '"silver", "bronze"', 'false' ]
+      ]);
+    }));
+
+
+    it('should recompute on change', inject(
+      function(decisionTableAnalysis, elementRegistry, modeling) {
+
+        // given
+        const inputEntry = elementRegistry.get('inputEntry5_1');
+
+        // when
+        modeling.editCell(inputEntry.businessObject, '> 65');
+
+        // then
+        const { overlaps, gaps } = decisionTableAnalysis.getResults();
+
+        expect(overlaps.map(({ rules }) => rules.map(rule => rule.id))).to.eql([
+          [ 'rule4', 'rule5' ]
+        ]);
+        expect(gaps).to.have.length(1);
+      }
+    ));
+
+
+    it('should report unsupported input entries', inject(
+      function(decisionTableAnalysis, elementRegistry, modeling) {
+
+        // given
+        const inputEntry = elementRegistry.get('inputEntry5_1');
+
+        // when
+        modeling.editCell(inputEntry.businessObject, 'age > limit');
+
+        // then
+        const { overlaps, unsupported } = decisionTableAnalysis.getResults();
+
+        expect(overlaps).to.be.empty;
+        expect(unsupported).to.eql([ inputEntry.businessObject ]);
+      }
+    ));
+
+
+    it('should allow overlaps with same output for hit policy ANY', inject(
+      function(decisionTableAnalysis, elementRegistry, modeling) {
+
+        // given
+        const outputEntry = elementRegistry.get('outputEntry5');
+
+        // when
+        modeling.editHitPolicy('ANY');
+        modeling.editCell(outputEntry.businessObject, '0.3');
+
+        // then
+        const { overlaps } = decisionTableAnalysis.getResults();
+
+        expect(overlaps.map(({ rules }) => rules.map(rule => rule.id))).to.eql([
+          [ 'rule2', 'rule5' ]
+        ]);
+      }
+    ));
+
+
+    it('should NOT analyze other hit policies', inject(
+      function(decisionTableAnalysis, modeling) {
+
+        // when
+        modeling.editHitPolicy('FIRST');
+
+        // then
+        expect(decisionTableAnalysis.getResults()).to.be.null;
+        expect(decisionTableAnalysis.getMarkers('rule5')).to.be.empty;
+      }
+    ));
+
+  });
+
+
+  describe('markers', function() {
+
+    it('should mark cells of overlapping rules', function() {
+
+      // then
+      const cell = domQuery('[data-element-id="inputEntry5_1"]', testContainer);
+
+      expect(cell.classList.contains('analysis-overlap')).to.be.true;
+    });
+
+
+    it('should NOT mark other cells', function() {
+
+      // then
+      const cell = domQuery('[data-element-id="inputEntry1_1"]', testContainer);
+
+      expect(cell.classList.contains('analysis-overlap')).to.be.false;
+    });
+
+
+    it('should mark overlapping rules', function() {
+
+      // then
+      const markers = domQueryAll('.rule-index .analysis-marker', testContainer);
+
+      expect(markers).to.have.length(3);
+    });
+
+
+    it('should remove markers once resolved', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        const inputEntry = elementRegistry.get('inputEntry5_1');
+
+        // when
+        modeling.editCell(inputEntry.businessObject, '> 65');
+        modeling.editCell(
+          elementRegistry.get('inputEntry4_2').businessObject,
+          'not("gold")'
+        );
+
+        // then
+        const cell = domQuery('[data-element-id="inputEntry5_1"]', testContainer);
+
+        expect(cell.classList.contains('analysis-overlap')).to.be.false;
+        expect(domQueryAll('.rule-index .analysis-marker', testContainer))
+          .to.have.length(0);
+      }
+    ));
+
+  });
+
+
+  describe('panel', function() {
+
+    it('should list findings', function() {
+
+      // then
+      const panel = domQuery('.decision-table-analysis', testContainer);
+
+      expect(domQueryAll('.decision-table-analysis-overlap', panel)).to.have.length(2);
+      expect(domQueryAll('.decision-table-analysis-gap', panel)).to.have.length(2);
+    });
+
+
+    it('should update on change', inject(function(elementRegistry, modeling) {
+
+      // given
+      const inputEntry = elementRegistry.get('inputEntry5_1');
+
+      // when
+      modeling.editCell(inputEntry.businessObject, '> 65');
+
+      // then
+      const panel = domQuery('.decision-table-analysis', testContainer);
+
+      expect(domQueryAll('.decision-table-analysis-overlap', panel)).to.have.length(1);
+    }));
+
+
+    it('should be hidden for other hit policies', inject(function(modeling) {
+
+      // when
+      modeling.editHitPolicy('FIRST');
+
+      // then
+      expect(domQuery('.decision-table-analysis', testContainer)).not.to.exist;
+    }));
+
+  });
+
+});
@@ -0,0 +1,445 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import {
+  triggerClick,
+  triggerInputEvent,
+  triggerKeyEvent
+} from 'dmn-js-shared/test/util/EventUtil';
+
+import { query as domQuery } from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import AnnotationsEditorModule from 'src/features/annotations/editor';
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import DecisionTableHeadModule from 'src/features/decision-table-head';
+import FindReplaceModule from 'src/features/find-replace';
+import KeyboardModule from 'src/features/keyboard';
+import ModelingModule from 'src/features/modeling';
+
+import findReplaceXML from './find-replace.dmn';
+
+
+describe('features/find-replace', function() {
+
+  beforeEach(bootstrapModeler(findReplaceXML, {
+    modules: [
+      AnnotationsEditorModule,
+      CoreModule,
+      DecisionRulesEditorModule,
+      DecisionTableHeadModule,
+      FindReplaceModule,
+      KeyboardModule,
+      ModelingModule
+    ]
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function getIds(matches) {
+    return matches.map(match => match.id);
+  }
+
+  function getText(elementRegistry, id) {
+    return elementRegistry.get(id).businessObject.text;
+  }
+
+
+  describe('#find', function() {
+
+    it('should find entries and annotations', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('silver');
+
+      // then
+      expect(getIds(matches)).to.eql([ 'inputEntry3', 'rule2', 'inputEntry5' ]);
+    }));
+
+
+    it('should find headers', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('status');
+
+      // then
+      expect(getIds(matches)).to.eql([ 'input1', 'input1', 'rule1' ]);
+
+      expect(matches.map(match => match.path)).to.eql([
+        [ 'label' ], [ 'inputExpression', 'text' ], [ 'description' ]
+      ]);
+    }));
+
+
+    it('should find output names', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('result');
+
+      // then
+      expect(getIds(matches)).to.eql([ 'output1' ]);
+    }));
+
+
+    it('should match case', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('Silver', { caseSensitive: true });
+
+      // then
+      expect(getIds(matches)).to.eql([ 'rule2' ]);
+    }));
+
+
+    it('should find regular expression', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('\\d+', { regex: true });
+
+      // then
+      expect(getIds(matches)).to.eql([ 'inputEntry4', 'inputEntry6' ]);
+    }));
+
+
+    it('should escape query', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('<.*');
+
+      // then
+      expect(matches).to.be.empty;
+    }));
+
+
+    it('should report invalid regular expression', inject(function(findReplace) {
+
+      // when
+      const matches = findReplace.find('(', { regex: true });
+
+      // then
+      expect(matches).to.be.empty;
+      expect(findReplace.getError()).to.exist;
+    }));
+
+
+    it('should select first match', inject(function(cellSelection, findReplace) {
+
+      // when
+      findReplace.find('silver');
+
+      // then
+      expect(cellSelection.getCellSelection()).to.eql('inputEntry3');
+      expect(findReplace.getActiveIndex()).to.eql(0);
+    }));
+
+
+    it('should update matches on change', inject(function(findReplace, modeling) {
+
+      // given
+      const [ match ] = findReplace.find('silver');
+
+      // when
+      modeling.editCell(match.element, '"gold"');
+
+      // then
+      expect(getIds(findReplace.getMatches())).to.eql([ 'rule2', 'inputEntry5' ]);
+    }));
+
+  });
+
+
+  describe('#next / #previous', function() {
+
+    it('should select next match', inject(function(cellSelection, findReplace) {
+
+      // given
+      findReplace.find('silver');
+
+      // when
+      findReplace.next();
+
+      // then
+      expect(cellSelection.getCellSelection()).to.eql('rule2');
+      expect(findReplace.getActiveIndex()).to.eql(1);
+    }));
+
+
+    it('should wrap around', inject(function(cellSelection, findReplace) {
+
+      // given
+      findReplace.find('silver');
+
+      // when
+      findReplace.previous();
+
+      // then
+      expect(cellSelection.getCellSelection()).to.eql('inputEntry5');
+
+      // when
+      findReplace.next();
+
+      // then
+      expect(cellSelection.getCellSelection()).to.eql('inputEntry3');
+    }));
+
+
+    it('should mark matches', inject(function(findReplace) {
+
+      // when
+      findReplace.find('silver');
+      findReplace.next();
+
+      // then
+      expect(findReplace.getMarkers('inputEntry3')).to.eql([ 'find-match' ]);
+      expect(findReplace.getMarkers('rule2')).to.eql([
+        'find-match', 'find-match-active'
+      ]);
+
+      expect(domQuery('td[data-element-id="inputEntry3"]', testContainer)
+        .classList.contains('find-match')).to.be.true;
+    }));
+
+  });
+
+
+  describe('#replace', function() {
+
+    it('should replace active match', inject(function(elementRegistry, findReplace) {
+
+      // given
+      findReplace.find('silver');
+
+      // when
+      findReplace.replace('gold');
+
+      // then
+      expect(getText(elementRegistry, 'inputEntry3')).to.eql('"gold"');
+      expect(getText(elementRegistry, 'inputEntry5')).to.eql('"silver"');
+    }));
+
+
+    it('should continue with next match', inject(function(findReplace) {
+
+      // given
+      findReplace.find('silver');
+
+      // when
+      findReplace.replace('gold');
+
+      // then
+      expect(findReplace.getActiveMatch().id).to.eql('rule2');
+    }));
+
+  });
+
+
+  describe('#replaceAll', function() {
+
+    it('should replace all matches', inject(
+      function(elementRegistry, findReplace, sheet) {
+
+        // given
+        findReplace.find('silver');
+
+        // when
+        findReplace.replaceAll('gold');
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"gold"');
+        expect(getText(elementRegistry, 'inputEntry5')).to.eql('"gold"');
+        expect(sheet.getRoot().rows[ 1 ].businessObject.description).to.eql(
+          'gold customers'
+        );
+
+        expect(findReplace.getMatches()).to.be.empty;
+      }
+    ));
+
+
+    it('should replace headers', inject(function(findReplace, sheet) {
+
+      // given
+      findReplace.find('status', { caseSensitive: true });
+
+      // when
+      findReplace.replaceAll('tier');
+
+      // then
+      const input = sheet.getRoot().businessObject.get('input')[ 0 ];
+
+      expect(input.label).to.eql('Customer Status');
+      expect(input.inputExpression.text).to.eql('tier');
+    }));
+
+
+    it('should replace regular expression groups', inject(
+      function(elementRegistry, findReplace) {
+
+        // given
+        findReplace.find('(\\d+)', { regex: true });
+
+        // when
+        findReplace.replaceAll('$1.5');
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry4')).to.eql('< 1000.5');
+        expect(getText(elementRegistry, 'inputEntry6')).to.eql('>= 1000.5');
+      }
+    ));
+
+
+    it('should NOT replace groups in plain text', inject(
+      function(elementRegistry, findReplace) {
+
+        // given
+        findReplace.find('1000');
+
+        // when
+        findReplace.replaceAll('$&0');
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry4')).to.eql('< $&0');
+      }
+    ));
+
+
+    it('should undo at once', inject(
+      function(commandStack, elementRegistry, findReplace) {
+
+        // given
+        findReplace.find('silver');
+
+        findReplace.replaceAll('gold');
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getText(elementRegistry, 'inputEntry3')).to.eql('"silver"');
+        expect(getText(elementRegistry, 'inputEntry5')).to.eql('"silver"');
+        expect(getIds(findReplace.getMatches())).to.eql([
+          'inputEntry3', 'rule2', 'inputEntry5'
+        ]);
+      }
+    ));
+
+  });
+
+
+  describe('search bar', function() {
+
+    beforeEach(inject(function(keyboard) {
+      keyboard.bind();
+    }));
+
+    function getSearchBar() {
+      return domQuery('.find-replace', testContainer);
+    }
+
+    function openSearchBar() {
+      const cell = domQuery('td[data-element-id="inputEntry1"]', testContainer);
+
+      triggerKeyEvent(cell, 'keydown', {
+        keyCode: 70,
+        ctrlKey: true
+      });
+    }
+
+
+    it('should open on <CTRL+F>', function() {
+
+      // when
+      openSearchBar();
+
+      // then
+      expect(getSearchBar()).to.exist;
+      expect(document.activeElement).to.equal(
+        domQuery('.find-replace-search', testContainer)
+      );
+    });
+
+
+    it('should open via editor action', inject(function(editorActions) {
+
+      // when
+      editorActions.trigger('find');
+
+      // then
+      expect(getSearchBar()).to.exist;
+    }));
+
+
+    it('should search on input', inject(function(findReplace) {
+
+      // given
+      openSearchBar();
+
+      // when
+      triggerInputEvent(domQuery('.find-replace-search', testContainer), 'silver');
+
+      // then
+      expect(findReplace.getMatches()).to.have.length(3);
+      expect(domQuery('.find-replace-status', testContainer).textContent).to.eql(
+        '1 of 3'
+      );
+    }));
+
+
+    it('should select next match on <ENTER>', inject(function(cellSelection) {
+
+      // given
+      openSearchBar();
+
+      const search = domQuery('.find-replace-search', testContainer);
+
+      triggerInputEvent(search, 'silver');
+
+      // when
+      triggerKeyEvent(search, 'keydown', { key: 'Enter', keyCode: 13 });
+
+      // then
+      expect(cellSelection.getCellSelection()).to.eql('rule2');
+    }));
+
+
+    it('should replace all', inject(function(elementRegistry) {
+
+      // given
+      openSearchBar();
+
+      triggerInputEvent(domQuery('.find-replace-search', testContainer), 'silver');
+      triggerInputEvent(domQuery('.find-replace-replacement', testContainer), 'gold');
+
+      // when
+      triggerClick(domQuery('.find-replace-replace-all', testContainer));
+
+      // then
+      expect(getText(elementRegistry, 'inputEntry5')).to.eql('"gold"');
+    }));
+
+
+    it('should close on <ESCAPE>', inject(function(findReplace) {
+
+      // given
+      openSearchBar();
+
+      const search = domQuery('.find-replace-search', testContainer);
+
+      triggerInputEvent(search, 'silver');
+
+      // when
+      triggerKeyEvent(search, 'keydown', { key: 'Escape', keyCode: 27 });
+
+      // then
+      expect(getSearchBar()).not.to.exist;
+      expect(findReplace.getMarkers('inputEntry3')).to.be.empty;
+    }));
+
+  });
+
+});
@@ -180,6 +180,34 @@ describe('features/keyboard', function() {
       }
     ));
 
+
+    it('should extend cell selection on <SHIFT+ARROW>', inject(function(cellSelection) {
+
+      // given
+      const gfx = getGraphics('inputEntry2', testContainer);
+
+      triggerMouseEvent(gfx, 'click');
+
+      // when
+      triggerKeyEvent(gfx, 'keydown', {
+        keyCode: 40,
+        shiftKey: true
+      });
+
+      triggerKeyEvent(gfx, 'keydown', {
+        keyCode: 39,
+        shiftKey: true
+      });
+
+      // then
+      expect(cellSelection.getSelectedCells()).to.have.members([
+        'inputEntry2',
+        'UnaryTests_0hth478',
+        'inputEntry4',
+        'UnaryTests_16ylde5'
+      ]);
+    }));
+
   });
 
 });
@@ -0,0 +1,111 @@
+import { bootstrapModeler, getDmnJS, inject } from 'test/helper';
+
+import { query as domQuery } from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import lintingXML from 'dmn-js-shared/test/spec/base/linting/linting.dmn';
+
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import LintingModule from 'src/features/linting';
+import ModelingModule from 'src/features/modeling';
+
+
+describe('features/linting', function() {
+
+  beforeEach(bootstrapModeler(lintingXML, {
+    modules: [
+      CoreModule,
+      DecisionRulesEditorModule,
+      LintingModule,
+      ModelingModule
+    ],
+    debounceInput: false
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function getCell(id) {
+    return domQuery(`[data-element-id="${ id }"]`, testContainer);
+  }
+
+
+  it('should NOT mark cells by default', function() {
+
+    // then
+    expect(domQuery('.lint-error', testContainer)).not.to.exist;
+  });
+
+
+  it('should mark cells', async function() {
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    expect(getCell('rule3_input').classList.contains('lint-error')).to.be.true;
+    expect(getCell('rule3_output').classList.contains('lint-error')).to.be.true;
+    expect(getCell('rule1_input').classList.contains('lint-error')).to.be.false;
+  });
+
+
+  it('should mark cells of rule', async function() {
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    expect(getCell('rule2_input').classList.contains('lint-error')).to.be.true;
+    expect(getCell('rule2_output').classList.contains('lint-error')).to.be.true;
+  });
+
+
+  it('should provide markers', inject(async function(decisionTableLinting) {
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    expect(decisionTableLinting.getMarkers('rule3_output')).to.eql([ 'lint-error' ]);
+    expect(decisionTableLinting.getMarkers('rule1_output')).to.be.empty;
+  }));
+
+
+  it('should update markers', inject(async function(modeling, sheet) {
+
+    // given
+    await getDmnJS().lint();
+
+    const decisionTable = sheet.getRoot().businessObject,
+          outputEntry = decisionTable.get('rule')[ 2 ].get('outputEntry')[ 0 ];
+
+    // when
+    modeling.editCell(outputEntry, '0');
+
+    await getDmnJS().lint();
+
+    // then
+    expect(getCell('rule3_output').classList.contains('lint-error')).to.be.false;
+  }));
+
+
+  it('should select cell of opened issue', inject(async function(selection) {
+
+    // given
+    await getDmnJS().lint();
+
+    const [ issue ] = getDmnJS().getIssues('rule3_input');
+
+    // when
+    await getDmnJS().openIssue(issue);
+
+    // then
+    expect(selection.get().id).to.eql('rule3_input');
+  }));
+
+});
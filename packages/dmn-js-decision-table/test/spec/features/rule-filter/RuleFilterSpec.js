@@ -0,0 +1,247 @@
+import { bootstrapModeler, bootstrapViewer, inject } from 'test/helper';
+
+import {
+  triggerClick,
+  triggerInputEvent
+} from 'dmn-js-shared/test/util/EventUtil';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import DecisionRulesModule from 'src/features/decision-rules';
+import DecisionTableHeadModule from 'src/features/decision-table-head';
+import DecisionTableHeadEditorModule from 'src/features/decision-table-head/editor';
+import ModelingModule from 'src/features/modeling';
+import RuleFilterModule from 'src/features/rule-filter';
+
+import ruleFilterXML from './rule-filter.dmn';
+
+
+describe('features/rule-filter', function() {
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function getHiddenRules() {
+    return domQueryAll('tbody tr.rule-filtered', testContainer).length;
+  }
+
+
+  describe('viewer', function() {
+
+    beforeEach(bootstrapViewer(ruleFilterXML, {
+      modules: [
+        CoreModule,
+        DecisionRulesModule,
+        DecisionTableHeadModule,
+        RuleFilterModule
+      ]
+    }));
+
+
+    describe('text', function() {
+
+      it('should hide rules not containing text', inject(function(ruleFilter) {
+
+        // when
+        ruleFilter.setFilter('input2', { type: 'text', value: 'MUSIC' });
+
+        // then
+        expect(ruleFilter.getHiddenRules()).to.eql([ 'rule1', 'rule3' ]);
+        expect(getHiddenRules()).to.eql(2);
+      }));
+
+    });
+
+
+    describe('value', function() {
+
+      it('should hide rules not applying to number', inject(function(ruleFilter) {
+
+        // when
+        ruleFilter.setFilter('input1', { type: 'value', value: '250' });
+
+        // then
+        expect(ruleFilter.getHiddenRules()).to.eql([ 'rule1', 'rule3' ]);
+      }));
+
+
+      it('should hide rules not applying to string', inject(function(ruleFilter) {
+
+        // when
+        ruleFilter.setFilter('input2', { type: 'value', value: 'books' });
+
+        // then
+        expect(ruleFilter.getHiddenRules()).to.eql([ 'rule4' ]);
+      }));
+
+
+      it('should hide rules with different output', inject(function(ruleFilter) {
+
+        // when
+        ruleFilter.setFilter('output1', { type: 'value', value: '5' });
+
+        // then
+        expect(ruleFilter.getHiddenRules()).to.eql([ 'rule1', 'rule3', 'rule4' ]);
+      }));
+
+    });
+
+
+    it('should combine filters', inject(function(ruleFilter) {
+
+      // when
+      ruleFilter.setFilter('input1', { type: 'value', value: '250' });
+      ruleFilter.setFilter('input2', { type: 'text', value: 'music' });
+
+      // then
+      expect(ruleFilter.getHiddenRules()).to.eql([ 'rule1', 'rule3' ]);
+    }));
+
+
+    it('should remove filter', inject(function(ruleFilter) {
+
+      // given
+      ruleFilter.setFilter('input1', { type: 'value', value: '250' });
+
+      // when
+      ruleFilter.removeFilter('input1');
+
+      // then
+      expect(ruleFilter.isActive()).to.be.false;
+      expect(getHiddenRules()).to.eql(0);
+    }));
+
+
+    it('should remove filter on empty value', inject(function(ruleFilter) {
+
+      // given
+      ruleFilter.setFilter('input1', { type: 'value', value: '250' });
+
+      // when
+      ruleFilter.setFilter('input1', { type: 'value', value: ' ' });
+
+      // then
+      expect(ruleFilter.getFilter('input1')).to.be.null;
+    }));
+
+
+    it('should NOT change decision table', inject(function(ruleFilter, sheet) {
+
+      // when
+      ruleFilter.setFilter('input2', { type: 'text', value: 'music' });
+
+      // then
+      expect(sheet.getRoot().businessObject.get('rule')).to.have.length(4);
+    }));
+
+
+    describe('controls', function() {
+
+      function openFilter(colId) {
+        const toggle = domQuery(
+          `th[data-col-id="${ colId }"] .rule-filter-toggle`,
+          testContainer
+        );
+
+        triggerClick(toggle);
+      }
+
+
+      it('should render in headers', function() {
+
+        // then
+        expect(domQueryAll('th .rule-filter-toggle', testContainer)).to.have.length(3);
+      });
+
+
+      it('should filter on input', inject(function(ruleFilter) {
+
+        // given
+        openFilter('input2');
+
+        // when
+        triggerInputEvent(domQuery('.rule-filter-value', testContainer), 'music');
+
+        // then
+        expect(ruleFilter.getFilter('input2')).to.eql({ type: 'text', value: 'music' });
+        expect(getHiddenRules()).to.eql(2);
+      }));
+
+
+      it('should show status', inject(function(ruleFilter) {
+
+        // when
+        ruleFilter.setFilter('input2', { type: 'text', value: 'music' });
+
+        // then
+        const status = domQuery('.rule-filter-status', testContainer);
+
+        expect(status.textContent).to.contain('2 rules hidden by filters');
+      }));
+
+
+      it('should clear filters via status', inject(function(ruleFilter) {
+
+        // given
+        ruleFilter.setFilter('input2', { type: 'text', value: 'music' });
+
+        // when
+        triggerClick(domQuery('.rule-filter-status-clear', testContainer));
+
+        // then
+        expect(ruleFilter.isActive()).to.be.false;
+        expect(domQuery('.rule-filter-status', testContainer)).not.to.exist;
+      }));
+
+    });
+
+  });
+
+
+  describe('modeler', function() {
+
+    beforeEach(bootstrapModeler(ruleFilterXML, {
+      modules: [
+        CoreModule,
+        DecisionRulesEditorModule,
+        DecisionTableHeadEditorModule,
+        DecisionTableHeadModule,
+        ModelingModule,
+        RuleFilterModule
+      ]
+    }));
+
+
+    it('should render in headers', function() {
+
+      // then
+      expect(domQueryAll('th .rule-filter-toggle', testContainer)).to.have.length(3);
+    });
+
+
+    it('should update on change', inject(function(elementRegistry, modeling, ruleFilter) {
+
+      // given
+      ruleFilter.setFilter('input2', { type: 'text', value: 'music' });
+
+      // when
+      modeling.editCell(elementRegistry.get('inputEntry2').businessObject, '"music"');
+
+      // then
+      expect(ruleFilter.getHiddenRules()).to.eql([ 'rule3' ]);
+      expect(getHiddenRules()).to.eql(1);
+    }));
+
+  });
+
+});
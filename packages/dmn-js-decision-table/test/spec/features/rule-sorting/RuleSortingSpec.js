@@ -0,0 +1,159 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import { triggerClick } from 'dmn-js-shared/test/util/EventUtil';
+
+import { query as domQuery } from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import DecisionTableHeadEditorModule from 'src/features/decision-table-head/editor';
+import DecisionTableHeadModule from 'src/features/decision-table-head';
+import ModelingModule from 'src/features/modeling';
+import RuleFilterModule from 'src/features/rule-filter';
+import RuleSortingModule from 'src/features/rule-sorting';
+
+import ruleSortingXML from './rule-sorting.dmn';
+
+
+describe('features/rule-sorting', function() {
+
+  beforeEach(bootstrapModeler(ruleSortingXML, {
+    modules: [
+      CoreModule,
+      DecisionRulesEditorModule,
+      DecisionTableHeadEditorModule,
+      DecisionTableHeadModule,
+      ModelingModule,
+      RuleFilterModule,
+      RuleSortingModule
+    ]
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function getRuleIds(sheet) {
+    return sheet.getRoot().businessObject.get('rule').map(rule => rule.id);
+  }
+
+  function getRowIds(sheet) {
+    return sheet.getRoot().rows.map(row => row.id);
+  }
+
+
+  it('should sort ascending', inject(function(ruleSorting, sheet) {
+
+    // when
+    const sorted = ruleSorting.sort('input2');
+
+    // then
+    expect(sorted).to.be.true;
+    expect(getRuleIds(sheet)).to.eql([ 'rule1', 'rule2', 'rule4', 'rule3' ]);
+    expect(getRowIds(sheet)).to.eql([ 'rule1', 'rule2', 'rule4', 'rule3' ]);
+  }));
+
+
+  it('should sort numbers descending', inject(function(ruleSorting, sheet) {
+
+    // when
+    ruleSorting.sort('output1', 'descending');
+
+    // then
+    expect(getRuleIds(sheet)).to.eql([ 'rule3', 'rule2', 'rule4', 'rule1' ]);
+  }));
+
+
+  it('should NOT sort sorted rules', inject(function(commandStack, ruleSorting) {
+
+    // given
+    ruleSorting.sort('output1');
+
+    commandStack.clear();
+
+    // when
+    const sorted = ruleSorting.sort('output1');
+
+    // then
+    expect(sorted).to.be.false;
+    expect(commandStack.canUndo()).to.be.false;
+  }));
+
+
+  it('should undo at once', inject(function(commandStack, ruleSorting, sheet) {
+
+    // given
+    ruleSorting.sort('output1', 'descending');
+
+    // when
+    commandStack.undo();
+
+    // then
+    expect(getRuleIds(sheet)).to.eql([ 'rule1', 'rule2', 'rule3', 'rule4' ]);
+    expect(getRowIds(sheet)).to.eql([ 'rule1', 'rule2', 'rule3', 'rule4' ]);
+  }));
+
+
+  it('should sort via editor action', inject(function(editorActions, sheet) {
+
+    // when
+    editorActions.trigger('sortRules', { col: 'output1', direction: 'descending' });
+
+    // then
+    expect(getRuleIds(sheet)).to.eql([ 'rule3', 'rule2', 'rule4', 'rule1' ]);
+  }));
+
+
+  it('should sort via header controls', inject(function(sheet) {
+
+    // given
+    const toggle = domQuery(
+      'th[data-col-id="output1"] .rule-filter-toggle',
+      testContainer
+    );
+
+    triggerClick(toggle);
+
+    // when
+    triggerClick(domQuery('.rule-filter-sort-descending', testContainer));
+
+    // then
+    expect(getRuleIds(sheet)).to.eql([ 'rule3', 'rule2', 'rule4', 'rule1' ]);
+  }));
+
+
+  describe('hit policy', function() {
+
+    it('should NOT sort for hit policy FIRST', inject(
+      function(modeling, ruleSorting, sheet) {
+
+        // given
+        modeling.editHitPolicy('FIRST');
+
+        // when
+        const sorted = ruleSorting.sort('output1', 'descending');
+
+        // then
+        expect(ruleSorting.canSort()).to.be.false;
+        expect(sorted).to.be.false;
+        expect(getRuleIds(sheet)).to.eql([ 'rule1', 'rule2', 'rule3', 'rule4' ]);
+      }
+    ));
+
+
+    it('should sort for hit policy COLLECT', inject(function(modeling, ruleSorting) {
+
+      // given
+      modeling.editHitPolicy('COLLECT');
+
+      // then
+      expect(ruleSorting.canSort()).to.be.true;
+    }));
+
+  });
+
+});
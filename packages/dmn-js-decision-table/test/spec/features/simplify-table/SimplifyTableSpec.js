@@ -0,0 +1,284 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import { triggerClick } from 'dmn-js-shared/test/util/EventUtil';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import EditorActionsModule from 'src/features/editor-actions';
+import ModelingModule from 'src/features/modeling';
+import SimplifyTableModule from 'src/features/simplify-table';
+
+import simplifyTableXML from './simplify-table.dmn';
+
+
+describe('features/simplify-table', function() {
+
+  beforeEach(bootstrapModeler(simplifyTableXML, {
+    modules: [
+      CoreModule,
+      DecisionRulesEditorModule,
+      EditorActionsModule,
+      ModelingModule,
+      SimplifyTableModule
+    ]
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function getIds(elements) {
+    return elements.map(element => element.id);
+  }
+
+  function getRuleIds(sheet) {
+    return getIds(sheet.getRoot().businessObject.get('rule'));
+  }
+
+  function getText(elementRegistry, id) {
+    return elementRegistry.get(id).businessObject.text;
+  }
+
+
+  describe('#findSimplifications', function() {
+
+    it('should find simplifications', inject(function(simplifyTable) {
+
+      // when
+      const {
+        edits,
+        removedRules,
+        simplifications
+      } = simplifyTable.findSimplifications();
+
+      // then
+      expect(simplifications.map(({ type, rules }) => {
+        return [ type, ...getIds(rules) ];
+      })).to.eql([
+        [ 'remove', 'rule3', 'rule4' ],
+        [ 'merge', 'rule1', 'rule2' ],
+        [ 'merge', 'rule5', 'rule6' ]
+      ]);
+
+      expect(getIds(removedRules)).to.eql([ 'rule3', 'rule2', 'rule6' ]);
+
+      expect(edits.map(({ inputEntry, text }) => [ inputEntry.id, text ])).to.eql([
+        [ 'inputEntry1', '<= 20' ],
+        [ 'inputEntry10', '"c","d"' ]
+      ]);
+    }));
+
+
+    it('should only remove rules covered by previous rules for hit policy FIRST',
+      inject(function(modeling, simplifyTable) {
+
+        // given
+        modeling.editHitPolicy('FIRST');
+
+        // when
+        const {
+          edits,
+          removedRules,
+          simplifications
+        } = simplifyTable.findSimplifications();
+
+        // then
+        expect(simplifications.map(({ type }) => type)).to.eql([
+          'merge', 'merge', 'merge'
+        ]);
+
+        expect(getIds(removedRules)).to.eql([ 'rule2', 'rule4', 'rule6' ]);
+
+        expect(edits.map(({ inputEntry, text }) => [ inputEntry.id, text ])).to.eql([
+          [ 'inputEntry1', '<= 20' ],
+          [ 'inputEntry5', '> 20' ],
+          [ 'inputEntry10', '"c","d"' ]
+        ]);
+      })
+    );
+
+
+    it('should NOT simplify for hit policy COLLECT', inject(
+      function(modeling, simplifyTable) {
+
+        // given
+        modeling.editHitPolicy('COLLECT');
+
+        // when
+        const { simplifications } = simplifyTable.findSimplifications();
+
+        // then
+        expect(simplifyTable.canSimplify()).to.be.false;
+        expect(simplifications).to.be.empty;
+      }
+    ));
+
+
+    it('should simplify for hit policy COLLECT MAX', inject(
+      function(modeling, simplifyTable) {
+
+        // given
+        modeling.editHitPolicy('COLLECT', 'MAX');
+
+        // then
+        expect(simplifyTable.canSimplify()).to.be.true;
+      }
+    ));
+
+  });
+
+
+  describe('#apply', function() {
+
+    it('should simplify table', inject(function(elementRegistry, sheet, simplifyTable) {
+
+      // when
+      const simplified = simplifyTable.apply();
+
+      // then
+      expect(simplified).to.be.true;
+      expect(getRuleIds(sheet)).to.eql([ 'rule1', 'rule4', 'rule5' ]);
+      expect(getIds(sheet.getRoot().rows)).to.eql([ 'rule1', 'rule4', 'rule5' ]);
+
+      expect(getText(elementRegistry, 'inputEntry1')).to.eql('<= 20');
+      expect(getText(elementRegistry, 'inputEntry10')).to.eql('"c","d"');
+    }));
+
+
+    it('should undo at once', inject(
+      function(commandStack, elementRegistry, sheet, simplifyTable) {
+
+        // given
+        simplifyTable.apply();
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getRuleIds(sheet)).to.eql([
+          'rule1', 'rule2', 'rule3', 'rule4', 'rule5', 'rule6'
+        ]);
+
+        expect(getText(elementRegistry, 'inputEntry1')).to.eql('< 10');
+        expect(getText(elementRegistry, 'inputEntry10')).to.eql('"c"');
+      }
+    ));
+
+
+    it('should NOT execute command without simplifications', inject(
+      function(commandStack, simplifyTable) {
+
+        // given
+        simplifyTable.apply();
+
+        commandStack.clear();
+
+        // when
+        const simplified = simplifyTable.apply();
+
+        // then
+        expect(simplified).to.be.false;
+        expect(commandStack.canUndo()).to.be.false;
+      }
+    ));
+
+  });
+
+
+  describe('preview', function() {
+
+    it('should preview via editor action', inject(function(editorActions, simplifyTable) {
+
+      // when
+      editorActions.trigger('simplifyTable');
+
+      // then
+      expect(simplifyTable.isPreviewing()).to.be.true;
+
+      expect(domQueryAll('.simplify-table-remove', testContainer)).to.have.length(1);
+      expect(domQueryAll('.simplify-table-merge', testContainer)).to.have.length(2);
+    }));
+
+
+    it('should NOT change table', inject(function(sheet, simplifyTable) {
+
+      // when
+      simplifyTable.preview();
+
+      // then
+      expect(getRuleIds(sheet)).to.have.length(6);
+    }));
+
+
+    it('should update on change', inject(
+      function(elementRegistry, modeling, simplifyTable) {
+
+        // given
+        simplifyTable.preview();
+
+        // when
+        modeling.editCell(elementRegistry.get('outputEntry6').businessObject, '8');
+
+        // then
+        expect(simplifyTable.getPreview().simplifications).to.have.length(2);
+        expect(domQueryAll('.simplify-table-merge', testContainer)).to.have.length(1);
+      }
+    ));
+
+
+    it('should apply via button', inject(function(sheet, simplifyTable) {
+
+      // given
+      triggerClick(domQuery('.simplify-table-button', testContainer));
+
+      // when
+      triggerClick(domQuery('.simplify-table-apply', testContainer));
+
+      // then
+      expect(simplifyTable.isPreviewing()).to.be.false;
+      expect(getRuleIds(sheet)).to.eql([ 'rule1', 'rule4', 'rule5' ]);
+    }));
+
+
+    it('should cancel via button', inject(function(sheet, simplifyTable) {
+
+      // given
+      triggerClick(domQuery('.simplify-table-button', testContainer));
+
+      // when
+      triggerClick(domQuery('.simplify-table-cancel', testContainer));
+
+      // then
+      expect(simplifyTable.isPreviewing()).to.be.false;
+      expect(domQuery('.simplify-table-preview', testContainer)).not.to.exist;
+      expect(getRuleIds(sheet)).to.have.length(6);
+    }));
+
+
+    it('should show message without simplifications', inject(
+      function(modeling, simplifyTable) {
+
+        // given
+        modeling.editHitPolicy('COLLECT');
+
+        // when
+        simplifyTable.preview();
+
+        // then
+        expect(domQuery('.simplify-table-message', testContainer)).to.exist;
+        expect(domQuery('.simplify-table-apply', testContainer)).not.to.exist;
+      }
+    ));
+
+  });
+
+});
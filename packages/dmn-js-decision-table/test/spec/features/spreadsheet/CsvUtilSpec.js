@@ -0,0 +1,113 @@
+import {
+  parseCSV,
+  serializeCSV
+} from 'src/features/spreadsheet/CsvUtil';
+
+
+describe('features/spreadsheet - CsvUtil', function() {
+
+  describe('serialize', function() {
+
+    it('should serialize rows', function() {
+
+      // when
+      const csv = serializeCSV([
+        [ 'UNIQUE', 'Amount' ],
+        [ '1', '< 100' ]
+      ]);
+
+      // then
+      expect(csv).to.eql('UNIQUE,Amount\r\n1,< 100\r\n');
+    });
+
+
+    it('should quote cells', function() {
+
+      // when
+      const csv = serializeCSV([
+        [ '"A", "B"', 'foo\nbar', ' padded' ]
+      ]);
+
+      // then
+      expect(csv).to.eql('"""A"", ""B""","foo\nbar"," padded"\r\n');
+    });
+
+
+    it('should use delimiter', function() {
+
+      // when
+      const csv = serializeCSV([ [ 'a;b', 'c' ] ], ';');
+
+      // then
+      expect(csv).to.eql('"a;b";c\r\n');
+    });
+
+  });
+
+
+  describe('parse', function() {
+
+    it('should parse rows', function() {
+
+      // when
+      const rows = parseCSV('UNIQUE,Amount\r\n1,< 100\n2,>= 100');
+
+      // then
+      expect(rows).to.eql([
+        [ 'UNIQUE', 'Amount' ],
+        [ '1', '< 100' ],
+        [ '2', '>= 100' ]
+      ]);
+    });
+
+
+    it('should parse quoted cells', function() {
+
+      // when
+      const rows = parseCSV('"""A"", ""B""","foo\nbar",""\r\n');
+
+      // then
+      expect(rows).to.eql([
+        [ '"A", "B"', 'foo\nbar', '' ]
+      ]);
+    });
+
+
+    it('should detect delimiter', function() {
+
+      // when
+      const rows = parseCSV('a;"b,c";d\n1;2;3\n');
+
+      // then
+      expect(rows).to.eql([
+        [ 'a', 'b,c', 'd' ],
+        [ '1', '2', '3' ]
+      ]);
+    });
+
+
+    it('should strip byte order mark', function() {
+
+      // when
+      const rows = parseCSV('\uFEFFa,b');
+
+      // then
+      expect(rows).to.eql([ [ 'a', 'b' ] ]);
+    });
+
+
+    it('should round trip', function() {
+
+      // given
+      const rows = [
+        [ 'UNIQUE', 'Category', 'Annotations' ],
+        [ '1', '"A", "B"', 'multi\nline' ]
+      ];
+
+      // then
+      expect(parseCSV(serializeCSV(rows))).to.eql(rows);
+    });
+
+  });
+
+});
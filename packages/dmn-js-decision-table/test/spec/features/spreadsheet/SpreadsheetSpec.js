@@ -0,0 +1,365 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import spreadsheetXML from './spreadsheet.dmn';
+
+import CoreModule from 'src/core';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import ModelingModule from 'src/features/modeling';
+import SpreadsheetModule from 'src/features/spreadsheet';
+
+import { serializeXLSX } from 'src/features/spreadsheet/XlsxUtil';
+
+
+describe('features/spreadsheet', function() {
+
+  beforeEach(bootstrapModeler(spreadsheetXML, {
+    modules: [
+      CoreModule,
+      DecisionRulesEditorModule,
+      ModelingModule,
+      SpreadsheetModule
+    ],
+    debounceInput: false
+  }));
+
+  const HEADER = [
+    [ 'UNIQUE', 'Amount', 'Category', 'Discount', 'Annotations' ],
+    [ '', 'number', 'string', 'number', '' ]
+  ];
+
+  function getRules(sheet) {
+    return sheet.getRoot().businessObject.get('rule').map(rule => [
+      ...rule.get('inputEntry').map(entry => entry.text),
+      ...rule.get('outputEntry').map(entry => entry.text),
+      rule.description || ''
+    ]);
+  }
+
+
+  describe('export', function() {
+
+    it('should get rows', inject(function(spreadsheet) {
+
+      // when
+      const rows = spreadsheet.getRows();
+
+      // then
+      expect(rows).to.eql([
+        ...HEADER,
+        [ '1', '< 100', '-', '0', 'Small orders' ],
+        [ '2', '>= 100', '"A", "B"', '10', '' ]
+      ]);
+    }));
+
+
+    it('should include aggregation', inject(function(modeling, spreadsheet) {
+
+      // given
+      modeling.editHitPolicy('COLLECT', 'SUM');
+
+      // when
+      const rows = spreadsheet.getRows();
+
+      // then
+      expect(rows[ 0 ][ 0 ]).to.eql('COLLECT SUM');
+    }));
+
+
+    it('should export CSV', inject(function(spreadsheet) {
+
+      // when
+      const csv = spreadsheet.exportCSV();
+
+      // then
+      expect(csv).to.eql(
+        'UNIQUE,Amount,Category,Discount,Annotations\r\n' +
+        ',number,string,number,\r\n' +
+        '1,< 100,-,0,Small orders\r\n' +
+        '2,>= 100,"""A"", ""B""",10,\r\n'
+      );
+    }));
+
+
+    it('should export XLSX', inject(function(sheet, spreadsheet) {
+
+      // given
+      const data = spreadsheet.exportXLSX();
+
+      // when
+      spreadsheet.importXLSX(data);
+
+      // then
+      expect(data).to.be.instanceOf(Uint8Array);
+
+      expect(getRules(sheet)).to.eql([
+        [ '< 100', '-', '0', 'Small orders' ],
+        [ '>= 100', '"A", "B"', '10', '' ]
+      ]);
+    }));
+
+  });
+
+
+  describe('import', function() {
+
+    const ROWS = [
+      ...HEADER,
+      [ '1', '>= 100', '"A", "B"', '15', 'More discount' ],
+      [ '2', '>= 100', '"C"', '5', '' ],
+      [ '', '', '', '', '' ]
+    ];
+
+
+    it('should replace rules', inject(function(sheet, spreadsheet) {
+
+      // when
+      const result = spreadsheet.importRows(ROWS);
+
+      // then
+      expect(result).to.eql({
+        added: 2,
+        updated: 0,
+        removed: 2,
+        warnings: []
+      });
+
+      expect(getRules(sheet)).to.eql([
+        [ '>= 100', '"A", "B"', '15', 'More discount' ],
+        [ '>= 100', '"C"', '5', '' ]
+      ]);
+    }));
+
+
+    it('should merge rules', inject(function(sheet, spreadsheet) {
+
+      // when
+      const result = spreadsheet.importRows(ROWS, { merge: true });
+
+      // then
+      expect(result).to.eql({
+        added: 1,
+        updated: 1,
+        removed: 0,
+        warnings: []
+      });
+
+      expect(getRules(sheet)).to.eql([
+        [ '< 100', '-', '0', 'Small orders' ],
+        [ '>= 100', '"A", "B"', '15', 'More discount' ],
+        [ '>= 100', '"C"', '5', '' ]
+      ]);
+    }));
+
+
+    it('should import CSV', inject(function(sheet, spreadsheet) {
+
+      // when
+      spreadsheet.importCSV(
+        'UNIQUE;Amount;Category;Discount\n' +
+        ';number;string;number\n' +
+        '1;> 1000;"""A""";20\n'
+      );
+
+      // then
+      expect(getRules(sheet)).to.eql([
+        [ '> 1000', '"A"', '20', '' ]
+      ]);
+    }));
+
+
+    it('should import XLSX', inject(function(sheet, spreadsheet) {
+
+      // when
+      spreadsheet.importXLSX(serializeXLSX(ROWS));
+
+      // then
+      expect(getRules(sheet)).to.have.length(2);
+    }));
+
+
+    it('should create rows', inject(function(elementRegistry, sheet, spreadsheet) {
+
+      // when
+      spreadsheet.importRows(ROWS);
+
+      // then
+      const [ row ] = sheet.getRoot().rows;
+
+      expect(elementRegistry.get(row.id)).to.equal(row);
+      expect(row.cells).to.have.length(3);
+      expect(row.cells[ 0 ].businessObject).to.equal(
+        row.businessObject.get('inputEntry')[ 0 ]
+      );
+      expect(row.cells[ 0 ].businessObject.$parent).to.equal(row.businessObject);
+    }));
+
+
+    it('should import hit policy', inject(function(sheet, spreadsheet) {
+
+      // when
+      spreadsheet.importRows([
+        [ 'collect sum', ...HEADER[ 0 ].slice(1) ],
+        ...ROWS.slice(1)
+      ]);
+
+      // then
+      const decisionTable = sheet.getRoot().businessObject;
+
+      expect(decisionTable.hitPolicy).to.eql('COLLECT');
+      expect(decisionTable.aggregation).to.eql('SUM');
+    }));
+
+
+    it('should NOT import hit policy when merging', inject(function(sheet, spreadsheet) {
+
+      // when
+      const { warnings } = spreadsheet.importRows([
+        [ 'FIRST', ...HEADER[ 0 ].slice(1) ],
+        ...ROWS.slice(1)
+      ], { merge: true });
+
+      // then
+      expect(sheet.getRoot().businessObject.hitPolicy).to.eql('UNIQUE');
+      expect(warnings).to.eql([ 'ignored hit policy <FIRST> when merging rules' ]);
+    }));
+
+
+    it('should warn about extra cells', inject(function(spreadsheet) {
+
+      // when
+      const { warnings } = spreadsheet.importRows([
+        ...HEADER,
+        [ '1', '> 5', '-', '1', '', 'foo' ]
+      ]);
+
+      // then
+      expect(warnings).to.eql([ 'ignored cells beyond column 5 in row 3' ]);
+    }));
+
+
+    it('should undo', inject(function(commandStack, sheet, spreadsheet) {
+
+      // given
+      spreadsheet.importRows([
+        [ 'FIRST', ...HEADER[ 0 ].slice(1) ],
+        ...ROWS.slice(1)
+      ]);
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(sheet.getRoot().businessObject.hitPolicy).to.eql('UNIQUE');
+
+      expect(getRules(sheet)).to.eql([
+        [ '< 100', '-', '0', 'Small orders' ],
+        [ '>= 100', '"A", "B"', '10', '' ]
+      ]);
+    }));
+
+
+    it('should undo merge', inject(function(commandStack, sheet, spreadsheet) {
+
+      // given
+      spreadsheet.importRows(ROWS, { merge: true });
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(getRules(sheet)).to.eql([
+        [ '< 100', '-', '0', 'Small orders' ],
+        [ '>= 100', '"A", "B"', '10', '' ]
+      ]);
+    }));
+
+
+    describe('header mismatches', function() {
+
+      function expectMismatches(spreadsheet, rows, mismatches) {
+        let error;
+
+        try {
+          spreadsheet.importRows(rows);
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error).to.exist;
+        expect(error.mismatches).to.eql(mismatches);
+      }
+
+
+      it('should report label mismatch', inject(function(sheet, spreadsheet) {
+
+        // then
+        expectMismatches(spreadsheet, [
+          [ 'UNIQUE', 'Amount', 'Kind', 'Discount' ],
+          HEADER[ 1 ]
+        ], [
+          { cell: 'C1', expected: 'Category', actual: 'Kind' }
+        ]);
+
+        expect(getRules(sheet)).to.have.length(2);
+      }));
+
+
+      it('should report type mismatch', inject(function(spreadsheet) {
+
+        // then
+        expectMismatches(spreadsheet, [
+          HEADER[ 0 ],
+          [ '', 'string', 'string', 'number' ]
+        ], [
+          { cell: 'B2', expected: 'number', actual: 'string' }
+        ]);
+      }));
+
+
+      it('should report missing columns', inject(function(spreadsheet) {
+
+        // then
+        expectMismatches(spreadsheet, [
+          [ 'UNIQUE', 'Amount', 'Category' ],
+          [ '', 'number', 'string' ]
+        ], [
+          { cell: 'D1', expected: 'Discount', actual: '' },
+          { cell: 'D2', expected: 'number', actual: '' }
+        ]);
+      }));
+
+
+      it('should report invalid hit policy', inject(function(spreadsheet) {
+
+        // then
+        expectMismatches(spreadsheet, [
+          [ 'SOME', ...HEADER[ 0 ].slice(1) ],
+          HEADER[ 1 ]
+        ], [
+          { cell: 'A1', expected: 'UNIQUE', actual: 'SOME' }
+        ]);
+      }));
+
+
+      it('should describe mismatches', inject(function(spreadsheet) {
+
+        // when
+        let error;
+
+        try {
+          spreadsheet.importCSV('UNIQUE,Amount,Kind,Discount\n,number,string,number');
+        } catch (e) {
+          error = e;
+        }
+
+        // then
+        expect(error.message).to.eql(
+          'header does not match decision table: C1 should be <Category> but is <Kind>'
+        );
+      }));
+
+    });
+
+  });
+
+});
@@ -0,0 +1,359 @@
+import { bootstrapModeler, inject } from 'test/helper';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import TestContainer from 'mocha-test-container-support';
+
+import {
+  triggerChangeEvent,
+  triggerClick,
+  triggerInputEvent
+} from 'dmn-js-shared/test/util/EventUtil';
+
+import testModeXML from './test-mode.dmn';
+
+import AddRuleModule from 'src/features/add-rule';
+import CoreModule from 'src/core';
+import DecisionRuleIndicesModule from 'src/features/decision-rule-indices';
+import DecisionRulesEditorModule from 'src/features/decision-rules/editor';
+import ModelingModule from 'src/features/modeling';
+import TestModeModule from 'src/features/test-mode';
+
+
+describe('features/test-mode', function() {
+
+  beforeEach(bootstrapModeler(testModeXML, {
+    modules: [
+      AddRuleModule,
+      CoreModule,
+      DecisionRuleIndicesModule,
+      DecisionRulesEditorModule,
+      ModelingModule,
+      TestModeModule
+    ],
+    debounceInput: false
+  }));
+
+  let testContainer;
+
+  beforeEach(function() {
+    testContainer = TestContainer.get(this);
+  });
+
+  function setInputs(testMode, amount, category, member) {
+    testMode.setInput('input1', amount);
+    testMode.setInput('input2', category);
+    testMode.setInput('input3', member);
+  }
+
+  function getMatchedIds(testMode) {
+    return testMode.getResult().matchedRules.map(rule => rule.id);
+  }
+
+  function getOutput(testMode) {
+    return testMode.getResult().outputs[ 0 ].value;
+  }
+
+
+  describe('toggle', function() {
+
+    it('should be inactive by default', inject(function(testMode) {
+
+      // then
+      expect(testMode.isActive()).to.be.false;
+      expect(domQuery('.test-mode-foot', testContainer)).not.to.exist;
+      expect(domQuery('tfoot.add-rule', testContainer)).to.exist;
+    }));
+
+
+    it('should activate via button', inject(function(testMode) {
+
+      // given
+      const button = domQuery('.test-mode-button', testContainer);
+
+      // when
+      triggerClick(button);
+
+      // then
+      expect(testMode.isActive()).to.be.true;
+      expect(domQuery('.test-mode-foot', testContainer)).to.exist;
+      expect(domQuery('tfoot.add-rule', testContainer)).not.to.exist;
+    }));
+
+
+    it('should deactivate', inject(function(testMode) {
+
+      // given
+      testMode.toggle(true);
+      setInputs(testMode, '50', 'bronze', '');
+
+      // when
+      testMode.toggle(false);
+
+      // then
+      expect(testMode.getResult()).to.be.null;
+      expect(domQuery('.test-mode-foot', testContainer)).not.to.exist;
+      expect(domQueryAll('tr.test-match', testContainer)).to.have.length(0);
+    }));
+
+  });
+
+
+  describe('evaluation', function() {
+
+    beforeEach(inject(function(testMode) {
+      testMode.toggle(true);
+    }));
+
+
+    it('should match rule', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '50', 'bronze', '');
+
+      // then
+      expect(getMatchedIds(testMode)).to.eql([ 'rule1' ]);
+      expect(getOutput(testMode)).to.eql('0');
+    }));
+
+
+    it('should match quoted string input', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '500', '"silver"', 'false');
+
+      // then
+      expect(getMatchedIds(testMode)).to.eql([ 'rule2' ]);
+      expect(getOutput(testMode)).to.eql('5');
+    }));
+
+
+    it('should not match any rule', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '2000', 'bronze', 'false');
+
+      // then
+      expect(getMatchedIds(testMode)).to.be.empty;
+      expect(getOutput(testMode)).not.to.exist;
+    }));
+
+
+    it('should report multiple matches for UNIQUE', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '200', 'gold', 'true');
+
+      // then
+      const { error } = testMode.getResult();
+
+      expect(error).to.exist;
+      expect(getMatchedIds(testMode)).to.eql([ 'rule2', 'rule3' ]);
+    }));
+
+
+    it('should match negated entry on empty input', inject(
+      function(elementRegistry, modeling, testMode) {
+
+        // given
+        modeling.editCell(
+          elementRegistry.get('inputEntry1_2').businessObject,
+          'not("gold")'
+        );
+
+        // when
+        setInputs(testMode, '50', '', '');
+
+        // then
+        expect(getMatchedIds(testMode)).to.eql([ 'rule1' ]);
+      }
+    ));
+
+
+    it('should NOT match comparison on empty input', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '', 'bronze', '');
+
+      // then
+      expect(getMatchedIds(testMode)).to.be.empty;
+    }));
+
+
+    it('should re-evaluate on change', inject(
+      function(elementRegistry, modeling, testMode) {
+
+        // given
+        setInputs(testMode, '50', 'bronze', '');
+
+        // when
+        modeling.editCell(elementRegistry.get('inputEntry1_1').businessObject, '> 100');
+
+        // then
+        expect(getMatchedIds(testMode)).to.be.empty;
+      }
+    ));
+
+
+    it('should report unsupported input entries', inject(
+      function(elementRegistry, modeling, testMode) {
+
+        // given
+        setInputs(testMode, '50', 'bronze', '');
+
+        // when
+        modeling.editCell(
+          elementRegistry.get('inputEntry1_1').businessObject,
+          'amount < limit'
+        );
+
+        // then
+        expect(testMode.getResult().error).to.exist;
+      }
+    ));
+
+  });
+
+
+  describe('hit policies', function() {
+
+    beforeEach(inject(function(testMode) {
+      testMode.toggle(true);
+      setInputs(testMode, '200', 'gold', 'true');
+    }));
+
+    function expectOutput(hitPolicy, aggregation, expected) {
+      return inject(function(modeling, testMode) {
+
+        // when
+        modeling.editHitPolicy(hitPolicy, aggregation);
+
+        // then
+        expect(testMode.getResult().error).not.to.exist;
+        expect(getOutput(testMode)).to.eql(expected);
+      });
+    }
+
+
+    it('FIRST', expectOutput('FIRST', undefined, '5'));
+
+
+    it('PRIORITY', expectOutput('PRIORITY', undefined, '10'));
+
+
+    it('RULE ORDER', expectOutput('RULE ORDER', undefined, [ '5', '10' ]));
+
+
+    it('OUTPUT ORDER', expectOutput('OUTPUT ORDER', undefined, [ '10', '5' ]));
+
+
+    it('COLLECT', expectOutput('COLLECT', undefined, [ '5', '10' ]));
+
+
+    it('COLLECT SUM', expectOutput('COLLECT', 'SUM', 15));
+
+
+    it('COLLECT MIN', expectOutput('COLLECT', 'MIN', 5));
+
+
+    it('COLLECT MAX', expectOutput('COLLECT', 'MAX', 10));
+
+
+    it('COLLECT COUNT', expectOutput('COLLECT', 'COUNT', 2));
+
+
+    it('ANY', inject(function(modeling, testMode) {
+
+      // given
+      modeling.editHitPolicy('ANY');
+
+      // when
+      setInputs(testMode, '200', 'silver', 'false');
+
+      // then
+      expect(getMatchedIds(testMode)).to.eql([ 'rule2', 'rule4' ]);
+      expect(getOutput(testMode)).to.eql('5');
+    }));
+
+
+    it('ANY with different outputs', inject(function(modeling, testMode) {
+
+      // when
+      modeling.editHitPolicy('ANY');
+
+      // then
+      expect(testMode.getResult().error).to.exist;
+    }));
+
+  });
+
+
+  describe('rendering', function() {
+
+    beforeEach(inject(function(testMode) {
+      testMode.toggle(true);
+    }));
+
+
+    it('should render input fields', function() {
+
+      // then
+      const inputs = domQueryAll('.test-mode-foot .test-mode-input', testContainer);
+
+      expect(inputs).to.have.length(3);
+      expect(inputs[ 0 ].type).to.equal('number');
+      expect(inputs[ 2 ].tagName).to.equal('SELECT');
+    });
+
+
+    it('should evaluate on input', inject(function(testMode) {
+
+      // given
+      const inputs = domQueryAll('.test-mode-foot .test-mode-input', testContainer);
+
+      // when
+      triggerInputEvent(inputs[ 0 ], '50');
+      triggerInputEvent(inputs[ 1 ], 'bronze');
+      triggerChangeEvent(inputs[ 2 ], 'false');
+
+      // then
+      expect(testMode.getInputs()).to.eql({
+        input1: '50',
+        input2: 'bronze',
+        input3: 'false'
+      });
+
+      expect(getMatchedIds(testMode)).to.eql([ 'rule1' ]);
+    }));
+
+
+    it('should highlight matched rules', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '50', 'bronze', '');
+
+      // then
+      const rows = domQueryAll('tr.test-match', testContainer);
+
+      expect(rows).to.have.length(1);
+      expect(domQuery('[data-row-id="rule1"]', rows[ 0 ])).to.exist;
+    }));
+
+
+    it('should show outputs', inject(function(testMode) {
+
+      // when
+      setInputs(testMode, '50', 'bronze', '');
+
+      // then
+      const output = domQuery('.test-mode-foot .test-mode-output', testContainer);
+
+      expect(output.textContent).to.equal('0');
+    }));
+
+  });
+
+});
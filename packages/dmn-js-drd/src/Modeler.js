@@ -3,16 +3,20 @@ import inherits from 'inherits-browser';
 import NavigatedViewer from './NavigatedViewer';
 
 import AlignElementsModule from 'diagram-js/lib/features/align-elements';
+import AutoLayoutModule from './features/auto-layout';
 import AutoPlaceModule from './features/auto-place';
 import AutoScrollModule from 'diagram-js/lib/features/auto-scroll';
 import BendpointsModule from 'diagram-js/lib/features/bendpoints';
 import ContextPadModule from './features/context-pad';
 import ConnectPreviewModule from 'diagram-js/lib/features/connection-preview';
+import CopyPasteModule from './features/copy-paste';
 import DefinitionPropertiesModule from './features/definition-properties/modeler';
+import DiagramsModule from './features/diagrams';
 import DistributeElementsModule from './features/distribute-elements';
 import EditorActionsModule from './features/editor-actions';
 import GenerateDiModule from './features/generate-di';
 import GridSnappingModule from 'diagram-js/lib/features/grid-snapping';
+import ItemDefinitionsModule from './features/item-definitions';
 import KeyboardModule from './features/keyboard';
 import KeyboardMoveModule from 'diagram-js/lib/navigation/keyboard-move';
 import KeyboardMoveSelectionModule from 'diagram-js/lib/features/keyboard-move-selection';
@@ -116,16 +120,20 @@ Modeler.prototype._modelingModules = [
 
   // modeling components
   AlignElementsModule,
+  AutoLayoutModule,
   AutoPlaceModule,
   AutoScrollModule,
   BendpointsModule,
   ContextPadModule,
   ConnectPreviewModule,
+  CopyPasteModule,
   DefinitionPropertiesModule,
+  DiagramsModule,
   DistributeElementsModule,
   EditorActionsModule,
   GenerateDiModule,
   GridSnappingModule,
+  ItemDefinitionsModule,
   KeyboardModule,
   KeyboardMoveModule,
   KeyboardMoveSelectionModule,
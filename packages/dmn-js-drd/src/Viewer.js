@@ -31,6 +31,8 @@ import {
   addProjectLogo
 } from 'dmn-js-shared/lib/util/PoweredByUtil';
 
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
 
 /**
  * @typedef {import('dmn-js-shared/lib/base/View).OpenResult} OpenResult
@@ -252,13 +254,26 @@ Viewer.prototype._createContainer = function() {
 /**
  * Open diagram element.
  *
- * @param  {ModdleElement} definitions
+ * Pass a `dmndi:DMNDiagram` to display a specific diagram
+ * of the definitions it belongs to.
+ *
+ * @param  {ModdleElement} element definitions or diagram
  * @returns {Promise} Resolves with {OpenResult} when successful
  * or rejects with {OpenError}
  */
-Viewer.prototype.open = function(definitions) {
+Viewer.prototype.open = function(element) {
   var self = this;
 
+  var definitions = element,
+      diagram = null;
+
+  if (is(element, 'dmndi:DMNDiagram')) {
+    diagram = element;
+
+    // dmndi:DMNDiagram -> dmndi:DMNDI -> dmn:Definitions
+    definitions = diagram.$parent.$parent;
+  }
+
   return new Promise((resolve, reject) => {
     var err;
 
@@ -276,7 +291,7 @@ Viewer.prototype.open = function(definitions) {
       self._definitions = definitions;
 
       // perform graphical import
-      return importDRD(self, definitions, function(err, warnings) {
+      return importDRD(self, definitions, diagram, function(err, warnings) {
         if (err) {
           err.warnings = warnings || [];
           reject(err);
@@ -344,6 +359,8 @@ import SelectionModule from 'diagram-js/lib/features/selection';
 import OverlaysModule from 'diagram-js/lib/features/overlays';
 import DefinitionPropertiesModule from './features/definition-properties/viewer';
 import DrillDownModule from './features/drill-down';
+import EvaluationModule from './features/evaluation';
+import LintingModule from './features/linting';
 
 Viewer.prototype._modules = [
   CoreModule,
@@ -351,6 +368,8 @@ Viewer.prototype._modules = [
   SelectionModule,
   OverlaysModule,
   DefinitionPropertiesModule,
-  DrillDownModule
+  DrillDownModule,
+  EvaluationModule,
+  LintingModule
 ];
 
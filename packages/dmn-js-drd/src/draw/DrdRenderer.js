@@ -24,10 +24,14 @@ import {
   createLine
 } from 'diagram-js/lib/util/RenderUtil';
 
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
 import {
-  is,
-  getName
-} from 'dmn-js-shared/lib/util/ModelUtil';
+  getQualifiedName,
+  isImported
+} from 'dmn-js-shared/lib/util/ImportUtil';
+
+import { getDividerY } from '../util/DecisionServiceUtil';
 
 var RENDERER_IDS = new Ids();
 
@@ -249,7 +253,7 @@ export default function DrdRenderer(
   }
 
   function renderEmbeddedLabel(p, element, align, options) {
-    var name = getName(element);
+    var name = getQualifiedName(element);
 
     options = assign({
       box: element,
@@ -291,6 +295,25 @@ export default function DrdRenderer(
 
       return rect;
     },
+    'dmn:DecisionService': function(p, element) {
+      var rect = drawRect(p, element.width, element.height, 20, {
+        stroke: getStrokeColor(element, defaultStrokeColor),
+        fill: getFillColor(element, defaultFillColor)
+      });
+
+      var dividerY = getDividerY(element) - element.y;
+
+      drawLine(p, [
+        { x: 0, y: dividerY },
+        { x: element.width, y: dividerY }
+      ], {
+        stroke: getStrokeColor(element, defaultStrokeColor)
+      });
+
+      renderEmbeddedLabel(p, element, 'center-top');
+
+      return rect;
+    },
     'dmn:KnowledgeSource': function(p, element) {
 
       var pathData = pathMap.getScaledPath('KNOWLEDGE_SOURCE', {
@@ -384,6 +407,18 @@ export default function DrdRenderer(
 
       return textElement;
     },
+    'dmn:Group': function(p, element) {
+      var rect = drawRect(p, element.width, element.height, 10, {
+        stroke: getStrokeColor(element, defaultStrokeColor),
+        strokeWidth: 1,
+        strokeDasharray: '10, 7, 1, 7',
+        fill: 'none'
+      });
+
+      renderEmbeddedLabel(p, element, 'left-top');
+
+      return rect;
+    },
     'dmn:Association': function(p, element) {
       var semantic = getSemantic(element);
 
@@ -458,13 +493,21 @@ export default function DrdRenderer(
   // draw shape and connection //////////////////
 
   function drawShape(parent, element) {
-    var h = handlers[element.type];
+    var h = handlers[element.type],
+        shape;
 
     if (!h) {
       return BaseRenderer.prototype.drawShape.apply(this, [ parent, element ]);
-    } else {
-      return h(parent, element);
     }
+
+    shape = h(parent, element);
+
+    // render elements of imported models dashed
+    if (isImported(element)) {
+      svgAttr(shape, { strokeDasharray: '8, 4' });
+    }
+
+    return shape;
   }
 
   function drawConnection(parent, element) {
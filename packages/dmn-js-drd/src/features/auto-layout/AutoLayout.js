@@ -0,0 +1,75 @@
+import { filter } from 'min-dash';
+
+import {
+  is,
+  isAny
+} from 'dmn-js-shared/lib/util/ModelUtil';
+
+import AutoLayoutHandler from './cmd/AutoLayoutHandler';
+
+
+/**
+ * Lays out DRG elements in layers with information
+ * flowing from bottom to top.
+ *
+ * @param {Canvas} canvas
+ * @param {CommandStack} commandStack
+ * @param {ElementRegistry} elementRegistry
+ */
+export default function AutoLayout(canvas, commandStack, elementRegistry) {
+  this._canvas = canvas;
+  this._commandStack = commandStack;
+  this._elementRegistry = elementRegistry;
+
+  commandStack.registerHandler('elements.autoLayout', AutoLayoutHandler);
+}
+
+AutoLayout.$inject = [
+  'canvas',
+  'commandStack',
+  'elementRegistry'
+];
+
+/**
+ * Lay out the given elements or all elements of the current DRD.
+ *
+ * Decision services, the decisions they contain and
+ * text annotations keep their position.
+ *
+ * @param {Array<djs.model.Base>} [elements]
+ *
+ * @return {boolean} whether elements were laid out
+ */
+AutoLayout.prototype.layout = function(elements) {
+  var rootElement = this._canvas.getRootElement();
+
+  if (!elements || !elements.length) {
+    elements = this._elementRegistry.filter(function(element) {
+      return element.parent === rootElement;
+    });
+  }
+
+  var shapes = filter(elements, isLayoutable);
+
+  if (!shapes.length) {
+    return false;
+  }
+
+  this._commandStack.execute('elements.autoLayout', {
+    shapes: shapes
+  });
+
+  return true;
+};
+
+
+// helpers //////////
+
+function isLayoutable(element) {
+  return isAny(element, [
+    'dmn:BusinessKnowledgeModel',
+    'dmn:Decision',
+    'dmn:InputData',
+    'dmn:KnowledgeSource'
+  ]) && !is(element.parent, 'dmn:DecisionService');
+}
@@ -0,0 +1,272 @@
+import {
+  assign,
+  forEach,
+  map,
+  reduce
+} from 'min-dash';
+
+var DEFAULT_OPTIONS = {
+  x: 150,
+  y: 150,
+  horizontalSpacing: 50,
+  verticalSpacing: 80
+};
+
+var ORDER_ITERATIONS = 4;
+
+
+/**
+ * @typedef {Object} LayoutNode
+ * @property {string} id
+ * @property {number} width
+ * @property {number} height
+ *
+ * @typedef {Object} LayoutEdge
+ * @property {string} source ID of the required node
+ * @property {string} target ID of the requiring node
+ */
+
+/**
+ * Compute a layered layout with required nodes placed below the nodes
+ * requiring them, i.e. information flowing from bottom to top.
+ *
+ * Nodes are assigned to layers by their longest requirement path and ordered
+ * within their layer to reduce edge crossings.
+ *
+ * @param {Array<LayoutNode>} nodes
+ * @param {Array<LayoutEdge>} edges
+ * @param {Object} [options]
+ * @param {number} [options.x] left of the layout
+ * @param {number} [options.y] top of the layout
+ * @param {number} [options.horizontalSpacing]
+ * @param {number} [options.verticalSpacing]
+ *
+ * @return {Object<string, Bounds>} bounds by node ID
+ */
+export function layoutGraph(nodes, edges, options) {
+  options = assign({}, DEFAULT_OPTIONS, options);
+
+  var graph = createGraph(nodes, edges);
+
+  var ranks = getRanks(graph),
+      layers = getLayers(graph, ranks);
+
+  orderLayers(layers);
+
+  return getBounds(layers, options);
+}
+
+/**
+ * Get waypoints of an edge from the top of the source
+ * to the bottom of the target.
+ *
+ * @param {Bounds} source
+ * @param {Bounds} target
+ *
+ * @return {Array<Point>}
+ */
+export function getEdgeWaypoints(source, target) {
+  return [
+    {
+      x: Math.round(source.x + source.width / 2),
+      y: source.y
+    },
+    {
+      x: Math.round(target.x + target.width / 2),
+      y: target.y + target.height
+    }
+  ];
+}
+
+
+// helpers //////////
+
+function createGraph(nodes, edges) {
+  var nodesById = {};
+
+  forEach(nodes, function(node, index) {
+    nodesById[ node.id ] = {
+      node: node,
+      index: index,
+      incoming: [],
+      outgoing: []
+    };
+  });
+
+  forEach(edges, function(edge) {
+    var source = nodesById[ edge.source ],
+        target = nodesById[ edge.target ];
+
+    if (!source || !target || source === target) {
+      return;
+    }
+
+    source.outgoing.push(target);
+    target.incoming.push(source);
+  });
+
+  return map(nodes, function(node) {
+    return nodesById[ node.id ];
+  });
+}
+
+/**
+ * Rank nodes by their longest path from nodes not requiring anything.
+ * Nodes not requiring anything are moved up right below the
+ * lowest node requiring them.
+ */
+function getRanks(graph) {
+  var ranks = new Map(),
+      visiting = new Set();
+
+  function getRank(entry) {
+    if (ranks.has(entry)) {
+      return ranks.get(entry);
+    }
+
+    // ignore cycles
+    if (visiting.has(entry)) {
+      return -1;
+    }
+
+    visiting.add(entry);
+
+    var rank = reduce(entry.incoming, function(rank, source) {
+      return Math.max(rank, getRank(source) + 1);
+    }, 0);
+
+    visiting.delete(entry);
+
+    ranks.set(entry, rank);
+
+    return rank;
+  }
+
+  forEach(graph, getRank);
+
+  forEach(graph, function(entry) {
+    if (entry.incoming.length || !entry.outgoing.length) {
+      return;
+    }
+
+    var rank = reduce(entry.outgoing, function(rank, target) {
+      return Math.min(rank, ranks.get(target) - 1);
+    }, Infinity);
+
+    ranks.set(entry, Math.max(rank, 0));
+  });
+
+  return ranks;
+}
+
+function getLayers(graph, ranks) {
+  var layers = [];
+
+  forEach(graph, function(entry) {
+    var rank = ranks.get(entry);
+
+    (layers[ rank ] = layers[ rank ] || []).push(entry);
+  });
+
+  return layers.filter(function(layer) {
+    return layer;
+  });
+}
+
+/**
+ * Order nodes within their layers by the average position
+ * of their neighbors, sweeping up and down.
+ */
+function orderLayers(layers) {
+  var positions = new Map();
+
+  function updatePositions(layer) {
+    forEach(layer, function(entry, index) {
+      positions.set(entry, index / Math.max(layer.length - 1, 1));
+    });
+  }
+
+  function sortLayer(layer, getNeighbors) {
+    var barycenters = new Map();
+
+    forEach(layer, function(entry) {
+      var neighbors = getNeighbors(entry).filter(function(neighbor) {
+        return positions.has(neighbor);
+      });
+
+      var barycenter = positions.get(entry);
+
+      if (neighbors.length) {
+        barycenter = reduce(neighbors, function(sum, neighbor) {
+          return sum + positions.get(neighbor);
+        }, 0) / neighbors.length;
+      }
+
+      barycenters.set(entry, barycenter);
+    });
+
+    layer.sort(function(a, b) {
+      return (barycenters.get(a) - barycenters.get(b)) || (a.index - b.index);
+    });
+
+    updatePositions(layer);
+  }
+
+  forEach(layers, updatePositions);
+
+  for (var i = 0; i < ORDER_ITERATIONS; i++) {
+    forEach(layers.slice(1), function(layer) {
+      sortLayer(layer, function(entry) {
+        return entry.incoming;
+      });
+    });
+
+    forEach(layers.slice(0, -1).reverse(), function(layer) {
+      sortLayer(layer, function(entry) {
+        return entry.outgoing;
+      });
+    });
+  }
+}
+
+function getBounds(layers, options) {
+  var bounds = {};
+
+  var layerWidths = map(layers, function(layer) {
+    return reduce(layer, function(width, entry) {
+      return width + entry.node.width;
+    }, (layer.length - 1) * options.horizontalSpacing);
+  });
+
+  var maxWidth = Math.max.apply(null, layerWidths.concat(0));
+
+  var y = options.y;
+
+  // the last layer requires all others and is placed at the top
+  forEach(layers.slice().reverse(), function(layer) {
+    var index = layers.indexOf(layer);
+
+    var height = reduce(layer, function(height, entry) {
+      return Math.max(height, entry.node.height);
+    }, 0);
+
+    var x = options.x + Math.round((maxWidth - layerWidths[ index ]) / 2);
+
+    forEach(layer, function(entry) {
+      var node = entry.node;
+
+      bounds[ node.id ] = {
+        x: x,
+        y: y + Math.round((height - node.height) / 2),
+        width: node.width,
+        height: node.height
+      };
+
+      x += node.width + options.horizontalSpacing;
+    });
+
+    y += height + options.verticalSpacing;
+  });
+
+  return bounds;
+}
@@ -0,0 +1,106 @@
+import {
+  filter,
+  forEach,
+  map
+} from 'min-dash';
+
+import { getBBox } from 'diagram-js/lib/util/Elements';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import {
+  getEdgeWaypoints,
+  layoutGraph
+} from '../AutoLayoutUtil';
+
+
+/**
+ * Lays out shapes in layers and routes the requirements between them.
+ *
+ * @param {Modeling} modeling
+ */
+export default function AutoLayoutHandler(modeling) {
+  this._modeling = modeling;
+}
+
+AutoLayoutHandler.$inject = [ 'modeling' ];
+
+AutoLayoutHandler.prototype.preExecute = function(context) {
+  var modeling = this._modeling;
+
+  var shapes = context.shapes;
+
+  var requirements = getRequirements(shapes);
+
+  var bbox = getBBox(shapes);
+
+  var bounds = layoutGraph(
+    map(shapes, function(shape) {
+      return {
+        id: shape.id,
+        width: shape.width,
+        height: shape.height
+      };
+    }),
+    map(requirements, function(requirement) {
+      return {
+        source: requirement.source.id,
+        target: requirement.target.id
+      };
+    }),
+    { x: bbox.x, y: bbox.y }
+  );
+
+  forEach(shapes, function(shape) {
+    var delta = {
+      x: bounds[ shape.id ].x - shape.x,
+      y: bounds[ shape.id ].y - shape.y
+    };
+
+    if (delta.x || delta.y) {
+      modeling.moveElements([ shape ], delta, shape.parent);
+    }
+  });
+
+  // information requirements are updated on move already
+  forEach(requirements, function(requirement) {
+    if (is(requirement, 'dmn:InformationRequirement')) {
+      return;
+    }
+
+    var waypoints = getEdgeWaypoints(requirement.source, requirement.target);
+
+    modeling.layoutConnection(requirement, {
+      connectionStart: waypoints[ 0 ],
+      connectionEnd: waypoints[ 1 ]
+    });
+  });
+};
+
+
+// helpers //////////
+
+/**
+ * Get requirements between the given shapes.
+ *
+ * @param {Array<Shape>} shapes
+ *
+ * @return {Array<Connection>}
+ */
+function getRequirements(shapes) {
+  var requirements = [];
+
+  forEach(shapes, function(shape) {
+    forEach(filter(shape.incoming, isRequirement), function(connection) {
+      if (shapes.indexOf(connection.source) !== -1) {
+        requirements.push(connection);
+      }
+    });
+  });
+
+  return requirements;
+}
+
+function isRequirement(connection) {
+  return !is(connection, 'dmn:Association');
+}
@@ -0,0 +1,10 @@
+import ModelingModule from '../modeling';
+
+import AutoLayout from './AutoLayout';
+
+export default {
+  __depends__: [
+    ModelingModule
+  ],
+  autoLayout: [ 'type', AutoLayout ]
+};
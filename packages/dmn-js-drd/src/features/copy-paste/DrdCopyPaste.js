@@ -0,0 +1,111 @@
+import inherits from 'inherits-browser';
+
+import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
+
+import {
+  forEach,
+  has,
+  isArray
+} from 'min-dash';
+
+import { getBusinessObject } from 'dmn-js-shared/lib/util/ModelUtil';
+
+var REQUIREMENT_PROPERTIES = [
+  'authorityRequirement',
+  'informationRequirement',
+  'knowledgeRequirement'
+];
+
+
+/**
+ * DRD specific copy and paste. Pasted elements are deep copies of the
+ * copied ones, i.e. a pasted decision carries its own decision logic and
+ * a pasted business knowledge model its own encapsulated logic.
+ *
+ * IDs of pasted elements are claimed once the elements are created
+ * and released again if the creation is undone.
+ *
+ * To copy and paste between modelers, provide the same `clipboard`
+ * to all of them via an additional module.
+ *
+ * @param {EventBus} eventBus
+ * @param {Modeling} modeling
+ * @param {ModdleCopy} moddleCopy
+ * @param {Moddle} moddle
+ * @param {Injector} injector
+ */
+export default function DrdCopyPaste(eventBus, modeling, moddleCopy, moddle, injector) {
+  injector.invoke(CommandInterceptor, this);
+
+  eventBus.on('copyPaste.copyElement', function(context) {
+    var descriptor = context.descriptor,
+        element = context.element;
+
+    descriptor.type = element.type;
+
+    descriptor.oldBusinessObject = getBusinessObject(element);
+  });
+
+  eventBus.on('copyPaste.pasteElement', function(context) {
+    var descriptor = context.descriptor,
+        oldBusinessObject = descriptor.oldBusinessObject;
+
+    delete descriptor.oldBusinessObject;
+
+    if (!oldBusinessObject) {
+      return;
+    }
+
+    descriptor.businessObject = moddleCopy.copyElement(oldBusinessObject);
+  });
+
+  // requirements are copied with their connections
+  eventBus.on('moddleCopy.canCopyProperty', function(context) {
+    var property = context.property;
+
+    if (REQUIREMENT_PROPERTIES.indexOf(property.name) !== -1) {
+      return false;
+    }
+  });
+
+  this.postExecute('elements.create', function(context) {
+    forEach(context.elements, function(element) {
+      claimIds(getBusinessObject(element));
+    });
+  }, true);
+
+  function claimIds(businessObject) {
+    var ids = moddle.ids,
+        id = businessObject.id;
+
+    if (id && !ids.assigned(id)) {
+      modeling.claimId(id, businessObject);
+    }
+
+    forEach(businessObject.$descriptor.properties, function(property) {
+      var name = property.name;
+
+      if (property.isReference || !has(businessObject, name)) {
+        return;
+      }
+
+      var value = businessObject[ name ];
+
+      forEach(isArray(value) ? value : [ value ], function(child) {
+        if (child && child.$type && child.$parent === businessObject) {
+          claimIds(child);
+        }
+      });
+    });
+  }
+}
+
+inherits(DrdCopyPaste, CommandInterceptor);
+
+DrdCopyPaste.$inject = [
+  'eventBus',
+  'modeling',
+  'moddleCopy',
+  'moddle',
+  'injector'
+];
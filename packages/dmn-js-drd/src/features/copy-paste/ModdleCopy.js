@@ -0,0 +1,125 @@
+import {
+  assign,
+  forEach,
+  has,
+  isArray,
+  isObject
+} from 'min-dash';
+
+
+/**
+ * Deep copies moddle elements, e.g. a decision including its
+ * decision logic. Copied elements get fresh, not yet claimed IDs.
+ *
+ * Listen to `moddleCopy.canCopyProperty` and return `false`
+ * to skip copying a property.
+ *
+ * @param {EventBus} eventBus
+ * @param {Moddle} moddle
+ */
+export default function ModdleCopy(eventBus, moddle) {
+  this._eventBus = eventBus;
+  this._moddle = moddle;
+}
+
+ModdleCopy.$inject = [
+  'eventBus',
+  'moddle'
+];
+
+
+/**
+ * Copy the given moddle element and all elements contained in it.
+ *
+ * @param {ModdleElement} sourceElement
+ *
+ * @return {ModdleElement}
+ */
+ModdleCopy.prototype.copyElement = function(sourceElement) {
+  var self = this;
+
+  var properties = {};
+
+  forEach(sourceElement.$descriptor.properties, function(property) {
+    var name = property.name;
+
+    if (!has(sourceElement, name)) {
+      return;
+    }
+
+    var canCopy = self._eventBus.fire('moddleCopy.canCopyProperty', {
+      element: sourceElement,
+      property: property
+    });
+
+    if (canCopy === false) {
+      return;
+    }
+
+    if (property.isId) {
+      properties[ name ] = self.createId(sourceElement.$type);
+
+      return;
+    }
+
+    properties[ name ] = self._copyValue(sourceElement[ name ], property);
+  });
+
+  var targetElement = this._moddle.create(sourceElement.$type, properties);
+
+  assign(targetElement.$attrs, sourceElement.$attrs);
+
+  // set up $parent relationships for copied moddle elements
+  forEach(properties, function(value) {
+    forEach(isArray(value) ? value : [ value ], function(child) {
+      if (isModdleElement(child) && !child.$parent) {
+        child.$parent = targetElement;
+      }
+    });
+  });
+
+  return targetElement;
+};
+
+/**
+ * Create an ID for an element of the given type that is not claimed yet.
+ *
+ * @param {string} type
+ *
+ * @return {string}
+ */
+ModdleCopy.prototype.createId = function(type) {
+  var ids = this._moddle.ids,
+      prefix = type.replace(/^[^:]*:/g, '') + '_',
+      id;
+
+  do {
+    id = prefix + ids.next(true);
+  } while (ids.assigned(id));
+
+  return id;
+};
+
+ModdleCopy.prototype._copyValue = function(value, property) {
+  var self = this;
+
+  if (isArray(value)) {
+    return value.map(function(item) {
+      return self._copyValue(item, property);
+    });
+  }
+
+  // keep references, copy contained elements
+  if (isModdleElement(value) && !property.isReference) {
+    return this.copyElement(value);
+  }
+
+  return value;
+};
+
+
+// helpers //////////
+
+function isModdleElement(value) {
+  return isObject(value) && !!value.$type;
+}
@@ -0,0 +1,14 @@
+import CopyPasteModule from 'diagram-js/lib/features/copy-paste';
+
+import DrdCopyPaste from './DrdCopyPaste';
+import ModdleCopy from './ModdleCopy';
+
+
+export default {
+  __depends__: [
+    CopyPasteModule
+  ],
+  __init__: [ 'drdCopyPaste' ],
+  drdCopyPaste: [ 'type', DrdCopyPaste ],
+  moddleCopy: [ 'type', ModdleCopy ]
+};
@@ -0,0 +1,194 @@
+import {
+  assign,
+  filter,
+  forEach,
+  without
+} from 'min-dash';
+
+import { getDiagrams } from 'dmn-js-shared/lib/util/DiUtil';
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import {
+  getLocalId,
+  getRequiredId,
+  getRequirements
+} from 'dmn-js-shared/lib/util/RequirementsUtil';
+
+
+/**
+ * Manage the diagrams (`dmndi:DMNDiagram`) of the definitions
+ * and the DRG elements displayed on them.
+ *
+ * @param {Canvas} canvas
+ * @param {DrdFactory} drdFactory
+ * @param {ElementRegistry} elementRegistry
+ * @param {Modeling} modeling
+ */
+export default function DrdDiagrams(canvas, drdFactory, elementRegistry, modeling) {
+  this._canvas = canvas;
+  this._drdFactory = drdFactory;
+  this._elementRegistry = elementRegistry;
+  this._modeling = modeling;
+}
+
+DrdDiagrams.$inject = [
+  'canvas',
+  'drdFactory',
+  'elementRegistry',
+  'modeling'
+];
+
+/**
+ * Get all diagrams.
+ *
+ * @return {Array<ModdleElement>}
+ */
+DrdDiagrams.prototype.getDiagrams = function() {
+  return getDiagrams(this._getDefinitions());
+};
+
+/**
+ * Get the displayed diagram.
+ *
+ * @return {ModdleElement}
+ */
+DrdDiagrams.prototype.getDiagram = function() {
+  return this._getDefinitions().di;
+};
+
+/**
+ * Create a diagram.
+ *
+ * @param {Object} [attrs]
+ *
+ * @return {ModdleElement}
+ */
+DrdDiagrams.prototype.createDiagram = function(attrs) {
+  var dmnDI = this._getDefinitions().dmnDI;
+
+  var diagram = this._drdFactory.create('dmndi:DMNDiagram', assign({
+    name: 'Diagram ' + (this.getDiagrams().length + 1)
+  }, attrs));
+
+  diagram.$parent = dmnDI;
+
+  this._update(dmnDI, {
+    diagrams: this.getDiagrams().concat(diagram)
+  });
+
+  return diagram;
+};
+
+/**
+ * Rename a diagram.
+ *
+ * @param {ModdleElement} diagram
+ * @param {string} name
+ */
+DrdDiagrams.prototype.renameDiagram = function(diagram, name) {
+  this._update(diagram, { name: name });
+};
+
+/**
+ * Delete a diagram. DRG elements displayed on it are kept.
+ *
+ * @param {ModdleElement} diagram
+ *
+ * @throws {Error} if the diagram is displayed or the last one
+ */
+DrdDiagrams.prototype.deleteDiagram = function(diagram) {
+  var diagrams = this.getDiagrams();
+
+  if (diagram === this.getDiagram()) {
+    throw new Error('cannot delete displayed diagram');
+  }
+
+  if (diagrams.length < 2) {
+    throw new Error('cannot delete last diagram');
+  }
+
+  this._update(this._getDefinitions().dmnDI, {
+    diagrams: without(diagrams, diagram)
+  });
+};
+
+/**
+ * Display an existing DRG element on the displayed diagram.
+ * Requirements and associations to elements already displayed
+ * are displayed, too.
+ *
+ * @param {ModdleElement} drgElement
+ * @param {Point} position
+ *
+ * @return {Shape}
+ */
+DrdDiagrams.prototype.addElement = function(drgElement, position) {
+  var elementRegistry = this._elementRegistry,
+      modeling = this._modeling;
+
+  if (elementRegistry.get(drgElement.id)) {
+    throw new Error('element <' + drgElement.id + '> already displayed');
+  }
+
+  var root = this._canvas.getRootElement(),
+      definitions = this._getDefinitions();
+
+  var shape = modeling.createShape({
+    type: drgElement.$type,
+    businessObject: drgElement
+  }, position, root);
+
+  function connect(businessObject, sourceId, targetId) {
+    var source = elementRegistry.get(sourceId),
+        target = elementRegistry.get(targetId);
+
+    if (!source || !target || elementRegistry.get(businessObject.id)) {
+      return;
+    }
+
+    modeling.connect(source, target, {
+      type: businessObject.$type,
+      businessObject: businessObject
+    });
+  }
+
+  forEach(definitions.get('drgElement'), function(element) {
+    forEach(getRequirements(element), function(requirement) {
+      var sourceId = getRequiredId(requirement);
+
+      if (element === drgElement || sourceId === drgElement.id) {
+        connect(requirement, sourceId, element.id);
+      }
+    });
+  });
+
+  forEach(filter(definitions.get('artifact'), isAssociation), function(association) {
+    var sourceId = getLocalId(association.sourceRef),
+        targetId = getLocalId(association.targetRef);
+
+    if (sourceId === drgElement.id || targetId === drgElement.id) {
+      connect(association, sourceId, targetId);
+    }
+  });
+
+  return shape;
+};
+
+DrdDiagrams.prototype._update = function(moddleElement, properties) {
+  this._modeling.updateModdleProperties(
+    this._canvas.getRootElement(),
+    moddleElement,
+    properties
+  );
+};
+
+DrdDiagrams.prototype._getDefinitions = function() {
+  return this._canvas.getRootElement().businessObject;
+};
+
+
+// helpers //////////
+
+function isAssociation(element) {
+  return is(element, 'dmn:Association');
+}
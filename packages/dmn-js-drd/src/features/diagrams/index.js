@@ -0,0 +1,10 @@
+import ModelingModule from '../modeling';
+
+import DrdDiagrams from './DrdDiagrams';
+
+export default {
+  __depends__: [
+    ModelingModule
+  ],
+  drdDiagrams: [ 'type', DrdDiagrams ]
+};
@@ -1,9 +1,12 @@
 import {
   getBoxedExpression,
   getBusinessObject,
-  is
+  is,
+  isAny
 } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import { isImported } from 'dmn-js-shared/lib/util/ImportUtil';
+
 import {
   classes as domClasses,
   delegate as domDelegate
@@ -31,6 +34,21 @@ var PROVIDERS = [
       return is(boxedExpression, 'dmn:LiteralExpression');
     },
     title: 'Open literal expression'
+  },
+  {
+    className: 'dmn-icon-file-code',
+    matches: function(el) {
+      var boxedExpression = getBoxedExpression(el);
+
+      return isAny(boxedExpression, [
+        'dmn:Context',
+        'dmn:FunctionDefinition',
+        'dmn:Invocation',
+        'dmn:List',
+        'dmn:Relation'
+      ]);
+    },
+    title: 'Open boxed expression'
   }
 ];
 
@@ -51,6 +69,11 @@ export default class DrillDown {
 
     eventBus.on([ 'shape.added' ], ({ element }) => {
 
+      // elements of imported models cannot be opened
+      if (isImported(element)) {
+        return;
+      }
+
       for (let i = 0; i < PROVIDERS.length; i++) {
 
         const { matches, className, title } = PROVIDERS[i];
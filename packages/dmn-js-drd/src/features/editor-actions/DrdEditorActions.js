@@ -34,6 +34,7 @@ DrdEditorActions.prototype._registerDefaultActions = function(injector) {
         directEditing = injector.get('directEditing', false),
         distributeElements = injector.get('distributeElements', false),
         alignElements = injector.get('alignElements', false),
+        autoLayout = injector.get('autoLayout', false),
         searchPad = injector.get('searchPad', false);
 
   // (2) check components and register actions
@@ -77,6 +78,15 @@ DrdEditorActions.prototype._registerDefaultActions = function(injector) {
     });
   }
 
+  if (selection && autoLayout) {
+    this._registerAction('autoLayout', function() {
+      var currentSelection = selection.get();
+
+      // lay out selection or the whole DRD
+      return autoLayout.layout(currentSelection.length > 1 ? currentSelection : null);
+    });
+  }
+
   if (lassoTool) {
     this._registerAction('lassoTool', function() {
       lassoTool.toggle();
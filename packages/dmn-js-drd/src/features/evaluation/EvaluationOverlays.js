@@ -0,0 +1,113 @@
+import { forEach, isString } from 'min-dash';
+
+const OVERLAY_TYPE = 'evaluation';
+
+const MAX_LENGTH = 40;
+
+
+/**
+ * Displays the results of evaluating the DRD, cf. `Manager#evaluate`,
+ * below the respective decisions.
+ */
+export default class EvaluationOverlays {
+
+  constructor(injector, eventBus, elementRegistry, overlays, translate) {
+    this._elementRegistry = elementRegistry;
+    this._overlays = overlays;
+    this._translate = translate;
+
+    const parent = this._parent = injector.get('_parent', false);
+
+    if (!parent) {
+      return;
+    }
+
+    const onEvaluationChanged = ({ results }) => this.show(results);
+
+    parent.on('evaluation.changed', onEvaluationChanged);
+
+    eventBus.on('import.done', () => {
+      this.show(parent.getEvaluationResults());
+    });
+
+    eventBus.on('diagram.destroy', () => {
+      parent.off('evaluation.changed', onEvaluationChanged);
+    });
+  }
+
+  /**
+   * Show results, replacing any results shown before.
+   *
+   * @param {Object<string, DecisionResult>|null} results by decision ID
+   */
+  show(results) {
+    this.clear();
+
+    forEach(results, (result, id) => {
+      const element = this._elementRegistry.get(id);
+
+      if (element) {
+        this._addOverlay(element, result);
+      }
+    });
+  }
+
+  /**
+   * Remove all results.
+   */
+  clear() {
+    this._overlays.remove({ type: OVERLAY_TYPE });
+  }
+
+  _addOverlay(element, result) {
+    const { error, value } = result;
+
+    const node = document.createElement('div');
+
+    if (error) {
+      node.className = 'dmn-evaluation-result dmn-evaluation-error';
+      node.textContent = this._translate(error.message, error.values);
+    } else {
+      const text = formatValue(value);
+
+      node.className = 'dmn-evaluation-result';
+      node.textContent = truncate(text);
+      node.title = text;
+    }
+
+    this._overlays.add(element, OVERLAY_TYPE, {
+      position: {
+        top: element.height + 4,
+        left: 0
+      },
+      html: node
+    });
+  }
+}
+
+EvaluationOverlays.$inject = [
+  'injector',
+  'eventBus',
+  'elementRegistry',
+  'overlays',
+  'translate'
+];
+
+
+// helpers //////////
+
+function formatValue(value) {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+
+  if (isString(value)) {
+    return `"${ value }"`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function truncate(text) {
+  return text.length > MAX_LENGTH ? text.slice(0, MAX_LENGTH - 1) + '…' : text;
+}
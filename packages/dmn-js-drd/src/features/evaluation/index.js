@@ -0,0 +1,13 @@
+import TranslateModule from 'diagram-js/lib/i18n/translate';
+import OverlaysModule from 'diagram-js/lib/features/overlays';
+
+import EvaluationOverlays from './EvaluationOverlays';
+
+export default {
+  __depends__: [
+    OverlaysModule,
+    TranslateModule
+  ],
+  __init__: [ 'evaluationOverlays' ],
+  evaluationOverlays: [ 'type', EvaluationOverlays ]
+};
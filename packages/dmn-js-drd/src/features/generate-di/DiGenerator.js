@@ -1,15 +1,31 @@
-import { forEach } from 'min-dash';
+import {
+  filter,
+  forEach,
+  map
+} from 'min-dash';
 
 import { containsDi } from 'dmn-js-shared/lib/util/DiUtil';
 import { is } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import {
+  getRequiredId,
+  getRequirements
+} from 'dmn-js-shared/lib/util/RequirementsUtil';
+
+import {
+  getEdgeWaypoints,
+  layoutGraph
+} from '../auto-layout/AutoLayoutUtil';
+
 
 /**
- * Generates missing DI on import.
+ * Generates missing DI on import, laying out DRG elements
+ * and their requirements in layers.
  *
  * @param {DrdFactory} drdFactory
  * @param {ElementFactory} elementFactory
  * @param {EventBus} eventBus
+ * @param {DrdUpdater} drdUpdater
  */
 export default function DiGenerator(drdFactory, elementFactory, eventBus, drdUpdater) {
   function createDi(definitions) {
@@ -24,30 +40,60 @@ export default function DiGenerator(drdFactory, elementFactory, eventBus, drdUpd
 
     var diagram = drdFactory.create('dmndi:DMNDiagram');
 
-    dmnDI.set('diagrams', [ diagram ]);
-
-    var index = 0;
+    diagram.$parent = dmnDI;
 
-    forEach(definitions.get('drgElement'), function(drgElement) {
-
-      // generate DI for decisions only
-      if (!is(drgElement, 'dmn:Decision')) {
-        return;
-      }
+    dmnDI.get('diagrams').push(diagram);
 
+    // decision services contain decisions and cannot be laid out in layers
+    var drgElements = filter(definitions.get('drgElement'), function(drgElement) {
+      return !is(drgElement, 'dmn:DecisionService');
+    });
 
+    var nodes = map(drgElements, function(drgElement) {
       var dimensions = elementFactory._getDefaultSize(drgElement);
 
-      var di = drdFactory.createDiShape(drgElement, {
-        x: 150 + (index * 30),
-        y: 150 + (index * 30),
+      return {
+        id: drgElement.id,
         width: dimensions.width,
         height: dimensions.height
+      };
+    });
+
+    var edges = [];
+
+    forEach(drgElements, function(drgElement) {
+      forEach(getRequirements(drgElement), function(requirement) {
+        edges.push({
+          source: getRequiredId(requirement),
+          target: drgElement.id,
+          requirement: requirement
+        });
       });
+    });
+
+    var bounds = layoutGraph(nodes, edges);
+
+    forEach(drgElements, function(drgElement) {
+      var di = drdFactory.createDiShape(drgElement, bounds[ drgElement.id ]);
 
       drdUpdater.updateDiParent(di, diagram);
+    });
+
+    forEach(edges, function(edge) {
+      var requirement = edge.requirement,
+          source = bounds[ edge.source ],
+          target = bounds[ edge.target ];
+
+      if (!source || !target) {
+        return;
+      }
+
+      // DI references requirements by ID
+      drdFactory._ensureId(requirement);
 
-      index++;
+      var di = drdFactory.createDiEdge(requirement, getEdgeWaypoints(source, target));
+
+      drdUpdater.updateDiParent(di, diagram);
     });
   }
 
@@ -0,0 +1,156 @@
+import {
+  find,
+  isString,
+  isUndefined,
+  omit,
+  without
+} from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+var DEFAULT_NAME = 'tNewType';
+
+
+/**
+ * Create, update and delete item definitions (custom data types),
+ * including nested item components.
+ *
+ * @param {Canvas} canvas
+ * @param {DrdFactory} drdFactory
+ * @param {Modeling} modeling
+ */
+export default function ItemDefinitionEditing(canvas, drdFactory, modeling) {
+  this._canvas = canvas;
+  this._drdFactory = drdFactory;
+  this._modeling = modeling;
+}
+
+ItemDefinitionEditing.$inject = [
+  'canvas',
+  'drdFactory',
+  'modeling'
+];
+
+
+/**
+ * Return the item definitions of the current model.
+ *
+ * @return {Array<ModdleElement>}
+ */
+ItemDefinitionEditing.prototype.getItemDefinitions = function() {
+  return this._getDefinitions().get('itemDefinition');
+};
+
+/**
+ * Add an item definition to the model or, if a parent item
+ * definition is given, an item component to the parent.
+ *
+ * @param {ModdleElement} [parent]
+ * @param {Object} [attrs]
+ *
+ * @return {ModdleElement} the added item definition
+ */
+ItemDefinitionEditing.prototype.addItemDefinition = function(parent, attrs) {
+  parent = parent || this._getDefinitions();
+
+  var propertyName = getCollectionName(parent),
+      collection = parent.get(propertyName);
+
+  var itemDefinition = this._drdFactory.create('dmn:ItemDefinition', attrs || {
+    name: getUniqueName(collection, DEFAULT_NAME),
+    typeRef: 'string'
+  });
+
+  itemDefinition.$parent = parent;
+
+  this._update(parent, propertyName, collection.concat(itemDefinition));
+
+  return itemDefinition;
+};
+
+/**
+ * Update an item definition.
+ *
+ * Passing `allowedValues` as a string updates the allowed values' text,
+ * passing an empty string or `null` removes the allowed values.
+ *
+ * @param {ModdleElement} itemDefinition
+ * @param {Object} properties
+ */
+ItemDefinitionEditing.prototype.updateItemDefinition = function(
+    itemDefinition, properties) {
+
+  var allowedValues = properties.allowedValues;
+
+  properties = omit(properties, [ 'allowedValues' ]);
+
+  if (isString(allowedValues) && allowedValues.trim()) {
+    properties.allowedValues = this._drdFactory.create('dmn:UnaryTests', {
+      text: allowedValues.trim()
+    });
+
+    properties.allowedValues.$parent = itemDefinition;
+  } else if (!isUndefined(allowedValues)) {
+    properties.allowedValues = undefined;
+  }
+
+  this._modeling.updateModdleProperties(
+    this._canvas.getRootElement(),
+    itemDefinition,
+    properties
+  );
+};
+
+/**
+ * Remove an item definition or item component.
+ *
+ * @param {ModdleElement} itemDefinition
+ */
+ItemDefinitionEditing.prototype.removeItemDefinition = function(itemDefinition) {
+  var parent = itemDefinition.$parent,
+      propertyName = getCollectionName(parent);
+
+  this._update(
+    parent,
+    propertyName,
+    without(parent.get(propertyName), itemDefinition)
+  );
+};
+
+ItemDefinitionEditing.prototype._update = function(parent, propertyName, value) {
+  var properties = {};
+
+  properties[ propertyName ] = value;
+
+  this._modeling.updateModdleProperties(
+    this._canvas.getRootElement(),
+    parent,
+    properties
+  );
+};
+
+ItemDefinitionEditing.prototype._getDefinitions = function() {
+  return this._canvas.getRootElement().businessObject;
+};
+
+
+// helpers //////////
+
+function getCollectionName(parent) {
+  return is(parent, 'dmn:Definitions') ? 'itemDefinition' : 'itemComponent';
+}
+
+function getUniqueName(itemDefinitions, name) {
+  var uniqueName = name,
+      index = 1;
+
+  function isTaken(itemDefinition) {
+    return itemDefinition.name === uniqueName;
+  }
+
+  while (find(itemDefinitions, isTaken)) {
+    uniqueName = name + index++;
+  }
+
+  return uniqueName;
+}
@@ -0,0 +1,292 @@
+import { forEach } from 'min-dash';
+
+import {
+  classes as domClasses,
+  delegate as domDelegate,
+  domify,
+  query as domQuery
+} from 'min-dom';
+
+import { escapeHTML } from 'diagram-js/lib/util/EscapeUtil';
+
+
+/**
+ * A panel to create, edit and delete item definitions (custom data types),
+ * reachable from the definition properties.
+ *
+ * @param {EventBus} eventBus
+ * @param {Canvas} canvas
+ * @param {ItemDefinitionEditing} itemDefinitionEditing
+ * @param {DataTypes} dataTypes
+ * @param {Function} translate
+ */
+export default function ItemDefinitionsView(
+    eventBus, canvas, itemDefinitionEditing, dataTypes, translate) {
+  this._eventBus = eventBus;
+  this._canvas = canvas;
+  this._itemDefinitionEditing = itemDefinitionEditing;
+  this._dataTypes = dataTypes;
+  this._translate = translate;
+
+  this._itemDefinitions = [];
+
+  eventBus.on('definitionIdView.create', function(event) {
+    this._init(event.html);
+  }, this);
+
+  eventBus.on([ 'import.done', 'commandStack.changed' ], function() {
+    if (this.isOpen()) {
+      this.update();
+    }
+  }, this);
+}
+
+ItemDefinitionsView.$inject = [
+  'eventBus',
+  'canvas',
+  'itemDefinitionEditing',
+  'dataTypes',
+  'translate'
+];
+
+ItemDefinitionsView.prototype._init = function(definitionsContainer) {
+  var self = this,
+      translate = this._translate;
+
+  var toggle = domify(
+    '<button type="button" class="dmn-definitions-data-types">' +
+      escapeHTML(translate('Data types')) +
+    '</button>'
+  );
+
+  toggle.addEventListener('click', function() {
+    self.toggle();
+  });
+
+  toggle.addEventListener('mousedown', function(event) {
+    event.stopPropagation();
+  });
+
+  definitionsContainer.appendChild(toggle);
+
+  var container = this._container = domify(
+    '<div class="dmn-data-types">' +
+      '<div class="dmn-data-types-header">' +
+        '<span class="dmn-data-types-title">' +
+          escapeHTML(translate('Data types')) +
+        '</span>' +
+        '<button type="button" class="dmn-data-types-button dmn-data-types-close" ' +
+          'title="' + escapeHTML(translate('Close')) + '">×</button>' +
+      '</div>' +
+      '<div class="dmn-data-types-list"></div>' +
+      '<button type="button" class="dmn-data-types-button dmn-data-types-add">' +
+        escapeHTML(translate('Add data type')) +
+      '</button>' +
+    '</div>'
+  );
+
+  this._canvas.getContainer().appendChild(container);
+
+  domDelegate.bind(container, '.dmn-data-types-close', 'click', function() {
+    self.close();
+  });
+
+  domDelegate.bind(container, '.dmn-data-types-add', 'click', function() {
+    self._itemDefinitionEditing.addItemDefinition();
+  });
+
+  domDelegate.bind(container, '.dmn-data-type-add-component', 'click', function(event) {
+    self._itemDefinitionEditing.addItemDefinition(self._getItemDefinition(event));
+  });
+
+  domDelegate.bind(container, '.dmn-data-type-remove', 'click', function(event) {
+    self._itemDefinitionEditing.removeItemDefinition(self._getItemDefinition(event));
+  });
+
+  domDelegate.bind(container, '.dmn-data-type-name', 'change', function(event) {
+    var name = event.delegateTarget.value.trim();
+
+    if (!name) {
+      return self.update();
+    }
+
+    self._updateItemDefinition(event, { name: name });
+  });
+
+  domDelegate.bind(container, '.dmn-data-type-type-ref', 'change', function(event) {
+    self._updateItemDefinition(event, {
+      typeRef: event.delegateTarget.value || undefined
+    });
+  });
+
+  domDelegate.bind(container, '.dmn-data-type-collection', 'change', function(event) {
+    self._updateItemDefinition(event, {
+      isCollection: event.delegateTarget.checked || undefined
+    });
+  });
+
+  domDelegate.bind(container, '.dmn-data-type-allowed-values', 'change', function(event) {
+    self._updateItemDefinition(event, {
+      allowedValues: event.delegateTarget.value.trim()
+    });
+  });
+
+  domDelegate.bind(container, 'input, select, button', 'mousedown', function(event) {
+    event.stopPropagation();
+  });
+};
+
+/**
+ * Open the data types panel.
+ */
+ItemDefinitionsView.prototype.open = function() {
+  domClasses(this._container).add('open');
+
+  this.update();
+};
+
+/**
+ * Close the data types panel.
+ */
+ItemDefinitionsView.prototype.close = function() {
+  domClasses(this._container).remove('open');
+};
+
+ItemDefinitionsView.prototype.toggle = function() {
+  if (this.isOpen()) {
+    this.close();
+  } else {
+    this.open();
+  }
+};
+
+ItemDefinitionsView.prototype.isOpen = function() {
+  return !!this._container && domClasses(this._container).has('open');
+};
+
+/**
+ * Render the item definitions of the current model.
+ */
+ItemDefinitionsView.prototype.update = function() {
+  var list = domQuery('.dmn-data-types-list', this._container);
+
+  list.innerHTML = '';
+
+  this._itemDefinitions = [];
+
+  this._renderItemDefinitions(
+    this._itemDefinitionEditing.getItemDefinitions(),
+    list
+  );
+};
+
+ItemDefinitionsView.prototype._renderItemDefinitions = function(
+    itemDefinitions, parentNode) {
+  var self = this;
+
+  forEach(itemDefinitions, function(itemDefinition) {
+    parentNode.appendChild(self._renderItemDefinition(itemDefinition));
+  });
+};
+
+ItemDefinitionsView.prototype._renderItemDefinition = function(itemDefinition) {
+  var translate = this._translate;
+
+  var index = this._itemDefinitions.push(itemDefinition) - 1;
+
+  var node = domify(
+    '<div class="dmn-data-type" data-index="' + index + '">' +
+      '<div class="dmn-data-type-properties">' +
+        '<input type="text" class="dmn-data-type-name" spellcheck="false" ' +
+          'title="' + escapeHTML(translate('Name')) + '" />' +
+        '<select class="dmn-data-type-type-ref" ' +
+          'title="' + escapeHTML(translate('Base type')) + '">' +
+          this._renderTypeRefOptions(itemDefinition) +
+        '</select>' +
+        '<label class="dmn-data-type-collection-label">' +
+          '<input type="checkbox" class="dmn-data-type-collection" />' +
+          escapeHTML(translate('Collection')) +
+        '</label>' +
+        '<input type="text" class="dmn-data-type-allowed-values" spellcheck="false" ' +
+          'placeholder="' + escapeHTML(translate('Allowed values')) + '" ' +
+          'title="' + escapeHTML(translate('Allowed values')) + '" />' +
+        '<button type="button" ' +
+          'class="dmn-data-types-button dmn-data-type-add-component" ' +
+          'title="' + escapeHTML(translate('Add component')) + '">+</button>' +
+        '<button type="button" class="dmn-data-types-button dmn-data-type-remove" ' +
+          'title="' + escapeHTML(translate('Remove')) + '">×</button>' +
+      '</div>' +
+      '<div class="dmn-data-type-components"></div>' +
+    '</div>'
+  );
+
+  var allowedValues = itemDefinition.get('allowedValues');
+
+  domQuery('.dmn-data-type-name', node).value = itemDefinition.get('name') || '';
+  domQuery('.dmn-data-type-type-ref', node).value = itemDefinition.get('typeRef') || '';
+  domQuery('.dmn-data-type-collection', node).checked =
+    !!itemDefinition.get('isCollection');
+  domQuery('.dmn-data-type-allowed-values', node).value =
+    allowedValues && allowedValues.get('text') || '';
+
+  this._renderItemDefinitions(
+    itemDefinition.get('itemComponent'),
+    domQuery('.dmn-data-type-components', node)
+  );
+
+  return node;
+};
+
+ItemDefinitionsView.prototype._renderTypeRefOptions = function(itemDefinition) {
+  var name = itemDefinition.get('name'),
+      typeRef = itemDefinition.get('typeRef');
+
+  var typeRefs = this._dataTypes.getAll().filter(function(dataType) {
+    return dataType !== name;
+  });
+
+  if (typeRef && typeRefs.indexOf(typeRef) === -1) {
+    typeRefs = typeRefs.concat(typeRef);
+  }
+
+  return [
+    option('', this._translate('(structure)'))
+  ].concat(typeRefs.map(function(dataType) {
+    return option(dataType, dataType);
+  })).join('');
+};
+
+ItemDefinitionsView.prototype._getItemDefinition = function(event) {
+  var node = event.delegateTarget.closest('.dmn-data-type');
+
+  return this._itemDefinitions[ node.getAttribute('data-index') ];
+};
+
+ItemDefinitionsView.prototype._updateItemDefinition = function(event, properties) {
+  var itemDefinition = this._getItemDefinition(event);
+
+  var changed = Object.keys(properties).some(function(key) {
+    return getValue(itemDefinition, key) !== properties[ key ];
+  });
+
+  if (changed) {
+    this._itemDefinitionEditing.updateItemDefinition(itemDefinition, properties);
+  }
+};
+
+
+// helpers //////////
+
+function getValue(itemDefinition, key) {
+  var value = itemDefinition.get(key);
+
+  if (key === 'allowedValues') {
+    return value && value.get('text') || '';
+  }
+
+  return value;
+}
+
+function option(value, label) {
+  return '<option value="' + escapeHTML(value) + '">' + escapeHTML(label) + '</option>';
+}
@@ -0,0 +1,85 @@
+import inherits from 'inherits-browser';
+
+import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
+
+import {
+  forEach,
+  isArray
+} from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+
+/**
+ * Updates type references to an item definition once the item definition
+ * gets renamed.
+ *
+ * @param {Modeling} modeling
+ * @param {Injector} injector
+ */
+export default function TypeRefBehavior(modeling, injector) {
+
+  injector.invoke(CommandInterceptor, this);
+
+  this.postExecuted('element.updateModdleProperties', function(context) {
+    var element = context.element,
+        moddleElement = context.moddleElement,
+        oldProperties = context.oldProperties,
+        properties = context.properties;
+
+    if (
+      !is(moddleElement, 'dmn:ItemDefinition') ||
+      !is(moddleElement.$parent, 'dmn:Definitions') ||
+      !('name' in properties) ||
+      !oldProperties.name ||
+      oldProperties.name === properties.name
+    ) {
+      return;
+    }
+
+    forEachTypeRef(moddleElement.$parent, oldProperties.name, function(typed) {
+      modeling.updateModdleProperties(element, typed, {
+        typeRef: properties.name
+      });
+    });
+  }, true);
+}
+
+TypeRefBehavior.$inject = [
+  'modeling',
+  'injector'
+];
+
+inherits(TypeRefBehavior, CommandInterceptor);
+
+
+// helpers //////////
+
+/**
+ * Call fn for every semantic element referencing the given type.
+ *
+ * @param {ModdleElement} element
+ * @param {string} typeRef
+ * @param {Function} fn
+ */
+function forEachTypeRef(element, typeRef, fn) {
+  var descriptor = element.$descriptor;
+
+  if (descriptor.propertiesByName.typeRef && element.get('typeRef') === typeRef) {
+    fn(element);
+  }
+
+  forEach(descriptor.properties, function(property) {
+    if (property.isAttr || property.isReference || property.name === 'dmnDI') {
+      return;
+    }
+
+    var value = element.get(property.name);
+
+    forEach(isArray(value) ? value : [ value ], function(child) {
+      if (child && child.$descriptor) {
+        forEachTypeRef(child, typeRef, fn);
+      }
+    });
+  });
+}
@@ -0,0 +1,22 @@
+import DataTypesModule from 'dmn-js-shared/lib/features/data-types';
+import DefinitionPropertiesModule from '../definition-properties/modeler';
+import ModelingModule from '../modeling';
+
+import ItemDefinitionEditing from './ItemDefinitionEditing';
+import ItemDefinitionsView from './ItemDefinitionsView';
+import TypeRefBehavior from './TypeRefBehavior';
+
+export default {
+  __depends__: [
+    DataTypesModule,
+    DefinitionPropertiesModule,
+    ModelingModule
+  ],
+  __init__: [
+    'itemDefinitionsView',
+    'typeRefBehavior'
+  ],
+  itemDefinitionEditing: [ 'type', ItemDefinitionEditing ],
+  itemDefinitionsView: [ 'type', ItemDefinitionsView ],
+  typeRefBehavior: [ 'type', TypeRefBehavior ]
+};
@@ -1,5 +1,7 @@
 import { getLabel } from './LabelUtil';
 
+import { isImported } from 'dmn-js-shared/lib/util/ImportUtil';
+
 import {
   is
 } from 'dmn-js-shared/lib/util/ModelUtil';
@@ -55,6 +57,8 @@ export default function LabelEditingProvider(
 
     if (
       is(element, 'dmn:Decision') ||
+      is(element, 'dmn:DecisionService') ||
+      is(element, 'dmn:Group') ||
       is(element, 'dmn:InputData') ||
       is(element, 'dmn:BusinessKnowledgeModel') ||
       is(element, 'dmn:KnowledgeSource') ||
@@ -100,7 +104,7 @@ LabelEditingProvider.prototype.activate = function(element) {
 
   var text = getLabel(element);
 
-  if (!isDefined(text)) {
+  if (!isDefined(text) || isImported(element)) {
     return;
   }
 
@@ -118,7 +122,7 @@ LabelEditingProvider.prototype.activate = function(element) {
   // DRG elements
   if (is(element, 'dmn:DRGElement')) {
     assign(options, {
-      centerVertically: true
+      centerVertically: !is(element, 'dmn:DecisionService')
     });
 
     assign(style, {
@@ -194,6 +198,36 @@ LabelEditingProvider.prototype.getEditingBBox = function(element) {
     });
   }
 
+  // decision services, label on top
+  if (is(element, 'dmn:DecisionService')) {
+    assign(bounds, {
+      height: 30 * zoom
+    });
+
+    assign(style, {
+      paddingTop: (5 * zoom) + 'px',
+      paddingBottom: (5 * zoom) + 'px'
+    });
+  }
+
+  // groups, label on top left
+  if (is(element, 'dmn:Group')) {
+    assign(bounds, {
+      width: bbox.width,
+      height: 30 * zoom
+    });
+
+    assign(style, {
+      textAlign: 'left',
+      paddingTop: (5 * zoom) + 'px',
+      paddingBottom: (5 * zoom) + 'px',
+      paddingLeft: (5 * zoom) + 'px',
+      paddingRight: (5 * zoom) + 'px',
+      fontSize: defaultFontSize + 'px',
+      lineHeight: defaultLineHeight
+    });
+  }
+
   // text annotations
   if (is(element, 'dmn:TextAnnotation')) {
     assign(bounds, {
@@ -5,7 +5,9 @@ import {
 
 function getLabelAttr(semantic) {
   if (is(semantic, 'dmn:Decision') ||
+      is(semantic, 'dmn:DecisionService') ||
       is(semantic, 'dmn:BusinessKnowledgeModel') ||
+      is(semantic, 'dmn:Group') ||
       is(semantic, 'dmn:InputData') ||
       is(semantic, 'dmn:KnowledgeSource')) {
 
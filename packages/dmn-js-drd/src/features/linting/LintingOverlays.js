@@ -0,0 +1,147 @@
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+const OVERLAY_TYPE = 'linting';
+
+
+/**
+ * Marks DRD elements with issues found by linting, cf. `Manager#lint`.
+ * Issues of elements not shown in the DRD, e.g. decision table rules,
+ * are attributed to the closest DRG element.
+ */
+export default class LintingOverlays {
+
+  constructor(injector, eventBus, canvas, elementRegistry, overlays, selection,
+      translate) {
+    this._canvas = canvas;
+    this._elementRegistry = elementRegistry;
+    this._overlays = overlays;
+    this._selection = selection;
+    this._translate = translate;
+
+    const parent = injector.get('_parent', false);
+
+    if (!parent) {
+      return;
+    }
+
+    const onLintingCompleted = ({ issues }) => this.show(issues);
+
+    const onIssueOpen = ({ issue, view }) => {
+      if (view.type === 'drd') {
+        this.select(issue);
+      }
+    };
+
+    parent.on('linting.completed', onLintingCompleted);
+    parent.on('linting.issue.open', onIssueOpen);
+
+    eventBus.on('import.done', () => {
+      this.show(parent.getIssues());
+    });
+
+    eventBus.on('diagram.destroy', () => {
+      parent.off('linting.completed', onLintingCompleted);
+      parent.off('linting.issue.open', onIssueOpen);
+    });
+  }
+
+  /**
+   * Show issues, replacing any issues shown before.
+   *
+   * @param {Array<LintIssue>} issues
+   */
+  show(issues) {
+    this.clear();
+
+    const issuesByElement = {};
+
+    issues.forEach(issue => {
+      const element = this._getElement(issue);
+
+      if (!element) {
+        return;
+      }
+
+      (issuesByElement[ element.id ] = issuesByElement[ element.id ] || []).push(issue);
+    });
+
+    Object.keys(issuesByElement).forEach(id => {
+      this._addOverlay(this._elementRegistry.get(id), issuesByElement[ id ]);
+    });
+  }
+
+  /**
+   * Remove all issues.
+   */
+  clear() {
+    this._overlays.remove({ type: OVERLAY_TYPE });
+  }
+
+  /**
+   * Select and reveal the element of an issue.
+   *
+   * @param {LintIssue} issue
+   */
+  select(issue) {
+    const element = this._getElement(issue);
+
+    if (!element) {
+      return;
+    }
+
+    this._selection.select(element);
+
+    if (!element.waypoints) {
+      this._canvas.scrollToElement(element);
+    }
+  }
+
+  _getElement(issue) {
+    const elementRegistry = this._elementRegistry;
+
+    let current = issue.element;
+
+    while (current) {
+      const element = elementRegistry.get(current.id);
+
+      if (element || is(current, 'dmn:DRGElement')) {
+        return element;
+      }
+
+      current = current.$parent;
+    }
+  }
+
+  _addOverlay(element, issues) {
+    const translate = this._translate;
+
+    const node = document.createElement('div');
+
+    const hasErrors = issues.some(issue => issue.severity === 'error');
+
+    node.className = 'dmn-linting-issues ' + (hasErrors ? 'error' : 'warn');
+    node.textContent = issues.length;
+    node.title = issues.map(issue => {
+      return translate(issue.message, issue.values);
+    }).join('\n');
+
+    const position = element.waypoints ?
+      { top: -10, left: -10 } :
+      { top: -10, right: 10 };
+
+    this._overlays.add(element, OVERLAY_TYPE, {
+      position,
+      html: node
+    });
+  }
+}
+
+LintingOverlays.$inject = [
+  'injector',
+  'eventBus',
+  'canvas',
+  'elementRegistry',
+  'overlays',
+  'selection',
+  'translate'
+];
@@ -0,0 +1,15 @@
+import TranslateModule from 'diagram-js/lib/i18n/translate';
+import OverlaysModule from 'diagram-js/lib/features/overlays';
+import SelectionModule from 'diagram-js/lib/features/selection';
+
+import LintingOverlays from './LintingOverlays';
+
+export default {
+  __depends__: [
+    OverlaysModule,
+    SelectionModule,
+    TranslateModule
+  ],
+  __init__: [ 'lintingOverlays' ],
+  lintingOverlays: [ 'type', LintingOverlays ]
+};
@@ -1,4 +1,7 @@
-import { assign } from 'min-dash';
+import {
+  assign,
+  some
+} from 'min-dash';
 
 import inherits from 'inherits-browser';
 
@@ -12,6 +15,9 @@ import {
   isAny
 } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import { getDiagrams } from 'dmn-js-shared/lib/util/DiUtil';
+import { isImported } from 'dmn-js-shared/lib/util/ImportUtil';
+
 import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
 
 
@@ -97,7 +103,7 @@ export default function DrdUpdater(
   function updateBounds(context) {
     var shape = context.shape;
 
-    if (!(is(shape, 'dmn:DRGElement') || is(shape, 'dmn:TextAnnotation'))) {
+    if (!isAny(shape, [ 'dmn:DRGElement', 'dmn:Group', 'dmn:TextAnnotation' ])) {
       return;
     }
 
@@ -195,6 +201,10 @@ DrdUpdater.prototype.updateBounds = function(shape) {
   var businessObject = shape.businessObject,
       bounds = businessObject.di.bounds;
 
+  if (is(shape, 'dmn:DecisionService')) {
+    this.updateDividerLine(shape);
+  }
+
   // update bounds
   assign(bounds, {
     x: shape.x,
@@ -204,6 +214,44 @@ DrdUpdater.prototype.updateBounds = function(shape) {
   });
 };
 
+/**
+ * Update the divider line of a decision service, keeping it at the
+ * same relative position. Must be called before the bounds are updated.
+ *
+ * @param {Shape} shape
+ */
+DrdUpdater.prototype.updateDividerLine = function(shape) {
+  var drdFactory = this._drdFactory;
+
+  var di = shape.businessObject.di,
+      bounds = di.bounds,
+      dividerLine = di.get('decisionServiceDividerLine'),
+      ratio = 0.5;
+
+  if (dividerLine && dividerLine.waypoint.length && bounds.height) {
+    ratio = (dividerLine.waypoint[ 0 ].y - bounds.y) / bounds.height;
+  }
+
+  var y = Math.round(shape.y + shape.height * ratio);
+
+  if (!dividerLine) {
+    dividerLine = drdFactory.create('dmndi:DMNDecisionServiceDividerLine');
+
+    dividerLine.$parent = di;
+
+    di.set('decisionServiceDividerLine', dividerLine);
+  }
+
+  dividerLine.waypoint = drdFactory.createDiWaypoints([
+    { x: shape.x, y: y },
+    { x: shape.x + shape.width, y: y }
+  ]).map(function(waypoint) {
+    waypoint.$parent = dividerLine;
+
+    return waypoint;
+  });
+};
+
 DrdUpdater.prototype.updateConnectionWaypoints = function(context) {
   var drdFactory = this._drdFactory;
 
@@ -226,10 +274,18 @@ DrdUpdater.prototype.updateParent = function(element, oldParent) {
     parent = oldParent;
   }
 
+  // decisions are contained in decision services visually only
+  while (is(parent, 'dmn:DecisionService')) {
+    parent = parent.parent;
+  }
+
   var businessObject = element.businessObject,
       parentBo = parent && parent.businessObject;
 
-  this.updateSemanticParent(businessObject, parentBo);
+  // elements displayed on other diagrams lose their DI only
+  if (parentBo || !isDisplayedOnOtherDiagram(businessObject)) {
+    this.updateSemanticParent(businessObject, parentBo);
+  }
 
   this.updateDiParent(businessObject.di, parentBo && parentBo.di);
 };
@@ -238,7 +294,8 @@ DrdUpdater.prototype.updateSemanticParent = function(businessObject, parent) {
   var children,
       containment;
 
-  if (businessObject.$parent === parent) {
+  // elements of imported models are not part of the definitions
+  if (businessObject.$parent === parent || isImported(businessObject)) {
     return;
   }
 
@@ -304,3 +361,24 @@ DrdUpdater.prototype.updateDiParent = function(di, parentDi) {
     throw new Error('unsupported');
   }
 };
+
+
+// helpers //////////
+
+function isDisplayedOnOtherDiagram(businessObject) {
+  var definitions = businessObject,
+      diagram = businessObject.di && businessObject.di.$parent;
+
+  while (definitions && !is(definitions, 'dmn:Definitions')) {
+    definitions = definitions.$parent;
+  }
+
+  return definitions && some(getDiagrams(definitions), function(otherDiagram) {
+    return otherDiagram !== diagram && some(
+      otherDiagram.get('diagramElements'),
+      function(diagramElement) {
+        return diagramElement.dmnElementRef === businessObject;
+      }
+    );
+  });
+}
@@ -12,6 +12,8 @@ import BaseElementFactory from 'diagram-js/lib/core/ElementFactory';
 
 export var BUSINESS_KNOWLEDGE_MODEL_SIZE = { width: 135, height: 46 };
 export var DECISION_SIZE = { width: 180, height: 80 };
+export var DECISION_SERVICE_SIZE = { width: 320, height: 240 };
+export var GROUP_SIZE = { width: 300, height: 300 };
 export var INPUT_DATA_SIZE = { width: 125, height: 45 };
 export var KNOWLEDGE_SOURCE_SIZE = { width: 100, height: 63 };
 
@@ -68,6 +70,11 @@ ElementFactory.prototype.createDrdElement = function(elementType, attrs) {
     id: businessObject.id
   }, size, attrs);
 
+  // groups do not contain other elements
+  if (is(businessObject, 'dmn:Group')) {
+    attrs.isFrame = true;
+  }
+
   return this.baseCreate(elementType, attrs);
 };
 
@@ -81,6 +88,14 @@ ElementFactory.prototype._getDefaultSize = function(semantic) {
     return DECISION_SIZE;
   }
 
+  if (is(semantic, 'dmn:DecisionService')) {
+    return DECISION_SERVICE_SIZE;
+  }
+
+  if (is(semantic, 'dmn:Group')) {
+    return GROUP_SIZE;
+  }
+
   if (is(semantic, 'dmn:InputData')) {
     return INPUT_DATA_SIZE;
   }
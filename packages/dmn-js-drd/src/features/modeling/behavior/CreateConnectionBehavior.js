@@ -2,7 +2,12 @@ import inherits from 'inherits-browser';
 
 import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
 
-import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+import {
+  is,
+  isAny
+} from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { getHref } from 'dmn-js-shared/lib/util/ImportUtil';
 
 
 /**
@@ -26,7 +31,7 @@ export default function CreateConnectionBehavior(drdFactory, injector) {
     if (is(connection, 'dmn:Association')) {
       sourceRef = connectionBo.sourceRef = drdFactory
         .create('dmn:DMNElementReference', {
-          href: '#' + source.id
+          href: getHref(source)
         });
 
       sourceRef.$parent = connectionBo;
@@ -40,7 +45,7 @@ export default function CreateConnectionBehavior(drdFactory, injector) {
     } else {
       elementRef = connectionBo[ 'required' + getRequirementType(source) ] = drdFactory
         .create('dmn:DMNElementReference', {
-          href: '#' + source.id
+          href: getHref(source)
         });
 
       elementRef.$parent = connectionBo;
@@ -60,7 +65,7 @@ inherits(CreateConnectionBehavior, CommandInterceptor);
 // helpers //////////
 
 function getRequirementType(source) {
-  if (is(source, 'dmn:BusinessKnowledgeModel')) {
+  if (isAny(source, [ 'dmn:BusinessKnowledgeModel', 'dmn:DecisionService' ])) {
     return 'Knowledge';
   } else if (is(source, 'dmn:Decision')) {
     return 'Decision';
@@ -0,0 +1,212 @@
+import inherits from 'inherits-browser';
+
+import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
+
+import {
+  filter,
+  find,
+  forEach,
+  map
+} from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import { isInOutputSection } from '../../../util/DecisionServiceUtil';
+
+
+/**
+ * Keeps output, encapsulated and input references of decision services
+ * in sync with the decisions drawn inside of them.
+ *
+ * Only decision services affected by a command are updated: those
+ * containing or being the changed shapes and the ends of changed
+ * connections.
+ *
+ * As decisions are children of their decision service shape, deleting
+ * a decision service deletes the decisions drawn inside of it, too.
+ *
+ * @param {ElementRegistry} elementRegistry
+ * @param {DrdFactory} drdFactory
+ * @param {Modeling} modeling
+ * @param {Injector} injector
+ */
+export default function DecisionServiceBehavior(
+    elementRegistry, drdFactory, modeling, injector) {
+
+  injector.invoke(CommandInterceptor, this);
+
+  function createReferences(ids, existingReferences, parent) {
+    return map(ids, function(id) {
+      var href = '#' + id;
+
+      var reference = find(existingReferences, function(existingReference) {
+        return existingReference.href === href;
+      });
+
+      if (!reference) {
+        reference = drdFactory.create('dmn:DMNElementReference', { href: href });
+
+        reference.$parent = parent;
+      }
+
+      return reference;
+    });
+  }
+
+  function updateDecisionService(decisionService) {
+    var businessObject = decisionService.businessObject;
+
+    var decisions = filter(decisionService.children, function(child) {
+      return is(child, 'dmn:Decision');
+    });
+
+    var containedIds = map(decisions, function(decision) {
+      return decision.businessObject.id;
+    });
+
+    var ids = {
+      outputDecision: [],
+      encapsulatedDecision: [],
+      inputDecision: [],
+      inputData: []
+    };
+
+    // keep references to existing elements not shown in the diagram
+    forEach(ids, function(propertyIds, propertyName) {
+      forEach(businessObject.get(propertyName), function(reference) {
+        var id = getId(reference);
+
+        if (!elementRegistry.get(id) && hasDrgElement(businessObject.$parent, id)) {
+          addUnique(propertyIds, id);
+        }
+      });
+    });
+
+    forEach(decisions, function(decision) {
+      var decisionBo = decision.businessObject;
+
+      if (isInOutputSection(decision, decisionService)) {
+        addUnique(ids.outputDecision, decisionBo.id);
+      } else {
+        addUnique(ids.encapsulatedDecision, decisionBo.id);
+      }
+
+      // decisions and input data required from outside become inputs
+      forEach(decisionBo.get('informationRequirement'), function(requirement) {
+        var requiredDecision = requirement.requiredDecision,
+            requiredInput = requirement.requiredInput;
+
+        if (requiredDecision && containedIds.indexOf(getId(requiredDecision)) === -1) {
+          addUnique(ids.inputDecision, getId(requiredDecision));
+        }
+
+        if (requiredInput) {
+          addUnique(ids.inputData, getId(requiredInput));
+        }
+      });
+    });
+
+    var properties = {};
+
+    forEach(ids, function(propertyIds, propertyName) {
+      var references = businessObject.get(propertyName);
+
+      if (!isSameSet(propertyIds, map(references, getId))) {
+        properties[ propertyName ] = createReferences(
+          propertyIds,
+          references,
+          businessObject
+        );
+      }
+    });
+
+    if (Object.keys(properties).length) {
+      modeling.updateModdleProperties(decisionService, businessObject, properties);
+    }
+  }
+
+  function getAffectedDecisionServices(context) {
+    var connection = context.connection;
+
+    var shapes = [
+      context.shape,
+      context.newShape,
+      context.oldParent,
+      context.source,
+      context.target,
+      context.oldSource,
+      context.oldTarget,
+      connection && connection.source,
+      connection && connection.target
+    ];
+
+    var decisionServices = [];
+
+    forEach(shapes, function(shape) {
+      forEach([ shape, shape && shape.parent ], function(element) {
+        if (
+          element &&
+          is(element, 'dmn:DecisionService') &&
+          elementRegistry.get(element.id)
+        ) {
+          addUnique(decisionServices, element);
+        }
+      });
+    });
+
+    return decisionServices;
+  }
+
+  function updateDecisionServices(event) {
+    forEach(getAffectedDecisionServices(event.context), updateDecisionService);
+  }
+
+  this.postExecuted([
+    'connection.create',
+    'connection.delete',
+    'connection.reconnect',
+    'shape.create',
+    'shape.delete',
+    'shape.move',
+    'shape.replace',
+    'shape.resize'
+  ], updateDecisionServices, true);
+}
+
+DecisionServiceBehavior.$inject = [
+  'elementRegistry',
+  'drdFactory',
+  'modeling',
+  'injector'
+];
+
+inherits(DecisionServiceBehavior, CommandInterceptor);
+
+
+// helpers //////////
+
+function addUnique(collection, value) {
+  if (collection.indexOf(value) === -1) {
+    collection.push(value);
+  }
+}
+
+function hasDrgElement(definitions, id) {
+  return !!find(definitions.get('drgElement'), function(drgElement) {
+    return drgElement.id === id;
+  });
+}
+
+function getId(reference) {
+  return getIdFromHref(reference.href);
+}
+
+function getIdFromHref(href) {
+  return href.split('#').pop();
+}
+
+function isSameSet(a, b) {
+  return a.length === b.length && a.every(function(value) {
+    return b.indexOf(value) !== -1;
+  });
+}
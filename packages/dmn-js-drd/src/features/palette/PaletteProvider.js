@@ -86,6 +86,10 @@ PaletteProvider.prototype.getPaletteEntries = function(element) {
     'create.decision': createAction(
       'dmn:Decision', 'drd', 'dmn-icon-decision', translate('Create decision')
     ),
+    'create.decision-service': createAction(
+      'dmn:DecisionService', 'drd', 'dmn-icon-decision-service',
+      translate('Create decision service')
+    ),
     'create.input-data': createAction(
       'dmn:InputData', 'drd', 'dmn-icon-input-data', translate('Create input data')
     ),
@@ -96,6 +100,9 @@ PaletteProvider.prototype.getPaletteEntries = function(element) {
     'create.business-knowledge-model': createAction(
       'dmn:BusinessKnowledgeModel', 'drd', 'dmn-icon-business-knowledge',
       translate('Create knowledge model')
+    ),
+    'create.group': createAction(
+      'dmn:Group', 'artifact', 'dmn-icon-group', translate('Create group')
     )
   });
 
@@ -81,8 +81,12 @@ ReplaceMenuProvider.prototype.getEntries = function(element) {
         option.actionName === 'replace-with-literal-expression' &&
         !is(boxedExpression, 'dmn:LiteralExpression')
       );
+      var notBoxed = (
+        option.target.boxedExpression &&
+        !is(boxedExpression, option.target.boxedExpression)
+      );
 
-      return notEmpty || notTable || notExp;
+      return notEmpty || notTable || notExp || notBoxed;
     });
 
     return this._createEntries(element, options);
@@ -68,6 +68,14 @@ export default function DrdReplace(drdFactory, replace, selection, modeling) {
       setBoxedExpression(newBusinessObject, literalExpression, drdFactory, variable);
     }
 
+    if (target.boxedExpression) {
+      var boxedExpression = createBoxedExpression(target.boxedExpression, drdFactory),
+          boxedVariable = drdFactory.create('dmn:InformationItem',
+            { name: oldBusinessObject.name });
+
+      setBoxedExpression(newBusinessObject, boxedExpression, drdFactory, boxedVariable);
+    }
+
     return replace.replaceElement(element, newElement, hints);
   }
 
@@ -82,6 +90,49 @@ DrdReplace.$inject = [
 ];
 
 // helper //////////////////////////////////////////////////////////////
+
+/**
+ * Create a minimal boxed expression of the given type,
+ * ready to be edited in the boxed expression editor.
+ */
+function createBoxedExpression(type, drdFactory) {
+  var expression = drdFactory.create(type);
+
+  if (type === 'dmn:Context') {
+    var contextEntry = createChild('dmn:ContextEntry', expression, drdFactory);
+
+    contextEntry.value = createChild('dmn:LiteralExpression', contextEntry, drdFactory);
+
+    expression.contextEntry = [ contextEntry ];
+  } else if (type === 'dmn:Relation') {
+    var row = createChild('dmn:List', expression, drdFactory);
+
+    row.elements = [ createChild('dmn:LiteralExpression', row, drdFactory) ];
+
+    expression.column = [
+      createChild('dmn:InformationItem', expression, drdFactory, { name: '' })
+    ];
+    expression.row = [ row ];
+  } else if (type === 'dmn:Invocation') {
+    expression.calledFunction =
+      createChild('dmn:LiteralExpression', expression, drdFactory);
+  } else if (type === 'dmn:List') {
+    expression.elements = [
+      createChild('dmn:LiteralExpression', expression, drdFactory)
+    ];
+  }
+
+  return expression;
+}
+
+function createChild(type, parent, drdFactory, attrs) {
+  var child = drdFactory.create(type, attrs);
+
+  child.$parent = parent;
+
+  return child;
+}
+
 function setBoxedExpression(bo, expression, drdFactory, variable) {
   if (is(bo, 'dmn:Decision')) {
     bo.decisionLogic = expression;
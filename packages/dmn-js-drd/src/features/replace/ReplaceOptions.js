@@ -29,6 +29,50 @@ export default {
         table: false,
         expression: true
       }
+    },
+    {
+      label: 'Context',
+      actionName: 'replace-with-context',
+      className: 'dmn-icon-file-code',
+      target: {
+        type: 'dmn:Decision',
+        table: false,
+        expression: false,
+        boxedExpression: 'dmn:Context'
+      }
+    },
+    {
+      label: 'Relation',
+      actionName: 'replace-with-relation',
+      className: 'dmn-icon-file-code',
+      target: {
+        type: 'dmn:Decision',
+        table: false,
+        expression: false,
+        boxedExpression: 'dmn:Relation'
+      }
+    },
+    {
+      label: 'Invocation',
+      actionName: 'replace-with-invocation',
+      className: 'dmn-icon-file-code',
+      target: {
+        type: 'dmn:Decision',
+        table: false,
+        expression: false,
+        boxedExpression: 'dmn:Invocation'
+      }
+    },
+    {
+      label: 'List',
+      actionName: 'replace-with-list',
+      className: 'dmn-icon-file-code',
+      target: {
+        type: 'dmn:Decision',
+        table: false,
+        expression: false,
+        boxedExpression: 'dmn:List'
+      }
     }
   ],
   BKM: [
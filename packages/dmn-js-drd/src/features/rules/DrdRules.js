@@ -3,6 +3,8 @@ import {
   isAny
 } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import { isImported } from 'dmn-js-shared/lib/util/ImportUtil';
+
 import inherits from 'inherits-browser';
 
 import RuleProvider from 'diagram-js/lib/features/rules/RuleProvider';
@@ -50,6 +52,30 @@ DrdRules.prototype.init = function() {
     };
   });
 
+  this.addRule('element.copy', function(context) {
+    var element = context.element;
+
+    return !isImported(element);
+  });
+
+  this.addRule('elements.create', function(context) {
+    var elements = context.elements,
+        target = context.target;
+
+    return every(elements, function(element) {
+      if (isConnection(element)) {
+        return !!canConnect(element.source, element.target);
+      }
+
+      // elements nested in pasted elements
+      if (element.parent) {
+        return true;
+      }
+
+      return canCreate(element, target);
+    });
+  });
+
   this.addRule('elements.move', function(context) {
     var target = context.target,
         shapes = context.shapes,
@@ -65,10 +91,18 @@ DrdRules.prototype.init = function() {
     return canCreate(shape, target);
   });
 
+  this.addRule('shape.replace', function(context) {
+    return !isImported(context.element);
+  });
+
   this.addRule('shape.resize', function(context) {
     var shape = context.shape;
 
-    return is(shape, 'dmn:TextAnnotation');
+    return isAny(shape, [
+      'dmn:DecisionService',
+      'dmn:Group',
+      'dmn:TextAnnotation'
+    ]);
   });
 
 };
@@ -89,6 +123,12 @@ function canConnect(source, target) {
     return false;
   }
 
+  // elements of imported models are read-only; they may
+  // be required by but not require other elements
+  if (isImported(target)) {
+    return false;
+  }
+
   if (is(source, 'dmn:BusinessKnowledgeModel') &&
       isAny(target, [
         'dmn:BusinessKnowledgeModel',
@@ -97,6 +137,14 @@ function canConnect(source, target) {
     return { type: 'dmn:KnowledgeRequirement' };
   }
 
+  if (is(source, 'dmn:DecisionService') &&
+      isAny(target, [
+        'dmn:BusinessKnowledgeModel',
+        'dmn:Decision'
+      ])) {
+    return { type: 'dmn:KnowledgeRequirement' };
+  }
+
   if (is(source, 'dmn:Decision')) {
 
     if (is(target, 'dmn:Decision')) {
@@ -143,9 +191,17 @@ function canConnect(source, target) {
 }
 
 function canCreate(shape, target) {
+
+  // decisions may be dropped into decision services
+  if (is(shape, 'dmn:Decision') && is(target, 'dmn:DecisionService')) {
+    return true;
+  }
+
   return isAny(shape, [
     'dmn:BusinessKnowledgeModel',
     'dmn:Decision',
+    'dmn:DecisionService',
+    'dmn:Group',
     'dmn:InputData',
     'dmn:KnowledgeSource',
     'dmn:TextAnnotation'
@@ -162,10 +218,23 @@ function canMove(elements, target) {
     return true;
   }
 
+  if (every(elements, function(element) {
+    return isAny(element, [
+      'dmn:Decision',
+      'dmn:InformationRequirement',
+      'dmn:AuthorityRequirement',
+      'dmn:KnowledgeRequirement'
+    ]);
+  }) && is(target, 'dmn:DecisionService')) {
+    return true;
+  }
+
   if (every(elements, function(element) {
     return isAny(element, [
       'dmn:BusinessKnowledgeModel',
       'dmn:Decision',
+      'dmn:DecisionService',
+      'dmn:Group',
       'dmn:InputData',
       'dmn:KnowledgeSource',
       'dmn:TextAnnotation',
@@ -183,4 +252,8 @@ function canMove(elements, target) {
 
 export function isLabel(element) {
   return !!element.labelTarget;
+}
+
+function isConnection(element) {
+  return !!element.waypoints;
 }
\ No newline at end of file
@@ -7,6 +7,13 @@ import {
   is
 } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import {
+  getHref,
+  isImported
+} from 'dmn-js-shared/lib/util/ImportUtil';
+
+import { getDecisionService } from '../util/DecisionServiceUtil';
+
 
 export default function DrdImporter(
     eventBus,
@@ -59,7 +66,7 @@ DrdImporter.prototype.add = function(semantic) {
 
     element = elementFactory.createShape(elementDefinition);
 
-    canvas.addShape(element);
+    canvas.addShape(element, this._getParent(semantic));
 
     eventBus.fire('drdElement.added', { element: element, di: di });
 
@@ -91,6 +98,19 @@ DrdImporter.prototype.add = function(semantic) {
   return element;
 };
 
+/**
+ * Return the decision service shape containing a decision, if any.
+ */
+DrdImporter.prototype._getParent = function(semantic) {
+  var decisionService;
+
+  if (is(semantic, 'dmn:Decision')) {
+    decisionService = getDecisionService(semantic);
+  }
+
+  return decisionService && this._getShape(decisionService.id);
+};
+
 DrdImporter.prototype._getSource = function(semantic) {
   var href, elementReference;
 
@@ -109,9 +129,18 @@ DrdImporter.prototype._getSource = function(semantic) {
     href = elementReference.href;
   }
 
-  if (href) {
-    return this._getShape(getIdFromHref(href));
+  if (!href) {
+    return;
   }
+
+  // element of an imported model
+  if (href.charAt(0) !== '#') {
+    return this._elementRegistry.find(function(element) {
+      return isImported(element) && getHref(element) === href;
+    });
+  }
+
+  return this._getShape(getIdFromHref(href));
 };
 
 DrdImporter.prototype._getTarget = function(semantic) {
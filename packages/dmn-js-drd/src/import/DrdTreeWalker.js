@@ -1,4 +1,5 @@
 import {
+  filter,
   forEach
 } from 'min-dash';
 
@@ -6,6 +7,8 @@ import { Refs } from 'object-refs';
 
 import { is } from 'dmn-js-shared/lib/util/ModelUtil';
 
+import { isImported } from 'dmn-js-shared/lib/util/ImportUtil';
+
 
 var diRefs = new Refs(
   { name: 'dmnElementRef', enumerable: true },
@@ -84,25 +87,51 @@ export default function DRDTreeWalker(handler, options) {
     // assign current diagram to definitions so that it can accessed later
     definitions.di = diagram;
 
+    // reset DI of previously displayed diagrams
+    forEach(diagrams, resetDi);
+
     // load DI from selected diagram only
     handleDiagram(diagram);
 
     visitRoot(definitions);
 
     handleDrgElements(definitions.get('drgElement'));
+    handleImportedElements(diagram);
     handleArtifacts(definitions.get('artifact'));
 
     handleDeferred();
   }
 
   function handleDrgElements(elements) {
-    forEach(elements, function(element) {
+
+    // decision services need to be drawn before the decisions they contain
+    var decisionServices = filter(elements, isDecisionService),
+        otherElements = filter(elements, function(element) {
+          return !isDecisionService(element);
+        });
+
+    forEach(decisionServices.concat(otherElements), function(element) {
       visitIfDi(element);
 
       handleRequirements(element);
     });
   }
 
+  /**
+   * Handle elements of imported models shown in the diagram.
+   *
+   * @param {ModdleElement} diagram
+   */
+  function handleImportedElements(diagram) {
+    forEach(diagram.diagramElements, function(diagramElement) {
+      var element = diagramElement.dmnElementRef;
+
+      if (element && isImported(element)) {
+        visitIfDi(element);
+      }
+    });
+  }
+
   function handleArtifacts(elements) {
     forEach(elements, function(element) {
       if (is(element, 'dmn:Association')) {
@@ -144,6 +173,18 @@ export default function DRDTreeWalker(handler, options) {
   }
 
   // DI handling //////////////////////
+  function resetDi(diagram) {
+    forEach(diagram.diagramElements, function(diagramElement) {
+      var dmnElement = diagramElement.dmnElementRef;
+
+      // do not assign undefined as it would unset the
+      // reference of DI elements of other diagrams
+      if (dmnElement) {
+        delete dmnElement.di;
+      }
+    });
+  }
+
   function handleDiagram(diagram) {
     forEach(diagram.diagramElements, handleDiagramElement);
   }
@@ -187,3 +228,10 @@ export default function DRDTreeWalker(handler, options) {
     handleDefinitions: handleDefinitions
   };
 }
+
+
+// helpers //////////////////////
+
+function isDecisionService(element) {
+  return is(element, 'dmn:DecisionService');
+}
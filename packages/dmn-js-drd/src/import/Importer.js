@@ -1,3 +1,5 @@
+import { isFunction } from 'min-dash';
+
 import DrdTreeWalker from './DrdTreeWalker';
 
 
@@ -8,10 +10,16 @@ import DrdTreeWalker from './DrdTreeWalker';
  *
  * @param  {Drd} drd
  * @param  {ModdleElement} definitions
+ * @param  {ModdleElement} [diagram] the diagram to display, defaults to the first one
  * @param  {Function} done
  *         the callback, invoked with (err, [ warning ]) once the import is done
  */
-export function importDRD(drd, definitions, done) {
+export function importDRD(drd, definitions, diagram, done) {
+
+  if (isFunction(diagram)) {
+    done = diagram;
+    diagram = null;
+  }
 
   var importer = drd.get('drdImporter'),
       eventBus = drd.get('eventBus');
@@ -19,7 +27,7 @@ export function importDRD(drd, definitions, done) {
   var error,
       warnings = [];
 
-  function render(definitions) {
+  function render(definitions, diagram) {
 
     var visitor = {
       root: function(element) {
@@ -38,13 +46,13 @@ export function importDRD(drd, definitions, done) {
     var walker = new DrdTreeWalker(visitor);
 
     // import
-    walker.handleDefinitions(definitions);
+    walker.handleDefinitions(definitions, diagram);
   }
 
-  eventBus.fire('import.start', { definitions: definitions });
+  eventBus.fire('import.start', { definitions: definitions, diagram: diagram });
 
   try {
-    render(definitions);
+    render(definitions, diagram);
   } catch (e) {
     error = e;
   }
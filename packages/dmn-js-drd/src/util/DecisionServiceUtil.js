@@ -0,0 +1,79 @@
+import {
+  find,
+  some
+} from 'min-dash';
+
+import {
+  getBusinessObject,
+  is
+} from 'dmn-js-shared/lib/util/ModelUtil';
+
+
+/**
+ * Return the absolute y coordinate of a decision service's divider line.
+ * Defaults to the middle of the shape if no divider line is defined.
+ *
+ * @param {Shape} shape
+ *
+ * @return {number}
+ */
+export function getDividerY(shape) {
+  var di = getBusinessObject(shape).di,
+      dividerLine = di && di.get('decisionServiceDividerLine'),
+      waypoints = dividerLine && dividerLine.get('waypoint');
+
+  if (waypoints && waypoints.length) {
+    return waypoints[ 0 ].y;
+  }
+
+  return shape.y + Math.round(shape.height / 2);
+}
+
+/**
+ * Whether a decision is placed in the output section of a decision service.
+ *
+ * @param {Shape} decision
+ * @param {Shape} decisionService
+ *
+ * @return {boolean}
+ */
+export function isInOutputSection(decision, decisionService) {
+  return decision.y + decision.height / 2 < getDividerY(decisionService);
+}
+
+/**
+ * Return the decision service referencing a decision as output
+ * or encapsulated decision, if any.
+ *
+ * @param {ModdleElement} decision
+ *
+ * @return {ModdleElement|undefined}
+ */
+export function getDecisionService(decision) {
+  var definitions = decision.$parent;
+
+  if (!definitions) {
+    return;
+  }
+
+  return find(definitions.get('drgElement'), function(drgElement) {
+    return is(drgElement, 'dmn:DecisionService') && (
+      isReferenced(drgElement.get('outputDecision'), decision) ||
+      isReferenced(drgElement.get('encapsulatedDecision'), decision)
+    );
+  });
+}
+
+/**
+ * Whether one of the given element references points to the element.
+ *
+ * @param {Array<ModdleElement>} references
+ * @param {ModdleElement} element
+ *
+ * @return {boolean}
+ */
+export function isReferenced(references, element) {
+  return some(references, function(reference) {
+    return reference.href === '#' + element.id;
+  });
+}
@@ -1,5 +1,7 @@
 import EditingManager from 'dmn-js-shared/lib/base/EditingManager';
 
+import { isAny } from 'dmn-js-shared/lib/util/ModelUtil';
+
 import DrdModelerView from 'src/Modeler';
 
 
@@ -11,7 +13,9 @@ export default class DrdModeler extends EditingManager {
       {
         id: 'drd',
         constructor: DrdModelerView,
-        opens: 'dmn:Definitions'
+        opens(element) {
+          return isAny(element, [ 'dmn:Definitions', 'dmndi:DMNDiagram' ]);
+        }
       }
     ];
   }
@@ -1,5 +1,7 @@
 import Manager from 'dmn-js-shared/lib/base/Manager';
 
+import { isAny } from 'dmn-js-shared/lib/util/ModelUtil';
+
 import DrdReadOnlyView from 'src/Viewer';
 
 
@@ -11,7 +13,9 @@ export default class DrdViewer extends Manager {
       {
         id: 'drd',
         constructor: DrdReadOnlyView,
-        opens: 'dmn:Definitions'
+        opens(element) {
+          return isAny(element, [ 'dmn:Definitions', 'dmndi:DMNDiagram' ]);
+        }
       }
     ];
   }
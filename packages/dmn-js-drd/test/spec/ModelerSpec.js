@@ -112,25 +112,30 @@ describe('Modeler', function() {
       // then
       expect(decision1).to.exist;
       expect(decision3).to.exist;
+      expect(inputData).to.exist;
 
-      // we generate DI for decisions, only
-      expect(inputData).not.to.exist;
-
+      // we lay out unconnected elements side by side
       expect(bounds(decision1)).to.eql({
-        x: 180,
-        y: 180,
+        x: 380,
+        y: 150,
         width: 180,
         height: 80
       });
 
-      // we stack decision elements on top of each other
       expect(bounds(decision3)).to.eql({
-        x: 240,
-        y: 240,
+        x: 840,
+        y: 150,
         width: 180,
         height: 80
       });
 
+      expect(bounds(inputData)).to.eql({
+        x: 1070,
+        y: 168,
+        width: 125,
+        height: 45
+      });
+
     });
 
   });
@@ -148,6 +153,8 @@ describe('Modeler', function() {
       const expectedActions = [
         'undo',
         'redo',
+        'copy',
+        'paste',
         'stepZoom',
         'zoom',
         'removeSelection',
@@ -156,6 +163,7 @@ describe('Modeler', function() {
         'selectElements',
         'distributeElements',
         'alignElements',
+        'autoLayout',
         'lassoTool',
         'handTool',
         'directEditing',
@@ -38,6 +38,18 @@ describe('draw - DrdRenderer', function() {
     return bootstrapViewer(xml).call(this);
   });
 
+  it('Decision Service', function() {
+    var xml = require('../../fixtures/dmn/decision-service.dmn');
+
+    return bootstrapViewer(xml).call(this);
+  });
+
+  it('Group', function() {
+    var xml = require('../../fixtures/dmn/group.dmn');
+
+    return bootstrapViewer(xml).call(this);
+  });
+
 
   describe('colors', function() {
 
@@ -0,0 +1,239 @@
+import {
+  bootstrapModeler,
+  inject
+} from 'test/TestHelper';
+
+import { pick } from 'min-dash';
+
+import coreModule from 'src/core';
+import autoLayoutModule from 'src/features/auto-layout';
+import editorActionsModule from 'src/features/editor-actions';
+import modelingModule from 'src/features/modeling';
+
+var diagramXML = require('./auto-layout.dmn');
+
+
+describe('features/auto-layout', function() {
+
+  beforeEach(bootstrapModeler(diagramXML, {
+    modules: [
+      coreModule,
+      autoLayoutModule,
+      editorActionsModule,
+      modelingModule
+    ]
+  }));
+
+
+  function getBounds(element) {
+    return pick(element, [ 'x', 'y', 'width', 'height' ]);
+  }
+
+
+  describe('#layout', function() {
+
+    it('should place required elements below', inject(
+      function(autoLayout, elementRegistry) {
+
+        // given
+        var dish = elementRegistry.get('Dish'),
+            season = elementRegistry.get('Season'),
+            guests = elementRegistry.get('Guests'),
+            date = elementRegistry.get('Date'),
+            invitations = elementRegistry.get('Invitations'),
+            cooking = elementRegistry.get('Cooking');
+
+        // when
+        var laidOut = autoLayout.layout();
+
+        // then
+        expect(laidOut).to.be.true;
+
+        expect(dish.y + dish.height).to.be.below(season.y);
+        expect(guests.y).to.eql(season.y);
+        expect(cooking.y).to.be.below(date.y);
+        expect(season.y + season.height).to.be.below(date.y);
+        expect(invitations.y).to.eql(date.y);
+      }
+    ));
+
+
+    it('should order elements to avoid crossings', inject(
+      function(autoLayout, elementRegistry) {
+
+        // given
+        var season = elementRegistry.get('Season'),
+            guests = elementRegistry.get('Guests'),
+            date = elementRegistry.get('Date'),
+            invitations = elementRegistry.get('Invitations');
+
+        // when
+        autoLayout.layout();
+
+        // then
+        expect(season.x).to.be.below(guests.x);
+        expect(date.x).to.be.below(invitations.x);
+      }
+    ));
+
+
+    it('should route requirements bottom to top', inject(
+      function(autoLayout, elementRegistry) {
+
+        // when
+        autoLayout.layout();
+
+        // then
+        var requirements = elementRegistry.filter(function(element) {
+          return element.waypoints;
+        });
+
+        expect(requirements).to.have.length(5);
+
+        requirements.forEach(function(requirement) {
+          var waypoints = requirement.waypoints,
+              businessObject = requirement.businessObject;
+
+          expect(waypoints[ 0 ].y).to.be.above(waypoints[ waypoints.length - 1 ].y);
+
+          expect(businessObject.di.waypoint.map(function(waypoint) {
+            return pick(waypoint, [ 'x', 'y' ]);
+          })).to.eql(waypoints.map(function(waypoint) {
+            return pick(waypoint, [ 'x', 'y' ]);
+          }));
+        });
+      }
+    ));
+
+
+    it('should update DI', inject(function(autoLayout, elementRegistry) {
+
+      // given
+      var dish = elementRegistry.get('Dish');
+
+      // when
+      autoLayout.layout();
+
+      // then
+      expect(pick(dish.businessObject.di.bounds, [ 'x', 'y' ])).to.eql({
+        x: dish.x,
+        y: dish.y
+      });
+    }));
+
+
+    it('should keep text annotation', inject(function(autoLayout, elementRegistry) {
+
+      // given
+      var textAnnotation = elementRegistry.get('TextAnnotation');
+
+      // when
+      autoLayout.layout();
+
+      // then
+      expect(getBounds(textAnnotation)).to.eql({
+        x: 1000,
+        y: 600,
+        width: 125,
+        height: 45
+      });
+    }));
+
+
+    it('should lay out given elements only', inject(
+      function(autoLayout, elementRegistry) {
+
+        // given
+        var season = elementRegistry.get('Season'),
+            date = elementRegistry.get('Date'),
+            guests = elementRegistry.get('Guests');
+
+        // when
+        autoLayout.layout([ season, date ]);
+
+        // then
+        expect(getBounds(season)).to.eql({ x: 127, y: 100, width: 180, height: 80 });
+        expect(getBounds(date)).to.eql({ x: 155, y: 260, width: 125, height: 45 });
+
+        expect(getBounds(guests)).to.eql({ x: 100, y: 100, width: 180, height: 80 });
+      }
+    ));
+
+
+    it('should NOT lay out without layoutable elements', inject(
+      function(autoLayout, commandStack, elementRegistry) {
+
+        // when
+        var laidOut = autoLayout.layout([ elementRegistry.get('TextAnnotation') ]);
+
+        // then
+        expect(laidOut).to.be.false;
+        expect(commandStack.canUndo()).to.be.false;
+      }
+    ));
+
+
+    it('should undo at once', inject(function(autoLayout, commandStack, elementRegistry) {
+
+      // given
+      var dish = elementRegistry.get('Dish'),
+          season = elementRegistry.get('Season');
+
+      autoLayout.layout();
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(getBounds(dish)).to.eql({ x: 500, y: 500, width: 180, height: 80 });
+      expect(getBounds(season)).to.eql({ x: 700, y: 100, width: 180, height: 80 });
+    }));
+
+  });
+
+
+  describe('editor action', function() {
+
+    it('should register', inject(function(editorActions) {
+
+      // then
+      expect(editorActions.isRegistered('autoLayout')).to.be.true;
+    }));
+
+
+    it('should lay out DRD', inject(function(editorActions, elementRegistry) {
+
+      // given
+      var dish = elementRegistry.get('Dish'),
+          date = elementRegistry.get('Date');
+
+      // when
+      editorActions.trigger('autoLayout');
+
+      // then
+      expect(dish.y).to.be.below(date.y);
+    }));
+
+
+    it('should lay out selection', inject(
+      function(editorActions, elementRegistry, selection) {
+
+        // given
+        var season = elementRegistry.get('Season'),
+            date = elementRegistry.get('Date'),
+            dish = elementRegistry.get('Dish');
+
+        selection.select([ season, date ]);
+
+        // when
+        editorActions.trigger('autoLayout');
+
+        // then
+        expect(season.y).to.be.below(date.y);
+        expect(getBounds(dish)).to.eql({ x: 500, y: 500, width: 180, height: 80 });
+      }
+    ));
+
+  });
+
+});
@@ -0,0 +1,342 @@
+import {
+  bootstrapModeler,
+  inject
+} from 'test/TestHelper';
+
+import {
+  find,
+  map
+} from 'min-dash';
+
+import { is } from 'dmn-js-shared/lib/util/ModelUtil';
+
+import coreModule from 'src/core';
+import copyPasteModule from 'src/features/copy-paste';
+import editorActionsModule from 'src/features/editor-actions';
+import keyboardModule from 'src/features/keyboard';
+import modelingModule from 'src/features/modeling';
+
+import {
+  createKeyEvent
+} from 'test/util/KeyEvents';
+
+/* global sinon */
+
+var diagramXML = require('./copy-paste.dmn');
+
+
+describe('features/copy-paste', function() {
+
+  beforeEach(bootstrapModeler(diagramXML, {
+    modules: [
+      coreModule,
+      copyPasteModule,
+      editorActionsModule,
+      keyboardModule,
+      modelingModule
+    ]
+  }));
+
+
+  function copyAndPaste(ids) {
+    var pasted;
+
+    inject(function(canvas, copyPaste, elementRegistry) {
+      var elements = map(ids, function(id) {
+        return elementRegistry.get(id);
+      });
+
+      copyPaste.copy(elements);
+
+      pasted = copyPaste.paste({
+        element: canvas.getRootElement(),
+        point: { x: 1000, y: 1000 }
+      });
+    })();
+
+    return pasted;
+  }
+
+  function findPasted(elements, type) {
+    return find(elements, function(element) {
+      return is(element, type);
+    });
+  }
+
+
+  describe('decision', function() {
+
+    it('should paste decision', inject(function(canvas) {
+
+      // when
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      // then
+      var decision = findPasted(pasted, 'dmn:Decision'),
+          businessObject = decision.businessObject;
+
+      expect(businessObject.id).not.to.eql('Decision');
+      expect(businessObject.name).to.eql('Dish');
+      expect(businessObject.$parent).to.equal(
+        canvas.getRootElement().businessObject
+      );
+    }));
+
+
+    it('should copy decision table', function() {
+
+      // when
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      // then
+      var decisionTable = findPasted(pasted, 'dmn:Decision')
+        .businessObject.decisionLogic;
+
+      expect(is(decisionTable, 'dmn:DecisionTable')).to.be.true;
+      expect(decisionTable.id).not.to.eql('DecisionTable');
+
+      expect(decisionTable.input[ 0 ].inputExpression.text).to.eql('season');
+      expect(decisionTable.rule[ 0 ].id).not.to.eql('Rule');
+      expect(decisionTable.rule[ 0 ].inputEntry[ 0 ].text).to.eql('"Winter"');
+      expect(decisionTable.rule[ 0 ].outputEntry[ 0 ].text).to.eql('"Roastbeef"');
+
+      expect(decisionTable.rule[ 0 ].$parent).to.equal(decisionTable);
+    });
+
+
+    it('should NOT copy requirements of elements not copied', function() {
+
+      // when
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      // then
+      var businessObject = findPasted(pasted, 'dmn:Decision').businessObject;
+
+      expect(businessObject.get('informationRequirement')).to.be.empty;
+      expect(businessObject.get('knowledgeRequirement')).to.be.empty;
+      expect(businessObject.get('authorityRequirement')).to.be.empty;
+    });
+
+
+    it('should keep original', inject(function(elementRegistry) {
+
+      // when
+      copyAndPaste([ 'Decision' ]);
+
+      // then
+      var businessObject = elementRegistry.get('Decision').businessObject;
+
+      expect(businessObject.decisionLogic.id).to.eql('DecisionTable');
+      expect(businessObject.get('informationRequirement')).to.have.length(1);
+    }));
+
+  });
+
+
+  describe('business knowledge model', function() {
+
+    it('should copy encapsulated logic', function() {
+
+      // when
+      var pasted = copyAndPaste([ 'BusinessKnowledgeModel' ]);
+
+      // then
+      var encapsulatedLogic = findPasted(pasted, 'dmn:BusinessKnowledgeModel')
+        .businessObject.encapsulatedLogic;
+
+      expect(encapsulatedLogic.id).not.to.eql('FunctionDefinition');
+      expect(encapsulatedLogic.body.text).to.eql('"Roastbeef"');
+    });
+
+  });
+
+
+  describe('requirements', function() {
+
+    it('should paste requirements', function() {
+
+      // when
+      var pasted = copyAndPaste([
+        'Decision',
+        'InputData',
+        'BusinessKnowledgeModel',
+        'KnowledgeSource'
+      ]);
+
+      // then
+      var decision = findPasted(pasted, 'dmn:Decision').businessObject,
+          inputData = findPasted(pasted, 'dmn:InputData').businessObject,
+          bkm = findPasted(pasted, 'dmn:BusinessKnowledgeModel').businessObject,
+          knowledgeSource = findPasted(pasted, 'dmn:KnowledgeSource').businessObject;
+
+      expect(pasted).to.have.length(7);
+
+      expect(decision.informationRequirement).to.have.length(1);
+      expect(decision.informationRequirement[ 0 ].requiredInput.href).to.eql(
+        '#' + inputData.id
+      );
+
+      expect(decision.knowledgeRequirement).to.have.length(1);
+      expect(decision.knowledgeRequirement[ 0 ].requiredKnowledge.href).to.eql(
+        '#' + bkm.id
+      );
+
+      expect(decision.authorityRequirement).to.have.length(1);
+      expect(decision.authorityRequirement[ 0 ].requiredAuthority.href).to.eql(
+        '#' + knowledgeSource.id
+      );
+    });
+
+
+    it('should paste association', function() {
+
+      // when
+      var pasted = copyAndPaste([ 'Decision', 'TextAnnotation' ]);
+
+      // then
+      var decision = findPasted(pasted, 'dmn:Decision').businessObject,
+          textAnnotation = findPasted(pasted, 'dmn:TextAnnotation').businessObject,
+          association = findPasted(pasted, 'dmn:Association').businessObject;
+
+      expect(textAnnotation.text).to.eql('Dishes');
+
+      expect(association.sourceRef.href).to.eql('#' + decision.id);
+      expect(association.targetRef.href).to.eql('#' + textAnnotation.id);
+    });
+
+  });
+
+
+  describe('IDs', function() {
+
+    it('should claim IDs', inject(function(moddle) {
+
+      // when
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      // then
+      var businessObject = findPasted(pasted, 'dmn:Decision').businessObject;
+
+      expect(moddle.ids.assigned(businessObject.id)).to.equal(businessObject);
+      expect(moddle.ids.assigned(businessObject.decisionLogic.rule[ 0 ].id)).to.exist;
+    }));
+
+
+    it('should unclaim IDs on undo', inject(function(commandStack, moddle) {
+
+      // given
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      var businessObject = findPasted(pasted, 'dmn:Decision').businessObject;
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(moddle.ids.assigned(businessObject.id)).to.be.false;
+      expect(moddle.ids.assigned(businessObject.decisionLogic.id)).to.be.false;
+    }));
+
+
+    it('should claim IDs on redo', inject(function(commandStack, moddle) {
+
+      // given
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      var businessObject = findPasted(pasted, 'dmn:Decision').businessObject;
+
+      commandStack.undo();
+
+      // when
+      commandStack.redo();
+
+      // then
+      expect(moddle.ids.assigned(businessObject.id)).to.equal(businessObject);
+    }));
+
+
+    it('should paste with fresh IDs twice', inject(function(canvas, copyPaste) {
+
+      // given
+      var pasted = copyAndPaste([ 'Decision' ]);
+
+      // when
+      var pastedAgain = copyPaste.paste({
+        element: canvas.getRootElement(),
+        point: { x: 1200, y: 1000 }
+      });
+
+      // then
+      expect(pastedAgain[ 0 ].businessObject.id).not.to.eql(
+        pasted[ 0 ].businessObject.id
+      );
+    }));
+
+  });
+
+
+  describe('editor actions', function() {
+
+    it('should register copy and paste', inject(function(editorActions) {
+
+      // then
+      expect(editorActions.isRegistered('copy')).to.be.true;
+      expect(editorActions.isRegistered('paste')).to.be.true;
+    }));
+
+
+    it('should copy selection', inject(
+      function(clipboard, editorActions, elementRegistry, selection) {
+
+        // given
+        selection.select(elementRegistry.get('Decision'));
+
+        // when
+        editorActions.trigger('copy');
+
+        // then
+        expect(clipboard.isEmpty()).to.be.false;
+      }
+    ));
+
+  });
+
+
+  describe('keyboard', function() {
+
+    it('should copy on CTRL + C', inject(
+      function(copyPaste, elementRegistry, keyboard, selection) {
+
+        // given
+        selection.select(elementRegistry.get('Decision'));
+
+        sinon.spy(copyPaste, 'copy');
+
+        var event = createKeyEvent('c', { ctrlKey: true });
+
+        // when
+        keyboard._keyHandler(event);
+
+        // then
+        expect(copyPaste.copy).to.have.been.calledOnce;
+      }
+    ));
+
+
+    it('should paste on CTRL + V', inject(function(copyPaste, keyboard) {
+
+      // given
+      sinon.spy(copyPaste, 'paste');
+
+      var event = createKeyEvent('v', { ctrlKey: true });
+
+      // when
+      keyboard._keyHandler(event);
+
+      // then
+      expect(copyPaste.paste).to.have.been.calledOnce;
+    }));
+
+  });
+
+});
@@ -0,0 +1,293 @@
+import {
+  bootstrapModeler,
+  getDmnJS,
+  getDrdJS,
+  inject
+} from 'test/TestHelper';
+
+import { find } from 'min-dash';
+
+import coreModule from 'src/core';
+import diagramsModule from 'src/features/diagrams';
+import modelingModule from 'src/features/modeling';
+
+var diagramXML = require('./diagrams.dmn');
+
+
+describe('features/diagrams', function() {
+
+  beforeEach(bootstrapModeler(diagramXML, {
+    modules: [
+      coreModule,
+      diagramsModule,
+      modelingModule
+    ]
+  }));
+
+
+  function getDiagram(id) {
+    var definitions = getDmnJS().getDefinitions();
+
+    return find(definitions.dmnDI.diagrams, function(diagram) {
+      return diagram.id === id;
+    });
+  }
+
+  function openDiagram(id) {
+    var dmnJS = getDmnJS();
+
+    var view = find(dmnJS.getViews(), function(view) {
+      return view.element === getDiagram(id);
+    });
+
+    return dmnJS.open(view);
+  }
+
+
+  describe('views', function() {
+
+    it('should provide view per additional diagram', function() {
+
+      // when
+      var views = getDmnJS().getViews();
+
+      // then
+      expect(views.map(function(view) {
+        return [ view.type, view.id, view.name ];
+      })).to.eql([
+        [ 'drd', 'definitions', 'Dish' ],
+        [ 'drd', 'Authorities', 'Authorities' ]
+      ]);
+    });
+
+
+    it('should open diagram', async function() {
+
+      // when
+      var result = await openDiagram('Authorities');
+
+      // then
+      var elementRegistry = getDrdJS().get('elementRegistry');
+
+      expect(result.warnings).to.be.empty;
+
+      expect(elementRegistry.get('KnowledgeSource')).to.exist;
+      expect(elementRegistry.get('AuthorityRequirement')).to.exist;
+      expect(elementRegistry.get('InputData')).not.to.exist;
+
+      expect(elementRegistry.get('Decision').businessObject.di.id).to.eql(
+        'DMNShape_Decision_2'
+      );
+    });
+
+
+    it('should open first diagram again', async function() {
+
+      // given
+      await openDiagram('Authorities');
+
+      // when
+      var result = await getDmnJS().open(getDmnJS().getViews()[ 0 ]);
+
+      // then
+      var elementRegistry = getDrdJS().get('elementRegistry');
+
+      expect(result.warnings).to.be.empty;
+
+      expect(elementRegistry.get('InputData')).to.exist;
+      expect(elementRegistry.get('KnowledgeSource')).not.to.exist;
+
+      expect(elementRegistry.get('Decision').businessObject.di.id).to.eql(
+        'DMNShape_Decision'
+      );
+    });
+
+  });
+
+
+  describe('#getDiagram', function() {
+
+    it('should return displayed diagram', inject(function(drdDiagrams) {
+
+      // then
+      expect(drdDiagrams.getDiagram()).to.equal(getDiagram('Overview'));
+      expect(drdDiagrams.getDiagrams()).to.have.length(2);
+    }));
+
+  });
+
+
+  describe('#createDiagram', function() {
+
+    it('should create diagram', inject(function(drdDiagrams) {
+
+      // when
+      var diagram = drdDiagrams.createDiagram({ name: 'Details' });
+
+      // then
+      expect(drdDiagrams.getDiagrams()).to.have.length(3);
+      expect(diagram.$parent).to.equal(getDmnJS().getDefinitions().dmnDI);
+
+      expect(getDmnJS().getView(diagram)).to.include({
+        name: 'Details',
+        type: 'drd'
+      });
+    }));
+
+
+    it('should undo', inject(function(commandStack, drdDiagrams) {
+
+      // given
+      var diagram = drdDiagrams.createDiagram();
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(drdDiagrams.getDiagrams()).to.have.length(2);
+      expect(getDmnJS().getView(diagram)).not.to.exist;
+    }));
+
+  });
+
+
+  describe('#renameDiagram', function() {
+
+    it('should rename diagram', inject(function(drdDiagrams) {
+
+      // given
+      var diagram = getDiagram('Authorities');
+
+      // when
+      drdDiagrams.renameDiagram(diagram, 'Knowledge Sources');
+
+      // then
+      expect(diagram.name).to.eql('Knowledge Sources');
+      expect(getDmnJS().getView(diagram).name).to.eql('Knowledge Sources');
+    }));
+
+  });
+
+
+  describe('#deleteDiagram', function() {
+
+    it('should delete diagram', inject(function(drdDiagrams) {
+
+      // given
+      var diagram = getDiagram('Authorities');
+
+      // when
+      drdDiagrams.deleteDiagram(diagram);
+
+      // then
+      expect(drdDiagrams.getDiagrams()).not.to.include(diagram);
+      expect(getDmnJS().getView(diagram)).not.to.exist;
+
+      expect(getDmnJS().getDefinitions().drgElement).to.have.length(3);
+    }));
+
+
+    it('should NOT delete displayed diagram', inject(function(drdDiagrams) {
+
+      // then
+      expect(function() {
+        drdDiagrams.deleteDiagram(drdDiagrams.getDiagram());
+      }).to.throw('cannot delete displayed diagram');
+    }));
+
+  });
+
+
+  describe('#addElement', function() {
+
+    it('should add element without duplicating it', async function() {
+
+      // given
+      await openDiagram('Authorities');
+
+      var definitions = getDmnJS().getDefinitions(),
+          inputData = find(definitions.drgElement, function(element) {
+            return element.id === 'InputData';
+          });
+
+      var drdDiagrams = getDrdJS().get('drdDiagrams'),
+          elementRegistry = getDrdJS().get('elementRegistry');
+
+      // when
+      var shape = drdDiagrams.addElement(inputData, { x: 300, y: 400 });
+
+      // then
+      expect(shape.businessObject).to.equal(inputData);
+      expect(definitions.drgElement).to.have.length(3);
+
+      expect(inputData.di.$parent).to.equal(getDiagram('Authorities'));
+      expect(getDiagram('Overview').diagramElements.map(function(di) {
+        return di.id;
+      })).to.include('DMNShape_InputData');
+
+      // requirement is displayed, too
+      var requirement = elementRegistry.get('InformationRequirement');
+
+      expect(requirement).to.exist;
+      expect(requirement.businessObject.$parent).to.equal(
+        elementRegistry.get('Decision').businessObject
+      );
+      expect(requirement.businessObject.$parent.informationRequirement)
+        .to.have.length(1);
+    });
+
+
+    it('should NOT add displayed element', inject(function(drdDiagrams) {
+
+      // given
+      var decision = getDmnJS().getDefinitions().drgElement[ 0 ];
+
+      // then
+      expect(function() {
+        drdDiagrams.addElement(decision, { x: 0, y: 0 });
+      }).to.throw('element <Decision> already displayed');
+    }));
+
+  });
+
+
+  describe('remove element', function() {
+
+    it('should keep element displayed on other diagram', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decision = elementRegistry.get('Decision'),
+            decisionBo = decision.businessObject;
+
+        // when
+        modeling.removeShape(decision);
+
+        // then
+        expect(getDmnJS().getDefinitions().drgElement).to.include(decisionBo);
+        expect(getDiagram('Overview').diagramElements.map(function(di) {
+          return di.id;
+        })).not.to.include('DMNShape_Decision');
+      }
+    ));
+
+
+    it('should remove element displayed on single diagram', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var inputData = elementRegistry.get('InputData');
+
+        // when
+        modeling.removeShape(inputData);
+
+        // then
+        expect(getDmnJS().getDefinitions().drgElement).not.to.include(
+          inputData.businessObject
+        );
+      }
+    ));
+
+  });
+
+});
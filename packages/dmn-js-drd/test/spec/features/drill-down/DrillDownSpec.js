@@ -52,7 +52,7 @@ describe('features - drilldown', function() {
         var drillDownOverlayEls = queryAll('.drill-down-overlay', container);
 
         // then
-        expect(drillDownOverlayEls).to.have.length(2);
+        expect(drillDownOverlayEls).to.have.length(3);
       });
 
 
@@ -70,6 +70,12 @@ describe('features - drilldown', function() {
           'dmn-icon-literal-expression'
         );
 
+        verify(
+          'boxed expression',
+          'Decision_Context',
+          'dmn-icon-file-code'
+        );
+
 
         function verify(title, element, iconCls) {
 
@@ -103,6 +109,12 @@ describe('features - drilldown', function() {
           'Open literal expression'
         );
 
+        verify(
+          'boxed expression',
+          'Decision_Context',
+          'Open boxed expression'
+        );
+
         function verify(type, element, title) {
 
           it(`has an accessible title for ${type}`, function() {
@@ -218,7 +230,7 @@ describe('features - drilldown', function() {
         var drillDownOverlayEls = queryAll('.drill-down-overlay', container);
 
         // then
-        expect(drillDownOverlayEls).to.have.length(2);
+        expect(drillDownOverlayEls).to.have.length(3);
       });
 
 
@@ -236,6 +248,12 @@ describe('features - drilldown', function() {
           'dmn-icon-literal-expression'
         );
 
+        verify(
+          'boxed expression',
+          'Decision_Context',
+          'dmn-icon-file-code'
+        );
+
 
         function verify(title, element, iconCls) {
 
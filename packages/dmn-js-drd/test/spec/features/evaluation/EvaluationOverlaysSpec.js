@@ -0,0 +1,118 @@
+import {
+  bootstrapViewer,
+  getDmnJS
+} from 'test/TestHelper';
+
+import TestContainer from 'mocha-test-container-support';
+
+import { query as domQuery, queryAll as domQueryAll } from 'min-dom';
+
+import coreModule from 'src/core';
+import evaluationModule from 'src/features/evaluation';
+
+var diagramXML = require('dmn-js-shared/test/spec/base/evaluation/evaluation.dmn');
+
+
+describe('features - evaluation', function() {
+
+  var container;
+
+  beforeEach(bootstrapViewer(diagramXML, {
+    modules: [
+      coreModule,
+      evaluationModule
+    ]
+  }));
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  function getResultNode(id) {
+    return domQuery(
+      '.djs-overlay-container [data-container-id="' + id + '"] .dmn-evaluation-result',
+      container
+    );
+  }
+
+
+  it('should NOT show results by default', function() {
+
+    // then
+    expect(domQueryAll('.dmn-evaluation-result', container)).to.have.length(0);
+  });
+
+
+  it('should show results', async function() {
+
+    // when
+    await getDmnJS().evaluate({
+      season: 'Winter',
+      guestCount: 4
+    });
+
+    // then
+    expect(domQueryAll('.dmn-evaluation-result', container)).to.have.length(3);
+
+    expect(getResultNode('dish').textContent).to.eql('"Spareribs"');
+    expect(getResultNode('beverages').textContent).to.eql('["Beer"]');
+  });
+
+
+  it('should show errors', async function() {
+
+    // given
+    var definitions = getDmnJS().getDefinitions(),
+        menu = definitions.get('drgElement')[ 4 ];
+
+    menu.decisionLogic.text = 'dish + " with salad"';
+
+    // when
+    await getDmnJS().evaluate({
+      season: 'Winter',
+      guestCount: 4
+    });
+
+    // then
+    var node = getResultNode('menu');
+
+    expect(node.classList.contains('dmn-evaluation-error')).to.be.true;
+  });
+
+
+  it('should update results', async function() {
+
+    // given
+    await getDmnJS().evaluate({
+      season: 'Winter',
+      guestCount: 4
+    });
+
+    // when
+    await getDmnJS().evaluate({
+      season: 'Winter',
+      guestCount: 10
+    });
+
+    // then
+    expect(domQueryAll('.dmn-evaluation-result', container)).to.have.length(3);
+    expect(getResultNode('dish').textContent).to.eql('"Pasta"');
+  });
+
+
+  it('should clear results', async function() {
+
+    // given
+    await getDmnJS().evaluate({
+      season: 'Winter',
+      guestCount: 4
+    });
+
+    // when
+    getDmnJS().clearEvaluation();
+
+    // then
+    expect(domQueryAll('.dmn-evaluation-result', container)).to.have.length(0);
+  });
+
+});
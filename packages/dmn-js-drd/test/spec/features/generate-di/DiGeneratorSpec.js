@@ -8,6 +8,7 @@ import modelingModule from 'src/features/modeling';
 import diGeneratorModule from 'src/features/generate-di';
 
 import noDiXML from 'test/fixtures/dmn/no-di.dmn';
+import noDiRequirementsXML from 'test/fixtures/dmn/no-di-requirements.dmn';
 import emptyDefinitionsXML from 'test/fixtures/dmn/empty-definitions.dmn';
 
 
@@ -22,17 +23,17 @@ describe('features - generate-di', function() {
   }));
 
 
-  it('should render decisions', inject(function(elementRegistry) {
+  it('should render DRG elements', inject(function(elementRegistry) {
 
     // when
     var elements = elementRegistry.getAll();
 
     // then
-    expect(elements).to.have.length(5);
+    expect(elements).to.have.length(6);
   }));
 
 
-  it('should generate deciisions DMNDI', inject(function(canvas) {
+  it('should generate DRG elements DMNDI', inject(function(canvas) {
 
     // when
     var rootElement = canvas.getRootElement();
@@ -42,20 +43,112 @@ describe('features - generate-di', function() {
     // then
     expect(definitions.dmnDI).to.exist;
     expect(definitions.dmnDI.diagrams).to.have.length(1);
-    expect(definitions.dmnDI.diagrams[0].diagramElements).to.have.length(4);
+    expect(definitions.dmnDI.diagrams[0].diagramElements).to.have.length(5);
   }));
 
 
-  it('should not render non-decision elements', inject(function(elementRegistry) {
+  it('should render input data', inject(function(elementRegistry) {
 
     // when
     var inputData = elementRegistry.get('InputData_1');
 
     // then
-    expect(inputData).to.not.exist;
+    expect(inputData).to.exist;
   }));
 
 
+  describe('requirements', function() {
+
+    beforeEach(bootstrapModeler(noDiRequirementsXML, {
+      modules: [
+        coreModule,
+        modelingModule,
+        diGeneratorModule
+      ]
+    }));
+
+
+    it('should place required elements below', inject(function(elementRegistry) {
+
+      // when
+      var dish = elementRegistry.get('Decision_Dish'),
+          season = elementRegistry.get('Decision_Season'),
+          guests = elementRegistry.get('Decision_Guests'),
+          date = elementRegistry.get('InputData_Date'),
+          invitations = elementRegistry.get('InputData_Invitations');
+
+      // then
+      expect(dish.y).to.be.below(season.y);
+      expect(season.y).to.eql(guests.y);
+      expect(season.y).to.be.below(date.y);
+      expect(date.y).to.eql(invitations.y);
+    }));
+
+
+    it('should place knowledge one layer below requiring decision', inject(
+      function(elementRegistry) {
+
+        // when
+        var dish = elementRegistry.get('Decision_Dish'),
+            date = elementRegistry.get('InputData_Date'),
+            cooking = elementRegistry.get('BusinessKnowledgeModel_Cooking'),
+            cookbook = elementRegistry.get('KnowledgeSource_Cookbook');
+
+        // then
+        [ cooking, cookbook ].forEach(function(knowledge) {
+          expect(knowledge.y).to.be.above(dish.y + dish.height);
+          expect(knowledge.y + knowledge.height).to.be.below(date.y);
+        });
+      }
+    ));
+
+
+    it('should order elements to avoid crossings', inject(function(elementRegistry) {
+
+      // when
+      var season = elementRegistry.get('Decision_Season'),
+          guests = elementRegistry.get('Decision_Guests'),
+          date = elementRegistry.get('InputData_Date'),
+          invitations = elementRegistry.get('InputData_Invitations');
+
+      // then
+      expect(season.x).to.be.below(guests.x);
+      expect(date.x).to.be.below(invitations.x);
+    }));
+
+
+    it('should route requirements bottom to top', inject(function(elementRegistry) {
+
+      // when
+      var requirements = elementRegistry.filter(function(element) {
+        return element.waypoints;
+      });
+
+      // then
+      expect(requirements).to.have.length(7);
+
+      requirements.forEach(function(requirement) {
+        var waypoints = requirement.waypoints;
+
+        expect(waypoints[ 0 ].y).to.be.above(waypoints[ waypoints.length - 1 ].y);
+      });
+    }));
+
+
+    it('should generate missing requirement ID', inject(function(elementRegistry) {
+
+      // when
+      var dish = elementRegistry.get('Decision_Dish'),
+          authorityRequirement = dish.businessObject.authorityRequirement[ 0 ];
+
+      // then
+      expect(authorityRequirement.id).to.exist;
+      expect(authorityRequirement.di.dmnElementRef).to.equal(authorityRequirement);
+    }));
+
+  });
+
+
   describe('empty definitions', function() {
 
     beforeEach(bootstrapModeler(emptyDefinitionsXML, {
@@ -0,0 +1,356 @@
+import {
+  find,
+  forEach
+} from 'min-dash';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import {
+  bootstrapModeler,
+  inject
+} from 'test/TestHelper';
+
+import coreModule from 'src/core';
+import itemDefinitionsModule from 'src/features/item-definitions';
+import modelingModule from 'src/features/modeling';
+
+import { clickElement } from 'test/util/EventUtils';
+
+var diagramXML = require('./item-definitions.dmn');
+
+
+describe('features/item-definitions', function() {
+
+  var testModules = [
+    coreModule,
+    itemDefinitionsModule,
+    modelingModule
+  ];
+
+  beforeEach(bootstrapModeler(diagramXML, { modules: testModules }));
+
+
+  describe('editing', function() {
+
+    it('should add item definition', inject(
+      function(canvas, itemDefinitionEditing) {
+
+        // when
+        var itemDefinition = itemDefinitionEditing.addItemDefinition();
+
+        // then
+        var definitions = canvas.getRootElement().businessObject;
+
+        expect(definitions.get('itemDefinition')).to.have.length(3);
+        expect(definitions.get('itemDefinition')[ 2 ]).to.equal(itemDefinition);
+        expect(itemDefinition.$parent).to.equal(definitions);
+        expect(itemDefinition.id).to.exist;
+        expect(itemDefinition.name).to.equal('tNewType');
+        expect(itemDefinition.typeRef).to.equal('string');
+      }
+    ));
+
+
+    it('should add item component', inject(
+      function(itemDefinitionEditing) {
+
+        // given
+        var customer = getItemDefinition('ItemDefinition_Customer');
+
+        // when
+        var itemComponent = itemDefinitionEditing.addItemDefinition(customer, {
+          name: 'age',
+          typeRef: 'number'
+        });
+
+        // then
+        expect(customer.get('itemComponent')).to.have.length(3);
+        expect(itemComponent.$parent).to.equal(customer);
+      }
+    ));
+
+
+    it('should undo add', inject(function(canvas, commandStack, itemDefinitionEditing) {
+
+      // given
+      itemDefinitionEditing.addItemDefinition();
+
+      // when
+      commandStack.undo();
+
+      // then
+      var definitions = canvas.getRootElement().businessObject;
+
+      expect(definitions.get('itemDefinition')).to.have.length(2);
+    }));
+
+
+    it('should update item definition', inject(function(itemDefinitionEditing) {
+
+      // given
+      var customers = getItemDefinition('ItemDefinition_Customers');
+
+      // when
+      itemDefinitionEditing.updateItemDefinition(customers, {
+        isCollection: undefined,
+        typeRef: 'string'
+      });
+
+      // then
+      expect(customers.isCollection).not.to.exist;
+      expect(customers.typeRef).to.equal('string');
+    }));
+
+
+    it('should set allowed values', inject(function(itemDefinitionEditing) {
+
+      // given
+      var name = getItemDefinition('ItemDefinition_Name');
+
+      // when
+      itemDefinitionEditing.updateItemDefinition(name, {
+        allowedValues: '"Alice","Bob"'
+      });
+
+      // then
+      expect(name.allowedValues).to.jsonEqual({
+        $type: 'dmn:UnaryTests',
+        text: '"Alice","Bob"'
+      });
+      expect(name.allowedValues.$parent).to.equal(name);
+    }));
+
+
+    it('should remove allowed values', inject(function(itemDefinitionEditing) {
+
+      // given
+      var category = getItemDefinition('ItemDefinition_Category');
+
+      // when
+      itemDefinitionEditing.updateItemDefinition(category, {
+        allowedValues: ''
+      });
+
+      // then
+      expect(category.allowedValues).not.to.exist;
+    }));
+
+
+    it('should remove item component', inject(function(itemDefinitionEditing) {
+
+      // given
+      var customer = getItemDefinition('ItemDefinition_Customer'),
+          category = getItemDefinition('ItemDefinition_Category');
+
+      // when
+      itemDefinitionEditing.removeItemDefinition(category);
+
+      // then
+      expect(customer.get('itemComponent')).not.to.include(category);
+    }));
+
+
+    it('should remove item definition', inject(function(canvas, itemDefinitionEditing) {
+
+      // given
+      var customers = getItemDefinition('ItemDefinition_Customers');
+
+      // when
+      itemDefinitionEditing.removeItemDefinition(customers);
+
+      // then
+      var definitions = canvas.getRootElement().businessObject;
+
+      expect(definitions.get('itemDefinition')).not.to.include(customers);
+    }));
+
+  });
+
+
+  describe('rename', function() {
+
+    it('should update type references', inject(function(itemDefinitionEditing) {
+
+      // given
+      var customer = getItemDefinition('ItemDefinition_Customer');
+
+      // when
+      itemDefinitionEditing.updateItemDefinition(customer, { name: 'tClient' });
+
+      // then
+      expect(getItemDefinition('ItemDefinition_Customers').typeRef).to.equal('tClient');
+      expect(getDrgElement('InputData_1').variable.typeRef).to.equal('tClient');
+      expect(getDrgElement('Decision_1').decisionLogic.typeRef).to.equal('tClient');
+      expect(getDrgElement('Decision_1').variable.typeRef).to.equal('number');
+    }));
+
+
+    it('should undo', inject(function(commandStack, itemDefinitionEditing) {
+
+      // given
+      var customer = getItemDefinition('ItemDefinition_Customer');
+
+      itemDefinitionEditing.updateItemDefinition(customer, { name: 'tClient' });
+
+      // when
+      commandStack.undo();
+
+      // then
+      expect(customer.name).to.equal('tCustomer');
+      expect(getDrgElement('InputData_1').variable.typeRef).to.equal('tCustomer');
+    }));
+
+
+    it('should NOT update type references on item component rename', inject(
+      function(itemDefinitionEditing) {
+
+        // given
+        var name = getItemDefinition('ItemDefinition_Name');
+
+        // when
+        itemDefinitionEditing.updateItemDefinition(name, { name: 'string' });
+
+        // then
+        expect(getItemDefinition('ItemDefinition_Category').typeRef).to.equal('string');
+      }
+    ));
+
+  });
+
+
+  describe('view', function() {
+
+    it('should open from definition properties', inject(
+      function(definitionPropertiesView, itemDefinitionsView) {
+
+        // given
+        var button = domQuery(
+          '.dmn-definitions-data-types',
+          definitionPropertiesView._container
+        );
+
+        // when
+        clickElement(button);
+
+        // then
+        expect(itemDefinitionsView.isOpen()).to.be.true;
+      }
+    ));
+
+
+    it('should render item definitions', inject(function(itemDefinitionsView) {
+
+      // when
+      itemDefinitionsView.open();
+
+      // then
+      var names = domQueryAll(
+        '.dmn-data-type-name',
+        itemDefinitionsView._container
+      );
+
+      expect(Array.prototype.map.call(names, function(input) {
+        return input.value;
+      })).to.eql([ 'tCustomer', 'name', 'category', 'tCustomers' ]);
+    }));
+
+
+    it('should offer custom data types as base type', inject(
+      function(itemDefinitionsView) {
+
+        // given
+        itemDefinitionsView.open();
+
+        // when
+        var select = domQuery('.dmn-data-type-type-ref', itemDefinitionsView._container);
+
+        // then
+        var options = Array.prototype.map.call(select.options, function(option) {
+          return option.value;
+        });
+
+        expect(options).to.include('tCustomers');
+        expect(options).not.to.include('tCustomer');
+      }
+    ));
+
+
+    it('should rename item definition', inject(function(itemDefinitionsView) {
+
+      // given
+      itemDefinitionsView.open();
+
+      var input = domQuery('.dmn-data-type-name', itemDefinitionsView._container);
+
+      // when
+      triggerChange(input, 'tClient');
+
+      // then
+      expect(getItemDefinition('ItemDefinition_Customer').name).to.equal('tClient');
+    }));
+
+
+    it('should add item definition', inject(function(canvas, itemDefinitionsView) {
+
+      // given
+      itemDefinitionsView.open();
+
+      // when
+      clickElement(domQuery('.dmn-data-types-add', itemDefinitionsView._container));
+
+      // then
+      var definitions = canvas.getRootElement().businessObject;
+
+      expect(definitions.get('itemDefinition')).to.have.length(3);
+      var nodes = domQueryAll(
+        '.dmn-data-types-list > .dmn-data-type',
+        itemDefinitionsView._container
+      );
+
+      expect(nodes).to.have.length(3);
+    }));
+
+  });
+
+});
+
+
+// helpers //////////
+
+function getDrgElement(id) {
+  return find(getDefinitions().get('drgElement'), function(drgElement) {
+    return drgElement.id === id;
+  });
+}
+
+function getItemDefinition(id, itemDefinitions) {
+  var match;
+
+  forEach(itemDefinitions || getDefinitions().get('itemDefinition'), function(element) {
+    match = element.id === id ? element :
+      getItemDefinition(id, element.get('itemComponent'));
+
+    return !match;
+  });
+
+  return match;
+}
+
+function getDefinitions() {
+  var definitions;
+
+  inject(function(canvas) {
+    definitions = canvas.getRootElement().businessObject;
+  })();
+
+  return definitions;
+}
+
+function triggerChange(element, value) {
+  element.value = value;
+
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
@@ -245,6 +245,26 @@ describe('features - label-editing', function() {
     }));
 
 
+    it('should activate on DecisionService', inject(function(directEditing) {
+
+      // when
+      createElement('dmn:DecisionService');
+
+      // then
+      expect(directEditing.isActive()).to.be.true;
+    }));
+
+
+    it('should activate on Group', inject(function(directEditing) {
+
+      // when
+      createElement('dmn:Group');
+
+      // then
+      expect(directEditing.isActive()).to.be.true;
+    }));
+
+
     it('should activate on InputData', inject(function(directEditing) {
 
       // when
@@ -420,6 +440,29 @@ describe('features - label-editing', function() {
     }));
 
 
+    describe('group', function() {
+
+      var groupXML = require('../../../fixtures/dmn/group.dmn');
+
+      beforeEach(bootstrapModeler(groupXML, { modules: testModules }));
+
+
+      it('should edit Group', inject(function(elementRegistry) {
+
+        // given
+        var shape = elementRegistry.get('Group_1');
+
+        // when
+        directEdit(shape, 'FOO');
+
+        // then
+        expect(getLabel(shape)).to.equal('FOO');
+        expect(shape.businessObject.name).to.equal('FOO');
+      }));
+
+    });
+
+
     it('should not activate directEditing - Root', inject(
       function(canvas, eventBus, directEditing) {
 
@@ -0,0 +1,124 @@
+import {
+  bootstrapViewer,
+  getDmnJS,
+  getDrdJS
+} from 'test/TestHelper';
+
+import TestContainer from 'mocha-test-container-support';
+
+import { query as domQuery, queryAll as domQueryAll } from 'min-dom';
+
+import coreModule from 'src/core';
+import lintingModule from 'src/features/linting';
+
+var diagramXML = require('dmn-js-shared/test/spec/base/linting/linting.dmn');
+
+
+describe('features - linting', function() {
+
+  var container;
+
+  beforeEach(bootstrapViewer(diagramXML, {
+    modules: [
+      coreModule,
+      lintingModule
+    ]
+  }));
+
+  beforeEach(function() {
+    container = TestContainer.get(this);
+  });
+
+  function getIssuesNode(id) {
+    return domQuery(
+      '.djs-overlay-container [data-container-id="' + id + '"] .dmn-linting-issues',
+      container
+    );
+  }
+
+
+  it('should NOT show issues by default', function() {
+
+    // then
+    expect(domQueryAll('.dmn-linting-issues', container)).to.have.length(0);
+  });
+
+
+  it('should show issues', async function() {
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    expect(domQueryAll('.dmn-linting-issues', container)).to.have.length(4);
+
+    expect(getIssuesNode('message').textContent).to.eql('1');
+    expect(getIssuesNode('category').textContent).to.eql('1');
+  });
+
+
+  it('should show issues of decision logic on decision', async function() {
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    var node = getIssuesNode('discount');
+
+    expect(node.textContent).to.eql('4');
+    expect(node.classList.contains('error')).to.be.true;
+    expect(node.title).to.contain('Rule 2 duplicates rule 1');
+  });
+
+
+  it('should indicate warnings', async function() {
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    var node = getIssuesNode('rounding');
+
+    expect(node.classList.contains('warn')).to.be.true;
+    expect(node.title).to.eql('Business knowledge model has no parameters');
+  });
+
+
+  it('should update issues', async function() {
+
+    // given
+    await getDmnJS().lint();
+
+    var message = getDmnJS().getDefinitions().get('drgElement')[ 3 ];
+
+    message.decisionLogic.text = '"Discount: " + string(discount)';
+
+    // when
+    await getDmnJS().lint();
+
+    // then
+    expect(domQueryAll('.dmn-linting-issues', container)).to.have.length(3);
+    expect(getIssuesNode('message')).not.to.exist;
+  });
+
+
+  it('should select element of opened issue', async function() {
+
+    // given
+    var { issues } = await getDmnJS().lint();
+
+    var issue = issues.filter(function(issue) {
+      return issue.id === 'category_variable';
+    })[ 0 ];
+
+    // when
+    await getDmnJS().openIssue(issue);
+
+    // then
+    var selection = getDrdJS().get('selection');
+
+    expect(selection.get()).to.have.length(1);
+    expect(selection.get()[ 0 ].id).to.eql('category');
+  });
+
+});
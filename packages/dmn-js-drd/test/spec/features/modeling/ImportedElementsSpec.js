@@ -0,0 +1,133 @@
+import {
+  bootstrapModeler,
+  getDmnJS,
+  inject
+} from '../../../TestHelper';
+
+import coreModule from 'src/core';
+import labelEditingModule from 'src/features/label-editing';
+import modelingModule from 'src/features/modeling';
+
+import importsXML from '../../../fixtures/dmn/imports.dmn';
+import importedXML from '../../../fixtures/dmn/imported.dmn';
+
+var CUSTOMER_NAMESPACE = 'http://example.com/customer';
+
+
+describe('features/modeling - imported elements', function() {
+
+  var testModules = [ coreModule, labelEditingModule, modelingModule ];
+
+  beforeEach(bootstrapModeler(importsXML, { modules: testModules }));
+
+  beforeEach(function() {
+    var imports = {};
+
+    imports[ CUSTOMER_NAMESPACE ] = importedXML;
+
+    return getDmnJS().importXML(importsXML, {
+      open: true,
+      imports: imports
+    });
+  });
+
+
+  it('should allow to require imported element', inject(
+    function(drdRules, elementRegistry) {
+
+      // given
+      var imported = elementRegistry.get('customer:Decision_Category'),
+          decision = elementRegistry.get('Decision_Price');
+
+      // when
+      var allowed = drdRules.canConnect(imported, decision);
+
+      // then
+      expect(allowed).to.eql({ type: 'dmn:InformationRequirement' });
+    }
+  ));
+
+
+  it('should NOT allow to connect to imported element', inject(
+    function(drdRules, elementRegistry) {
+
+      // given
+      var imported = elementRegistry.get('customer:Decision_Category'),
+          decision = elementRegistry.get('Decision_Price');
+
+      // when
+      var allowed = drdRules.canConnect(decision, imported);
+
+      // then
+      expect(allowed).to.be.false;
+    }
+  ));
+
+
+  it('should reference imported element by namespace', inject(
+    function(elementFactory, elementRegistry, modeling) {
+
+      // given
+      var imported = elementRegistry.get('customer:Decision_Category'),
+          decision = elementFactory.createShape({ type: 'dmn:Decision' });
+
+      modeling.createShape(decision, { x: 600, y: 400 }, imported.parent);
+
+      // when
+      var connection = modeling.connect(imported, decision);
+
+      // then
+      expect(connection.businessObject.requiredDecision.href).to.equal(
+        CUSTOMER_NAMESPACE + '#Decision_Category'
+      );
+    }
+  ));
+
+
+  it('should NOT change imported model on delete', inject(
+    function(elementRegistry, modeling) {
+
+      // given
+      var imported = elementRegistry.get('customer:Decision_Category'),
+          importedDefinitions = getDmnJS().getImportedDefinitions()[ CUSTOMER_NAMESPACE ];
+
+      // when
+      modeling.removeElements([ imported ]);
+
+      // then
+      expect(elementRegistry.get('customer:Decision_Category')).not.to.exist;
+      expect(importedDefinitions.get('drgElement')).to.have.length(3);
+    }
+  ));
+
+
+  it('should NOT allow to replace imported element', inject(
+    function(elementRegistry, rules) {
+
+      // given
+      var imported = elementRegistry.get('customer:Decision_Category');
+
+      // when
+      var allowed = rules.allowed('shape.replace', { element: imported });
+
+      // then
+      expect(allowed).to.be.false;
+    }
+  ));
+
+
+  it('should NOT activate direct editing', inject(
+    function(directEditing, elementRegistry) {
+
+      // given
+      var imported = elementRegistry.get('customer:Decision_Category');
+
+      // when
+      directEditing.activate(imported);
+
+      // then
+      expect(directEditing.isActive()).to.be.false;
+    }
+  ));
+
+});
@@ -0,0 +1,325 @@
+import {
+  bootstrapModeler,
+  inject
+} from '../../../../TestHelper';
+
+import coreModule from 'src/core';
+import modelingModule from 'src/features/modeling';
+
+import diagramXML from '../../../../fixtures/dmn/decision-service.dmn';
+
+
+describe('features/modeling - decision service', function() {
+
+  var testModules = [ coreModule, modelingModule ];
+
+  beforeEach(bootstrapModeler(diagramXML, {
+    modules: testModules
+  }));
+
+
+  describe('output and encapsulated decisions', function() {
+
+    it('should add created decision', inject(
+      function(elementFactory, elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementFactory.createShape({ type: 'dmn:Decision' });
+
+        // when
+        modeling.createShape(decision, { x: 310, y: 360 }, decisionService);
+
+        // then
+        expect(getHrefs(decisionService, 'encapsulatedDecision')).to.eql([
+          '#Decision_Encapsulated',
+          '#' + decision.id
+        ]);
+        expect(getHrefs(decisionService, 'outputDecision')).to.eql([
+          '#Decision_Output'
+        ]);
+      }
+    ));
+
+
+    it('should keep decision in definitions', inject(
+      function(elementFactory, elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            definitions = decisionService.businessObject.$parent,
+            decision = elementFactory.createShape({ type: 'dmn:Decision' });
+
+        // when
+        modeling.createShape(decision, { x: 310, y: 360 }, decisionService);
+
+        // then
+        expect(decision.businessObject.$parent).to.equal(definitions);
+        expect(definitions.get('drgElement')).to.include(decision.businessObject);
+      }
+    ));
+
+
+    it('should move decision to output section', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementRegistry.get('Decision_Encapsulated');
+
+        // when
+        modeling.moveElements([ decision ], { x: 0, y: -160 }, decisionService);
+
+        // then
+        expect(getHrefs(decisionService, 'outputDecision')).to.eql([
+          '#Decision_Output',
+          '#Decision_Encapsulated'
+        ]);
+        expect(getHrefs(decisionService, 'encapsulatedDecision')).to.be.empty;
+      }
+    ));
+
+
+    it('should remove decision moved out of decision service', inject(
+      function(canvas, elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementRegistry.get('Decision_Output');
+
+        // when
+        modeling.moveElements(
+          [ decision ],
+          { x: 0, y: -100 },
+          canvas.getRootElement()
+        );
+
+        // then
+        expect(getHrefs(decisionService, 'outputDecision')).to.be.empty;
+      }
+    ));
+
+
+    it('should remove deleted decision', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementRegistry.get('Decision_Output');
+
+        // when
+        modeling.removeElements([ decision ]);
+
+        // then
+        expect(getHrefs(decisionService, 'outputDecision')).to.be.empty;
+      }
+    ));
+
+
+    it('should undo', inject(
+      function(commandStack, elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementRegistry.get('Decision_Encapsulated');
+
+        modeling.moveElements([ decision ], { x: 0, y: -160 }, decisionService);
+
+        // when
+        commandStack.undo();
+
+        // then
+        expect(getHrefs(decisionService, 'outputDecision')).to.eql([
+          '#Decision_Output'
+        ]);
+        expect(getHrefs(decisionService, 'encapsulatedDecision')).to.eql([
+          '#Decision_Encapsulated'
+        ]);
+      }
+    ));
+
+  });
+
+
+  describe('delete', function() {
+
+    it('should delete contained decisions', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            definitions = decisionService.businessObject.$parent;
+
+        // when
+        modeling.removeElements([ decisionService ]);
+
+        // then
+        expect(elementRegistry.get('Decision_Output')).not.to.exist;
+        expect(elementRegistry.get('Decision_Encapsulated')).not.to.exist;
+
+        expect(getDrgElementIds(definitions)).to.eql([
+          'Decision_Input',
+          'Decision_Outside',
+          'InputData_1'
+        ]);
+      }
+    ));
+
+
+    it('should undo', inject(
+      function(commandStack, elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1');
+
+        modeling.removeElements([ decisionService ]);
+
+        // when
+        commandStack.undo();
+
+        // then
+        decisionService = elementRegistry.get('DecisionService_1');
+
+        expect(elementRegistry.get('Decision_Output').parent).to.equal(decisionService);
+        expect(getHrefs(decisionService, 'outputDecision')).to.eql([
+          '#Decision_Output'
+        ]);
+        expect(getHrefs(decisionService, 'encapsulatedDecision')).to.eql([
+          '#Decision_Encapsulated'
+        ]);
+      }
+    ));
+
+  });
+
+
+  describe('inputs', function() {
+
+    it('should add required decision as input decision', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementRegistry.get('Decision_Encapsulated'),
+            requiredDecision = elementRegistry.get('Decision_Outside');
+
+        // when
+        modeling.connect(requiredDecision, decision);
+
+        // then
+        expect(getHrefs(decisionService, 'inputDecision')).to.eql([
+          '#Decision_Input',
+          '#Decision_Outside'
+        ]);
+      }
+    ));
+
+
+    it('should remove input decision moved into decision service', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            decision = elementRegistry.get('Decision_Input');
+
+        // when
+        modeling.moveElements([ decision ], { x: -100, y: 0 }, decisionService);
+
+        // then
+        expect(getHrefs(decisionService, 'inputDecision')).to.be.empty;
+        expect(getHrefs(decisionService, 'encapsulatedDecision')).to.eql([
+          '#Decision_Encapsulated',
+          '#Decision_Input'
+        ]);
+      }
+    ));
+
+
+    it('should remove input data no longer required', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1'),
+            requirement = elementRegistry.get('InformationRequirement_3');
+
+        // when
+        modeling.removeElements([ requirement ]);
+
+        // then
+        expect(getHrefs(decisionService, 'inputData')).to.be.empty;
+      }
+    ));
+
+  });
+
+
+  describe('divider line', function() {
+
+    it('should keep relative position on resize', inject(
+      function(elementRegistry, modeling) {
+
+        // given
+        var decisionService = elementRegistry.get('DecisionService_1');
+
+        // when
+        modeling.resizeShape(decisionService, {
+          x: 150,
+          y: 100,
+          width: 320,
+          height: 600
+        });
+
+        // then
+        var waypoints = getDividerLine(decisionService).waypoint;
+
+        expect(waypoints[ 0 ].y).to.equal(340);
+        expect(waypoints[ 1 ].y).to.equal(340);
+      }
+    ));
+
+
+    it('should create divider line for new decision service', inject(
+      function(canvas, elementFactory, modeling) {
+
+        // given
+        var decisionService = elementFactory.createShape({
+          type: 'dmn:DecisionService'
+        });
+
+        // when
+        modeling.createShape(
+          decisionService,
+          { x: 1000, y: 500 },
+          canvas.getRootElement()
+        );
+
+        // then
+        var waypoints = getDividerLine(decisionService).waypoint;
+
+        expect(waypoints[ 0 ]).to.include({ x: 840, y: 500 });
+        expect(waypoints[ 1 ]).to.include({ x: 1160, y: 500 });
+      }
+    ));
+
+  });
+
+});
+
+
+// helpers //////////
+
+function getHrefs(decisionService, propertyName) {
+  return decisionService.businessObject.get(propertyName).map(function(reference) {
+    return reference.href;
+  });
+}
+
+function getDrgElementIds(definitions) {
+  return definitions.get('drgElement').map(function(drgElement) {
+    return drgElement.id;
+  });
+}
+
+function getDividerLine(decisionService) {
+  return decisionService.businessObject.di.get('decisionServiceDividerLine');
+}
@@ -71,7 +71,7 @@ describe('features/popup-menu - replace menu provider', function() {
 
           // then
           expect(queryEntry('replace-with-empty-decision')).to.be.null;
-          expect(queryEntries()).to.have.length(2);
+          expect(queryEntries()).to.have.length(6);
         })
       );
 
@@ -127,6 +127,27 @@ describe('features/popup-menu - replace menu provider', function() {
         })
       );
 
+
+      it('should replace empty decision with context',
+        inject(function(drdReplace, elementRegistry) {
+
+          // given
+          var decision = elementRegistry.get('decision');
+
+          // when
+          openPopup(decision);
+
+          triggerAction('replace-with-context');
+
+          // then
+          decision = elementRegistry.get('decision');
+
+          expect(
+            is(decision.businessObject.decisionLogic, 'dmn:Context')
+          ).to.be.true;
+        })
+      );
+
     });
 
   });
@@ -89,6 +89,61 @@ describe('features/replace - drd replace', function() {
     }));
 
 
+    it('context', inject(function(elementRegistry, drdReplace) {
+
+      // given
+      var decision = elementRegistry.get('decision');
+
+      var newElementData = {
+        type: 'dmn:Decision',
+        table: false,
+        expression: false,
+        boxedExpression: 'dmn:Context'
+      };
+
+      // when
+      var newElement = drdReplace.replaceElement(decision, newElementData);
+
+      // then
+      var businessObject = newElement.businessObject,
+          context = businessObject.decisionLogic;
+
+      expect(is(context, 'dmn:Context')).to.be.true;
+      expect(context.$parent).to.equal(businessObject);
+
+      expect(context.contextEntry).to.have.length(1);
+      expect(context.contextEntry[0].$parent).to.equal(context);
+      expect(is(context.contextEntry[0].value, 'dmn:LiteralExpression')).to.be.true;
+
+      expect(businessObject.variable.name).to.eql(businessObject.name);
+    }));
+
+
+    it('relation', inject(function(elementRegistry, drdReplace) {
+
+      // given
+      var decision = elementRegistry.get('decision');
+
+      var newElementData = {
+        type: 'dmn:Decision',
+        table: false,
+        expression: false,
+        boxedExpression: 'dmn:Relation'
+      };
+
+      // when
+      var newElement = drdReplace.replaceElement(decision, newElementData);
+
+      // then
+      var relation = newElement.businessObject.decisionLogic;
+
+      expect(is(relation, 'dmn:Relation')).to.be.true;
+      expect(relation.column).to.have.length(1);
+      expect(relation.row).to.have.length(1);
+      expect(relation.row[0].elements).to.have.length(1);
+    }));
+
+
     it('nothing', inject(function(elementRegistry, drdReplace) {
 
       // given
@@ -268,6 +268,147 @@ describe('features/rules', function() {
   });
 
 
+  describe('decision service', function() {
+
+    var diagramXML = require('../../../fixtures/dmn/decision-service.dmn');
+
+    beforeEach(bootstrapModeler(diagramXML, { modules: testModules }));
+
+
+    it('decision service -> decision', expectCanConnect(
+      'DecisionService_1',
+      'Decision_Outside',
+      { type: 'dmn:KnowledgeRequirement' }
+    ));
+
+
+    it('decision service -> input data', expectCanConnect(
+      'DecisionService_1',
+      'InputData_1',
+      false
+    ));
+
+
+    it('should allow to create decision in decision service', inject(
+      function(drdRules, elementFactory, elementRegistry) {
+
+        // given
+        var decision = elementFactory.create('shape', { type: 'dmn:Decision' });
+
+        var decisionService = elementRegistry.get('DecisionService_1');
+
+        // when
+        var allowed = drdRules.canCreate(decision, decisionService);
+
+        // then
+        expect(allowed).to.be.true;
+      }
+    ));
+
+
+    it('should NOT allow to create input data in decision service', inject(
+      function(drdRules, elementFactory, elementRegistry) {
+
+        // given
+        var inputData = elementFactory.create('shape', { type: 'dmn:InputData' });
+
+        var decisionService = elementRegistry.get('DecisionService_1');
+
+        // when
+        var allowed = drdRules.canCreate(inputData, decisionService);
+
+        // then
+        expect(allowed).to.be.false;
+      }
+    ));
+
+
+    it('should allow to move decision into decision service', inject(
+      function(drdRules, elementRegistry) {
+
+        // given
+        var decision = elementRegistry.get('Decision_Outside'),
+            decisionService = elementRegistry.get('DecisionService_1');
+
+        // when
+        var allowed = drdRules.canMove(decision, decisionService);
+
+        // then
+        expect(allowed).to.be.true;
+      }
+    ));
+
+
+    it('should allow to resize decision service', expectCanResize(
+      'DecisionService_1',
+      true
+    ));
+
+  });
+
+
+  describe('group', function() {
+
+    var diagramXML = require('../../../fixtures/dmn/group.dmn');
+
+    beforeEach(bootstrapModeler(diagramXML, { modules: testModules }));
+
+
+    it('should allow to create group', inject(
+      function(drdRules, elementFactory, elementRegistry) {
+
+        // given
+        var group = elementFactory.create('shape', { type: 'dmn:Group' });
+
+        var definitions = elementRegistry.get('groupDefinitions');
+
+        // when
+        var allowed = drdRules.canCreate(group, definitions);
+
+        // then
+        expect(allowed).to.be.true;
+      }
+    ));
+
+
+    it('should allow to move group with elements', inject(
+      function(drdRules, elementRegistry) {
+
+        // given
+        var group = elementRegistry.get('Group_1'),
+            decision = elementRegistry.get('Decision_1'),
+            definitions = elementRegistry.get('groupDefinitions');
+
+        // when
+        var allowed = drdRules.canMove([ group, decision ], definitions);
+
+        // then
+        expect(allowed).to.be.true;
+      }
+    ));
+
+
+    it('should NOT allow to move element into group', inject(
+      function(drdRules, elementRegistry) {
+
+        // given
+        var group = elementRegistry.get('Group_1'),
+            inputData = elementRegistry.get('InputData_1');
+
+        // when
+        var allowed = drdRules.canMove(inputData, group);
+
+        // then
+        expect(allowed).to.be.false;
+      }
+    ));
+
+
+    it('should allow to resize group', expectCanResize('Group_1', true));
+
+  });
+
+
   describe('resize', function() {
 
     var diagramXML = require('./drd-rules.dmn');
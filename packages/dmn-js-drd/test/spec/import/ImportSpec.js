@@ -6,6 +6,9 @@ import {
 
 import exampleXML from '../../fixtures/dmn/di-1-3.dmn';
 import multipleDecisionsXML from '../../fixtures/dmn/multiple-decisions.dmn';
+import decisionServiceXML from '../../fixtures/dmn/decision-service.dmn';
+import importsXML from '../../fixtures/dmn/imports.dmn';
+import importedXML from '../../fixtures/dmn/imported.dmn';
 
 import {
   pick
@@ -168,6 +171,91 @@ describe('DRD - Import', function() {
 
 
 
+  describe('decision service', function() {
+
+    beforeEach(bootstrapModeler(decisionServiceXML));
+
+
+    it('should add output and encapsulated decisions as children', function() {
+      getDrdJS().invoke(function(elementRegistry) {
+
+        // given
+        const decisionService = elementRegistry.get('DecisionService_1');
+
+        // then
+        expect(elementRegistry.get('Decision_Output').parent).to.equal(decisionService);
+        expect(
+          elementRegistry.get('Decision_Encapsulated').parent
+        ).to.equal(decisionService);
+        expect(
+          elementRegistry.get('Decision_Input').parent
+        ).not.to.equal(decisionService);
+      });
+    });
+
+
+    it('should connect decision service with knowledge requirement', function() {
+      getDrdJS().invoke(function(elementRegistry) {
+
+        // when
+        const connection = elementRegistry.get('KnowledgeRequirement_1');
+
+        // then
+        expect(connection.source).to.equal(elementRegistry.get('DecisionService_1'));
+        expect(connection.target).to.equal(elementRegistry.get('Decision_Outside'));
+      });
+    });
+
+  });
+
+
+  describe('dmn:Import', function() {
+
+    beforeEach(bootstrapModeler(importsXML));
+
+    beforeEach(function() {
+      return getDmnJS().importXML(importsXML, {
+        open: true,
+        imports: {
+          'http://example.com/customer': importedXML
+        }
+      });
+    });
+
+
+    it('should add imported elements', function() {
+      getDrdJS().invoke(function(elementRegistry) {
+
+        // when
+        const decision = elementRegistry.get('customer:Decision_Category'),
+              bkm = elementRegistry.get('customer:BKM_Rebate');
+
+        // then
+        expect(decision).to.exist;
+        expect(decision.businessObject.name).to.equal('Customer Category');
+        expect(decision.businessObject.$import.name).to.equal('customer');
+
+        expect(bkm).to.exist;
+      });
+    });
+
+
+    it('should connect imported elements', function() {
+      getDrdJS().invoke(function(elementRegistry) {
+
+        // when
+        const informationRequirement = elementRegistry.get('InformationRequirement_1'),
+              knowledgeRequirement = elementRegistry.get('KnowledgeRequirement_1');
+
+        // then
+        expect(informationRequirement.source.id).to.equal('customer:Decision_Category');
+        expect(knowledgeRequirement.source.id).to.equal('customer:BKM_Rebate');
+      });
+    });
+
+  });
+
+
   describe('cropping', function() {
 
     beforeEach(bootstrapModeler(multipleDecisionsXML));
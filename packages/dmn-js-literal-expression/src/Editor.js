@@ -2,6 +2,8 @@ import { DmnVariableResolverModule } from '@bpmn-io/dmn-variable-resolver';
 
 import ExpressionLanguagesModule from 'dmn-js-shared/lib/features/expression-languages';
 import DataTypesModule from 'dmn-js-shared/lib/features/data-types';
+import ImportedVariablesModule from
+  'dmn-js-shared/lib/features/imported-variables';
 
 import Viewer from './Viewer';
 
@@ -29,7 +31,8 @@ export default class Editor extends Viewer {
       ExpressionLanguagesModule,
       DataTypesModule,
       TextareaEditorComponent,
-      DmnVariableResolverModule
+      DmnVariableResolverModule,
+      ImportedVariablesModule
     ];
   }
 }
\ No newline at end of file
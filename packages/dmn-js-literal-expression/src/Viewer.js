@@ -9,6 +9,11 @@ import {
   remove as domRemove
 } from 'min-dom';
 
+import {
+  saveHTML,
+  saveSVG
+} from 'dmn-js-shared/lib/util/ExportUtil';
+
 import TranslateModule from 'diagram-js/lib/i18n/translate';
 
 import CoreModule from './core';
@@ -26,6 +31,14 @@ import ViewDrdModule from './features/view-drd';
  * @typedef {import('dmn-js-shared/lib/base/View).OpenError} OpenError
  */
 
+/**
+ * @typedef {import('dmn-js-shared/lib/util/ExportUtil').SaveSVGResult} SaveSVGResult
+ */
+
+/**
+ * @typedef {import('dmn-js-shared/lib/util/ExportUtil').SaveHTMLResult} SaveHTMLResult
+ */
+
 
 export default class Viewer extends BaseViewer {
 
@@ -168,6 +181,26 @@ export default class Viewer extends BaseViewer {
     return this._decision;
   }
 
+  /**
+   * Export the currently displayed literal expression as an SVG image.
+   *
+   * The viewer must be attached to the document.
+   *
+   * @return {Promise<SaveSVGResult>}
+   */
+  saveSVG() {
+    return saveSVG(this._container);
+  }
+
+  /**
+   * Export the currently displayed literal expression as HTML markup.
+   *
+   * @return {Promise<SaveHTMLResult>}
+   */
+  saveHTML() {
+    return saveHTML(this._container);
+  }
+
   /**
    * Attach viewer to given parent node.
    *
@@ -22,6 +22,17 @@ import {
   wrapForCompatibility
 } from '../util/CompatibilityUtils';
 
+import {
+  DMN_IMPORT_TYPE,
+  createImportedElement
+} from '../util/ImportUtil';
+
+import Evaluation from './evaluation/Evaluation';
+import Exporter from './export/Exporter';
+import Linting from './linting/Linting';
+
+import { getDiagrams } from '../util/DiUtil';
+
 
 /**
  * @typedef {import('./View').OpenResult} OpenResult
@@ -31,6 +42,15 @@ import {
  * @typedef {import('./View').OpenError} OpenError
  */
 
+/**
+ * @typedef {import('./evaluation/DecisionEvaluator').DecisionResult} DecisionResult
+ */
+
+/**
+ * @typedef {import('./linting/Linter').LintIssue} LintIssue
+ * @typedef {import('./linting/Linter').LintRule} LintRule
+ */
+
 
 const DEFAULT_CONTAINER_OPTIONS = {
   width: '100%',
@@ -102,9 +122,15 @@ export default class Manager {
    *
    * You can use these events to hook into the life-cycle.
    *
+   * Models imported via `dmn:Import` may be passed as `options.imports`,
+   * mapping namespaces to DMN xml. Imports not passed are looked up via
+   * the `importResolver` option, if configured.
+   *
    * @param {string} xml the DMN xml
    * @param {Object} [options]
-   * @param {boolean} [options.open=true]
+   * @param {boolean} [options.open] open the initial view;
+   *   only done by default if no options are given
+   * @param {Object<string, string>} [options.imports] imported DMN xml by namespace
    *
    * @return {Promise<ImportXMLResult, ImportXMLError>}
    */
@@ -126,6 +152,8 @@ export default class Manager {
         var parseWarnings;
 
         self._moddle.fromXML(xml, 'dmn:Definitions').then((parseResult) => {
+          return self._parseImports(parseResult, options.imports);
+        }).then((parseResult) => {
 
           var definitions = parseResult.rootElement;
           var references = parseResult.references;
@@ -237,6 +265,118 @@ export default class Manager {
     return this._definitions;
   }
 
+  /**
+   * Return the definitions of models imported by the
+   * current definitions, keyed by namespace.
+   *
+   * @return {Object<string, ModdleElement>}
+   */
+  getImportedDefinitions() {
+    return this._importedDefinitions || {};
+  }
+
+  /**
+   * The evaluate result.
+   *
+   * @typedef {Object} EvaluateResult
+   *
+   * @property {Object<string, DecisionResult>} results by decision ID
+   */
+
+  /**
+   * Evaluate all decisions of the current definitions for the given
+   * input data context, resolving decisions after the decisions
+   * they require.
+   *
+   * Expressions are evaluated using the `feelEvaluator` option, if configured.
+   * Views are notified about results via the `evaluation.changed` event.
+   *
+   * @param {Object} [context] input data values by variable name
+   *
+   * @return {Promise<EvaluateResult, Error>}
+   */
+  evaluate(context = {}) {
+    return this._evaluation.evaluate(context);
+  }
+
+  /**
+   * Return the results of the latest evaluation, by decision ID.
+   *
+   * @return {Object<string, DecisionResult>|null}
+   */
+  getEvaluationResults() {
+    return this._evaluation.getResults();
+  }
+
+  /**
+   * Discard the results of the latest evaluation.
+   */
+  clearEvaluation() {
+    this._evaluation.clear();
+  }
+
+  /**
+   * The lint result.
+   *
+   * @typedef {Object} LintResult
+   *
+   * @property {Array<LintIssue>} issues
+   */
+
+  /**
+   * Lint the current definitions using the built-in and the configured
+   * rules (`linting.rules`). Views are notified about found issues
+   * via the `linting.completed` event.
+   *
+   * If `linting.active` is set, definitions are linted automatically
+   * after import and whenever they change.
+   *
+   * @return {Promise<LintResult, Error>}
+   */
+  lint() {
+    return new Promise((resolve, reject) => {
+      if (!this._definitions) {
+        reject(new Error('no definitions loaded'));
+        return;
+      }
+
+      resolve({ issues: this._linting.lint() });
+    });
+  }
+
+  /**
+   * Return the issues found by the latest linting, optionally
+   * restricted to those of a single element.
+   *
+   * @param {ModdleElement|string} [element] element or element ID
+   *
+   * @return {Array<LintIssue>}
+   */
+  getIssues(element) {
+    return this._linting.getIssues(element);
+  }
+
+  /**
+   * Return the linter, e.g. to register additional rules.
+   *
+   * @return {Linter}
+   */
+  getLinter() {
+    return this._linting.getLinter();
+  }
+
+  /**
+   * Open the view showing the element of an issue and notify the view
+   * about the issue via the `linting.issue.open` event.
+   *
+   * @param {LintIssue} issue
+   *
+   * @return {Promise}
+   */
+  openIssue(issue) {
+    return this._linting.openIssue(issue);
+  }
+
   /**
    * Return active view.
    *
@@ -340,6 +480,53 @@ export default class Manager {
 
   }
 
+  /**
+   * The savePNG result.
+   *
+   * @typedef {Object} SavePNGResult
+   *
+   * @property {Blob} png
+   */
+
+  /**
+   * Export the currently displayed view as a PNG image.
+   *
+   * Requires the active viewer to support `saveSVG`.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.scale=1] pixels per CSS pixel
+   *
+   * @return {Promise<SavePNGResult, Error>}
+   */
+  savePNG(options = {}) {
+    return this._exporter.savePNG(options);
+  }
+
+  /**
+   * The savePDF result.
+   *
+   * @typedef {Object} SavePDFResult
+   *
+   * @property {Blob} pdf
+   */
+
+  /**
+   * Export all views as a PDF document with one page per view,
+   * i.e. the DRD(s) followed by the logic of every decision.
+   *
+   * Views are rendered off-screen, keeping the active view open;
+   * views whose viewer does not support `saveSVG` are skipped.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.scale=2] pixels per CSS pixel
+   * @param {number} [options.quality=0.92] JPEG quality, between 0 and 1
+   *
+   * @return {Promise<SavePDFResult, Error>}
+   */
+  savePDF(options = {}) {
+    return this._exporter.savePDF(options);
+  }
+
   /**
    * Register an event listener
    *
@@ -428,6 +615,14 @@ export default class Manager {
 
     this._container = container;
 
+    this._evaluation = new Evaluation(this, this._eventBus, {
+      feelEvaluator: options.feelEvaluator
+    });
+
+    this._linting = new Linting(this, this._eventBus, container, options.linting);
+
+    this._exporter = new Exporter(this, container, type => this._createViewer(type));
+
     if (options.container) {
       this.attachTo(options.container);
     }
@@ -437,6 +632,61 @@ export default class Manager {
     return this._switchView(null);
   }
 
+  /**
+   * Parse models imported by the given definitions and resolve
+   * references from DI elements to elements of these models.
+   *
+   * Imports that cannot be resolved or parsed are reported as warnings.
+   *
+   * @param {Object} parseResult
+   * @param {Object<string, string>} [imports]
+   *
+   * @return {Promise<Object>} parse result
+   */
+  _parseImports(parseResult, imports) {
+    var definitions = parseResult.rootElement,
+        warnings = parseResult.warnings,
+        importResolver = this._options.importResolver;
+
+    var importedDefinitions = this._importedDefinitions = {};
+
+    var dmnImports = (definitions.get('import') || []).filter(function(dmnImport) {
+      return dmnImport.importType === DMN_IMPORT_TYPE;
+    });
+
+    var parsed = dmnImports.map((dmnImport) => {
+      var namespace = dmnImport.namespace;
+
+      return Promise.resolve(
+        imports && imports[ namespace ] ||
+        importResolver && importResolver(dmnImport)
+      ).then((importedXML) => {
+        if (!importedXML) {
+          warnings.push({
+            message: 'unresolved import <' + namespace + '>'
+          });
+
+          return;
+        }
+
+        return this._moddle.fromXML(importedXML, 'dmn:Definitions').then((result) => {
+          importedDefinitions[ namespace ] = result.rootElement;
+        });
+      }).catch(function(error) {
+        warnings.push({
+          message: 'failed to import <' + namespace + '>: ' + error.message,
+          error: error
+        });
+      });
+    });
+
+    return Promise.all(parsed).then(function() {
+      resolveImportedReferences(parseResult, importedDefinitions);
+
+      return parseResult;
+    });
+  }
+
   /**
    * Open diagram view.
    *
@@ -449,6 +699,15 @@ export default class Manager {
   }
 
   _setDefinitions(definitions) {
+    if (definitions !== this._definitions && this._evaluation.getResults()) {
+      this._evaluation.clear();
+    }
+
+    // views pick up issues on import
+    if (definitions !== this._definitions) {
+      this._linting.reset();
+    }
+
     this._definitions = definitions;
 
     this._updateViews();
@@ -478,7 +737,13 @@ export default class Manager {
 
     var viewProviders = this._getViewProviders();
 
-    var displayableElements = [ definitions, ...(definitions.drgElement || []) ];
+    // the definitions display the first diagram, additional
+    // diagrams are displayable on their own
+    var displayableElements = [
+      definitions,
+      ...getDiagrams(definitions).slice(1),
+      ...(definitions.drgElement || [])
+    ];
 
     // compute list of available views
     var views = this._views,
@@ -640,6 +905,19 @@ export default class Manager {
     });
   }
 
+  /**
+   * Render the given views off-screen one after another,
+   * cf. {@link Exporter#renderViews}.
+   *
+   * @param {Array<View>} views
+   * @param {(view: View, viewer: Object) => Promise|void} render
+   *
+   * @return {Promise}
+   */
+  _renderViews(views, render) {
+    return this._exporter.renderViews(views, render);
+  }
+
   _getViewer(view) {
 
     var type = view.type;
@@ -712,13 +990,58 @@ export default class Manager {
 
 // helpers //////////////////////
 
-/**
- * Ensure the passed argument is a proper unit (defaulting to px)
- */
 function ensureUnit(val) {
   return val + (isNumber(val) ? 'px' : '');
 }
 
+/**
+ * Resolve qualified references (`prefix:id`) from DI elements
+ * to elements of imported models.
+ *
+ * @param {Object} parseResult
+ * @param {Object<string, ModdleElement>} importedDefinitions
+ */
+function resolveImportedReferences(parseResult, importedDefinitions) {
+  var definitions = parseResult.rootElement,
+      namespaces = definitions.$attrs || {},
+      importedElements = {};
+
+  parseResult.references.forEach(function(reference) {
+    var qualifiedId = reference.id,
+        parts = qualifiedId.split(':');
+
+    if (reference.property !== 'dmndi:dmnElementRef' || parts.length !== 2) {
+      return;
+    }
+
+    var namespace = namespaces[ 'xmlns:' + parts[ 0 ] ],
+        imported = importedDefinitions[ namespace ];
+
+    var dmnImport = find(definitions.get('import'), function(dmnImport) {
+      return dmnImport.namespace === namespace;
+    });
+
+    var element = imported && find(imported.get('drgElement'), function(element) {
+      return element.id === parts[ 1 ];
+    });
+
+    if (!element || !dmnImport) {
+      return;
+    }
+
+    var importedElement = importedElements[ qualifiedId ] = (
+      importedElements[ qualifiedId ] ||
+      createImportedElement(element, qualifiedId, dmnImport)
+    );
+
+    reference.element.set('dmnElementRef', importedElement);
+
+    parseResult.warnings = parseResult.warnings.filter(function(warning) {
+      return warning.message !== 'unresolved reference <' + qualifiedId + '>';
+    });
+  });
+}
+
 function checkDMNCompatibilityError(err, xml) {
 
   // check if we can indicate opening of old DMN 1.1 or DMN 1.2 diagrams
@@ -0,0 +1,257 @@
+import { is } from '../../util/ModelUtil';
+
+import {
+  applyHitPolicy,
+  isSingleHit
+} from '../../util/HitPolicyUtil';
+
+import SimpleFeelEvaluator from './SimpleFeelEvaluator';
+
+
+/**
+ * An evaluator for FEEL expressions and unary tests.
+ *
+ * @typedef {Object} FeelEvaluator
+ *
+ * @property {(expression: string, context: Object) => any} evaluate
+ * @property {(expression: string, context: Object) => boolean} unaryTest - receives
+ *   the input value to test as `?` in the context
+ */
+
+/**
+ * The result of evaluating a decision.
+ *
+ * @typedef {Object} DecisionResult
+ *
+ * @property {ModdleElement} decision
+ * @property {any} [value]
+ * @property { { message: string, values?: Object } } [error]
+ */
+
+
+/**
+ * Evaluates the decisions of a DRD.
+ *
+ * Decisions are evaluated after the decisions they require via
+ * `informationRequirement`s. Each decision sees the given input data context
+ * along with the results of its required decisions, keyed by variable name.
+ *
+ * Decision tables and literal expressions are supported. Expressions are
+ * evaluated using the configured FEEL evaluator or, if none is configured,
+ * a {@link SimpleFeelEvaluator}.
+ *
+ * @param {Object} [options]
+ * @param {FeelEvaluator} [options.feelEvaluator]
+ */
+export default class DecisionEvaluator {
+
+  constructor(options = {}) {
+    this._feel = options.feelEvaluator || new SimpleFeelEvaluator();
+  }
+
+  /**
+   * Evaluate all decisions of the given definitions.
+   *
+   * @param {ModdleElement} definitions
+   * @param {Object} [context] - input data values by variable name
+   *
+   * @return {Object<string, DecisionResult>} results by decision ID
+   */
+  evaluate(definitions, context = {}) {
+    const drgElements = definitions.get('drgElement');
+
+    const decisions = drgElements.filter(element => {
+      return is(element, 'dmn:Decision');
+    });
+
+    // input data not provided evaluates to null
+    const inputContext = drgElements.reduce((inputContext, element) => {
+      if (is(element, 'dmn:InputData')) {
+        inputContext[ getVariableName(element) ] = null;
+      }
+
+      return inputContext;
+    }, {});
+
+    context = { ...inputContext, ...context };
+
+    const results = {},
+          visiting = {};
+
+    const evaluateDecision = (decision) => {
+      const id = decision.id;
+
+      if (results[ id ]) {
+        return results[ id ];
+      }
+
+      if (visiting[ id ]) {
+        return {
+          decision,
+          error: { message: 'Cyclic requirement' }
+        };
+      }
+
+      visiting[ id ] = true;
+
+      const decisionContext = { ...context };
+
+      let error = null;
+
+      for (const requirement of decision.get('informationRequirement')) {
+        const requiredDecision = requirement.requiredDecision;
+
+        if (!requiredDecision) {
+          continue;
+        }
+
+        const required = findDecision(decisions, requiredDecision.href);
+
+        if (!required) {
+          error = error || {
+            message: 'Required decision <{href}> not found',
+            values: { href: requiredDecision.href }
+          };
+
+          continue;
+        }
+
+        const result = evaluateDecision(required);
+
+        if (result.error) {
+          error = error || {
+            message: 'Required decision {name} failed',
+            values: { name: required.name || required.id }
+          };
+
+          continue;
+        }
+
+        decisionContext[ getVariableName(required) ] = result.value;
+      }
+
+      results[ id ] = error ?
+        { decision, error } :
+        this._evaluateDecision(decision, decisionContext);
+
+      visiting[ id ] = false;
+
+      return results[ id ];
+    };
+
+    decisions.forEach(evaluateDecision);
+
+    return results;
+  }
+
+  _evaluateDecision(decision, context) {
+    const decisionLogic = decision.decisionLogic;
+
+    try {
+      if (is(decisionLogic, 'dmn:DecisionTable')) {
+        return {
+          decision,
+          ...this._evaluateDecisionTable(decisionLogic, context)
+        };
+      }
+
+      if (is(decisionLogic, 'dmn:LiteralExpression')) {
+        return {
+          decision,
+          value: this._feel.evaluate(decisionLogic.text, context)
+        };
+      }
+    } catch (error) {
+      return {
+        decision,
+        error: { message: error.message }
+      };
+    }
+
+    return {
+      decision,
+      error: {
+        message: 'Decision logic {type} is not supported',
+        values: { type: decisionLogic ? decisionLogic.$type : 'none' }
+      }
+    };
+  }
+
+  _evaluateDecisionTable(decisionTable, context) {
+    const feel = this._feel;
+
+    const inputValues = decisionTable.get('input').map(input => {
+      const inputExpression = input.inputExpression;
+
+      return feel.evaluate(inputExpression && inputExpression.text, context);
+    });
+
+    const matches = decisionTable.get('rule').filter(rule => {
+      return rule.get('inputEntry').every((inputEntry, index) => {
+        return feel.unaryTest(inputEntry.text, {
+          ...context,
+          '?': inputValues[ index ]
+        });
+      });
+    }).map(rule => ({
+      rule,
+      values: rule.get('outputEntry').map(outputEntry => {
+        return feel.evaluate(outputEntry.text, context);
+      })
+    }));
+
+    const { values, error } = applyHitPolicy(decisionTable, matches);
+
+    if (error) {
+      return { error };
+    }
+
+    return {
+      value: toDecisionValue(decisionTable, values)
+    };
+  }
+}
+
+
+// helpers //////////
+
+function findDecision(decisions, href) {
+  return decisions.find(decision => `#${ decision.id }` === href);
+}
+
+function getVariableName(element) {
+  const variable = element.variable;
+
+  return variable && variable.name || element.name;
+}
+
+/**
+ * Combine the values of a decision table's outputs into a single result:
+ * a value for single output tables, a context with an entry per output
+ * otherwise; lists of these for multiple hits.
+ */
+function toDecisionValue(decisionTable, values) {
+  const outputs = decisionTable.get('output');
+
+  const isList = !isSingleHit(decisionTable.hitPolicy) && !decisionTable.aggregation;
+
+  if (!values.length) {
+    return isList ? [] : null;
+  }
+
+  if (outputs.length === 1) {
+    return values[ 0 ];
+  }
+
+  const toContext = (getValue) => outputs.reduce((context, output, index) => {
+    context[ output.name ] = getValue(index);
+
+    return context;
+  }, {});
+
+  if (!isList) {
+    return toContext(index => values[ index ]);
+  }
+
+  return values[ 0 ].map((_, hit) => toContext(index => values[ index ][ hit ]));
+}
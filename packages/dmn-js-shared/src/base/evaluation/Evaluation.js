@@ -0,0 +1,71 @@
+import DecisionEvaluator from './DecisionEvaluator';
+
+/**
+ * @typedef {import('./DecisionEvaluator').DecisionResult} DecisionResult
+ */
+
+
+/**
+ * Evaluates the decisions of the definitions shown by a manager and keeps
+ * the results of the latest evaluation. Views are notified about results
+ * via the `evaluation.changed` event.
+ *
+ * @param {Manager} manager
+ * @param {EventBus} eventBus
+ * @param {Object} [options]
+ * @param {Object} [options.feelEvaluator]
+ */
+export default class Evaluation {
+
+  constructor(manager, eventBus, options = {}) {
+    this._manager = manager;
+    this._eventBus = eventBus;
+
+    this._evaluator = new DecisionEvaluator({
+      feelEvaluator: options.feelEvaluator
+    });
+
+    this._results = null;
+  }
+
+  /**
+   * Evaluate all decisions for the given input data context.
+   *
+   * @param {Object} context
+   *
+   * @return {Promise<{ results: Object<string, DecisionResult> }, Error>}
+   */
+  evaluate(context) {
+    return new Promise((resolve, reject) => {
+      const definitions = this._manager.getDefinitions();
+
+      if (!definitions) {
+        reject(new Error('no definitions loaded'));
+        return;
+      }
+
+      const results = this._evaluator.evaluate(definitions, context);
+
+      this._setResults(results);
+
+      resolve({ results });
+    });
+  }
+
+  /**
+   * @return {Object<string, DecisionResult>|null}
+   */
+  getResults() {
+    return this._results;
+  }
+
+  clear() {
+    this._setResults(null);
+  }
+
+  _setResults(results) {
+    this._results = results;
+
+    this._eventBus.fire('evaluation.changed', { results });
+  }
+}
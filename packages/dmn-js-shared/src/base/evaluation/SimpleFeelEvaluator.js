@@ -0,0 +1,173 @@
+import {
+  find,
+  has,
+  isNumber,
+  isString
+} from 'min-dash';
+
+import {
+  matchesInputEntry,
+  parseInputEntry,
+  parseInputValue
+} from '../../util/UnaryTestsUtil';
+
+const TYPE_REFS = [ 'number', 'boolean', 'string', 'date', 'dateTime' ];
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const STRING_PATTERN = /^"((?:[^"\\]|\\.)*)"$/;
+
+const FUNCTION_PATTERN = /^(date and time|date|time|duration)\s*\(\s*(".*")\s*\)$/;
+
+
+/**
+ * A minimal FEEL evaluator used if no FEEL evaluator is configured.
+ *
+ * It understands literals (numbers, strings, booleans, `null` and temporal
+ * literals such as `date("2020-01-01")`, evaluated to their ISO string), names
+ * and paths of variables in the context as expressions as well as the unary
+ * tests simple mode can edit, cf. {@link parseInputEntry}.
+ *
+ * Any other expression fails with an error. Plug in a full FEEL implementation
+ * to evaluate arbitrary expressions.
+ */
+export default class SimpleFeelEvaluator {
+
+  /**
+   * Evaluate an expression.
+   *
+   * @param {string} expression
+   * @param {Object} [context]
+   *
+   * @return {any}
+   */
+  evaluate(expression, context = {}) {
+    const text = (expression || '').trim();
+
+    if (!text || text === 'null') {
+      return null;
+    }
+
+    if (text === 'true' || text === 'false') {
+      return text === 'true';
+    }
+
+    if (NUMBER_PATTERN.test(text)) {
+      return Number(text);
+    }
+
+    const string = STRING_PATTERN.exec(text);
+
+    if (string) {
+      return string[ 1 ].replace(/\\(.)/g, '$1');
+    }
+
+    const fn = FUNCTION_PATTERN.exec(text);
+
+    if (fn) {
+      return this.evaluate(fn[ 2 ]);
+    }
+
+    if (has(context, text)) {
+      return context[ text ];
+    }
+
+    const path = text.split('.').map(name => name.trim());
+
+    if (has(context, path[ 0 ])) {
+      return resolvePath(path, context, text);
+    }
+
+    throw new Error(`Unsupported expression <${ text }>`);
+  }
+
+  /**
+   * Evaluate unary tests against the input value provided as
+   * `?` in the context.
+   *
+   * The unary tests are parsed as the type of the input value, if possible.
+   * Dates are compared as timestamps.
+   *
+   * @param {string} expression
+   * @param {Object} context
+   *
+   * @return {boolean}
+   */
+  unaryTest(expression, context = {}) {
+    const value = context[ '?' ];
+
+    const typeRefs = TYPE_REFS.filter(typeRef => parseInputEntry(expression, typeRef));
+
+    if (!typeRefs.length) {
+      throw new Error(`Unsupported unary tests <${ (expression || '').trim() }>`);
+    }
+
+    const typeRef = find(typeRefs, typeRef => hasType(value, typeRef)) || typeRefs[ 0 ];
+
+    return matchesInputEntry(
+      parseInputEntry(expression, typeRef),
+      toInputValue(value, typeRef)
+    );
+  }
+}
+
+
+// helpers //////////
+
+/**
+ * Resolve a path of names in the given context, failing on names
+ * unknown to a context value.
+ *
+ * @param {Array<string>} path
+ * @param {Object} context
+ * @param {string} text
+ *
+ * @return {any}
+ */
+function resolvePath(path, context, text) {
+  return path.reduce((value, name) => {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (typeof value !== 'object' || !has(value, name)) {
+      throw new Error(`Unsupported expression <${ text }>`);
+    }
+
+    return value[ name ];
+  }, context);
+}
+
+function hasType(value, typeRef) {
+  if (typeRef === 'number') {
+    return isNumber(value);
+  }
+
+  if (typeRef === 'boolean') {
+    return typeof value === 'boolean';
+  }
+
+  return isString(value);
+}
+
+/**
+ * Convert a value to the value parsed unary tests are matched against.
+ *
+ * @param {any} value
+ * @param {string} typeRef
+ *
+ * @return {number|string|null}
+ */
+function toInputValue(value, typeRef) {
+
+  // values of other types match like `null`, i.e. `-` and negations only
+  if (!hasType(value, typeRef)) {
+    return null;
+  }
+
+  if (typeRef === 'string') {
+    return `"${ value.replace(/["\\]/g, '\\$&') }"`;
+  }
+
+  return parseInputValue(String(value), typeRef);
+}
@@ -0,0 +1,197 @@
+import {
+  domify,
+  remove as domRemove
+} from 'min-dom';
+
+import {
+  assign,
+  isFunction
+} from 'min-dash';
+
+import {
+  canvasToBlob,
+  svgToCanvas
+} from '../../util/ExportUtil';
+
+import PdfWriter from './PdfWriter';
+
+// points (PDF units) per CSS pixel
+const PT_PER_PX = 0.75;
+
+// render views to export outside of the visible area
+const EXPORT_CONTAINER_STYLES = {
+  position: 'absolute',
+  top: '0',
+  left: '-100000px',
+  width: '100%',
+  height: '100%'
+};
+
+
+/**
+ * Exports the views of a manager as images and documents.
+ *
+ * Images are exported from the active view. To export multiple views, they
+ * are rendered off-screen by viewers dedicated to that purpose, i.e. the
+ * active view stays untouched and no view or import life-cycle events
+ * are fired.
+ *
+ * @param {Manager} manager
+ * @param {HTMLElement} container
+ * @param {(type: string) => Object} createViewer
+ */
+export default class Exporter {
+
+  constructor(manager, container, createViewer) {
+    this._manager = manager;
+    this._container = container;
+    this._createViewer = createViewer;
+  }
+
+  /**
+   * Export the active view as a PNG image.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.scale=1]
+   *
+   * @return {Promise<{ png: Blob }, Error>}
+   */
+  savePNG(options = {}) {
+    const manager = this._manager,
+          viewer = manager.getActiveViewer();
+
+    if (!manager.getDefinitions()) {
+      return Promise.reject(new Error('no definitions loaded'));
+    }
+
+    if (!viewer || !isFunction(viewer.saveSVG)) {
+      return Promise.reject(new Error('active view cannot be exported'));
+    }
+
+    return viewer.saveSVG()
+      .then(({ svg }) => svgToCanvas(svg, { scale: options.scale || 1 }))
+      .then(canvas => canvasToBlob(canvas, 'image/png'))
+      .then(png => ({ png }));
+  }
+
+  /**
+   * Export all views as a PDF document with one page per view.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.scale=2]
+   * @param {number} [options.quality=0.92]
+   *
+   * @return {Promise<{ pdf: Blob }, Error>}
+   */
+  savePDF(options = {}) {
+    const manager = this._manager;
+
+    if (!manager.getDefinitions()) {
+      return Promise.reject(new Error('no definitions loaded'));
+    }
+
+    const exportOptions = {
+      scale: options.scale || 2,
+      quality: options.quality || 0.92
+    };
+
+    const writer = new PdfWriter();
+
+    return this.renderViews(manager.getViews(), (view, viewer) => {
+      if (isFunction(viewer.saveSVG)) {
+        return this._exportPage(view, viewer, writer, exportOptions);
+      }
+    }).then(() => {
+      if (!writer.getPageCount()) {
+        throw new Error('no view can be exported');
+      }
+
+      return { pdf: writer.toBlob() };
+    });
+  }
+
+  /**
+   * Render the given views off-screen one after another, calling `render`
+   * once a view is rendered.
+   *
+   * @param {Array<View>} views
+   * @param {(view: View, viewer: Object) => Promise|void} render
+   *
+   * @return {Promise}
+   */
+  renderViews(views, render) {
+    const container = domify('<div class="dmn-js-export-container"></div>');
+
+    assign(container.style, EXPORT_CONTAINER_STYLES);
+
+    this._container.appendChild(container);
+
+    const viewers = {};
+
+    const rendered = views.reduce((done, view) => {
+      return done.then(() => {
+        const viewer = viewers[ view.type ] ||
+          (viewers[ view.type ] = this._createViewer(view.type));
+
+        viewer.attachTo(container);
+
+        return viewer.open(view.element)
+          .then(() => render(view, viewer))
+          .then(() => viewer.detach(), error => {
+            viewer.detach();
+
+            throw error;
+          });
+      });
+    }, Promise.resolve());
+
+    const cleanup = () => {
+      Object.keys(viewers).forEach(type => {
+        const viewer = viewers[ type ];
+
+        if (isFunction(viewer.destroy)) {
+          viewer.destroy();
+        }
+      });
+
+      domRemove(container);
+    };
+
+    return rendered.then(cleanup, error => {
+      cleanup();
+
+      throw error;
+    });
+  }
+
+  /**
+   * Add a rendered view as a page to the given PDF.
+   *
+   * @param {View} view
+   * @param {Object} viewer
+   * @param {PdfWriter} writer
+   * @param {Object} options
+   *
+   * @return {Promise}
+   */
+  _exportPage(view, viewer, writer, options) {
+    const scale = options.scale;
+
+    return viewer.saveSVG()
+      .then(({ svg }) => svgToCanvas(svg, { scale }))
+      .then(canvas => {
+        return canvasToBlob(canvas, 'image/jpeg', options.quality)
+          .then(blob => blob.arrayBuffer())
+          .then(buffer => {
+            writer.addPage({
+              title: view.name || view.id,
+              data: new Uint8Array(buffer),
+              imageWidth: canvas.width,
+              imageHeight: canvas.height,
+              width: canvas.width / scale * PT_PER_PX,
+              height: canvas.height / scale * PT_PER_PX
+            });
+          });
+      });
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * A page showing a JPEG image below an optional title.
+ *
+ * @typedef {Object} PdfPage
+ *
+ * @property {string} [title]
+ * @property {Uint8Array} data - JPEG encoded image
+ * @property {number} imageWidth - image width in pixels
+ * @property {number} imageHeight - image height in pixels
+ * @property {number} width - displayed image width in points
+ * @property {number} height - displayed image height in points
+ */
+
+const MARGIN = 36;
+
+const TITLE_SIZE = 14;
+
+const TITLE_HEIGHT = 28;
+
+// catalog, pages and font objects precede the page objects
+const FIRST_PAGE_OBJECT = 4;
+
+
+/**
+ * Writes a PDF document with one image per page, without
+ * depending on any rendering besides the (pre-encoded) images.
+ */
+export default class PdfWriter {
+
+  constructor() {
+    this._pages = [];
+  }
+
+  /**
+   * Add a page.
+   *
+   * @param {PdfPage} page
+   */
+  addPage(page) {
+    this._pages.push(page);
+  }
+
+  /**
+   * Return the number of added pages.
+   *
+   * @return {number}
+   */
+  getPageCount() {
+    return this._pages.length;
+  }
+
+  /**
+   * Write the document.
+   *
+   * @return {Blob}
+   */
+  toBlob() {
+    const pages = this._pages;
+
+    const chunks = [],
+          offsets = [];
+
+    let length = 0;
+
+    function write(data) {
+      const bytes = typeof data === 'string' ? toBytes(data) : data;
+
+      chunks.push(bytes);
+
+      length += bytes.length;
+    }
+
+    function writeObject(id, dictionary, stream) {
+      offsets[ id ] = length;
+
+      write(id + ' 0 obj\n' + dictionary + '\n');
+
+      if (stream) {
+        write('stream\n');
+        write(stream);
+        write('\nendstream\n');
+      }
+
+      write('endobj\n');
+    }
+
+    const pageIds = pages.map(function(_, index) {
+      return FIRST_PAGE_OBJECT + index * 3;
+    });
+
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+
+    writeObject(2,
+      '<< /Type /Pages /Kids [' + pageIds.map(function(id) {
+        return id + ' 0 R';
+      }).join(' ') + '] /Count ' + pages.length + ' >>'
+    );
+
+    writeObject(3,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica ' +
+        '/Encoding /WinAnsiEncoding >>'
+    );
+
+    pages.forEach(function(page, index) {
+      const pageId = pageIds[ index ],
+            contentsId = pageId + 1,
+            imageId = pageId + 2;
+
+      const titleHeight = page.title ? TITLE_HEIGHT : 0;
+
+      const pageWidth = round(page.width + MARGIN * 2),
+            pageHeight = round(page.height + titleHeight + MARGIN * 2);
+
+      let contents = '';
+
+      if (page.title) {
+        contents +=
+          'BT /F1 ' + TITLE_SIZE + ' Tf ' +
+          MARGIN + ' ' + round(pageHeight - MARGIN - TITLE_SIZE) + ' Td ' +
+          '(' + escapeText(page.title) + ') Tj ET\n';
+      }
+
+      contents +=
+        'q ' + round(page.width) + ' 0 0 ' + round(page.height) + ' ' +
+        MARGIN + ' ' + MARGIN + ' cm /Im1 Do Q';
+
+      writeObject(pageId,
+        '<< /Type /Page /Parent 2 0 R ' +
+          '/MediaBox [0 0 ' + pageWidth + ' ' + pageHeight + '] ' +
+          '/Resources << /Font << /F1 3 0 R >> ' +
+            '/XObject << /Im1 ' + imageId + ' 0 R >> >> ' +
+          '/Contents ' + contentsId + ' 0 R >>'
+      );
+
+      writeObject(contentsId,
+        '<< /Length ' + contents.length + ' >>',
+        contents
+      );
+
+      writeObject(imageId,
+        '<< /Type /XObject /Subtype /Image ' +
+          '/Width ' + page.imageWidth + ' /Height ' + page.imageHeight + ' ' +
+          '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode ' +
+          '/Length ' + page.data.length + ' >>',
+        page.data
+      );
+    });
+
+    const xrefOffset = length,
+          size = offsets.length;
+
+    let xref = 'xref\n0 ' + size + '\n0000000000 65535 f \n';
+
+    for (let id = 1; id < size; id++) {
+      xref += pad(offsets[ id ], 10) + ' 00000 n \n';
+    }
+
+    write(xref);
+
+    write(
+      'trailer\n<< /Size ' + size + ' /Root 1 0 R >>\n' +
+      'startxref\n' + xrefOffset + '\n%%EOF\n'
+    );
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+}
+
+
+// helpers //////////
+
+function toBytes(string) {
+  const bytes = new Uint8Array(string.length);
+
+  for (let i = 0; i < string.length; i++) {
+    bytes[ i ] = string.charCodeAt(i);
+  }
+
+  return bytes;
+}
+
+/**
+ * Escape text for a PDF string literal, replacing characters
+ * the standard font cannot display.
+ *
+ * @param {string} text
+ *
+ * @return {string}
+ */
+function escapeText(text) {
+  return text
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, '\\$&');
+}
+
+function round(number) {
+  return Math.round(number * 100) / 100;
+}
+
+function pad(number, length) {
+  let string = String(number);
+
+  while (string.length < length) {
+    string = '0' + string;
+  }
+
+  return string;
+}
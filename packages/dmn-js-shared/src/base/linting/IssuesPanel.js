@@ -0,0 +1,106 @@
+import {
+  classes as domClasses,
+  delegate as domDelegate,
+  domify,
+  query as domQuery
+} from 'min-dom';
+
+import translate from 'diagram-js/lib/i18n/translate/translate';
+
+
+/**
+ * Lists the issues found by linting across all views. Clicking an
+ * issue opens the view showing the offending element.
+ *
+ * @param {Manager} manager
+ * @param {HTMLElement} container
+ */
+export default class IssuesPanel {
+
+  constructor(manager, container) {
+    this._manager = manager;
+    this._issues = [];
+
+    const node = this._node = domify(`
+      <div class="dmn-issues-panel">
+        <button type="button" class="dmn-issues-panel-toggle"></button>
+        <ul class="dmn-issues-panel-list"></ul>
+      </div>
+    `);
+
+    domDelegate.bind(node, '.dmn-issues-panel-toggle', 'click', () => {
+      this.toggle();
+    });
+
+    domDelegate.bind(node, '.dmn-issues-panel-issue', 'click', event => {
+      const index = Number(event.delegateTarget.dataset.index);
+
+      manager.openIssue(this._issues[ index ]);
+    });
+
+    manager.on('linting.completed', ({ issues }) => this.update(issues));
+
+    container.appendChild(node);
+
+    this.update([]);
+  }
+
+  /**
+   * Expand or collapse the list of issues.
+   *
+   * @param {boolean} [open]
+   */
+  toggle(open) {
+    domClasses(this._node).toggle('open', open);
+  }
+
+  isOpen() {
+    return domClasses(this._node).has('open');
+  }
+
+  update(issues) {
+    this._issues = issues;
+
+    const node = this._node;
+
+    domClasses(node).toggle('has-issues', issues.length > 0);
+
+    domQuery('.dmn-issues-panel-toggle', node).textContent = issues.length ?
+      translate('{count} issues', { count: issues.length }) :
+      translate('No issues');
+
+    const list = domQuery('.dmn-issues-panel-list', node);
+
+    list.innerHTML = '';
+
+    issues.forEach((issue, index) => {
+      const item = domify(`
+        <li class="dmn-issues-panel-issue" data-index="${ index }">
+          <span class="dmn-issues-panel-element"></span>
+          <span class="dmn-issues-panel-message"></span>
+        </li>
+      `);
+
+      domClasses(item).add(issue.severity);
+
+      domQuery('.dmn-issues-panel-element', item).textContent = getLabel(issue.element);
+      domQuery('.dmn-issues-panel-message', item).textContent =
+        translate(issue.message, issue.values);
+
+      list.appendChild(item);
+    });
+  }
+}
+
+
+// helpers //////////
+
+function getLabel(element) {
+  let current = element;
+
+  while (current && !current.name) {
+    current = current.$parent;
+  }
+
+  return current ? current.name : element.id;
+}
@@ -0,0 +1,68 @@
+import { forEach, isArray } from 'min-dash';
+
+import { is } from '../../util/ModelUtil';
+
+
+/**
+ * Invoke a function for the given element and all elements it contains,
+ * skipping diagram interchange.
+ *
+ * @param {ModdleElement} element
+ * @param {(element: ModdleElement) => void} fn
+ */
+export function traverse(element, fn) {
+  fn(element);
+
+  forEach(element.$descriptor.properties, property => {
+    if (property.isAttr || property.isReference || property.name === 'dmnDI') {
+      return;
+    }
+
+    const value = element.get(property.name);
+
+    forEach(isArray(value) ? value : [ value ], child => {
+      if (child && child.$descriptor) {
+        traverse(child, fn);
+      }
+    });
+  });
+}
+
+/**
+ * Invoke a function for all elements of the given type.
+ *
+ * @param {ModdleElement} definitions
+ * @param {string} type
+ * @param {(element: ModdleElement) => void} fn
+ */
+export function forEachOfType(definitions, type, fn) {
+  traverse(definitions, element => {
+    if (is(element, type)) {
+      fn(element);
+    }
+  });
+}
+
+/**
+ * Return whether an expression is written in FEEL, i.e. the
+ * default expression language.
+ *
+ * @param {ModdleElement} element
+ *
+ * @return {boolean}
+ */
+export function isFeel(element) {
+  let current = element;
+
+  while (current) {
+    const expressionLanguage = current.expressionLanguage;
+
+    if (expressionLanguage) {
+      return /feel/i.test(expressionLanguage);
+    }
+
+    current = is(current, 'dmn:Definitions') ? null : current.$parent;
+  }
+
+  return true;
+}
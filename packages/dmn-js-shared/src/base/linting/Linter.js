@@ -0,0 +1,133 @@
+import { isString } from 'min-dash';
+
+import BUILT_IN_RULES from './rules';
+
+
+/**
+ * A lint rule.
+ *
+ * @typedef {Object} LintRule
+ *
+ * @property {string} name
+ * @property {'error'|'warn'} [severity='error']
+ * @property {(definitions: ModdleElement, report: ReportFn) => void} check
+ */
+
+/**
+ * Report an issue with an element.
+ *
+ * @typedef {(element: ModdleElement, message: string, values?: Object) => void} ReportFn
+ */
+
+/**
+ * An issue reported by a lint rule.
+ *
+ * @typedef {Object} LintIssue
+ *
+ * @property {string} id - ID of the offending element
+ * @property {ModdleElement} element
+ * @property {string} rule - name of the reporting rule
+ * @property {'error'|'warn'} severity
+ * @property {string} message - message, possibly containing `{placeholders}`
+ * @property {Object} [values] - values of placeholders
+ */
+
+
+/**
+ * Validates DMN definitions against a set of rules.
+ *
+ * Built-in rules are always registered; custom rules can be added via
+ * `options.rules` or {@link Linter#addRule}. Rules can be turned off or
+ * their severity can be changed via `options.config`:
+ *
+ * @example
+ *
+ * const linter = new Linter({
+ *   rules: [ myRule ],
+ *   config: {
+ *     'no-empty-output-entry': 'off',
+ *     'bkm-parameters': 'warn'
+ *   }
+ * });
+ *
+ * const issues = linter.lint(definitions);
+ *
+ * @param {Object} [options]
+ * @param {Array<LintRule>} [options.rules]
+ * @param {Object<string, 'off'|'warn'|'error'>} [options.config]
+ */
+export default class Linter {
+
+  constructor(options = {}) {
+    this._rules = [];
+    this._config = options.config || {};
+
+    [ ...BUILT_IN_RULES, ...(options.rules || []) ].forEach(rule => this.addRule(rule));
+  }
+
+  /**
+   * Register a rule, replacing a rule of the same name.
+   *
+   * @param {LintRule} rule
+   */
+  addRule(rule) {
+    if (!rule || !isString(rule.name) || typeof rule.check !== 'function') {
+      throw new Error('rule must provide <name> and <check>');
+    }
+
+    this._rules = [
+      ...this._rules.filter(r => r.name !== rule.name),
+      rule
+    ];
+  }
+
+  /**
+   * Return all registered rules.
+   *
+   * @return {Array<LintRule>}
+   */
+  getRules() {
+    return this._rules;
+  }
+
+  /**
+   * Lint the given definitions.
+   *
+   * @param {ModdleElement} definitions
+   *
+   * @return {Array<LintIssue>}
+   */
+  lint(definitions) {
+    const issues = [];
+
+    this._rules.forEach(rule => {
+      const severity = this._config[ rule.name ] || rule.severity || 'error';
+
+      if (severity === 'off') {
+        return;
+      }
+
+      const report = (element, message, values) => {
+        issues.push({
+          id: element.id,
+          element,
+          rule: rule.name,
+          severity,
+          message,
+          values
+        });
+      };
+
+      try {
+        rule.check(definitions, report);
+      } catch (error) {
+        report(definitions, 'Rule {rule} failed: {error}', {
+          rule: rule.name,
+          error: error.message
+        });
+      }
+    });
+
+    return issues;
+  }
+}
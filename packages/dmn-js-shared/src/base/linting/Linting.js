@@ -0,0 +1,185 @@
+import { debounce } from 'min-dash';
+
+import Linter from './Linter';
+import IssuesPanel from './IssuesPanel';
+
+import { is } from '../../util/ModelUtil';
+
+/**
+ * @typedef {import('./Linter').LintIssue} LintIssue
+ * @typedef {import('./Linter').LintRule} LintRule
+ */
+
+const LINTING_DELAY = 300;
+
+
+/**
+ * Lints the definitions shown by a manager and keeps the issues found by
+ * the latest linting. Views are notified about issues via the
+ * `linting.completed` event.
+ *
+ * If `options.active` is set, definitions are linted automatically after
+ * import and whenever they change, and found issues are listed in an
+ * {@link IssuesPanel}, unless `options.panel` is `false`.
+ *
+ * @param {Manager} manager
+ * @param {EventBus} eventBus
+ * @param {HTMLElement} container
+ * @param {Object} [options]
+ * @param {boolean} [options.active]
+ * @param {boolean} [options.panel]
+ * @param {Array<LintRule>} [options.rules]
+ * @param {Object<string, 'off'|'warn'|'error'>} [options.config]
+ */
+export default class Linting {
+
+  constructor(manager, eventBus, container, options = {}) {
+    this._manager = manager;
+    this._eventBus = eventBus;
+
+    this._linter = new Linter(options);
+
+    this._issues = [];
+
+    if (!options.active) {
+      return;
+    }
+
+    const lintDebounced = debounce(() => this.lint(), LINTING_DELAY);
+
+    manager.on('import.done', ({ error }) => {
+      if (!error) {
+        this.lint();
+      }
+    });
+
+    manager.on('viewer.created', ({ viewer }) => {
+      viewer.on('elements.changed', lintDebounced);
+    });
+
+    if (options.panel !== false) {
+      this._issuesPanel = new IssuesPanel(manager, container);
+    }
+  }
+
+  /**
+   * Lint the current definitions.
+   *
+   * @return {Array<LintIssue>}
+   */
+  lint() {
+    const definitions = this._manager.getDefinitions();
+
+    const issues = this._issues = definitions ? this._linter.lint(definitions) : [];
+
+    this._eventBus.fire('linting.completed', { issues });
+
+    return issues;
+  }
+
+  /**
+   * @param {ModdleElement|string} [element] element or element ID
+   *
+   * @return {Array<LintIssue>}
+   */
+  getIssues(element) {
+    const issues = this._issues;
+
+    if (!element) {
+      return issues;
+    }
+
+    const id = element.id || element;
+
+    return issues.filter(issue => issue.id === id);
+  }
+
+  /**
+   * Discard the issues found by the latest linting.
+   */
+  reset() {
+    this._issues = [];
+  }
+
+  /**
+   * @return {Linter}
+   */
+  getLinter() {
+    return this._linter;
+  }
+
+  /**
+   * Open the view showing the element of an issue and notify the view
+   * about the issue via the `linting.issue.open` event.
+   *
+   * @param {LintIssue} issue
+   *
+   * @return {Promise}
+   */
+  openIssue(issue) {
+    const manager = this._manager;
+
+    const view = this._getIssueView(issue.element);
+
+    if (!view) {
+      return Promise.reject(new Error('no view for <' + issue.id + '>'));
+    }
+
+    const opened = view === manager.getActiveView() ?
+      Promise.resolve() :
+      manager.open(view);
+
+    return opened.then(() => {
+      this._eventBus.fire('linting.issue.open', { issue, view });
+    });
+  }
+
+  /**
+   * Return the view to show the element of an issue in: the DRD for
+   * DRG elements and their requirements, otherwise the view of the
+   * closest DRG element.
+   *
+   * @param {ModdleElement} element
+   *
+   * @return {View|undefined}
+   */
+  _getIssueView(element) {
+    const manager = this._manager,
+          drdView = manager.getView(manager.getDefinitions());
+
+    let current = element;
+
+    while (current && !is(current, 'dmn:DRGElement')) {
+      current = current.$parent;
+    }
+
+    if (!current || current === element || !isDecisionLogic(element, current)) {
+      return drdView || (current && manager.getView(current));
+    }
+
+    return manager.getView(current) || drdView;
+  }
+}
+
+
+// helpers //////////
+
+/**
+ * Is the element part of the decision logic of the given DRG element,
+ * as opposed to e.g. its requirements?
+ */
+function isDecisionLogic(element, drgElement) {
+  const logic = drgElement.decisionLogic || drgElement.encapsulatedLogic;
+
+  let current = element;
+
+  while (current && current !== drgElement) {
+    if (current === logic) {
+      return true;
+    }
+
+    current = current.$parent;
+  }
+
+  return false;
+}
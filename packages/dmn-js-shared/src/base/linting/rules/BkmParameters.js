@@ -0,0 +1,19 @@
+import { forEachOfType } from '../LintUtil';
+
+
+/**
+ * Reports business knowledge models without parameters.
+ */
+export default {
+  name: 'bkm-parameters',
+  severity: 'warn',
+  check(definitions, report) {
+    forEachOfType(definitions, 'dmn:BusinessKnowledgeModel', bkm => {
+      const encapsulatedLogic = bkm.encapsulatedLogic;
+
+      if (!encapsulatedLogic || !encapsulatedLogic.get('formalParameter').length) {
+        report(bkm, 'Business knowledge model has no parameters');
+      }
+    });
+  }
+};
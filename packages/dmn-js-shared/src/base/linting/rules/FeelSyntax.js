@@ -0,0 +1,49 @@
+import { lintExpression } from '@bpmn-io/feel-lint';
+
+import { is } from '../../../util/ModelUtil';
+
+import { isFeel, traverse } from '../LintUtil';
+
+
+/**
+ * Reports FEEL expressions and unary tests with syntax errors.
+ */
+export default {
+  name: 'feel-syntax',
+  check(definitions, report) {
+    traverse(definitions, element => {
+      if (!isAnyExpression(element) || !isFeel(element)) {
+        return;
+      }
+
+      const text = (element.text || '').trim();
+
+      if (!text) {
+        return;
+      }
+
+      const dialect = is(element, 'dmn:UnaryTests') ? 'unaryTests' : 'expression';
+
+      const [ error ] = lintExpression(text, { dialect }).filter(issue => {
+        return issue.severity === 'error';
+      });
+
+      if (error) {
+        report(element, 'Invalid FEEL: {error}', { error: error.message });
+      }
+    });
+  }
+};
+
+
+// helpers //////////
+
+function isAnyExpression(element) {
+
+  // input values and allowed values are validated by their editors
+  if (is(element, 'dmn:UnaryTests') && !is(element.$parent, 'dmn:DecisionRule')) {
+    return false;
+  }
+
+  return is(element, 'dmn:LiteralExpression') || is(element, 'dmn:UnaryTests');
+}
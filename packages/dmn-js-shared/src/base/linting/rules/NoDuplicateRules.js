@@ -0,0 +1,42 @@
+import { forEachOfType } from '../LintUtil';
+
+
+/**
+ * Reports rules of decision tables with hit policy `UNIQUE` that
+ * repeat the input entries of a previous rule.
+ */
+export default {
+  name: 'no-duplicate-rules',
+  check(definitions, report) {
+    forEachOfType(definitions, 'dmn:DecisionTable', decisionTable => {
+      if ((decisionTable.hitPolicy || 'UNIQUE') !== 'UNIQUE') {
+        return;
+      }
+
+      const rules = decisionTable.get('rule'),
+            seen = {};
+
+      rules.forEach((rule, index) => {
+        const key = rule.get('inputEntry').map(getText).join('\n');
+
+        if (key in seen) {
+          report(rule, 'Rule {index} duplicates rule {other}', {
+            index: index + 1,
+            other: seen[ key ] + 1
+          });
+        } else {
+          seen[ key ] = index;
+        }
+      });
+    });
+  }
+};
+
+
+// helpers //////////
+
+function getText(inputEntry) {
+  const text = (inputEntry.text || '').replace(/\s+/g, ' ').trim();
+
+  return text === '' ? '-' : text;
+}
@@ -0,0 +1,18 @@
+import { forEachOfType } from '../LintUtil';
+
+
+/**
+ * Reports empty output entries of decision rules.
+ */
+export default {
+  name: 'no-empty-output-entry',
+  check(definitions, report) {
+    forEachOfType(definitions, 'dmn:DecisionRule', rule => {
+      rule.get('outputEntry').forEach(outputEntry => {
+        if (!(outputEntry.text || '').trim()) {
+          report(outputEntry, 'Output entry must not be empty');
+        }
+      });
+    });
+  }
+};
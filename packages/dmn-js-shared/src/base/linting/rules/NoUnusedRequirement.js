@@ -0,0 +1,74 @@
+import { find } from 'min-dash';
+
+import { is } from '../../../util/ModelUtil';
+
+import { forEachOfType, traverse } from '../LintUtil';
+
+
+/**
+ * Reports information requirements of decisions whose required
+ * decision or input data is not referenced by the decision logic.
+ */
+export default {
+  name: 'no-unused-requirement',
+  severity: 'warn',
+  check(definitions, report) {
+    const drgElements = definitions.get('drgElement');
+
+    forEachOfType(definitions, 'dmn:Decision', decision => {
+      const decisionLogic = decision.decisionLogic;
+
+      if (!decisionLogic) {
+        return;
+      }
+
+      const texts = getTexts(decisionLogic);
+
+      decision.get('informationRequirement').forEach(requirement => {
+        const reference = requirement.requiredDecision || requirement.requiredInput,
+              required = reference && findElement(drgElements, reference.href);
+
+        if (!required) {
+          return;
+        }
+
+        const name = getVariableName(required);
+
+        if (name && !texts.some(text => containsName(text, name))) {
+          report(decision, '{name} is required but not used', { name });
+        }
+      });
+    });
+  }
+};
+
+
+// helpers //////////
+
+function getTexts(decisionLogic) {
+  const texts = [];
+
+  traverse(decisionLogic, element => {
+    if (is(element, 'dmn:LiteralExpression') || is(element, 'dmn:UnaryTests')) {
+      texts.push(element.text || '');
+    }
+  });
+
+  return texts;
+}
+
+function findElement(drgElements, href) {
+  return find(drgElements, element => `#${ element.id }` === href);
+}
+
+function getVariableName(element) {
+  const variable = element.variable;
+
+  return variable && variable.name || element.name;
+}
+
+function containsName(text, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return new RegExp(`(^|[^\\w.])${ escaped }($|[^\\w])`).test(text);
+}
@@ -0,0 +1,63 @@
+import { isString } from 'min-dash';
+
+import { traverse } from '../LintUtil';
+
+const BUILT_IN_TYPES = [
+  'Any',
+  'boolean',
+  'context',
+  'date',
+  'date and time',
+  'dateTime',
+  'days and time duration',
+  'dayTimeDuration',
+  'double',
+  'function',
+  'integer',
+  'list',
+  'long',
+  'number',
+  'string',
+  'time',
+  'years and months duration',
+  'yearMonthDuration'
+];
+
+
+/**
+ * Reports type references to types that are neither built-in nor
+ * defined as item definition or provided by an import.
+ */
+export default {
+  name: 'type-ref',
+  check(definitions, report) {
+    const itemDefinitions = definitions.get('itemDefinition').map(({ name }) => name),
+          importNames = definitions.get('import').map(({ name }) => name);
+
+    const isKnownType = typeRef => {
+      if (BUILT_IN_TYPES.includes(typeRef) || itemDefinitions.includes(typeRef)) {
+        return true;
+      }
+
+      // types of imported models, e.g. `customer.tCustomer`
+      const [ prefix ] = typeRef.split('.');
+
+      return typeRef.includes('.') && importNames.includes(prefix);
+    };
+
+    traverse(definitions, element => {
+      if (!element.$descriptor.propertiesByName.typeRef) {
+        return;
+      }
+
+      const typeRef = element.get('typeRef');
+
+      if (!isString(typeRef) || !typeRef.trim() || isKnownType(typeRef.trim())) {
+        return;
+      }
+
+      report(element, 'Type {typeRef} is not defined', { typeRef });
+    });
+  }
+};
+
@@ -0,0 +1,15 @@
+import BkmParameters from './BkmParameters';
+import FeelSyntax from './FeelSyntax';
+import NoDuplicateRules from './NoDuplicateRules';
+import NoEmptyOutputEntry from './NoEmptyOutputEntry';
+import NoUnusedRequirement from './NoUnusedRequirement';
+import TypeRef from './TypeRef';
+
+export default [
+  BkmParameters,
+  FeelSyntax,
+  NoDuplicateRules,
+  NoEmptyOutputEntry,
+  NoUnusedRequirement,
+  TypeRef
+];
@@ -0,0 +1,405 @@
+import { escapeHTML } from 'diagram-js/lib/util/EscapeUtil';
+
+import { find } from 'min-dash';
+
+import {
+  domify,
+  queryAll as domQueryAll,
+  remove as domRemove
+} from 'min-dom';
+
+import { isAny } from '../../util/ModelUtil';
+
+import {
+  REQUIREMENTS,
+  getLocalId,
+  getRequiredId,
+  getRequiredReference,
+  getRequirements
+} from '../../util/RequirementsUtil';
+
+/**
+ * A rendered DRD.
+ *
+ * @typedef {Object} ReportDiagram
+ *
+ * @property {string} id
+ * @property {string} [name]
+ * @property {string} svg
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const REQUIREMENT_LABELS = {
+  informationRequirement: 'Information requirements',
+  knowledgeRequirement: 'Knowledge requirements',
+  authorityRequirement: 'Authority requirements'
+};
+
+const TYPE_LABELS = {
+  'dmn:BusinessKnowledgeModel': 'Business knowledge model',
+  'dmn:Decision': 'Decision',
+  'dmn:DecisionService': 'Decision service',
+  'dmn:InputData': 'Input data',
+  'dmn:KnowledgeSource': 'Knowledge source'
+};
+
+// controls of the viewers that do not work outside of them
+const CONTROLS_SELECTOR = '.view-drd';
+
+const REPORT_STYLES = `
+.dmn-report {
+  font-family: Arial, sans-serif;
+  margin: 0 auto;
+  max-width: 1200px;
+  padding: 20px;
+}
+
+.dmn-report section {
+  margin-bottom: 40px;
+}
+
+.dmn-report h2 small {
+  color: #666;
+  font-size: 14px;
+  font-weight: normal;
+}
+
+.dmn-report-drd svg {
+  height: auto;
+  max-width: 100%;
+}
+
+.dmn-report-drd a .djs-visual {
+  cursor: pointer;
+}
+
+.dmn-report-logic {
+  overflow-x: auto;
+}
+
+.dmn-report-item-definitions table {
+  border-collapse: collapse;
+}
+
+.dmn-report-item-definitions th,
+.dmn-report-item-definitions td {
+  border: 1px solid #ccc;
+  padding: 4px 8px;
+  text-align: left;
+}
+`;
+
+
+/**
+ * Create a self-contained HTML report of the given definitions, showing
+ *
+ *   * the rendered DRDs, with shapes linking to the element sections,
+ *   * a section per decision and business knowledge model, listing its
+ *     requirements and showing its rendered logic, and
+ *   * the item definitions.
+ *
+ * @param {ModdleElement} definitions
+ * @param {Object} content
+ * @param {string} [content.title] defaults to the definitions name
+ * @param {Array<ReportDiagram>} [content.diagrams]
+ * @param {Object<string, string>} [content.logic] rendered logic (HTML) by element ID
+ * @param {string} [content.styles] CSS to embed
+ *
+ * @return {string} html
+ */
+export function createHtmlReport(definitions, content) {
+  const {
+    diagrams = [],
+    logic = {},
+    styles = ''
+  } = content;
+
+  const title = content.title || definitions.name || definitions.id;
+
+  const drgElements = definitions.get('drgElement'),
+        itemDefinitions = definitions.get('itemDefinition');
+
+  const elements = drgElements.filter(function(element) {
+    return isAny(element, [ 'dmn:Decision', 'dmn:BusinessKnowledgeModel' ]);
+  });
+
+  const context = {
+    drgElements,
+    logic,
+    linked: elements,
+    requiredBy: getRequiredBy(drgElements)
+  };
+
+  const sections = [].concat(
+    diagrams.map(function(diagram) {
+      return renderDiagram(diagram, context);
+    }),
+    elements.map(function(element) {
+      return renderElement(element, context);
+    }),
+    itemDefinitions.length ? renderItemDefinitions(itemDefinitions) : []
+  );
+
+  return (
+    '<!DOCTYPE html>\n' +
+    '<!-- created with dmn-js / http://bpmn.io -->\n' +
+    '<html>' +
+    '<head>' +
+      '<meta charset="utf-8">' +
+      '<title>' + escapeHTML(title) + '</title>' +
+      '<style>' + escapeStyles(styles + REPORT_STYLES) + '</style>' +
+    '</head>' +
+    '<body class="dmn-report">' +
+      '<h1>' + escapeHTML(title) + '</h1>' +
+      renderContents(diagrams, elements, itemDefinitions) +
+      sections.join('') +
+    '</body>' +
+    '</html>'
+  );
+}
+
+// helpers //////////
+
+function renderContents(diagrams, elements, itemDefinitions) {
+  const entries = [].concat(
+    diagrams.map(function(diagram) {
+      return renderLink(getDiagramAnchor(diagram), diagram.name || diagram.id);
+    }),
+    elements.map(function(element) {
+      return renderLink(getAnchor(element), getName(element));
+    }),
+    itemDefinitions.length ? renderLink('dmn-item-definitions', 'Item definitions') : []
+  );
+
+  return (
+    '<nav class="dmn-report-contents">' +
+      renderList(entries) +
+    '</nav>'
+  );
+}
+
+function renderDiagram(diagram, context) {
+  return (
+    '<section class="dmn-report-drd" ' +
+      'id="' + escapeHTML(getDiagramAnchor(diagram)) + '">' +
+      '<h2>' + escapeHTML(diagram.name || diagram.id) + '</h2>' +
+      linkShapes(diagram.svg, context.linked) +
+    '</section>'
+  );
+}
+
+function renderElement(element, context) {
+  const logic = context.logic[ element.id ];
+
+  const requirements = REQUIREMENTS.map(function(name) {
+    const required = (element[ name ] || []).map(function(requirement) {
+      return renderReference(getRequiredReference(requirement), context);
+    });
+
+    return renderRequirements(REQUIREMENT_LABELS[ name ], required);
+  });
+
+  const requiredBy = (context.requiredBy[ element.id ] || []).map(function(requiring) {
+    return renderElementReference(requiring, context);
+  });
+
+  return (
+    '<section class="dmn-report-element" id="' + escapeHTML(getAnchor(element)) + '">' +
+      '<h2>' + escapeHTML(getName(element)) + ' ' + renderType(element) + '</h2>' +
+      (element.description ? '<p>' + escapeHTML(element.description) + '</p>' : '') +
+      requirements.join('') +
+      renderRequirements('Required by', requiredBy) +
+      (logic ? renderLogic(logic) : '') +
+    '</section>'
+  );
+}
+
+function renderLogic(logic) {
+  return (
+    '<h3>Logic</h3>' +
+    '<div class="dmn-report-logic">' + cleanLogic(logic) + '</div>'
+  );
+}
+
+function renderRequirements(label, entries) {
+  if (!entries.length) {
+    return '';
+  }
+
+  return '<h3>' + label + '</h3>' + renderList(entries, 'dmn-report-requirements');
+}
+
+/**
+ * Render a `dmn:DMNElementReference`, resolving local DRG elements.
+ */
+function renderReference(reference, context) {
+  const id = getLocalId(reference);
+
+  const element = id && find(context.drgElements, function(element) {
+    return element.id === id;
+  });
+
+  if (!element) {
+    return escapeHTML((reference && reference.href) || '');
+  }
+
+  return renderElementReference(element, context);
+}
+
+/**
+ * Render a DRG element, linking to its section, if any.
+ */
+function renderElementReference(element, context) {
+  const label = ' ' + renderType(element);
+
+  if (context.linked.indexOf(element) === -1) {
+    return escapeHTML(getName(element)) + label;
+  }
+
+  return renderLink(getAnchor(element), getName(element)) + label;
+}
+
+function renderItemDefinitions(itemDefinitions) {
+  const rows = itemDefinitions.map(function(itemDefinition) {
+    return renderItemDefinition(itemDefinition, '');
+  });
+
+  return (
+    '<section class="dmn-report-item-definitions" id="dmn-item-definitions">' +
+      '<h2>Item definitions</h2>' +
+      '<table>' +
+        '<thead><tr><th>Name</th><th>Type</th><th>Allowed values</th></tr></thead>' +
+        '<tbody>' + rows.join('') + '</tbody>' +
+      '</table>' +
+    '</section>'
+  );
+}
+
+/**
+ * Render an item definition followed by its components, qualifying
+ * the names of components with the names of their parents.
+ */
+function renderItemDefinition(itemDefinition, prefix) {
+  const name = prefix + (itemDefinition.name || ''),
+        components = itemDefinition.get('itemComponent'),
+        allowedValues = itemDefinition.allowedValues;
+
+  let type = itemDefinition.typeRef || (components.length ? 'structure' : '');
+
+  if (itemDefinition.isCollection) {
+    type = 'collection of ' + (type || 'any');
+  }
+
+  return (
+    '<tr>' +
+      '<td>' + escapeHTML(name) + '</td>' +
+      '<td>' + escapeHTML(type) + '</td>' +
+      '<td>' + escapeHTML((allowedValues && allowedValues.text) || '') + '</td>' +
+    '</tr>' +
+    components.map(function(component) {
+      return renderItemDefinition(component, name + '.');
+    }).join('')
+  );
+}
+
+/**
+ * Wrap the shapes of linked elements in the given DRD SVG
+ * into links to their sections.
+ */
+function linkShapes(svg, linked) {
+  const svgDocument = new DOMParser().parseFromString(svg, 'image/svg+xml'),
+        svgElement = svgDocument.documentElement;
+
+  const ids = linked.map(function(element) {
+    return element.id;
+  });
+
+  domQueryAll('[data-element-id]', svgElement).forEach(function(gfx) {
+    const id = gfx.getAttribute('data-element-id');
+
+    if (ids.indexOf(id) === -1) {
+      return;
+    }
+
+    const link = svgDocument.createElementNS(SVG_NS, 'a');
+
+    link.setAttribute('href', '#' + getAnchor(id));
+
+    gfx.parentNode.insertBefore(link, gfx);
+    link.appendChild(gfx);
+  });
+
+  return new XMLSerializer().serializeToString(svgElement);
+}
+
+/**
+ * Remove controls from rendered logic.
+ */
+function cleanLogic(html) {
+  const node = domify(html);
+
+  domQueryAll(CONTROLS_SELECTOR, node).forEach(domRemove);
+
+  return node.outerHTML;
+}
+
+/**
+ * Index the elements requiring an element by the ID of the required element.
+ */
+function getRequiredBy(drgElements) {
+  const requiredBy = {};
+
+  drgElements.forEach(function(element) {
+    getRequirements(element).forEach(function(requirement) {
+      const id = getRequiredId(requirement);
+
+      if (id) {
+        (requiredBy[ id ] = requiredBy[ id ] || []).push(element);
+      }
+    });
+  });
+
+  return requiredBy;
+}
+
+/**
+ * Return the ID of the anchor of an element section.
+ *
+ * @param {ModdleElement|string} element element or element ID
+ *
+ * @return {string}
+ */
+function getAnchor(element) {
+  return 'dmn-' + (element.id || element);
+}
+
+function getDiagramAnchor(diagram) {
+  return 'dmn-drd-' + diagram.id;
+}
+
+function getName(element) {
+  return element.name || element.id;
+}
+
+function renderType(element) {
+  return '<small>' + TYPE_LABELS[ element.$type ] + '</small>';
+}
+
+function renderLink(anchor, label) {
+  return '<a href="#' + escapeHTML(anchor) + '">' + escapeHTML(label) + '</a>';
+}
+
+function renderList(entries, className) {
+  return (
+    '<ul' + (className ? ' class="' + className + '"' : '') + '>' +
+      entries.map(function(entry) {
+        return '<li>' + entry + '</li>';
+      }).join('') +
+    '</ul>'
+  );
+}
+
+function escapeStyles(css) {
+  return css.replace(/<\/style/gi, '<\\/style');
+}
@@ -11,7 +11,8 @@ const DEFAULT_DATA_TYPES = [
 ];
 
 /**
- * Provide data types via config.
+ * Provide data types via config, extended by the item definitions
+ * (custom data types) of the currently edited model.
  *
  * @example
  *
@@ -33,19 +34,46 @@ export default class DataTypes {
 
   /**
    * @param {string[]} configuredDataTypes
+   * @param {Injector} injector
    */
-  constructor(configuredDataTypes) {
+  constructor(configuredDataTypes, injector) {
     this._dataTypes = configuredDataTypes || DEFAULT_DATA_TYPES;
+
+    this._parent = injector.get('_parent', false);
   }
 
   /**
-   * Get list of configured data types.
+   * Get list of configured data types, followed by the custom data types.
    *
    * @returns {string[]}
    */
   getAll() {
-    return this._dataTypes;
+    const dataTypes = this._dataTypes;
+
+    const customDataTypes = this.getCustom().filter(
+      dataType => !dataTypes.includes(dataType)
+    );
+
+    return customDataTypes.length ? [ ...dataTypes, ...customDataTypes ] : dataTypes;
+  }
+
+  /**
+   * Get list of custom data types, i.e. the names of the
+   * item definitions of the current model.
+   *
+   * @returns {string[]}
+   */
+  getCustom() {
+    const definitions = this._parent && this._parent.getDefinitions();
+
+    if (!definitions) {
+      return [];
+    }
+
+    return definitions.get('itemDefinition')
+      .map(itemDefinition => itemDefinition.name)
+      .filter(name => name);
   }
 }
 
-DataTypes.$inject = [ 'config.dataTypes' ];
+DataTypes.$inject = [ 'config.dataTypes', 'injector' ];
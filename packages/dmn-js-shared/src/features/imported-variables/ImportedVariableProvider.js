@@ -0,0 +1,108 @@
+import {
+  getBusinessObject,
+  isAny
+} from '../../util/ModelUtil';
+
+import { resolveImportedHref } from '../../util/ImportUtil';
+
+
+/**
+ * Provides variables of elements of imported models required
+ * by the decision or business knowledge model being edited.
+ *
+ * Variable names are qualified with the import name, e.g. `customer.Category`.
+ */
+export default class ImportedVariableProvider {
+  constructor(variableResolver, injector) {
+    this._parent = injector.get('_parent', false);
+
+    variableResolver.registerProvider(this);
+  }
+
+  getVariables(variables, element) {
+    const parent = this._parent;
+
+    if (!parent) {
+      return variables;
+    }
+
+    const definitions = parent.getDefinitions(),
+          importedDefinitions = parent.getImportedDefinitions();
+
+    const resolve = reference => reference && resolveImportedHref(
+      definitions,
+      importedDefinitions,
+      reference.href
+    );
+
+    const importedVariables = [];
+
+    for (
+      let current = getBusinessObject(element);
+      current;
+      current = current.$parent
+    ) {
+      if (!isAny(current, [ 'dmn:Decision', 'dmn:BusinessKnowledgeModel' ])) {
+        continue;
+      }
+
+      (current.get('informationRequirement') || []).forEach(requirement => {
+        addVariable(
+          importedVariables,
+          resolve(requirement.requiredDecision || requirement.requiredInput)
+        );
+      });
+
+      current.get('knowledgeRequirement').forEach(requirement => {
+        addVariable(importedVariables, resolve(requirement.requiredKnowledge));
+      });
+    }
+
+    return variables.concat(importedVariables);
+  }
+}
+
+ImportedVariableProvider.$inject = [ 'variableResolver', 'injector' ];
+
+
+// helpers //////////////////////
+
+function addVariable(variables, resolved) {
+  if (!resolved) {
+    return;
+  }
+
+  const {
+    element,
+    import: dmnImport
+  } = resolved;
+
+  if (!element.name || !dmnImport.name) {
+    return;
+  }
+
+  const variable = {
+    name: `${dmnImport.name}.${element.name}`,
+    origin: element
+  };
+
+  const typeRef = element.variable && element.variable.typeRef;
+
+  if (typeRef) {
+    variable.detail = typeRef;
+  }
+
+  const encapsulatedLogic = element.encapsulatedLogic;
+
+  if (encapsulatedLogic) {
+    variable.type = 'function';
+    variable.params = encapsulatedLogic.get('formalParameter').map((parameter, index) => {
+      return {
+        name: parameter.name || `param ${index + 1}`,
+        type: parameter.typeRef
+      };
+    });
+  }
+
+  variables.push(variable);
+}
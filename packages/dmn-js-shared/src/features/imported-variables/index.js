@@ -0,0 +1,6 @@
+import ImportedVariableProvider from './ImportedVariableProvider';
+
+export default {
+  __init__: [ 'importedVariableProvider' ],
+  importedVariableProvider: [ 'type', ImportedVariableProvider ]
+};
@@ -4,6 +4,7 @@ import CommandInterceptor from 'diagram-js/lib/command/CommandInterceptor';
 
 import {
   is,
+  isAny,
   getBusinessObject
 } from '../../../util/ModelUtil';
 
@@ -41,7 +42,7 @@ export default class IdChangeBehavior extends CommandInterceptor {
 
   shouldSkipUpdate(bo, oldProperties, newProperties) {
     return !isIdChange(oldProperties, newProperties) ||
-     (!is(bo, 'dmn:DRGElement') && !is(bo, 'dmn:TextAnnotation'));
+     !isAny(bo, [ 'dmn:DRGElement', 'dmn:Group', 'dmn:TextAnnotation' ]);
   }
 }
 
@@ -118,6 +119,22 @@ function updateElementReferences(element, oldId, id) {
           requiredKnowledge.href = `#${id}`;
         }
       });
+    },
+
+    outputDecision: () => {
+      updateReferences(element.outputDecision, oldId, id);
+    },
+
+    encapsulatedDecision: () => {
+      updateReferences(element.encapsulatedDecision, oldId, id);
+    },
+
+    inputDecision: () => {
+      updateReferences(element.inputDecision, oldId, id);
+    },
+
+    inputData: () => {
+      updateReferences(element.inputData, oldId, id);
     }
 
   };
@@ -131,6 +148,14 @@ function updateElementReferences(element, oldId, id) {
   });
 }
 
+function updateReferences(references, oldId, id) {
+  references.forEach(reference => {
+    if (reference.href === `#${oldId}`) {
+      reference.href = `#${id}`;
+    }
+  });
+}
+
 function updateAssociationReferences(element, oldId, id) {
 
   const handlers = {
@@ -0,0 +1,111 @@
+import { matches, query } from 'min-dom';
+
+import cssEscape from 'css.escape';
+
+export const SELECTABLE_SELECTOR = '[contenteditable]';
+
+
+/**
+ * Return the coordinates of a cell node, as given by its `data-coords`.
+ *
+ * @param {Element} node
+ *
+ * @return { { row: string, col: string } | null }
+ */
+export function getElementCoords(node) {
+  const coordsAttr = node.getAttribute('data-coords');
+
+  if (!coordsAttr) {
+    return null;
+  }
+
+  const [ row, col ] = coordsAttr.split(':');
+
+  return {
+    row,
+    col
+  };
+}
+
+/**
+ * Return the cell node at the given coordinates.
+ *
+ * @param { { row: string|number, col: string|number } } elementCoords
+ * @param {Element} container
+ *
+ * @return {Element|null}
+ */
+export function getNodeByCoords(elementCoords, container) {
+  const coordsAttr = `${elementCoords.row}:${elementCoords.col}`;
+
+  return query(`[data-coords="${ cssEscape(coordsAttr) }"]`, container);
+}
+
+/**
+ * Return focusable node in selectable el.
+ *
+ * @param  {Element} el
+ *
+ * @return {Element}
+ */
+export function getFocusableNode(el) {
+
+  const selector = SELECTABLE_SELECTOR;
+
+  return (
+    matches(el, selector)
+      ? el
+      : query(selector, el)
+  );
+}
+
+/**
+ * Return the coordinates of the cell next to the given
+ * coordinates in the given direction.
+ *
+ * @param { { row: string|number, col: string|number } } coords
+ * @param {string} direction - one of { above, below, left, right }
+ *
+ * @return { { row: string|number, col: string|number } }
+ */
+export function getNextCoords(coords, direction) {
+
+  const {
+    row,
+    col
+  } = coords;
+
+  if (direction === 'above' || direction === 'below') {
+
+    const rowIndex = parseInt(row, 10);
+
+    if (isNaN(rowIndex)) {
+      return coords;
+    }
+
+    const nextRowIndex = direction === 'above' ? rowIndex - 1 : rowIndex + 1;
+
+    return {
+      col,
+      row: nextRowIndex
+    };
+  }
+
+  if (direction === 'left' || direction === 'right') {
+
+    const colIndex = parseInt(col, 10);
+
+    if (isNaN(colIndex)) {
+      return coords;
+    }
+
+    const nextColIndex = direction === 'left' ? colIndex - 1 : colIndex + 1;
+
+    return {
+      row,
+      col: nextColIndex
+    };
+  }
+
+  throw new Error('invalid direction <' + direction + '>');
+}
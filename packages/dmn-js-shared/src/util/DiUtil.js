@@ -11,4 +11,17 @@ export function containsDi(definitions) {
 
 export function hasDi(element) {
   return !!element.di;
-}
\ No newline at end of file
+}
+
+/**
+ * Get all diagrams of the definitions element.
+ *
+ * @param {ModdleElement} definitions
+ *
+ * @return {Array<ModdleElement>}
+ */
+export function getDiagrams(definitions) {
+  var dmnDI = definitions.dmnDI;
+
+  return (dmnDI && dmnDI.get('diagrams')) || [];
+}
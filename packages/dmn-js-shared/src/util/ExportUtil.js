@@ -0,0 +1,240 @@
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+
+/**
+ * Render an HTML node as an SVG image, embedding a copy of the node
+ * with its computed styles inlined into a <foreignObject>.
+ *
+ * The node must be attached to the document for styles to be computed.
+ *
+ * @param {Element} node
+ *
+ * @return {string} svg
+ */
+export function htmlToSVG(node) {
+  const width = Math.max(node.scrollWidth, node.offsetWidth),
+        height = Math.max(node.scrollHeight, node.offsetHeight);
+
+  const clone = node.cloneNode(true);
+
+  copyValues(node, clone);
+  inlineStyles(node, clone);
+
+  const html = new XMLSerializer().serializeToString(clone);
+
+  return (
+    '<svg xmlns="' + SVG_NS + '" ' +
+      'width="' + width + '" height="' + height + '" ' +
+      'viewBox="0 0 ' + width + ' ' + height + '">' +
+      '<foreignObject x="0" y="0" width="100%" height="100%">' +
+        html +
+      '</foreignObject>' +
+    '</svg>'
+  );
+}
+
+/**
+ * Serialize an HTML node, including the current values of form fields.
+ *
+ * @param {Element} node
+ *
+ * @return {string} html
+ */
+export function htmlToString(node) {
+  const clone = node.cloneNode(true);
+
+  copyValues(node, clone);
+
+  return clone.outerHTML;
+}
+
+/**
+ * The saveSVG result.
+ *
+ * @typedef {Object} SaveSVGResult
+ *
+ * @property {string} svg
+ */
+
+/**
+ * Export a view rendered into the given container as an SVG image.
+ *
+ * The container must be attached to the document.
+ *
+ * @param {Element} container
+ *
+ * @return {Promise<SaveSVGResult>}
+ */
+export function saveSVG(container) {
+  return new Promise((resolve) => {
+    resolve({ svg: htmlToSVG(container) });
+  });
+}
+
+/**
+ * The saveHTML result.
+ *
+ * @typedef {Object} SaveHTMLResult
+ *
+ * @property {string} html
+ */
+
+/**
+ * Export a view rendered into the given container as HTML markup.
+ *
+ * @param {Element} container
+ *
+ * @return {Promise<SaveHTMLResult>}
+ */
+export function saveHTML(container) {
+  return new Promise((resolve) => {
+    resolve({ html: htmlToString(container) });
+  });
+}
+
+/**
+ * Return the CSS rules of all style sheets of the document
+ * that can be accessed, i.e. excluding cross-origin style sheets.
+ *
+ * @return {string} css
+ */
+export function getDocumentStyles() {
+  let css = '';
+
+  for (let i = 0; i < document.styleSheets.length; i++) {
+    let rules;
+
+    try {
+      rules = document.styleSheets[ i ].cssRules;
+    } catch (error) {
+
+      // cross-origin style sheet
+      continue;
+    }
+
+    for (let j = 0; j < rules.length; j++) {
+      css += rules[ j ].cssText + '\n';
+    }
+  }
+
+  return css;
+}
+
+/**
+ * Draw an SVG image onto a new canvas with a white background.
+ *
+ * @param {string} svg
+ * @param {Object} [options]
+ * @param {number} [options.scale=1] pixels per SVG unit
+ *
+ * @return {Promise<HTMLCanvasElement, Error>}
+ */
+export function svgToCanvas(svg, options = {}) {
+  const scale = options.scale || 1;
+
+  return loadImage(svg).then(function(image) {
+    const canvas = document.createElement('canvas');
+
+    canvas.width = Math.max(Math.ceil(image.width * scale), 1);
+    canvas.height = Math.max(Math.ceil(image.height * scale), 1);
+
+    const context = canvas.getContext('2d');
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return canvas;
+  });
+}
+
+/**
+ * Encode the contents of a canvas.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type='image/png']
+ * @param {number} [quality] encoder quality for lossy types, between 0 and 1
+ *
+ * @return {Promise<Blob, Error>}
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  return new Promise(function(resolve, reject) {
+    canvas.toBlob(function(blob) {
+      if (!blob) {
+        return reject(new Error('failed to encode <' + type + '>'));
+      }
+
+      resolve(blob);
+    }, type, quality);
+  });
+}
+
+
+// helpers //////////
+
+function loadImage(svg) {
+  return new Promise(function(resolve, reject) {
+    const image = new Image();
+
+    image.onload = function() {
+      resolve(image);
+    };
+
+    image.onerror = function() {
+      reject(new Error('failed to render SVG'));
+    };
+
+    image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+  });
+}
+
+function inlineStyles(source, target) {
+  forEachElement(source, target, function(source, target) {
+    const computedStyle = window.getComputedStyle(source);
+
+    let style = '';
+
+    for (let i = 0; i < computedStyle.length; i++) {
+      const name = computedStyle[ i ];
+
+      style += name + ':' + computedStyle.getPropertyValue(name) + ';';
+    }
+
+    target.setAttribute('style', style);
+  });
+}
+
+/**
+ * Reflect the current values of form fields in the markup.
+ */
+function copyValues(source, target) {
+  forEachElement(source, target, function(source, target) {
+    if (source.tagName === 'INPUT') {
+      target.setAttribute('value', source.value);
+
+      if (source.checked) {
+        target.setAttribute('checked', 'checked');
+      }
+    }
+
+    if (source.tagName === 'TEXTAREA') {
+      target.textContent = source.value;
+    }
+  });
+}
+
+/**
+ * Call fn for each element of a tree and the respective element of its clone.
+ */
+function forEachElement(source, target, fn) {
+  if (source.nodeType !== Node.ELEMENT_NODE) {
+    return;
+  }
+
+  fn(source, target);
+
+  for (let i = 0; i < source.childNodes.length; i++) {
+    forEachElement(source.childNodes[ i ], target.childNodes[ i ], fn);
+  }
+}
@@ -6,6 +6,7 @@ export const HIT_POLICIES = [
       hitPolicy: 'UNIQUE',
       aggregation: undefined
     },
+    singleHit: true,
     explanation: 'No overlap is possible and all rules are disjoint. Only a single rule can be matched'
   },
   {
@@ -14,6 +15,7 @@ export const HIT_POLICIES = [
       hitPolicy: 'FIRST',
       aggregation: undefined
     },
+    singleHit: true,
     explanation: 'Rules may overlap. The first matching rule will be chosen'
   },
   {
@@ -22,6 +24,7 @@ export const HIT_POLICIES = [
       hitPolicy: 'PRIORITY',
       aggregation: undefined
     },
+    singleHit: true,
     explanation: 'Rules may overlap. The one with the highest priority will be chosen'
   },
   {
@@ -30,6 +33,7 @@ export const HIT_POLICIES = [
       hitPolicy: 'ANY',
       aggregation: undefined
     },
+    singleHit: true,
     explanation: 'Rules may overlap. Their output have to match'
   },
   {
@@ -0,0 +1,186 @@
+import { HIT_POLICIES } from './HitPolicies';
+
+const SINGLE_HIT_POLICIES = HIT_POLICIES
+  .filter(({ singleHit }) => singleHit)
+  .map(({ value }) => value.hitPolicy);
+
+const AGGREGATIONS = HIT_POLICIES
+  .map(({ value }) => value.aggregation)
+  .filter(aggregation => aggregation);
+
+const AGGREGATORS = {
+  SUM: values => values.reduce((sum, value) => sum + value, 0),
+  MIN: values => Math.min(...values),
+  MAX: values => Math.max(...values),
+  COUNT: values => values.length
+};
+
+
+/**
+ * Is the hit policy a single hit policy, i.e. does it yield at most one
+ * result per output?
+ *
+ * @param {string} [hitPolicy]
+ *
+ * @return {boolean}
+ */
+export function isSingleHit(hitPolicy) {
+  return SINGLE_HIT_POLICIES.includes(hitPolicy || 'UNIQUE');
+}
+
+/**
+ * Apply the hit policy and aggregation of a decision table to the
+ * rules that matched during evaluation.
+ *
+ * The result contains one value per output: the output of the selected rule
+ * for single hit policies, a list of outputs for multiple hit policies or the
+ * aggregated output if an aggregation is set. Errors are reported with
+ * a message and its template values.
+ *
+ * @param {ModdleElement} decisionTable
+ * @param {Array<{ rule: ModdleElement, values: Array<any> }>} matches - matched
+ *   rules in rule order, along with their output values
+ *
+ * @return { {
+ *   values: Array<any>,
+ *   error?: { message: string, values: Object }
+ * } }
+ */
+export function applyHitPolicy(decisionTable, matches) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE',
+        aggregation = decisionTable.aggregation,
+        outputs = decisionTable.get('output');
+
+  if (isSingleHit(hitPolicy) && !matches.length) {
+    return { values: [] };
+  }
+
+  if (hitPolicy === 'UNIQUE' && matches.length > 1) {
+    return error('Multiple rules match for hit policy {hitPolicy}', { hitPolicy });
+  }
+
+  if (hitPolicy === 'UNIQUE' || hitPolicy === 'FIRST') {
+    return { values: matches[ 0 ].values };
+  }
+
+  if (hitPolicy === 'ANY') {
+    const [ first, ...others ] = matches;
+
+    const conflicting = others.some(({ values }) => {
+      return values.some((value, index) => !isEqual(value, first.values[ index ]));
+    });
+
+    if (conflicting) {
+      return error('Matching rules have different outputs for hit policy {hitPolicy}', {
+        hitPolicy
+      });
+    }
+
+    return { values: first.values };
+  }
+
+  if (hitPolicy === 'PRIORITY') {
+    return { values: sortByPriority(matches, outputs)[ 0 ].values };
+  }
+
+  const sorted = hitPolicy === 'OUTPUT ORDER' ?
+    sortByPriority(matches, outputs) :
+    matches;
+
+  const collected = outputs.map((_, index) => {
+    return sorted.map(({ values }) => values[ index ]);
+  });
+
+  if (hitPolicy !== 'COLLECT' || !aggregation) {
+    return { values: collected };
+  }
+
+  if (!AGGREGATIONS.includes(aggregation)) {
+    return error('Unknown aggregation {aggregation}', { aggregation });
+  }
+
+  if (aggregation !== 'COUNT' && !matches.length) {
+    return { values: [] };
+  }
+
+  const aggregated = [];
+
+  for (const values of collected) {
+    const numbers = values.map(toNumber);
+
+    if (aggregation !== 'COUNT' && numbers.some(isNaN)) {
+      return error('Outputs cannot be aggregated with {aggregation}', {
+        aggregation
+      });
+    }
+
+    aggregated.push(AGGREGATORS[ aggregation ](numbers));
+  }
+
+  return { values: aggregated };
+}
+
+
+// helpers //////////
+
+/**
+ * Sort matches by the priority of their outputs, i.e. the position of the
+ * output entry in the output values of the respective output clause.
+ */
+function sortByPriority(matches, outputs) {
+  const priorities = outputs.map(getOutputValues);
+
+  const getPriority = ({ rule }, index) => {
+    const outputEntry = rule.get('outputEntry')[ index ],
+          text = outputEntry && outputEntry.text || '';
+
+    const priority = priorities[ index ].indexOf(text.trim());
+
+    return priority === -1 ? Infinity : priority;
+  };
+
+  return matches.slice().sort((a, b) => {
+    for (let index = 0; index < outputs.length; index++) {
+      const difference = getPriority(a, index) - getPriority(b, index);
+
+      if (difference) {
+        return difference;
+      }
+    }
+
+    return 0;
+  });
+}
+
+function getOutputValues(output) {
+  const outputValues = output.outputValues,
+        text = outputValues && outputValues.text;
+
+  if (!text) {
+    return [];
+  }
+
+  return text.split(',').map(value => value.trim());
+}
+
+function toNumber(value) {
+  if (value === null || value === '' || typeof value === 'boolean') {
+    return NaN;
+  }
+
+  return Number(value);
+}
+
+function isEqual(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function error(message, values) {
+  return {
+    values: [],
+    error: {
+      message,
+      values
+    }
+  };
+}
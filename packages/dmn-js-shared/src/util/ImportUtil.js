@@ -0,0 +1,138 @@
+import { find } from 'min-dash';
+
+import { getBusinessObject } from './ModelUtil';
+
+/**
+ * Import type of DMN 1.3 models.
+ */
+export const DMN_IMPORT_TYPE = 'https://www.omg.org/spec/DMN/20191111/MODEL/';
+
+
+/**
+ * Create a read-only reference to an element of an imported model.
+ *
+ * The reference inherits all properties from the imported element, but
+ * exposes the qualified ID (`prefix:id`) it is referenced by in the
+ * importing model. That way it serializes properly when referenced
+ * from DI elements of the importing model.
+ *
+ * @param {ModdleElement} element
+ * @param {string} qualifiedId
+ * @param {ModdleElement} dmnImport
+ *
+ * @return {ModdleElement}
+ */
+export function createImportedElement(element, qualifiedId, dmnImport) {
+  return Object.create(element, {
+    id: {
+      value: qualifiedId,
+      enumerable: true,
+      writable: true
+    },
+    $import: {
+      value: dmnImport
+    }
+  });
+}
+
+/**
+ * Is the element a reference to an element of an imported model?
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ *
+ * @return {boolean}
+ */
+export function isImported(element) {
+  var bo = getBusinessObject(element);
+
+  return !!(bo && bo.$import);
+}
+
+/**
+ * Return the import an imported element originates from.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ *
+ * @return {ModdleElement|undefined}
+ */
+export function getImport(element) {
+  var bo = getBusinessObject(element);
+
+  return bo && bo.$import;
+}
+
+/**
+ * Return the name of an element, qualified with the import
+ * name for imported elements.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ *
+ * @return {string}
+ */
+export function getQualifiedName(element) {
+  var bo = getBusinessObject(element),
+      dmnImport = getImport(bo);
+
+  if (dmnImport && dmnImport.name && bo.name) {
+    return dmnImport.name + '.' + bo.name;
+  }
+
+  return bo.name;
+}
+
+/**
+ * Return the href to reference an element with, i.e. `#id` for
+ * local elements and `namespace#id` for imported elements.
+ *
+ * @param {djs.model.Base|ModdleElement} element
+ *
+ * @return {string}
+ */
+export function getHref(element) {
+  var bo = getBusinessObject(element),
+      dmnImport = getImport(bo);
+
+  if (dmnImport) {
+    return dmnImport.namespace + '#' + Object.getPrototypeOf(bo).id;
+  }
+
+  return '#' + bo.id;
+}
+
+/**
+ * Resolve an href pointing to an element of an imported model.
+ *
+ * @param {ModdleElement} definitions - importing definitions
+ * @param {Object<string, ModdleElement>} importedDefinitions - by namespace
+ * @param {string} href
+ *
+ * @return { { element: ModdleElement, import: ModdleElement } | null }
+ */
+export function resolveImportedHref(definitions, importedDefinitions, href) {
+  var parts = (href || '').split('#'),
+      namespace = parts[ 0 ],
+      id = parts[ 1 ];
+
+  if (!namespace || !id || !importedDefinitions) {
+    return null;
+  }
+
+  var dmnImport = find(definitions.get('import'), function(dmnImport) {
+    return dmnImport.namespace === namespace;
+  });
+
+  var imported = importedDefinitions[ namespace ];
+
+  var element = dmnImport && imported && find(imported.get('drgElement'), function(e) {
+    return e.id === id;
+  });
+
+  if (!element) {
+    return null;
+  }
+
+  return {
+    element: element,
+    import: dmnImport
+  };
+}
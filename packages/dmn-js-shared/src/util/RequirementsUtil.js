@@ -0,0 +1,65 @@
+/**
+ * Names of the requirement properties of DRG elements.
+ */
+export var REQUIREMENTS = [
+  'informationRequirement',
+  'knowledgeRequirement',
+  'authorityRequirement'
+];
+
+
+/**
+ * Return the requirements of a DRG element.
+ *
+ * @param {ModdleElement} element
+ *
+ * @return {Array<ModdleElement>}
+ */
+export function getRequirements(element) {
+  return REQUIREMENTS.reduce(function(requirements, name) {
+    return requirements.concat(element[ name ] || []);
+  }, []);
+}
+
+/**
+ * Return the ID of the local element required by a requirement, if any.
+ *
+ * @param {ModdleElement} requirement
+ *
+ * @return {string|undefined}
+ */
+export function getRequiredId(requirement) {
+  return getLocalId(getRequiredReference(requirement));
+}
+
+/**
+ * Return the reference to the element required by a requirement.
+ *
+ * @param {ModdleElement} requirement
+ *
+ * @return {ModdleElement|undefined} `dmn:DMNElementReference`
+ */
+export function getRequiredReference(requirement) {
+  return (
+    requirement.requiredDecision ||
+    requirement.requiredInput ||
+    requirement.requiredKnowledge ||
+    requirement.requiredAuthority
+  );
+}
+
+/**
+ * Return the ID of the local element referenced
+ * by a `dmn:DMNElementReference`, if any.
+ *
+ * @param {ModdleElement} [reference]
+ *
+ * @return {string|undefined}
+ */
+export function getLocalId(reference) {
+  var href = reference && reference.href;
+
+  if (href && href.charAt(0) === '#') {
+    return href.slice(1);
+  }
+}
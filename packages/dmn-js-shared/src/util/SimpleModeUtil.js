@@ -0,0 +1,256 @@
+import { keys } from 'min-dash';
+
+// eslint-disable-next-line
+const NUMBER_COMPARISON_REGULAR_EXPRESSION = /^(-?(?:[0-9]|\.[0-9])+)$|^((?:<|>|=){0,2})\s*(-?(?:[0-9]|\.[0-9])+)$/;
+
+// eslint-disable-next-line
+const NUMBER_RANGE_REGULAR_EXPRESSION = /^(\[|\]){1}(-?(?:[0-9]|\.[0-9])+){1,}\.\.(-?(?:[0-9]|\.[0-9])+){1,}(\[|\]){1}$/;
+
+const DATE_FUNCTIONS = {
+  date: createDateRegularExpressions('date'),
+  dateTime: createDateRegularExpressions('date and time')
+};
+
+export const operators = {
+  equals: '=',
+  less: '<',
+  lessEquals: '<=',
+  greater: '>',
+  greaterEquals: '>='
+};
+
+
+/**
+ * Parse a number input or output entry as edited in simple mode,
+ * i.e. a comparison or a range.
+ *
+ * @param {string} string
+ *
+ * @return {Object|undefined}
+ */
+export function parseNumberEntry(string) {
+  if (!string || isEmptyString(string.trim())) {
+    return {
+      type: 'comparison'
+    };
+  }
+
+  const comparisonMatches = string.match(NUMBER_COMPARISON_REGULAR_EXPRESSION),
+        rangeMatches = string.match(NUMBER_RANGE_REGULAR_EXPRESSION);
+
+  if (comparisonMatches) {
+    if (isNumber(comparisonMatches)) {
+      return {
+        type: 'comparison',
+        value: parseFloat(comparisonMatches[1]),
+        operator: 'equals'
+      };
+    } else if (isComparison(comparisonMatches)) {
+      return {
+        type: 'comparison',
+        value: parseFloat(comparisonMatches[3]),
+        operator: getOperatorName(comparisonMatches[2])
+      };
+    }
+
+  } else if (rangeMatches) {
+    return {
+      type: 'range',
+      values: [ rangeMatches[2], rangeMatches[3] ].map(value => parseFloat(value)),
+      start: rangeMatches[1] === ']' ? 'exclude' : 'include',
+      end: rangeMatches[4] === '[' ? 'exclude' : 'include'
+    };
+  }
+}
+
+/**
+ * Parse a date input or output entry as edited in simple mode,
+ * i.e. an exact date, a date before or after a date or between two dates.
+ *
+ * @param {string} string
+ *
+ * @return {Object|undefined}
+ */
+export function parseDateEntry(string) {
+  return parseTemporalEntry(string, DATE_FUNCTIONS.date);
+}
+
+/**
+ * Parse a date and time input or output entry as edited in simple mode,
+ * cf. {@link parseDateEntry}.
+ *
+ * @param {string} string
+ *
+ * @return {Object|undefined}
+ */
+export function parseDateTimeEntry(string) {
+  return parseTemporalEntry(string, DATE_FUNCTIONS.dateTime);
+}
+
+/**
+ * Parse input/output entry string to unary tests and type of unary tests.
+ *
+ * Example:
+ *
+ * not("foo", "bar")
+ *
+ * returns
+ *
+ * {
+ *   type: 'negation',
+ *   values: [ "foo", "bar, baz" ]
+ * }
+ *
+ * @param {string} string - Input/Output entry as string e.g. "foo", "bar".
+ */
+export function parseStringEntry(string) {
+
+  // empty string or no string at all
+  if (!string || isEmptyString(string.trim())) {
+    return {
+      type: 'disjunction',
+      values: []
+    };
+  }
+
+  // disjunction
+  let values = string.split(',');
+
+  const result = {
+    type: 'disjunction',
+    values: []
+  };
+
+  let openString = '';
+
+  values.forEach(value => {
+    openString += value;
+
+    if (/^"[^"]*"$/.test(openString.trim())) {
+      result.values.push(openString.trim());
+
+      openString = '';
+    } else {
+      openString += ',';
+    }
+  });
+
+  if (!openString) {
+    return result;
+  }
+
+  // negation
+  result.type = 'negation';
+  result.values = [];
+
+  openString = '';
+
+  const matches = string.match(/^\s*not\((.*)\)\s*$/);
+
+  if (matches) {
+    values = matches[1].split(',');
+
+    values.forEach(value => {
+      openString += value;
+
+      if (/^"[^"]*"$/.test(openString.trim())) {
+        result.values.push(openString.trim());
+
+        openString = '';
+      } else {
+        openString += ',';
+      }
+    });
+
+    if (!openString) {
+      return result;
+    }
+  }
+}
+
+/**
+ * Parse a boolean input or output entry as edited in simple mode.
+ *
+ * @param {string} string
+ *
+ * @return {'none'|'true'|'false'|undefined}
+ */
+export function parseBooleanEntry(string) {
+  if (!string || isEmptyString(string)) {
+    return 'none';
+  } else if (string.trim() === 'true') {
+    return 'true';
+  } else if (string.trim() === 'false') {
+    return 'false';
+  }
+}
+
+
+// helpers //////////
+
+function getOperatorName(string) {
+  return keys(operators).filter(key => {
+    return string === operators[ key ];
+  })[0];
+}
+
+function isNumber(matches) {
+  return matches[0] && matches[1] && !matches[2] && !matches[3];
+}
+
+function isComparison(matches) {
+  return matches[0] && !matches[1] && matches[2] && matches[3];
+}
+
+function createDateRegularExpressions(fn) {
+  return {
+    between: new RegExp(`^\\[${ fn }\\("([^"]*)"\\)..${ fn }\\("([^"]*)"\\)\\]$`),
+    beforeAfter: new RegExp(`^(<|>)\\s*${ fn }\\("([^"]*)"\\)$`),
+    exact: new RegExp(`^${ fn }\\("([^"]*)"\\)$`)
+  };
+}
+
+function parseTemporalEntry(string, regularExpressions) {
+
+  // emtpy
+  if (!string || string.trim() === '') {
+    return {
+      type: 'exact',
+      date: ''
+    };
+  }
+
+  // between
+  let matches = string.match(regularExpressions.between);
+
+  if (matches) {
+    return {
+      type: 'between',
+      dates: [ matches[1], matches[2] ]
+    };
+  }
+
+  // before or after
+  matches = string.match(regularExpressions.beforeAfter);
+
+  if (matches) {
+    return {
+      type: matches[1] === '<' ? 'before' : 'after',
+      date: matches[2]
+    };
+  }
+
+  // exact
+  matches = string.match(regularExpressions.exact);
+
+  if (matches) {
+    return {
+      type: 'exact',
+      date: matches[1]
+    };
+  }
+}
+
+function isEmptyString(string) {
+  return string === '';
+}
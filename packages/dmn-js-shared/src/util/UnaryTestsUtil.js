@@ -0,0 +1,344 @@
+import {
+  has,
+  isString
+} from 'min-dash';
+
+import {
+  parseBooleanEntry,
+  parseDateEntry,
+  parseDateTimeEntry,
+  parseNumberEntry,
+  parseStringEntry
+} from './SimpleModeUtil';
+
+export const NUMBER_TYPES = [ 'number', 'integer', 'long', 'double' ];
+
+export const DATE_TYPES = [ 'date', 'dateTime' ];
+
+const STRING_LITERAL_PATTERN = /^"(?:[^"\\]|\\.)*"$/;
+
+
+/**
+ * A range of numbers or timestamps.
+ *
+ * @typedef {Object} Interval
+ *
+ * @property {number} start
+ * @property {number} end
+ * @property {boolean} startIncluded
+ * @property {boolean} endIncluded
+ */
+
+/**
+ * A list of strings or booleans, formatted as literals, or all values but these.
+ *
+ * @typedef {Object} Values
+ *
+ * @property {Array<string>} values
+ * @property {boolean} negated
+ */
+
+
+/**
+ * Parse the text of an input entry of the given type.
+ *
+ * Input entries are supported if simple mode can edit them: number and date
+ * comparisons and ranges are parsed to an interval, (negated) string lists
+ * and booleans to values. `-` is supported for any type and parsed to
+ * `true` for types not listed before.
+ *
+ * @param {string} text
+ * @param {string} typeRef
+ *
+ * @return {Interval|Values|true|null} parsed entry or `null` if not supported
+ */
+export function parseInputEntry(text, typeRef) {
+  const any = isAny(text);
+
+  if (NUMBER_TYPES.includes(typeRef)) {
+    return any ? createAnyInterval() : parseNumberInterval(text.trim());
+  }
+
+  if (DATE_TYPES.includes(typeRef)) {
+    return any ? createAnyInterval() : parseDateInterval(text.trim(), typeRef);
+  }
+
+  if (typeRef === 'string') {
+    return any ? createAnyValues() : parseStringValues(text.trim());
+  }
+
+  if (typeRef === 'boolean') {
+    return any ? createAnyValues() : parseBooleanValues(text.trim());
+  }
+
+  return any || null;
+}
+
+/**
+ * Check whether a parsed input entry matches a value.
+ *
+ * As in FEEL, `null` does not match comparisons and ranges
+ * but matches `-` and negated values.
+ *
+ * @param {Interval|Values|true} entry - input entry parsed via {@link parseInputEntry}
+ * @param {number|string|null} value - value parsed via {@link parseInputValue}
+ *
+ * @return {boolean}
+ */
+export function matchesInputEntry(entry, value) {
+  if (entry === true) {
+    return true;
+  }
+
+  if (isInterval(entry)) {
+    return value === null ?
+      isAnyInterval(entry) :
+      containsInterval(entry, createInterval(value, value, true, true));
+  }
+
+  return entry.values.includes(value) !== entry.negated;
+}
+
+/**
+ * Convert a raw input value to the value input entries are matched against:
+ * a number or timestamp for numbers and dates, a quoted literal for strings
+ * and `true` or `false` for booleans.
+ *
+ * @param {string} value
+ * @param {string} typeRef
+ *
+ * @return {number|string|null} value or `null` if not set or invalid
+ */
+export function parseInputValue(value, typeRef) {
+  if (!isString(value) || !value.trim()) {
+    return null;
+  }
+
+  value = value.trim();
+
+  if (NUMBER_TYPES.includes(typeRef)) {
+    const number = Number(value);
+
+    return isNaN(number) ? null : number;
+  }
+
+  if (DATE_TYPES.includes(typeRef)) {
+    return parseTimestamp(value);
+  }
+
+  if (typeRef === 'boolean') {
+    return [ 'true', 'false' ].includes(value) ? value : null;
+  }
+
+  // keep values entered as string literals
+  if (STRING_LITERAL_PATTERN.test(value)) {
+    return value;
+  }
+
+  return `"${ value.replace(/["\\]/g, '\\$&') }"`;
+}
+
+
+// intervals //////////
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} startIncluded
+ * @param {boolean} endIncluded
+ *
+ * @return {Interval}
+ */
+export function createInterval(start, end, startIncluded, endIncluded) {
+  return { start, end, startIncluded, endIncluded };
+}
+
+/**
+ * @param {Interval} interval
+ *
+ * @return {boolean}
+ */
+export function isEmptyInterval({ start, end, startIncluded, endIncluded }) {
+  return start > end || start === end && !(startIncluded && endIncluded);
+}
+
+/**
+ * @param {Interval} a
+ * @param {Interval} b
+ *
+ * @return {Interval} intersection, possibly empty
+ */
+export function intersectIntervals(a, b) {
+  const start = Math.max(a.start, b.start),
+        end = Math.min(a.end, b.end);
+
+  return createInterval(
+    start,
+    end,
+    isBoundIncluded(a, start, 'start') && isBoundIncluded(b, start, 'start'),
+    isBoundIncluded(a, end, 'end') && isBoundIncluded(b, end, 'end')
+  );
+}
+
+/**
+ * @param {Interval} a
+ * @param {Interval} b
+ *
+ * @return {Interval|null} union or `null` if the intervals are not connected
+ */
+export function unionIntervals(a, b) {
+  const connected = !isEmptyInterval(intersectIntervals(a, b)) ||
+    isTouching(a, b) || isTouching(b, a);
+
+  if (!connected) {
+    return null;
+  }
+
+  const start = Math.min(a.start, b.start),
+        end = Math.max(a.end, b.end);
+
+  return createInterval(
+    start,
+    end,
+    [ a, b ].some(interval => interval.start === start && interval.startIncluded),
+    [ a, b ].some(interval => interval.end === end && interval.endIncluded)
+  );
+}
+
+/**
+ * Check whether an interval contains another interval.
+ *
+ * @param {Interval} interval
+ * @param {Interval} other
+ *
+ * @return {boolean}
+ */
+export function containsInterval(interval, other) {
+  return (
+    interval.start < other.start ||
+    interval.start === other.start && (interval.startIncluded || !other.startIncluded)
+  ) && (
+    other.end < interval.end ||
+    other.end === interval.end && (interval.endIncluded || !other.endIncluded)
+  );
+}
+
+
+// parsing //////////
+
+function parseNumberInterval(text) {
+  const parsed = parseNumberEntry(text);
+
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.type === 'range') {
+    const [ start, end ] = parsed.values;
+
+    return createInterval(
+      start,
+      end,
+      parsed.start === 'include',
+      parsed.end === 'include'
+    );
+  }
+
+  return createComparisonInterval(parsed.operator, parsed.value);
+}
+
+function parseDateInterval(text, typeRef) {
+  const parsed = typeRef === 'date' ? parseDateEntry(text) : parseDateTimeEntry(text);
+
+  if (!parsed) {
+    return null;
+  }
+
+  const timestamps = (parsed.dates || [ parsed.date ]).map(parseTimestamp);
+
+  if (timestamps.includes(null)) {
+    return null;
+  }
+
+  const [ start, end ] = timestamps;
+
+  switch (parsed.type) {
+  case 'before':
+    return createComparisonInterval('less', start);
+  case 'after':
+    return createComparisonInterval('greater', start);
+  case 'between':
+    return createInterval(start, end, true, true);
+  default:
+    return createComparisonInterval('equals', start);
+  }
+}
+
+function createComparisonInterval(operator, value) {
+  switch (operator) {
+  case 'equals':
+    return createInterval(value, value, true, true);
+  case 'less':
+    return createInterval(-Infinity, value, false, false);
+  case 'lessEquals':
+    return createInterval(-Infinity, value, false, true);
+  case 'greater':
+    return createInterval(value, Infinity, false, false);
+  case 'greaterEquals':
+    return createInterval(value, Infinity, true, false);
+  default:
+    return null;
+  }
+}
+
+function parseStringValues(text) {
+  const parsed = parseStringEntry(text);
+
+  return parsed ? {
+    values: parsed.values,
+    negated: parsed.type === 'negation'
+  } : null;
+}
+
+function parseBooleanValues(text) {
+  const value = parseBooleanEntry(text);
+
+  return value ? { values: [ value ], negated: false } : null;
+}
+
+function parseTimestamp(value) {
+  const timestamp = Date.parse(value);
+
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+
+// helpers //////////
+
+function createAnyInterval() {
+  return createInterval(-Infinity, Infinity, false, false);
+}
+
+function isAnyInterval({ start, end }) {
+  return start === -Infinity && end === Infinity;
+}
+
+function createAnyValues() {
+  return { values: [], negated: true };
+}
+
+function isAny(text) {
+  return !isString(text) || !text.trim() || text.trim() === '-';
+}
+
+function isInterval(entry) {
+  return has(entry, 'start');
+}
+
+function isBoundIncluded(interval, value, bound) {
+  return interval[ bound ] !== value || interval[ bound + 'Included' ];
+}
+
+function isTouching(a, b) {
+  return a.end === b.start && (a.endIncluded || b.startIncluded);
+}
@@ -57,6 +57,19 @@ class ReturnErrorView extends TestView {
 
 }
 
+class ExportView extends TestView {
+
+  saveSVG() {
+    return Promise.resolve({
+      svg:
+        '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50">' +
+          '<rect width="100" height="50" fill="#ff0000" />' +
+        '</svg>'
+    });
+  }
+
+}
+
 const DECISION_TABLE_VIEW = {
   id: 'decisionTable',
   opens(element) {
@@ -71,6 +84,16 @@ const DRD_VIEW = {
   constructor: TestView
 };
 
+const EXPORT_DECISION_TABLE_VIEW = {
+  ...DECISION_TABLE_VIEW,
+  constructor: ExportView
+};
+
+const EXPORT_DRD_VIEW = {
+  ...DRD_VIEW,
+  constructor: ExportView
+};
+
 const LOG_WARNING_VIEW = {
   id: 'drd',
   opens: 'dmn:Definitions',
@@ -88,7 +111,11 @@ const diagramXML = require('./diagram.dmn');
 
 const dmn_11 = require('./dmn-11.dmn');
 const dmn_12 = require('./dmn-12.dmn');
+const evaluationXML = require('./evaluation/evaluation.dmn');
+const lintingXML = require('./linting/linting.dmn');
 const drdOnly = require('./drd-only.dmn');
+const importsXML = require('./imports.dmn');
+const importedXML = require('./imported.dmn');
 
 
 describe('Manager', function() {
@@ -145,6 +172,19 @@ describe('Manager', function() {
     });
 
 
+    it('should not open view if <open> is not given', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      await manager.importXML(diagramXML, {});
+
+      // then
+      expect(manager.getActiveView()).not.to.exist;
+    });
+
+
     describe('events', function() {
 
       it('should emit <attach> event', function() {
@@ -772,6 +812,577 @@ describe('Manager', function() {
   });
 
 
+  describe('dmn:Import', function() {
+
+    const CUSTOMER_NAMESPACE = 'http://example.com/customer';
+
+    function getShape(manager, id) {
+      const diagram = manager.getDefinitions().get('dmnDI').get('diagrams')[ 0 ];
+
+      return find(diagram.get('diagramElements'), function(element) {
+        return element.id === id;
+      });
+    }
+
+
+    it('should parse imports passed on import', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      const { warnings } = await manager.importXML(importsXML, {
+        imports: {
+          [ CUSTOMER_NAMESPACE ]: importedXML
+        }
+      });
+
+      // then
+      const importedDefinitions = manager.getImportedDefinitions();
+
+      expect(warnings).to.be.empty;
+      expect(importedDefinitions[ CUSTOMER_NAMESPACE ].id).to.eql('customerDefinitions');
+    });
+
+
+    it('should parse imports via <importResolver>', async function() {
+
+      // given
+      const importResolver = spy(function(dmnImport) {
+        return Promise.resolve(importedXML);
+      });
+
+      const manager = new TestViewer(undefined, { importResolver });
+
+      // when
+      const { warnings } = await manager.importXML(importsXML);
+
+      // then
+      expect(warnings).to.be.empty;
+      expect(importResolver).to.have.been.calledOnce;
+      expect(importResolver.getCall(0).args[ 0 ].namespace).to.eql(CUSTOMER_NAMESPACE);
+      expect(manager.getImportedDefinitions()).to.have.property(CUSTOMER_NAMESPACE);
+    });
+
+
+    it('should warn on unresolved import', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      const { warnings } = await manager.importXML(importsXML);
+
+      // then
+      expect(warnings.map(warning => warning.message)).to.include(
+        'unresolved import <' + CUSTOMER_NAMESPACE + '>'
+      );
+      expect(manager.getImportedDefinitions()).to.be.empty;
+    });
+
+
+    it('should warn on broken import', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      const { warnings } = await manager.importXML(importsXML, {
+        imports: {
+          [ CUSTOMER_NAMESPACE ]: '<broken'
+        }
+      });
+
+      // then
+      const importWarning = find(warnings, function(warning) {
+        return /failed to import <http:\/\/example.com\/customer>/.test(warning.message);
+      });
+
+      expect(importWarning).to.exist;
+    });
+
+
+    it('should resolve DI references to imported elements', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      await manager.importXML(importsXML, {
+        imports: {
+          [ CUSTOMER_NAMESPACE ]: importedXML
+        }
+      });
+
+      // then
+      const decision = getShape(manager, 'Decision_Category_di').get('dmnElementRef');
+
+      expect(decision.id).to.eql('customer:Decision_Category');
+      expect(decision.name).to.eql('Customer Category');
+      expect(decision.$import.name).to.eql('customer');
+      expect(is(decision, 'dmn:Decision')).to.be.true;
+    });
+
+
+    it('should keep references to imported elements on export', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      await manager.importXML(importsXML, {
+        imports: {
+          [ CUSTOMER_NAMESPACE ]: importedXML
+        }
+      });
+
+      // when
+      const { xml } = await manager.saveXML();
+
+      // then
+      expect(xml).to.contain('dmnElementRef="customer:Decision_Category"');
+      expect(xml).to.contain('dmnElementRef="customer:BKM_Rebate"');
+      expect(xml).not.to.contain('Customer Category');
+    });
+
+  });
+
+
+  describe('evaluation', function() {
+
+    it('should indicate nothing imported', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      let error;
+
+      try {
+        await manager.evaluate({});
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error).to.exist;
+      expect(error.message).to.match(/no definitions loaded/);
+    });
+
+
+    it('should evaluate decisions', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      await manager.importXML(evaluationXML);
+
+      // when
+      const { results } = await manager.evaluate({
+        season: 'Winter',
+        guestCount: 10
+      });
+
+      // then
+      expect(results.dish.value).to.eql('Pasta');
+      expect(results.beverages.value).to.eql([ 'Red Wine', 'Water' ]);
+      expect(manager.getEvaluationResults()).to.equal(results);
+    });
+
+
+    it('should use <feelEvaluator>', async function() {
+
+      // given
+      const feelEvaluator = {
+        evaluate: spy(function() {
+          return 'FOO';
+        }),
+        unaryTest: spy(function() {
+          return false;
+        })
+      };
+
+      const manager = new TestViewer(undefined, { feelEvaluator });
+
+      await manager.importXML(evaluationXML);
+
+      // when
+      const { results } = await manager.evaluate({});
+
+      // then
+      expect(feelEvaluator.evaluate).to.have.been.called;
+      expect(feelEvaluator.unaryTest).to.have.been.called;
+      expect(results.menu.value).to.eql('FOO');
+    });
+
+
+    it('should emit <evaluation.changed>', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      const listener = spy();
+
+      manager.on('evaluation.changed', listener);
+
+      await manager.importXML(evaluationXML);
+
+      // when
+      const { results } = await manager.evaluate({});
+
+      manager.clearEvaluation();
+
+      // then
+      expect(listener).to.have.been.calledTwice;
+      expect(listener.getCall(0).args[ 0 ].results).to.equal(results);
+      expect(listener.getCall(1).args[ 0 ].results).to.be.null;
+      expect(manager.getEvaluationResults()).to.be.null;
+    });
+
+
+    it('should discard results on import', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      await manager.importXML(evaluationXML);
+      await manager.evaluate({});
+
+      // when
+      await manager.importXML(evaluationXML);
+
+      // then
+      expect(manager.getEvaluationResults()).to.be.null;
+    });
+
+  });
+
+
+  describe('linting', function() {
+
+    it('should indicate nothing imported', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      // when
+      let error;
+
+      try {
+        await manager.lint();
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error).to.exist;
+      expect(error.message).to.match(/no definitions loaded/);
+    });
+
+
+    it('should lint', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      const listener = spy();
+
+      manager.on('linting.completed', listener);
+
+      await manager.importXML(lintingXML);
+
+      // when
+      const { issues } = await manager.lint();
+
+      // then
+      expect(issues).to.have.length(7);
+      expect(manager.getIssues()).to.equal(issues);
+
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.getCall(0).args[ 0 ].issues).to.equal(issues);
+    });
+
+
+    it('should get issues of element', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      await manager.importXML(lintingXML);
+      await manager.lint();
+
+      // when
+      const issues = manager.getIssues('rule3_output');
+
+      // then
+      expect(issues).to.have.length(1);
+      expect(issues[ 0 ].rule).to.eql('no-empty-output-entry');
+    });
+
+
+    it('should discard issues on import', async function() {
+
+      // given
+      const manager = new TestViewer();
+
+      await manager.importXML(lintingXML);
+      await manager.lint();
+
+      // when
+      await manager.importXML(lintingXML);
+
+      // then
+      expect(manager.getIssues()).to.be.empty;
+    });
+
+
+    it('should use configured rules', async function() {
+
+      // given
+      const rule = {
+        name: 'custom',
+        check(definitions, report) {
+          report(definitions, 'Custom issue');
+        }
+      };
+
+      const manager = new TestViewer(undefined, {
+        linting: {
+          rules: [ rule ],
+          config: {
+            'feel-syntax': 'off'
+          }
+        }
+      });
+
+      await manager.importXML(lintingXML);
+
+      // when
+      const { issues } = await manager.lint();
+
+      // then
+      expect(manager.getLinter().getRules()).to.include(rule);
+
+      expect(issues.filter(issue => issue.rule === 'custom')).to.have.length(1);
+      expect(issues.filter(issue => issue.rule === 'feel-syntax')).to.be.empty;
+    });
+
+
+    describe('active', function() {
+
+      let clock;
+
+      afterEach(function() {
+        if (clock) {
+          clock.restore();
+          clock = null;
+        }
+      });
+
+
+      it('should NOT lint by default', async function() {
+
+        // given
+        const manager = new TestViewer();
+
+        // when
+        await manager.importXML(lintingXML);
+
+        // then
+        expect(manager.getIssues()).to.be.empty;
+      });
+
+
+      it('should lint on import', async function() {
+
+        // given
+        const manager = new TestViewer(undefined, {
+          linting: { active: true }
+        });
+
+        // when
+        await manager.importXML(lintingXML);
+
+        // then
+        expect(manager.getIssues()).to.have.length(7);
+      });
+
+
+      it('should lint on change', async function() {
+
+        // given
+        const manager = new TestViewer(undefined, {
+          linting: { active: true }
+        });
+
+        await manager.importXML(lintingXML);
+
+        clock = sinon.useFakeTimers();
+
+        const rounding = manager.getDefinitions().get('drgElement')[ 4 ];
+
+        rounding.encapsulatedLogic.get('formalParameter').push(
+          manager._moddle.create('dmn:InformationItem', { name: 'value' })
+        );
+
+        // when
+        manager.getActiveViewer()._eventBus.fire('elements.changed', {
+          elements: []
+        });
+
+        clock.tick(300);
+
+        // then
+        expect(manager.getIssues()).to.have.length(6);
+      });
+
+    });
+
+
+    describe('issues panel', function() {
+
+      let container;
+
+      beforeEach(function() {
+        container = document.createElement('div');
+
+        document.body.appendChild(container);
+      });
+
+      afterEach(function() {
+        document.body.removeChild(container);
+      });
+
+
+      it('should show issues', async function() {
+
+        // given
+        const manager = new TestViewer(undefined, {
+          linting: { active: true }
+        });
+
+        manager.attachTo(container);
+
+        // when
+        await manager.importXML(lintingXML);
+
+        // then
+        const panel = container.querySelector('.dmn-issues-panel');
+
+        expect(panel).to.exist;
+        expect(panel.classList.contains('has-issues')).to.be.true;
+
+        expect(
+          panel.querySelector('.dmn-issues-panel-toggle').textContent
+        ).to.eql('7 issues');
+
+        expect(
+          panel.querySelectorAll('.dmn-issues-panel-issue.error')
+        ).to.have.length(5);
+
+        expect(
+          panel.querySelectorAll('.dmn-issues-panel-issue.warn')
+        ).to.have.length(2);
+      });
+
+
+      it('should toggle', async function() {
+
+        // given
+        const manager = new TestViewer(undefined, {
+          linting: { active: true }
+        });
+
+        manager.attachTo(container);
+
+        await manager.importXML(lintingXML);
+
+        const toggle = container.querySelector('.dmn-issues-panel-toggle');
+
+        // when
+        toggle.click();
+
+        // then
+        expect(container.querySelector('.dmn-issues-panel.open')).to.exist;
+      });
+
+
+      it('should NOT show if disabled', async function() {
+
+        // given
+        const manager = new TestViewer(undefined, {
+          linting: {
+            active: true,
+            panel: false
+          }
+        });
+
+        manager.attachTo(container);
+
+        // when
+        await manager.importXML(lintingXML);
+
+        // then
+        expect(container.querySelector('.dmn-issues-panel')).not.to.exist;
+      });
+
+    });
+
+
+    describe('open issue', function() {
+
+      it('should open view of decision logic', async function() {
+
+        // given
+        const manager = new TestViewer();
+
+        await manager.importXML(lintingXML);
+        await manager.lint();
+
+        const [ issue ] = manager.getIssues('rule3_output');
+
+        const listener = spy();
+
+        manager.on('linting.issue.open', listener);
+
+        // when
+        await manager.openIssue(issue);
+
+        // then
+        const view = manager.getActiveView();
+
+        expect(view.element.id).to.eql('discount');
+
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.getCall(0).args[ 0 ]).to.eql({ issue, view });
+      });
+
+
+      it('should open DRD for DRG elements', async function() {
+
+        // given
+        const manager = new TestViewer();
+
+        await manager.importXML(lintingXML);
+
+        const { issues } = await manager.lint();
+
+        const [ decisionTableIssue ] = issues.filter(issue => issue.id === 'rule2');
+        const [ drgIssue ] = issues.filter(issue => issue.id === 'category_variable');
+
+        await manager.openIssue(decisionTableIssue);
+
+        // when
+        await manager.openIssue(drgIssue);
+
+        // then
+        expect(manager.getActiveView().type).to.eql('drd');
+      });
+
+    });
+
+  });
+
+
   describe('export', function() {
 
     it('should indicate nothing imported', function() {
@@ -983,6 +1594,238 @@ describe('Manager', function() {
   });
 
 
+  describe('image export', function() {
+
+    let container;
+
+    beforeEach(function() {
+      container = document.createElement('div');
+
+      document.body.appendChild(container);
+    });
+
+    afterEach(function() {
+      document.body.removeChild(container);
+    });
+
+
+    describe('#savePNG', function() {
+
+      it('should indicate nothing imported', async function() {
+
+        // given
+        const manager = new TestViewer([ EXPORT_DRD_VIEW ]);
+
+        // when
+        let error;
+
+        try {
+          await manager.savePNG();
+        } catch (e) {
+          error = e;
+        }
+
+        // then
+        expect(error).to.exist;
+        expect(error.message).to.match(/no definitions loaded/);
+      });
+
+
+      it('should export PNG', async function() {
+
+        // given
+        const manager = new TestViewer([ EXPORT_DRD_VIEW ], { container });
+
+        await manager.importXML(diagramXML);
+
+        // when
+        const { png } = await manager.savePNG({ scale: 2 });
+
+        // then
+        expect(png.type).to.eql('image/png');
+
+        const image = await createImageBitmap(png);
+
+        expect(image.width).to.eql(200);
+        expect(image.height).to.eql(100);
+      });
+
+
+      it('should NOT export view without SVG export', async function() {
+
+        // given
+        const manager = new TestViewer([ DRD_VIEW ], { container });
+
+        await manager.importXML(diagramXML);
+
+        // when
+        let error;
+
+        try {
+          await manager.savePNG();
+        } catch (e) {
+          error = e;
+        }
+
+        // then
+        expect(error).to.exist;
+        expect(error.message).to.match(/active view cannot be exported/);
+      });
+
+    });
+
+
+    describe('#savePDF', function() {
+
+      it('should indicate nothing imported', async function() {
+
+        // given
+        const manager = new TestViewer([ EXPORT_DRD_VIEW ]);
+
+        // when
+        let error;
+
+        try {
+          await manager.savePDF();
+        } catch (e) {
+          error = e;
+        }
+
+        // then
+        expect(error).to.exist;
+        expect(error.message).to.match(/no definitions loaded/);
+      });
+
+
+      it('should export page per view', async function() {
+
+        // given
+        const manager = new TestViewer(
+          [ EXPORT_DRD_VIEW, EXPORT_DECISION_TABLE_VIEW ],
+          { container }
+        );
+
+        await manager.importXML(diagramXML);
+
+        // when
+        const { pdf } = await manager.savePDF();
+
+        // then
+        expect(pdf.type).to.eql('application/pdf');
+
+        const text = await pdf.text();
+
+        expect(text).to.match(/^%PDF-1\.4/);
+        expect(text).to.contain('/Count 4');
+
+        expect(getTitles(text)).to.eql([
+          'Dish',
+          'Dish Decision',
+          'Season decision',
+          'Guest Count'
+        ]);
+      });
+
+
+      it('should skip views without SVG export', async function() {
+
+        // given
+        const manager = new TestViewer(
+          [ EXPORT_DRD_VIEW, DECISION_TABLE_VIEW ],
+          { container }
+        );
+
+        await manager.importXML(diagramXML);
+
+        // when
+        const { pdf } = await manager.savePDF();
+
+        // then
+        const text = await pdf.text();
+
+        expect(text).to.contain('/Count 1');
+        expect(getTitles(text)).to.eql([ 'Dish' ]);
+      });
+
+
+      it('should restore active view', async function() {
+
+        // given
+        const manager = new TestViewer(
+          [ EXPORT_DRD_VIEW, EXPORT_DECISION_TABLE_VIEW ],
+          { container }
+        );
+
+        await manager.importXML(diagramXML);
+
+        const view = manager.getViews()[ 2 ];
+
+        await manager.open(view);
+
+        // when
+        await manager.savePDF();
+
+        // then
+        expect(manager.getActiveView()).to.equal(view);
+      });
+
+
+      it('should NOT switch views', async function() {
+
+        // given
+        const manager = new TestViewer(
+          [ EXPORT_DRD_VIEW, EXPORT_DECISION_TABLE_VIEW ],
+          { container }
+        );
+
+        await manager.importXML(diagramXML);
+
+        const activeViewer = manager.getActiveViewer();
+
+        await nextTick();
+
+        const viewsChangedSpy = spy(),
+              renderSpy = spy();
+
+        manager.on('views.changed', viewsChangedSpy);
+        manager.on('import.render.start', renderSpy);
+
+        // when
+        await manager.savePDF();
+
+        await nextTick();
+
+        // then
+        expect(viewsChangedSpy).not.to.have.been.called;
+        expect(renderSpy).not.to.have.been.called;
+
+        expect(manager.getActiveViewer()).to.equal(activeViewer);
+        expect(container.querySelector('.dmn-js-export-container')).not.to.exist;
+      });
+
+    });
+
+
+    function nextTick() {
+      return new Promise(resolve => setTimeout(resolve));
+    }
+
+    function getTitles(text) {
+      const titles = [],
+            pattern = /\((.*)\) Tj/g;
+
+      let match;
+
+      while ((match = pattern.exec(text))) {
+        titles.push(match[ 1 ]);
+      }
+
+      return titles;
+    }
+
+  });
+
+
   describe('DMN compatibility', function() {
 
     it('should indicate DMN 1.1 incompatibility', function() {
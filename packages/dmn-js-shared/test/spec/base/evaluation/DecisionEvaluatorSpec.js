@@ -0,0 +1,211 @@
+/* global sinon */
+
+import DmnModdle from 'dmn-moddle';
+
+import DecisionEvaluator from 'src/base/evaluation/DecisionEvaluator';
+
+import evaluationXML from './evaluation.dmn';
+
+
+describe('base/evaluation - DecisionEvaluator', function() {
+
+  let definitions;
+
+  beforeEach(async function() {
+    const moddle = new DmnModdle();
+
+    const { rootElement } = await moddle.fromXML(evaluationXML, 'dmn:Definitions');
+
+    definitions = rootElement;
+  });
+
+  function getValues(results) {
+    return Object.keys(results).reduce((values, id) => {
+      values[ id ] = results[ id ].value;
+
+      return values;
+    }, {});
+  }
+
+
+  it('should evaluate decisions', function() {
+
+    // given
+    const evaluator = new DecisionEvaluator();
+
+    // when
+    const results = evaluator.evaluate(definitions, {
+      season: 'Winter',
+      guestCount: 4
+    });
+
+    // then
+    expect(getValues(results)).to.eql({
+      dish: 'Spareribs',
+      beverages: [ 'Beer' ],
+      menu: 'Spareribs'
+    });
+  });
+
+
+  it('should evaluate required decisions first', function() {
+
+    // given
+    const evaluator = new DecisionEvaluator();
+
+    // when
+    const results = evaluator.evaluate(definitions, {
+      season: 'Summer',
+      guestCount: 12
+    });
+
+    // then
+    expect(getValues(results)).to.eql({
+      dish: 'Steak',
+      beverages: [ 'Red Wine', 'Water' ],
+      menu: 'Steak'
+    });
+  });
+
+
+  it('should provide results with decisions', function() {
+
+    // given
+    const evaluator = new DecisionEvaluator();
+
+    // when
+    const results = evaluator.evaluate(definitions, {});
+
+    // then
+    expect(results.dish.decision).to.equal(definitions.get('drgElement')[ 2 ]);
+    expect(results.dish.value).to.be.null;
+    expect(results.beverages.value).to.eql([]);
+  });
+
+
+  describe('errors', function() {
+
+    it('should report expression errors', function() {
+
+      // given
+      const evaluator = new DecisionEvaluator();
+
+      const menu = definitions.get('drgElement')[ 4 ];
+
+      menu.decisionLogic.text = 'dish + " with salad"';
+
+      // when
+      const results = evaluator.evaluate(definitions, {
+        season: 'Winter',
+        guestCount: 4
+      });
+
+      // then
+      expect(results.menu.error).to.exist;
+      expect(results.dish.value).to.eql('Spareribs');
+    });
+
+
+    it('should report unsupported expressions', function() {
+
+      // given
+      const evaluator = new DecisionEvaluator();
+
+      const menu = definitions.get('drgElement')[ 4 ];
+
+      menu.decisionLogic.text = 'dish - season';
+
+      // when
+      const results = evaluator.evaluate(definitions, {
+        season: 'Winter',
+        guestCount: 4
+      });
+
+      // then
+      expect(results.menu.error.message).to.eql(
+        'Unsupported expression <dish - season>'
+      );
+    });
+
+
+    it('should report failed required decisions', function() {
+
+      // given
+      const evaluator = new DecisionEvaluator();
+
+      const dish = definitions.get('drgElement')[ 2 ];
+
+      // dish table with hit policy UNIQUE
+      dish.decisionLogic.get('rule')[ 3 ].get('inputEntry')[ 1 ].text = '-';
+
+      // when
+      const results = evaluator.evaluate(definitions, {
+        season: 'Summer',
+        guestCount: 4
+      });
+
+      // then
+      expect(results.dish.error.message).to.eql(
+        'Multiple rules match for hit policy {hitPolicy}'
+      );
+
+      expect(results.beverages.error.message).to.eql('Required decision {name} failed');
+      expect(results.menu.error).to.exist;
+    });
+
+
+    it('should report cyclic requirements', function() {
+
+      // given
+      const evaluator = new DecisionEvaluator();
+
+      const dish = definitions.get('drgElement')[ 2 ];
+
+      const requirement = definitions.$model.create('dmn:InformationRequirement', {
+        requiredDecision: definitions.$model.create('dmn:DMNElementReference', {
+          href: '#menu'
+        })
+      });
+
+      dish.get('informationRequirement').push(requirement);
+
+      // when
+      const results = evaluator.evaluate(definitions, {});
+
+      // then
+      expect(results.dish.error).to.exist;
+      expect(results.menu.error).to.exist;
+    });
+
+  });
+
+
+  describe('FEEL evaluator', function() {
+
+    it('should use configured evaluator', function() {
+
+      // given
+      const feelEvaluator = {
+        evaluate: sinon.spy(function(expression, context) {
+          return expression in context ? context[ expression ] : expression;
+        }),
+        unaryTest: sinon.spy(function(expression) {
+          return expression === '"Winter"' || expression === '<= 8';
+        })
+      };
+
+      const evaluator = new DecisionEvaluator({ feelEvaluator });
+
+      // when
+      const results = evaluator.evaluate(definitions, { season: 'Winter' });
+
+      // then
+      expect(feelEvaluator.evaluate).to.have.been.calledWith('season');
+      expect(feelEvaluator.unaryTest).to.have.been.calledWith('"Winter"');
+
+      expect(results.menu.value).to.eql('"Spareribs"');
+    });
+
+  });
+
+});
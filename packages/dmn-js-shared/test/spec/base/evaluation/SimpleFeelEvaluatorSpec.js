@@ -0,0 +1,72 @@
+import SimpleFeelEvaluator from 'src/base/evaluation/SimpleFeelEvaluator';
+
+
+describe('base/evaluation - SimpleFeelEvaluator', function() {
+
+  let evaluator;
+
+  beforeEach(function() {
+    evaluator = new SimpleFeelEvaluator();
+  });
+
+
+  describe('#unaryTest', function() {
+
+    function expectMatches(expression, value, result) {
+      return function() {
+        expect(evaluator.unaryTest(expression, { '?': value })).to.eql(result);
+      };
+    }
+
+
+    it('-', expectMatches('-', 10, true));
+
+
+    it('[1..10]', expectMatches('[1..10]', 10, true));
+
+
+    it('< 10', expectMatches('< 10', 10, false));
+
+
+    it('"a", "b"', expectMatches('"a", "b"', 'b', true));
+
+
+    it('not("a")', expectMatches('not("a")', null, true));
+
+
+    it('< 10 / null', expectMatches('< 10', null, false));
+
+
+    it('"5" / 5', expectMatches('"5"', 5, false));
+
+
+    it('false', expectMatches('false', false, true));
+
+
+    it('should compare dates as timestamps', function() {
+
+      // given
+      const value = evaluator.evaluate('date and time("2020-01-01T01:00:00+01:00")');
+
+      // when
+      const matches = evaluator.unaryTest(
+        'date and time("2020-01-01T00:00:00Z")',
+        { '?': value }
+      );
+
+      // then
+      expect(matches).to.be.true;
+    });
+
+
+    it('should fail on unsupported unary tests', function() {
+
+      // then
+      expect(() => {
+        evaluator.unaryTest('< limit', { '?': 10, limit: 20 });
+      }).to.throw('Unsupported unary tests << limit>');
+    });
+
+  });
+
+});
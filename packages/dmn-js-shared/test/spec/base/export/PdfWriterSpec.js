@@ -0,0 +1,108 @@
+import PdfWriter from 'src/base/export/PdfWriter';
+
+
+describe('base/export - PdfWriter', function() {
+
+  function createPage(title) {
+    return {
+      title,
+      data: new Uint8Array([ 1, 2, 3 ]),
+      imageWidth: 200,
+      imageHeight: 100,
+      width: 75,
+      height: 37.5
+    };
+  }
+
+  async function toText(blob) {
+    const buffer = await blob.arrayBuffer();
+
+    return String.fromCharCode.apply(null, new Uint8Array(buffer));
+  }
+
+
+  it('should write document', async function() {
+
+    // given
+    const writer = new PdfWriter();
+
+    writer.addPage(createPage('Dish'));
+    writer.addPage(createPage('Season'));
+
+    // when
+    const blob = writer.toBlob();
+
+    // then
+    expect(blob.type).to.eql('application/pdf');
+
+    const text = await toText(blob);
+
+    expect(text).to.match(/^%PDF-1\.4\n/);
+    expect(text).to.match(/%%EOF\n$/);
+
+    expect(text).to.contain('/Kids [4 0 R 7 0 R] /Count 2');
+    expect(text).to.contain('/MediaBox [0 0 147 137.5]');
+    expect(text).to.contain('/Width 200 /Height 100');
+    expect(text).to.contain('(Dish) Tj');
+    expect(text).to.contain('(Season) Tj');
+  });
+
+
+  it('should reference objects', async function() {
+
+    // given
+    const writer = new PdfWriter();
+
+    writer.addPage(createPage('Dish'));
+
+    // when
+    const text = await toText(writer.toBlob());
+
+    // then
+    const xrefOffset = parseInt(/startxref\n(\d+)/.exec(text)[ 1 ], 10);
+
+    expect(text.slice(xrefOffset)).to.match(/^xref\n0 7\n/);
+
+    const offsets = text.slice(xrefOffset).match(/\d{10} 00000 n/g);
+
+    expect(offsets).to.have.length(6);
+
+    offsets.forEach(function(entry, index) {
+      const offset = parseInt(entry, 10);
+
+      expect(text.slice(offset)).to.match(new RegExp('^' + (index + 1) + ' 0 obj\n'));
+    });
+  });
+
+
+  it('should escape title', async function() {
+
+    // given
+    const writer = new PdfWriter();
+
+    writer.addPage(createPage('Dish (a\\b) €'));
+
+    // when
+    const text = await toText(writer.toBlob());
+
+    // then
+    expect(text).to.contain('(Dish \\(a\\\\b\\) ?) Tj');
+  });
+
+
+  it('should omit title', async function() {
+
+    // given
+    const writer = new PdfWriter();
+
+    writer.addPage(createPage());
+
+    // when
+    const text = await toText(writer.toBlob());
+
+    // then
+    expect(text).not.to.contain('Tj');
+    expect(text).to.contain('/MediaBox [0 0 147 109.5]');
+  });
+
+});
@@ -0,0 +1,305 @@
+import DmnModdle from 'dmn-moddle';
+
+import Linter from 'src/base/linting/Linter';
+
+import lintingXML from './linting.dmn';
+
+
+describe('base/linting - Linter', function() {
+
+  let definitions;
+
+  beforeEach(async function() {
+    const moddle = new DmnModdle();
+
+    const { rootElement } = await moddle.fromXML(lintingXML, 'dmn:Definitions');
+
+    definitions = rootElement;
+  });
+
+  function getIssues(issues, rule) {
+    return issues.filter(issue => issue.rule === rule).map(issue => ({
+      id: issue.id,
+      severity: issue.severity,
+      message: issue.message,
+      values: issue.values
+    }));
+  }
+
+
+  describe('built-in rules', function() {
+
+    let issues;
+
+    beforeEach(function() {
+      issues = new Linter().lint(definitions);
+    });
+
+
+    it('bkm-parameters', function() {
+
+      // then
+      expect(getIssues(issues, 'bkm-parameters')).to.eql([
+        {
+          id: 'rounding',
+          severity: 'warn',
+          message: 'Business knowledge model has no parameters',
+          values: undefined
+        }
+      ]);
+    });
+
+
+    it('feel-syntax', function() {
+
+      // then
+      expect(getIssues(issues, 'feel-syntax')).to.eql([
+        {
+          id: 'rule3_input',
+          severity: 'error',
+          message: 'Invalid FEEL: {error}',
+          values: { error: 'Incomplete <Interval>' }
+        },
+        {
+          id: 'messageExpression',
+          severity: 'error',
+          message: 'Invalid FEEL: {error}',
+          values: { error: 'Incomplete <ArithmeticExpression>' }
+        }
+      ]);
+    });
+
+
+    it('no-duplicate-rules', function() {
+
+      // then
+      expect(getIssues(issues, 'no-duplicate-rules')).to.eql([
+        {
+          id: 'rule2',
+          severity: 'error',
+          message: 'Rule {index} duplicates rule {other}',
+          values: { index: 2, other: 1 }
+        }
+      ]);
+    });
+
+
+    it('no-empty-output-entry', function() {
+
+      // then
+      expect(getIssues(issues, 'no-empty-output-entry')).to.eql([
+        {
+          id: 'rule3_output',
+          severity: 'error',
+          message: 'Output entry must not be empty',
+          values: undefined
+        }
+      ]);
+    });
+
+
+    it('no-unused-requirement', function() {
+
+      // then
+      expect(getIssues(issues, 'no-unused-requirement')).to.eql([
+        {
+          id: 'discount',
+          severity: 'warn',
+          message: '{name} is required but not used',
+          values: { name: 'category' }
+        }
+      ]);
+    });
+
+
+    it('type-ref', function() {
+
+      // then
+      expect(getIssues(issues, 'type-ref')).to.eql([
+        {
+          id: 'category_variable',
+          severity: 'error',
+          message: 'Type {typeRef} is not defined',
+          values: { typeRef: 'tCategory' }
+        }
+      ]);
+    });
+
+
+    it('should provide elements', function() {
+
+      // then
+      const [ issue ] = issues.filter(issue => issue.rule === 'bkm-parameters');
+
+      expect(issue.element).to.equal(definitions.get('drgElement')[ 4 ]);
+    });
+
+
+    it('should NOT report valid definitions', async function() {
+
+      // given
+      const moddle = new DmnModdle();
+
+      const { rootElement } = await moddle.fromXML(
+        require('../evaluation/evaluation.dmn'),
+        'dmn:Definitions'
+      );
+
+      // when
+      const issues = new Linter().lint(rootElement);
+
+      // then
+      expect(issues).to.be.empty;
+    });
+
+  });
+
+
+  describe('configuration', function() {
+
+    it('should turn off rules', function() {
+
+      // given
+      const linter = new Linter({
+        config: {
+          'feel-syntax': 'off'
+        }
+      });
+
+      // when
+      const issues = linter.lint(definitions);
+
+      // then
+      expect(getIssues(issues, 'feel-syntax')).to.be.empty;
+    });
+
+
+    it('should change severity', function() {
+
+      // given
+      const linter = new Linter({
+        config: {
+          'type-ref': 'warn'
+        }
+      });
+
+      // when
+      const issues = linter.lint(definitions);
+
+      // then
+      expect(getIssues(issues, 'type-ref')[ 0 ].severity).to.eql('warn');
+    });
+
+  });
+
+
+  describe('custom rules', function() {
+
+    const noRounding = {
+      name: 'no-rounding',
+      check(definitions, report) {
+        definitions.get('drgElement').forEach(element => {
+          if (element.name === 'Rounding') {
+            report(element, 'Rounding is not allowed');
+          }
+        });
+      }
+    };
+
+
+    it('should add rules via options', function() {
+
+      // given
+      const linter = new Linter({ rules: [ noRounding ] });
+
+      // when
+      const issues = linter.lint(definitions);
+
+      // then
+      expect(getIssues(issues, 'no-rounding')).to.eql([
+        {
+          id: 'rounding',
+          severity: 'error',
+          message: 'Rounding is not allowed',
+          values: undefined
+        }
+      ]);
+    });
+
+
+    it('should add rules via API', function() {
+
+      // given
+      const linter = new Linter();
+
+      // when
+      linter.addRule(noRounding);
+
+      // then
+      expect(linter.getRules()).to.include(noRounding);
+      expect(getIssues(linter.lint(definitions), 'no-rounding')).to.have.length(1);
+    });
+
+
+    it('should replace rule of same name', function() {
+
+      // given
+      const linter = new Linter();
+
+      const rule = {
+        name: 'type-ref',
+        check() {}
+      };
+
+      // when
+      linter.addRule(rule);
+
+      // then
+      expect(linter.getRules().filter(r => r.name === 'type-ref')).to.eql([ rule ]);
+      expect(getIssues(linter.lint(definitions), 'type-ref')).to.be.empty;
+    });
+
+
+    it('should reject invalid rules', function() {
+
+      // given
+      const linter = new Linter();
+
+      // then
+      expect(() => linter.addRule({ name: 'foo' })).to.throw(
+        'rule must provide <name> and <check>'
+      );
+    });
+
+
+    it('should report failing rules', function() {
+
+      // given
+      const linter = new Linter({
+        rules: [
+          {
+            name: 'failing',
+            check() {
+              throw new Error('foo');
+            }
+          }
+        ]
+      });
+
+      // when
+      const issues = linter.lint(definitions);
+
+      // then
+      expect(getIssues(issues, 'failing')).to.eql([
+        {
+          id: 'linting',
+          severity: 'error',
+          message: 'Rule {rule} failed: {error}',
+          values: { rule: 'failing', error: 'foo' }
+        }
+      ]);
+    });
+
+  });
+
+});
@@ -0,0 +1,218 @@
+import DmnModdle from 'dmn-moddle';
+
+import {
+  query as domQuery,
+  queryAll as domQueryAll
+} from 'min-dom';
+
+import { createHtmlReport } from 'src/base/report/HtmlReport';
+
+import reportXML from './report.dmn';
+
+const DRD_SVG =
+  '<?xml version="1.0" encoding="utf-8"?>\n' +
+  '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">' +
+    '<g class="djs-element" data-element-id="Dish"><rect width="10" height="10"/></g>' +
+    '<g class="djs-element" data-element-id="Guests"><rect width="10" height="10"/></g>' +
+  '</svg>';
+
+
+describe('base/report - HtmlReport', function() {
+
+  let definitions;
+
+  beforeEach(async function() {
+    const moddle = new DmnModdle();
+
+    const { rootElement } = await moddle.fromXML(reportXML, 'dmn:Definitions');
+
+    definitions = rootElement;
+  });
+
+  function createReport(content = {}) {
+    const html = createHtmlReport(definitions, content);
+
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  function getTexts(nodes) {
+    return Array.from(nodes).map(function(node) {
+      return node.textContent;
+    });
+  }
+
+
+  it('should create document', function() {
+
+    // when
+    const html = createHtmlReport(definitions, { styles: '.foo { color: red; }' });
+
+    // then
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.contain('<title>Dinner</title>');
+    expect(html).to.contain('.foo { color: red; }');
+  });
+
+
+  it('should use title', function() {
+
+    // when
+    const report = createReport({ title: 'Audit' });
+
+    // then
+    expect(report.title).to.eql('Audit');
+    expect(domQuery('h1', report).textContent).to.eql('Audit');
+  });
+
+
+  it('should list contents', function() {
+
+    // when
+    const report = createReport({
+      diagrams: [ { id: 'definitions', name: 'Dinner', svg: DRD_SVG } ]
+    });
+
+    // then
+    const links = domQueryAll('.dmn-report-contents a', report);
+
+    expect(Array.from(links).map(function(link) {
+      return link.getAttribute('href');
+    })).to.eql([
+      '#dmn-drd-definitions',
+      '#dmn-Dish',
+      '#dmn-Season',
+      '#dmn-Menu',
+      '#dmn-item-definitions'
+    ]);
+  });
+
+
+  describe('DRD', function() {
+
+    it('should link shapes to sections', function() {
+
+      // when
+      const report = createReport({
+        diagrams: [ { id: 'definitions', name: 'Dinner', svg: DRD_SVG } ]
+      });
+
+      // then
+      const drd = domQuery('#dmn-drd-definitions', report);
+
+      expect(domQuery('h2', drd).textContent).to.eql('Dinner');
+
+      const link = domQuery('svg a', drd);
+
+      expect(link.getAttribute('href')).to.eql('#dmn-Dish');
+      expect(domQuery('[data-element-id="Dish"]', link)).to.exist;
+
+      // input data has no section
+      expect(domQuery('[data-element-id="Guests"]', drd).parentNode.tagName)
+        .to.eql('svg');
+    });
+
+  });
+
+
+  describe('sections', function() {
+
+    it('should render section per decision and business knowledge model', function() {
+
+      // when
+      const report = createReport();
+
+      // then
+      expect(getTexts(domQueryAll('.dmn-report-element > h2', report))).to.eql([
+        'Dish Decision',
+        'Season Decision',
+        'Menu Business knowledge model'
+      ]);
+
+      expect(domQuery('#dmn-Dish p', report).textContent).to.eql(
+        'Dish to serve <tonight>'
+      );
+    });
+
+
+    it('should list requirements', function() {
+
+      // when
+      const report = createReport();
+
+      // then
+      const section = domQuery('#dmn-Dish', report);
+
+      expect(getTexts(domQueryAll('h3', section))).to.eql([
+        'Information requirements',
+        'Knowledge requirements',
+        'Authority requirements'
+      ]);
+
+      expect(getTexts(domQueryAll('li', section))).to.eql([
+        'Season Decision',
+        'Guests Input data',
+        'Menu Business knowledge model',
+        'Cookbook Knowledge source',
+        'cookbooks.dmn#Classics'
+      ]);
+
+      expect(domQuery('li a', section).getAttribute('href')).to.eql('#dmn-Season');
+    });
+
+
+    it('should list requiring elements', function() {
+
+      // when
+      const report = createReport();
+
+      // then
+      const section = domQuery('#dmn-Season', report);
+
+      expect(getTexts(domQueryAll('h3', section))).to.eql([ 'Required by' ]);
+      expect(domQuery('li a', section).getAttribute('href')).to.eql('#dmn-Dish');
+    });
+
+
+    it('should render logic without controls', function() {
+
+      // when
+      const report = createReport({
+        logic: {
+          Dish: '<div class="dmn-literal-expression-container">' +
+            '<div class="literal-expression">"Roastbeef"</div>' +
+            '<div class="view-drd"><button>View DRD</button></div>' +
+          '</div>'
+        }
+      });
+
+      // then
+      const logic = domQuery('#dmn-Dish .dmn-report-logic', report);
+
+      expect(domQuery('.literal-expression', logic).textContent).to.eql('"Roastbeef"');
+      expect(domQuery('.view-drd', logic)).not.to.exist;
+
+      expect(domQuery('#dmn-Season .dmn-report-logic', report)).not.to.exist;
+    });
+
+  });
+
+
+  it('should render item definitions', function() {
+
+    // when
+    const report = createReport();
+
+    // then
+    const rows = domQueryAll('#dmn-item-definitions tbody tr', report);
+
+    expect(Array.from(rows).map(function(row) {
+      return getTexts(row.children);
+    })).to.eql([
+      [ 'Guest', 'structure', '' ],
+      [ 'Guest.name', 'string', '' ],
+      [ 'Guest.diet', 'string', '"vegan","vegetarian","none"' ],
+      [ 'Guests', 'collection of Guest', '' ]
+    ]);
+  });
+
+});
@@ -1,3 +1,5 @@
+import DmnModdle from 'dmn-moddle';
+
 import { bootstrap, getViewerJS } from '../../base/viewer/TestHelper';
 
 import DataTypesModule from 'src/features/data-types';
@@ -50,18 +52,77 @@ describe('DataTypes', function() {
       'boolean'
     ]);
   });
+
+
+  describe('custom data types', function() {
+
+    let definitions;
+
+    beforeEach(function() {
+      const moddle = new DmnModdle();
+
+      definitions = moddle.create('dmn:Definitions', {
+        itemDefinition: [
+          moddle.create('dmn:ItemDefinition', { name: 'tCustomer' }),
+          moddle.create('dmn:ItemDefinition', { name: 'string' }),
+          moddle.create('dmn:ItemDefinition')
+        ]
+      });
+    });
+
+
+    it('should provide item definitions as custom data types', function() {
+
+      // given
+      const dataTypes = createDataTypes({}, {
+        _parent: { getDefinitions: () => definitions }
+      });
+
+      // when
+      const customDataTypes = dataTypes.getCustom();
+
+      // then
+      expect(customDataTypes).to.eql([ 'tCustomer', 'string' ]);
+    });
+
+
+    it('should append custom data types', function() {
+
+      // given
+      const dataTypes = createDataTypes({
+        dataTypes: [
+          'string',
+          'boolean'
+        ]
+      }, {
+        _parent: { getDefinitions: () => definitions }
+      });
+
+      // when
+      const dataTypesList = dataTypes.getAll();
+
+      // then
+      expect(dataTypesList).to.eql([
+        'string',
+        'boolean',
+        'tCustomer'
+      ]);
+    });
+
+  });
+
 });
 
 
 
 // helper
-function createDataTypes(config) {
+function createDataTypes(config, locals) {
   bootstrap({
     modules: [
       DataTypesModule
     ],
     ...config
-  })();
+  }, locals)();
 
   return getViewerJS().get('dataTypes');
 }
@@ -0,0 +1,250 @@
+import {
+  matchesInputEntry,
+  parseInputEntry,
+  parseInputValue,
+  unionIntervals
+} from 'src/util/UnaryTestsUtil';
+
+
+describe('UnaryTestsUtil', function() {
+
+  describe('#parseInputEntry', function() {
+
+    function expectParsed(text, typeRef, result) {
+      return function() {
+        expect(parseInputEntry(text, typeRef)).to.eql(result);
+      };
+    }
+
+    function interval(start, end, startIncluded, endIncluded) {
+      return { start, end, startIncluded, endIncluded };
+    }
+
+
+    describe('number', function() {
+
+      it('-', expectParsed('-', 'number',
+        interval(-Infinity, Infinity, false, false)
+      ));
+
+
+      it('10', expectParsed('10', 'number',
+        interval(10, 10, true, true)
+      ));
+
+
+      it('< 10', expectParsed('< 10', 'number',
+        interval(-Infinity, 10, false, false)
+      ));
+
+
+      it('>= 10.5', expectParsed('>= 10.5', 'number',
+        interval(10.5, Infinity, true, false)
+      ));
+
+
+      it('[1..5]', expectParsed('[1..5]', 'number',
+        interval(1, 5, true, true)
+      ));
+
+
+      it(']1..5[', expectParsed(']1..5[', 'number',
+        interval(1, 5, false, false)
+      ));
+
+
+      it('[1..5], > 10', expectParsed('[1..5], > 10', 'number', null));
+
+
+      it('not([1..5])', expectParsed('not([1..5])', 'number', null));
+
+
+      it('foo', expectParsed('foo', 'number', null));
+
+    });
+
+
+    describe('date', function() {
+
+      const JAN_01 = Date.parse('2020-01-01'),
+            DEC_31 = Date.parse('2020-12-31');
+
+
+      it('date("2020-01-01")', expectParsed('date("2020-01-01")', 'date',
+        interval(JAN_01, JAN_01, true, true)
+      ));
+
+
+      it('< date("2020-01-01")', expectParsed('< date("2020-01-01")', 'date',
+        interval(-Infinity, JAN_01, false, false)
+      ));
+
+
+      it('[date("2020-01-01")..date("2020-12-31")]', expectParsed(
+        '[date("2020-01-01")..date("2020-12-31")]',
+        'date',
+        interval(JAN_01, DEC_31, true, true)
+      ));
+
+
+      it('date("foo")', expectParsed('date("foo")', 'date', null));
+
+    });
+
+
+    describe('date and time', function() {
+
+      const JAN_01 = Date.parse('2020-01-01T10:00:00Z');
+
+
+      it('> date and time("2020-01-01T10:00:00Z")', expectParsed(
+        '> date and time("2020-01-01T10:00:00Z")',
+        'dateTime',
+        interval(JAN_01, Infinity, false, false)
+      ));
+
+
+      it('date("2020-01-01")', expectParsed('date("2020-01-01")', 'dateTime', null));
+
+    });
+
+
+    describe('string', function() {
+
+      it('"a", "b"', expectParsed('"a", "b"', 'string', {
+        values: [ '"a"', '"b"' ],
+        negated: false
+      }));
+
+
+      it('"a,b"', expectParsed('"a,b"', 'string', {
+        values: [ '"a,b"' ],
+        negated: false
+      }));
+
+
+      it('not("a")', expectParsed('not("a")', 'string', {
+        values: [ '"a"' ],
+        negated: true
+      }));
+
+
+      it('a', expectParsed('a', 'string', null));
+
+    });
+
+
+    describe('boolean', function() {
+
+      it('true', expectParsed('true', 'boolean', {
+        values: [ 'true' ],
+        negated: false
+      }));
+
+
+      it('not(true)', expectParsed('not(true)', 'boolean', null));
+
+    });
+
+
+    describe('other types', function() {
+
+      it('-', expectParsed('-', 'time', true));
+
+
+      it('time("10:00:00")', expectParsed('time("10:00:00")', 'time', null));
+
+    });
+
+  });
+
+
+  describe('#matchesInputEntry', function() {
+
+    function expectMatches(text, typeRef, value, result) {
+      return function() {
+        const entry = parseInputEntry(text, typeRef);
+
+        expect(matchesInputEntry(entry, parseInputValue(value, typeRef))).to.eql(result);
+      };
+    }
+
+
+    it('[1..5] / 5', expectMatches('[1..5]', 'number', '5', true));
+
+
+    it('[1..5[ / 5', expectMatches('[1..5[', 'number', '5', false));
+
+
+    it('not("a") / b', expectMatches('not("a")', 'string', 'b', true));
+
+
+    it('< date("2020-01-02") / 2020-01-01', expectMatches(
+      '< date("2020-01-02")', 'date', '2020-01-01', true
+    ));
+
+
+    it('- / empty', expectMatches('-', 'number', '', true));
+
+
+    it('< 10 / empty', expectMatches('< 10', 'number', '', false));
+
+
+    it('not("a") / empty', expectMatches('not("a")', 'string', '', true));
+
+
+    it('"a" / empty', expectMatches('"a"', 'string', '', false));
+
+  });
+
+
+  describe('#unionIntervals', function() {
+
+    function expectUnion(a, b, result) {
+      return function() {
+        expect(unionIntervals(
+          parseInputEntry(a, 'number'),
+          parseInputEntry(b, 'number')
+        )).to.eql(result && parseInputEntry(result, 'number'));
+      };
+    }
+
+
+    it('< 10 / [5..20]', expectUnion('< 10', '[5..20]', '<= 20'));
+
+
+    it('[1..5[ / [5..10]', expectUnion('[1..5[', '[5..10]', '[1..10]'));
+
+
+    it('[1..5[ / ]5..10]', expectUnion('[1..5[', ']5..10]', null));
+
+
+    it('[1..2] / [3..4]', expectUnion('[1..2]', '[3..4]', null));
+
+  });
+
+
+  describe('#parseInputValue', function() {
+
+    it('should quote string', function() {
+      expect(parseInputValue('gold', 'string')).to.eql('"gold"');
+    });
+
+
+    it('should keep quoted string', function() {
+      expect(parseInputValue(' "gold" ', 'string')).to.eql('"gold"');
+    });
+
+
+    it('should escape embedded quotes', function() {
+      expect(parseInputValue('say "hi"', 'string')).to.eql('"say \\"hi\\""');
+    });
+
+
+    it('should parse date to timestamp', function() {
+      expect(parseInputValue('2020-01-01', 'date')).to.eql(Date.parse('2020-01-01'));
+    });
+
+  });
+
+});
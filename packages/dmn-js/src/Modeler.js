@@ -5,7 +5,7 @@ import DecisionTableEditor from 'dmn-js-decision-table/lib/Editor';
 import LiteralExpressionEditor from 'dmn-js-literal-expression/lib/Editor';
 import { Editor as BoxedExpressionEditor } from 'dmn-js-boxed-expression';
 
-import { is, getBoxedExpression } from 'dmn-js-shared/lib/util/ModelUtil';
+import { is, isAny, getBoxedExpression } from 'dmn-js-shared/lib/util/ModelUtil';
 import { containsDi } from 'dmn-js-shared/lib/util/DiUtil';
 
 import { find } from 'min-dash';
@@ -22,7 +22,9 @@ export default class Modeler extends EditingManager {
       {
         id: 'drd',
         constructor: DrdModeler,
-        opens: 'dmn:Definitions'
+        opens(element) {
+          return isAny(element, [ 'dmn:Definitions', 'dmndi:DMNDiagram' ]);
+        }
       },
       {
         id: 'decisionTable',
@@ -51,6 +53,15 @@ export default class Modeler extends EditingManager {
           return (
             is(element, 'dmn:BusinessKnowledgeModel') &&
             getBoxedExpression(element)
+          ) || (
+            is(element, 'dmn:Decision') &&
+            isAny(element.decisionLogic, [
+              'dmn:Context',
+              'dmn:FunctionDefinition',
+              'dmn:Invocation',
+              'dmn:List',
+              'dmn:Relation'
+            ])
           );
         }
       }
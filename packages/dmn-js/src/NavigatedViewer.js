@@ -21,7 +21,9 @@ export default class Viewer extends Manager {
         id: 'drd',
         constructor: DrdNavigatedViewer,
         opens(element) {
-          return is(element, 'dmn:Definitions') && containsDi(element);
+          return (
+            is(element, 'dmn:Definitions') && containsDi(element)
+          ) || is(element, 'dmndi:DMNDiagram');
         }
       },
       {
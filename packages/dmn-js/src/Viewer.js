@@ -5,8 +5,10 @@ import DecisionTableViewer from 'dmn-js-decision-table/lib/Viewer';
 import LiteralExpressionViewer from 'dmn-js-literal-expression/lib/Viewer';
 import { Viewer as BoxedExpressionViewer } from 'dmn-js-boxed-expression';
 
-import { is, getBoxedExpression } from 'dmn-js-shared/lib/util/ModelUtil';
+import { is, isAny, getBoxedExpression } from 'dmn-js-shared/lib/util/ModelUtil';
 import { containsDi } from 'dmn-js-shared/lib/util/DiUtil';
+import { getDocumentStyles } from 'dmn-js-shared/lib/util/ExportUtil';
+import { createHtmlReport } from 'dmn-js-shared/lib/base/report/HtmlReport';
 
 
 /**
@@ -14,6 +16,61 @@ import { containsDi } from 'dmn-js-shared/lib/util/DiUtil';
  */
 export default class Viewer extends Manager {
 
+  /**
+   * The saveHTML result.
+   *
+   * @typedef {Object} SaveHTMLResult
+   *
+   * @property {string} html
+   */
+
+  /**
+   * Export the definitions as a self-contained HTML report, containing
+   * the DRDs with shapes linking to a section per decision and business
+   * knowledge model, its requirements and its logic, as well as the
+   * item definitions.
+   *
+   * DRDs and logic are rendered off-screen by the respective viewers,
+   * keeping the active view open.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.title] defaults to the definitions name
+   *
+   * @return {Promise<SaveHTMLResult, Error>}
+   */
+  saveHTML(options = {}) {
+    const definitions = this.getDefinitions();
+
+    if (!definitions) {
+      return Promise.reject(new Error('no definitions loaded'));
+    }
+
+    const diagrams = [],
+          logic = {};
+
+    return this._renderViews(this.getViews(), (view, viewer) => {
+
+      if (view.type === 'drd') {
+        return viewer.saveSVG().then(({ svg }) => {
+          diagrams.push({ id: view.id, name: view.name, svg });
+        });
+      }
+
+      return viewer.saveHTML().then(({ html }) => {
+        logic[ view.element.id ] = html;
+      });
+    }).then(() => {
+      const html = createHtmlReport(definitions, {
+        title: options.title,
+        diagrams,
+        logic,
+        styles: getDocumentStyles()
+      });
+
+      return { html };
+    });
+  }
+
   _getViewProviders() {
 
     return [
@@ -21,7 +78,9 @@ export default class Viewer extends Manager {
         id: 'drd',
         constructor: DrdViewer,
         opens(element) {
-          return is(element, 'dmn:Definitions') && containsDi(element);
+          return (
+            is(element, 'dmn:Definitions') && containsDi(element)
+          ) || is(element, 'dmndi:DMNDiagram');
         }
       },
       {
@@ -51,6 +110,15 @@ export default class Viewer extends Manager {
           return (
             is(element, 'dmn:BusinessKnowledgeModel') &&
             getBoxedExpression(element)
+          ) || (
+            is(element, 'dmn:Decision') &&
+            isAny(element.decisionLogic, [
+              'dmn:Context',
+              'dmn:FunctionDefinition',
+              'dmn:Invocation',
+              'dmn:List',
+              'dmn:Relation'
+            ])
           );
         }
       }
@@ -40,6 +40,7 @@ describe('Modeler', function() {
   const diagram = require('./diagram.dmn');
   const noDi = require('./no-di.dmn');
   const noDisplayableContents = require('./no-displayable-contents.dmn');
+  const invocation = require('./invocation.dmn');
 
   let container;
   let editor;
@@ -98,6 +99,24 @@ describe('Modeler', function() {
   });
 
 
+  it('should open DMN invocation', async function() {
+
+    await editor.importXML(invocation, { open: false });
+
+    const views = editor.getViews();
+    const decisionView = views.filter(v => {
+      return v.type === 'boxedExpression' && v.element.$instanceOf('dmn:Decision');
+    })[0];
+
+    // can open decisions
+    expect(decisionView).to.exist;
+
+    const { warnings } = await editor.open(decisionView);
+
+    expect(warnings).to.have.lengthOf(0);
+  });
+
+
   (singleStart ? it.only : it)('should open DRD', async function() {
 
     await editor.importXML(diagram, { open: false });
@@ -172,6 +172,84 @@ describe('Viewer', function() {
   });
 
 
+  describe('#saveHTML', function() {
+
+    it('should indicate nothing imported', async function() {
+
+      // given
+      const viewer = new Viewer({ container: container });
+
+      // when
+      let error;
+
+      try {
+        await viewer.saveHTML();
+      } catch (e) {
+        error = e;
+      }
+
+      // then
+      expect(error).to.exist;
+      expect(error.message).to.match(/no definitions loaded/);
+    });
+
+
+    it('should export report', async function() {
+
+      // given
+      const viewer = new Viewer({ container: container });
+
+      await viewer.importXML(diagram);
+
+      // when
+      const { html } = await viewer.saveHTML({ title: 'Dinner' });
+
+      // then
+      const report = new DOMParser().parseFromString(html, 'text/html');
+
+      expect(report.title).to.eql('Dinner');
+
+      // DRD linking to decisions
+      expect(domQuery('.dmn-report-drd svg a[href="#dmn-dish-decision"]', report))
+        .to.exist;
+
+      // logic rendered by viewers
+      expect(
+        domQuery('#dmn-dish-decision .dmn-decision-table-container', report)
+      ).to.exist;
+      expect(
+        domQuery('#dmn-Decision_1koag35 .dmn-literal-expression-container', report)
+      ).to.exist;
+      expect(
+        domQuery('#dmn-elMenu .dmn-boxed-expression-container', report)
+      ).to.exist;
+
+      expect(domQuery('.view-drd', report)).not.to.exist;
+    });
+
+
+    it('should restore active view', async function() {
+
+      // given
+      const viewer = new Viewer({ container: container });
+
+      await viewer.importXML(diagram, { open: false });
+
+      const decisionView = viewer.getViews().filter(v => v.type === 'decisionTable')[0];
+
+      await viewer.open(decisionView);
+
+      // when
+      await viewer.saveHTML();
+
+      // then
+      expect(viewer.getActiveView()).to.equal(decisionView);
+      expect(domQuery('.dmn-decision-table-container', container)).to.exist;
+    });
+
+  });
+
+
   describe('DMN compatibility', function() {
 
     it('should indicate DMN 1.1 incompatibility', function() {